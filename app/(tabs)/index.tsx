@@ -1,8 +1,46 @@
+import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, ScrollView, TextInput, TouchableOpacity, ImageBackground } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import VenueSearchService from '../../services/VenueSearchService';
+import { TOKYO_AREAS, POPULAR_AREA_IDS } from '../../constants/TokyoPlaces';
+
+const POPULAR_AREAS = TOKYO_AREAS.filter(area => POPULAR_AREA_IDS.includes(area.id));
 
 export default function HomeScreen() {
+  const router = useRouter();
+  const [placeText, setPlaceText] = useState('');
+  const [keywordText, setKeywordText] = useState('');
+  const [areaCounts, setAreaCounts] = useState<Record<string, number>>({});
+
+  useEffect(() => {
+    loadAreaCounts();
+  }, []);
+
+  // 人気エリアごとの徒歩圏内の店舗数
+  const loadAreaCounts = async () => {
+    try {
+      await VenueSearchService.initialize();
+      const counts: Record<string, number> = {};
+      for (const area of POPULAR_AREAS) {
+        const result = await VenueSearchService.searchVenuesNearPlace({ ...area, type: 'area' }, '', {}, { limit: 1 });
+        counts[area.id] = result.total;
+      }
+      setAreaCounts(counts);
+    } catch (error) {
+      console.error('Failed to load area counts:', error);
+    }
+  };
+
+  // 検索タブをエリア・駅（徒歩圏）と検索ワードで開く
+  const openSearch = (place: string, keyword: string = keywordText) => {
+    router.push({
+      pathname: '/search',
+      params: { place: place.trim(), q: keyword.trim() },
+    });
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       {/* Header */}
@@ -36,12 +74,20 @@ export default function HomeScreen() {
               style={styles.searchInput}
               placeholder="エリア・駅"
               placeholderTextColor="#999"
+              value={placeText}
+              onChangeText={setPlaceText}
+              returnKeyType="search"
+              onSubmitEditing={() => openSearch(placeText)}
             />
           </View>
           <TextInput
             style={styles.searchInput2}
             placeholder="店名・ジャンル・雰囲気"
             placeholderTextColor="#999"
+            value={keywordText}
+            onChangeText={setKeywordText}
+            returnKeyType="search"
+            onSubmitEditing={() => openSearch(placeText)}
           />
         </View>
 
@@ -86,15 +132,12 @@ export default function HomeScreen() {
 
           {/* Popular Areas */}
           <View style={styles.areaGrid}>
-            {[
-              { name: "渋谷", count: "1,369" },
-              { name: "新宿", count: "2,514" },
-              { name: "六本木", count: "893" },
-              { name: "銀座", count: "1,902" },
-              { name: "恵比寿", count: "756" },
-              { name: "表参道", count: "634" }
-            ].map((area, index) => (
-              <View key={index} style={styles.areaItem}>
+            {POPULAR_AREAS.map((area) => (
+              <TouchableOpacity
+                key={area.id}
+                style={styles.areaItem}
+                onPress={() => openSearch(area.name)}
+              >
                 <ImageBackground 
                   style={styles.areaImage}
                   imageStyle={styles.imageStyle}
@@ -102,10 +145,12 @@ export default function HomeScreen() {
                 >
                   <View style={styles.overlay}>
                     <Text style={styles.areaName}>{area.name}</Text>
-                    <Text style={styles.areaCount}>{area.count}件</Text>
+                    <Text style={styles.areaCount}>
+                      {areaCounts[area.id] !== undefined ? `${areaCounts[area.id].toLocaleString()}件` : '-'}
+                    </Text>
                   </View>
                 </ImageBackground>
-              </View>
+              </TouchableOpacity>
             ))}
           </View>
         </View>
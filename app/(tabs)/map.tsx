@@ -12,7 +12,10 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
 import MapService from '../../services/MapService';
+import VenueStatusService from '../../services/VenueStatusService';
 import VenueDetails from '../../components/VenueDetails';
+import { getOpenStatus, describeOpenStatus } from '../../utils/opening-hours';
+import { describeVenueStatus } from '../../utils/venue-status';
 
 export default function MapScreen() {
   const [currentLocation, setCurrentLocation] = useState(null);
@@ -21,6 +24,7 @@ export default function MapScreen() {
   const [showVenueDetails, setShowVenueDetails] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [searchRadius, setSearchRadius] = useState(1000);
+  const [, setStatusVersion] = useState(0);
 
   const initializeMap = async () => {
     try {
@@ -46,6 +50,9 @@ export default function MapScreen() {
     initializeMap();
   }, [initializeMap]);
 
+  // 混雑状況の更新で店舗のバッジを描き直す
+  useEffect(() => VenueStatusService.subscribe(({ version }: { version: number }) => setStatusVersion(version)), []);
+
   const searchNearbyVenues = async () => {
     try {
       const result = await MapService.searchNearbyVenues(searchRadius);
@@ -101,6 +108,16 @@ export default function MapScreen() {
     return colors[category] || '#666666';
   };
 
+  // 営業状況（臨時休業・特別営業を含む）のバッジ。営業時間が不明なら出さない
+  const getStatusBadge = (venue: any) => {
+    if (!venue.openingHours) return null;
+    const status = getOpenStatus(venue.openingHours);
+    return { label: describeOpenStatus(status), isOpen: status.isOpen };
+  };
+
+  // 混雑状況のバッジ（確度が低ければ出さない）
+  const getCrowdStatus = (venue: any) => describeVenueStatus(VenueStatusService.getCachedStatus(venue.id));
+
   const formatDistance = (distance: number) => {
     if (distance < 1000) {
       return `${distance}m`;
@@ -181,35 +198,47 @@ export default function MapScreen() {
           </Text>
           
           <ScrollView style={styles.venuesList} showsVerticalScrollIndicator={false}>
-            {venues.map((venue) => (
-              <TouchableOpacity
-                key={venue.id}
-                style={styles.venueItem}
-                onPress={() => handleVenuePress(venue)}
-              >
-                <View style={styles.venueIcon}>
-                  <Ionicons
-                    name={getCategoryIcon(venue.category)}
-                    size={24}
-                    color={getCategoryColor(venue.category)}
-                  />
-                </View>
+            {venues.map((venue) => {
+              const badge = getStatusBadge(venue);
+              const crowdStatus = getCrowdStatus(venue);
+              return (
+                <TouchableOpacity
+                  key={venue.id}
+                  style={styles.venueItem}
+                  onPress={() => handleVenuePress(venue)}
+                >
+                  <View style={styles.venueIcon}>
+                    <Ionicons
+                      name={getCategoryIcon(venue.category)}
+                      size={24}
+                      color={getCategoryColor(venue.category)}
+                    />
+                  </View>
                 
-                <View style={styles.venueInfo}>
-                  <Text style={styles.venueName}>{venue.name}</Text>
-                  <Text style={styles.venueAddress}>{venue.address}</Text>
-                  <View style={styles.venueDetails}>
-                    <View style={styles.ratingContainer}>
-                      <Ionicons name="star" size={14} color="#ffd700" />
-                      <Text style={styles.rating}>{venue.rating}</Text>
+                  <View style={styles.venueInfo}>
+                    <Text style={styles.venueName}>{venue.name}</Text>
+                    <Text style={styles.venueAddress}>{venue.address}</Text>
+                    <View style={styles.venueDetails}>
+                      <View style={styles.ratingContainer}>
+                        <Ionicons name="star" size={14} color="#ffd700" />
+                        <Text style={styles.rating}>{venue.rating}</Text>
+                      </View>
+                      <Text style={styles.distance}>{formatDistance(venue.distance)}</Text>
                     </View>
-                    <Text style={styles.distance}>{formatDistance(venue.distance)}</Text>
+                    {badge && (
+                      <Text style={[styles.statusBadge, badge.isOpen ? styles.statusOpen : styles.statusClosed]}>
+                        {badge.label}
+                      </Text>
+                    )}
+                    {crowdStatus && (
+                      <Text style={styles.crowdBadge}>{crowdStatus}</Text>
+                    )}
                   </View>
-                </View>
                 
-                <Ionicons name="chevron-forward" size={20} color="#ccc" />
-              </TouchableOpacity>
-            ))}
+                  <Ionicons name="chevron-forward" size={20} color="#ccc" />
+                </TouchableOpacity>
+              );
+            })}
             
             {venues.length === 0 && (
               <View style={styles.emptyState}>
@@ -450,6 +479,26 @@ const styles = StyleSheet.create({
     color: '#ea5a7b',
     fontWeight: '500',
   },
+
+  statusBadge: {
+    fontSize: 12,
+    fontWeight: '500',
+    marginTop: 4,
+  },
+
+  statusOpen: {
+    color: '#4caf50',
+  },
+
+  statusClosed: {
+    color: '#f44336',
+  },
+
+  crowdBadge: {
+    fontSize: 12,
+    color: '#333333',
+    marginTop: 2,
+  },
   
   emptyState: {
     flex: 1,
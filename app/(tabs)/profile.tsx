@@ -1,18 +1,23 @@
 import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, TouchableOpacity, ScrollView, Modal, Alert } from "react-native";
+import { StyleSheet, Text, View, TouchableOpacity, ScrollView, Modal, Alert, Switch } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { Ionicons } from "@expo/vector-icons";
 import NotificationCenter from '../../components/NotificationCenter';
+import SavedSearches from '../../components/SavedSearches';
 import LoginScreen from '../../components/LoginScreen';
 import RegisterScreen from '../../components/RegisterScreen';
 import AuthService from '../../services/AuthService';
+import PersonalizationService from '../../services/PersonalizationService';
+import SavedSearchService from '../../services/SavedSearchService';
 
 export default function ProfileScreen() {
   const [showNotifications, setShowNotifications] = useState(false);
+  const [showSavedSearches, setShowSavedSearches] = useState(false);
   const [showAuth, setShowAuth] = useState(false);
   const [authMode, setAuthMode] = useState('login'); // 'login' or 'register'
   const [currentUser, setCurrentUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [personalizationEnabled, setPersonalizationEnabled] = useState(false);
 
   useEffect(() => {
     initializeAuth();
@@ -23,6 +28,9 @@ export default function ProfileScreen() {
       await AuthService.initialize();
       const user = AuthService.getCurrentUser();
       setCurrentUser(user);
+
+      await PersonalizationService.initialize();
+      setPersonalizationEnabled(PersonalizationService.isEnabled(SavedSearchService.getCurrentUserId()));
       
       // 認証状態の変更をリッスン
       AuthService.addEventListener('authStateChanged', handleAuthStateChanged);
@@ -35,6 +43,7 @@ export default function ProfileScreen() {
 
   const handleAuthStateChanged = ({ user, isAuthenticated }) => {
     setCurrentUser(user);
+    setPersonalizationEnabled(PersonalizationService.isEnabled(SavedSearchService.getCurrentUserId()));
     if (isAuthenticated) {
       setShowAuth(false);
     }
@@ -79,6 +88,12 @@ export default function ProfileScreen() {
     setShowAuth(false);
   };
 
+  // お気に入り・レビュー・検索履歴から検索の並び順を調整するか
+  const handlePersonalizationToggle = async (enabled: boolean) => {
+    setPersonalizationEnabled(enabled);
+    await PersonalizationService.setEnabled(SavedSearchService.getCurrentUserId(), enabled);
+  };
+
   const handleSwitchAuthMode = () => {
     setAuthMode(authMode === 'login' ? 'register' : 'login');
   };
@@ -117,6 +132,26 @@ export default function ProfileScreen() {
             <Ionicons name="chevron-forward" size={20} color="#ccc" />
           </TouchableOpacity>
           
+          <TouchableOpacity style={styles.menuItem} onPress={() => setShowSavedSearches(true)}>
+            <Ionicons name="bookmark-outline" size={20} color="#666" />
+            <Text style={styles.menuText}>保存した検索</Text>
+            <Ionicons name="chevron-forward" size={20} color="#ccc" />
+          </TouchableOpacity>
+          
+          <View style={styles.menuItem}>
+            <Ionicons name="sparkles-outline" size={20} color="#666" />
+            <View style={styles.menuTextContainer}>
+              <Text style={styles.menuTextInline}>好みに合わせた検索結果</Text>
+              <Text style={styles.menuDescription}>お気に入り・レビュー・検索履歴から並び順を調整</Text>
+            </View>
+            <Switch
+              value={personalizationEnabled}
+              onValueChange={handlePersonalizationToggle}
+              trackColor={{ false: '#e0e0e0', true: '#ea5a7b' }}
+              thumbColor="#fff"
+            />
+          </View>
+          
           <TouchableOpacity style={styles.menuItem}>
             <Ionicons name="shield-outline" size={20} color="#666" />
             <Text style={styles.menuText}>プライバシー設定</Text>
@@ -172,6 +207,23 @@ export default function ProfileScreen() {
         </SafeAreaView>
       </Modal>
 
+      {/* 保存した検索モーダル */}
+      <Modal
+        visible={showSavedSearches}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setShowSavedSearches(false)}
+      >
+        <SafeAreaView style={{ flex: 1 }}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setShowSavedSearches(false)}>
+              <Ionicons name="close" size={24} color="#ea5a7b" />
+            </TouchableOpacity>
+          </View>
+          <SavedSearches />
+        </SafeAreaView>
+      </Modal>
+
       {/* 認証モーダル */}
       <Modal
         visible={showAuth}
@@ -268,6 +320,19 @@ const styles = StyleSheet.create({
     color: "#333",
     marginLeft: 12,
   },
+  menuTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  menuTextInline: {
+    fontSize: 16,
+    color: "#333",
+  },
+  menuDescription: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 2,
+  },
   loginSection: {
     padding: 16,
     paddingBottom: 30,
@@ -1,12 +1,16 @@
 import React from 'react';
 import { StyleSheet } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useLocalSearchParams } from 'expo-router';
 import VenueSearch from '../../components/VenueSearch';
 
 export default function SearchScreen() {
+  // ホーム画面のエリアタイル・「エリア・駅」入力から渡される条件
+  const { place, q } = useLocalSearchParams<{ place?: string; q?: string }>();
+
   return (
     <SafeAreaView style={styles.container}>
-      <VenueSearch />
+      <VenueSearch initialPlace={place || ''} initialQuery={q || ''} />
     </SafeAreaView>
   );
 }
@@ -16,4 +20,4 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#fafafa',
   },
-});
\ No newline at end of file
+});
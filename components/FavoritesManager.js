@@ -12,6 +12,7 @@ import {
   Share,
 } from 'react-native';
 import FavoritesService from '../services/FavoritesService';
+import VenueExportService from '../services/VenueExportService';
 import VenueDetails from './VenueDetails';
 
 // カラーテーマ
@@ -369,6 +370,7 @@ const FavoritesManager = () => {
   const [categories, setCategories] = useState([]);
   const [selectedVenue, setSelectedVenue] = useState(null);
   const [showVenueDetails, setShowVenueDetails] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
@@ -488,14 +490,27 @@ const FavoritesManager = () => {
     );
   };
 
-  const handleExport = async () => {
+  // format: 'backup'（アプリの JSON。importFavorites で読み戻せる）| 'geojson' | 'kml' | 'csv'
+  const handleExport = async (format) => {
+    setShowExportModal(false);
     try {
-      const exportData = await FavoritesService.exportFavorites();
-      if (exportData) {
-        await Share.share({
-          message: exportData,
-          title: 'お気に入りデータ',
-        });
+      let message = null;
+      let title = 'お気に入りデータ';
+      if (format === 'backup') {
+        message = await FavoritesService.exportFavorites();
+      } else {
+        const result = await VenueExportService.exportFavorites(format);
+        if (result.success) {
+          message = result.content;
+          title = result.fileName;
+          if (result.skipped.length > 0) {
+            Alert.alert('お知らせ', `座標のない${result.skipped.length}件の店舗は含まれていません`);
+          }
+        }
+      }
+
+      if (message) {
+        await Share.share({ message, title });
       } else {
         Alert.alert('エラー', 'データのエクスポートに失敗しました');
       }
@@ -520,7 +535,7 @@ const FavoritesManager = () => {
         <Text style={styles.title}>❤️ お気に入り</Text>
         {favorites.length > 0 && (
           <View style={styles.headerActions}>
-            <TouchableOpacity style={styles.headerButton} onPress={handleExport}>
+            <TouchableOpacity style={styles.headerButton} onPress={() => setShowExportModal(true)}>
               <Text style={styles.headerButtonText}>📤</Text>
             </TouchableOpacity>
             <TouchableOpacity style={styles.headerButton} onPress={handleClearAll}>
@@ -597,6 +612,40 @@ const FavoritesManager = () => {
         </>
       )}
 
+      {/* エクスポート形式モーダル */}
+      <Modal
+        visible={showExportModal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowExportModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>エクスポート形式</Text>
+            <ScrollView style={styles.optionsList}>
+              {[
+                { id: 'backup', label: 'バックアップ（JSON）' },
+                ...VenueExportService.getExportFormats(),
+              ].map((format) => (
+                <TouchableOpacity
+                  key={format.id}
+                  style={styles.optionItem}
+                  onPress={() => handleExport(format.id)}
+                >
+                  <Text style={styles.optionText}>{format.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            <TouchableOpacity
+              style={styles.closeModalButton}
+              onPress={() => setShowExportModal(false)}
+            >
+              <Text style={styles.closeModalButtonText}>キャンセル</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       {/* 店舗詳細モーダル */}
       <Modal
         visible={showVenueDetails}
@@ -0,0 +1,290 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+} from 'react-native';
+import SavedSearchService from '../services/SavedSearchService';
+
+// カラーテーマ
+const colors = {
+  primary: '#ea5a7b',
+  white: '#ffffff',
+  background: '#fafafa',
+  text: '#333333',
+  textSecondary: '#666666',
+  border: '#e0e0e0',
+  error: '#f44336',
+};
+
+// 保存した検索の1行
+const SavedSearchItem = ({ savedSearch, onRename, onDelete }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(savedSearch.name);
+
+  const handleSubmit = async () => {
+    const success = await onRename(savedSearch, name);
+    if (success) {
+      setIsEditing(false);
+    }
+  };
+
+  return (
+    <View style={styles.item}>
+      <View style={styles.itemBody}>
+        {isEditing ? (
+          <TextInput
+            style={styles.nameInput}
+            value={name}
+            onChangeText={setName}
+            autoFocus
+            returnKeyType="done"
+            onSubmitEditing={handleSubmit}
+          />
+        ) : (
+          <Text style={styles.itemName}>{savedSearch.name}</Text>
+        )}
+        {savedSearch.query ? (
+          <Text style={styles.itemQuery} numberOfLines={1}>{savedSearch.query}</Text>
+        ) : null}
+        <Text style={styles.itemDate}>
+          {new Date(savedSearch.createdAt).toLocaleDateString('ja-JP')} に保存
+        </Text>
+      </View>
+
+      <View style={styles.itemActions}>
+        {isEditing ? (
+          <>
+            <TouchableOpacity style={styles.actionButton} onPress={handleSubmit}>
+              <Text style={styles.actionText}>保存</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => {
+                setName(savedSearch.name);
+                setIsEditing(false);
+              }}
+            >
+              <Text style={styles.actionTextSecondary}>取消</Text>
+            </TouchableOpacity>
+          </>
+        ) : (
+          <>
+            <TouchableOpacity style={styles.actionButton} onPress={() => setIsEditing(true)}>
+              <Text style={styles.actionText}>名前変更</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.actionButton} onPress={() => onDelete(savedSearch)}>
+              <Text style={styles.deleteText}>削除</Text>
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    </View>
+  );
+};
+
+// 保存した検索の一覧（名前変更・削除）
+const SavedSearches = () => {
+  const [savedSearches, setSavedSearches] = useState([]);
+
+  useEffect(() => {
+    initialize();
+
+    const handleChanged = () => {
+      setSavedSearches(SavedSearchService.getSavedSearches());
+    };
+    SavedSearchService.addEventListener('savedSearchesChanged', handleChanged);
+
+    return () => {
+      SavedSearchService.removeEventListener('savedSearchesChanged', handleChanged);
+    };
+  }, []);
+
+  const initialize = async () => {
+    try {
+      await SavedSearchService.initialize();
+      setSavedSearches(SavedSearchService.getSavedSearches());
+    } catch (error) {
+      console.error('Failed to load saved searches:', error);
+    }
+  };
+
+  const handleRename = async (savedSearch, name) => {
+    const result = await SavedSearchService.renameSavedSearch(savedSearch.id, name);
+    if (!result.success) {
+      Alert.alert('エラー', result.error);
+    }
+    return result.success;
+  };
+
+  const handleDelete = (savedSearch) => {
+    Alert.alert(
+      '保存した検索を削除',
+      `「${savedSearch.name}」を削除しますか？`,
+      [
+        { text: 'キャンセル', style: 'cancel' },
+        {
+          text: '削除',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await SavedSearchService.deleteSavedSearch(savedSearch.id);
+            if (!result.success) {
+              Alert.alert('エラー', result.error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>保存した検索</Text>
+      <FlatList
+        data={savedSearches}
+        keyExtractor={(item) => item.id}
+        renderItem={({ item }) => (
+          <SavedSearchItem
+            savedSearch={item}
+            onRename={handleRename}
+            onDelete={handleDelete}
+          />
+        )}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={() => (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>🔖</Text>
+            <Text style={styles.emptyText}>保存した検索はありません</Text>
+            <Text style={styles.emptySubtext}>
+              検索画面の「☆ 保存」から条件を保存すると、合うお店が追加されたときに通知します
+            </Text>
+          </View>
+        )}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.text,
+    padding: 16,
+  },
+
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 20,
+  },
+
+  // 一覧の行
+  item: {
+    backgroundColor: colors.white,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 8,
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+
+  itemBody: {
+    marginBottom: 8,
+  },
+
+  itemName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+
+  nameInput: {
+    fontSize: 16,
+    color: colors.text,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.primary,
+    paddingVertical: 4,
+    marginBottom: 4,
+  },
+
+  itemQuery: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 4,
+  },
+
+  itemDate: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+
+  itemActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 16,
+  },
+
+  actionButton: {
+    paddingVertical: 4,
+  },
+
+  actionText: {
+    fontSize: 14,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+
+  actionTextSecondary: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+
+  deleteText: {
+    fontSize: 14,
+    color: colors.error,
+    fontWeight: '600',
+  },
+
+  // 空状態
+  emptyContainer: {
+    alignItems: 'center',
+    paddingVertical: 60,
+    paddingHorizontal: 20,
+  },
+
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 16,
+  },
+
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 8,
+  },
+
+  emptySubtext: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+});
+
+export default SavedSearches;
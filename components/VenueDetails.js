@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -8,9 +8,36 @@ import {
   Dimensions, 
   Modal, 
   Alert, 
-  Linking 
+  Linking,
+  Image,
 } from 'react-native';
 import FavoritesService from '../services/FavoritesService';
+import VenueSearchService from '../services/VenueSearchService';
+import VenueStatusService from '../services/VenueStatusService';
+import VenuePhotoService from '../services/VenuePhotoService';
+import {
+  DAY_KEYS,
+  DAY_LABELS,
+  WEEK_DAY_ORDER,
+  getTokyoDateTime,
+  getSessionsForDate,
+  getOpenStatus,
+  getUpcomingExceptions,
+  normalizeSessions,
+  describeDaySchedule,
+  describeOpenStatus,
+} from '../utils/opening-hours';
+import { normalizeVenue, getCategoryLabel } from '../utils/venue-schema';
+import { CROWD_LEVELS, describeVenueStatus, describeStatusAge } from '../utils/venue-status';
+import {
+  describeHappyHour,
+  describeSpendEstimate,
+  estimatePerPersonSpend,
+  formatYen,
+  hasMenu,
+  isHappyHour,
+} from '../utils/venue-menu';
+import { SAMPLE_VENUES } from '../constants/SampleVenues';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -27,104 +54,235 @@ const colors = {
   error: '#f44336',
 };
 
-// 店舗画像ギャラリー
-const VenueImageGallery = ({ images, venueName }) => {
+// 写真のフルスクリーン表示（左右のスワイプで切り替え、説明付き）
+// manageable なら表示中の写真をカバーにする・前後へ動かす・削除する操作を出す
+const VenuePhotoViewer = ({ photos, initialIndex, visible, onClose, manageable, venueId }) => {
+  const [index, setIndex] = useState(initialIndex);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+    setIndex(initialIndex);
+    // Modal の表示後に初期位置へ
+    requestAnimationFrame(() => {
+      scrollRef.current?.scrollTo({ x: initialIndex * screenWidth, animated: false });
+    });
+  }, [visible, initialIndex]);
+
+  const current = photos[index];
+
+  const runAction = async (action) => {
+    const result = await action();
+    if (!result.success) {
+      Alert.alert('エラー', result.error);
+    }
+    return result;
+  };
+
+  const handleMove = async (toIndex) => {
+    const result = await runAction(() => VenuePhotoService.movePhoto(venueId, current.id, toIndex));
+    if (result.success) {
+      setIndex(toIndex);
+      scrollRef.current?.scrollTo({ x: toIndex * screenWidth, animated: false });
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert('写真の削除', 'この写真を削除しますか？', [
+      { text: 'キャンセル', style: 'cancel' },
+      {
+        text: '削除',
+        style: 'destructive',
+        onPress: async () => {
+          const result = await runAction(() => VenuePhotoService.deletePhoto(venueId, current.id));
+          if (result.success && result.photos.length === 0) {
+            onClose();
+          } else if (result.success) {
+            setIndex(Math.min(index, result.photos.length - 1));
+          }
+        },
+      },
+    ]);
+  };
+
+  return (
+    <Modal visible={visible} animationType="fade" transparent={true} onRequestClose={onClose}>
+      <View style={styles.viewerOverlay}>
+        <TouchableOpacity style={styles.modalClose} onPress={onClose}>
+          <Text style={styles.modalCloseText}>×</Text>
+        </TouchableOpacity>
+
+        <ScrollView
+          ref={scrollRef}
+          horizontal
+          pagingEnabled
+          showsHorizontalScrollIndicator={false}
+          onMomentumScrollEnd={(event) => {
+            setIndex(Math.round(event.nativeEvent.contentOffset.x / screenWidth));
+          }}
+        >
+          {photos.map((photo) => (
+            <View key={photo.id} style={styles.viewerPage}>
+              <Image source={{ uri: photo.url }} style={styles.viewerImage} resizeMode="contain" />
+            </View>
+          ))}
+        </ScrollView>
+
+        {current && (
+          <View style={styles.viewerFooter}>
+            <Text style={styles.viewerCounter}>
+              {index + 1} / {photos.length}{index === 0 ? '・カバー写真' : ''}
+            </Text>
+            {current.caption && <Text style={styles.viewerCaption}>{current.caption}</Text>}
+
+            {manageable && (
+              <View style={styles.viewerActions}>
+                <TouchableOpacity
+                  style={[styles.viewerAction, index === 0 && styles.viewerActionDisabled]}
+                  disabled={index === 0}
+                  onPress={() => handleMove(index - 1)}
+                >
+                  <Text style={styles.viewerActionText}>◀ 前へ</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.viewerAction, index === 0 && styles.viewerActionDisabled]}
+                  disabled={index === 0}
+                  onPress={() => handleMove(0)}
+                >
+                  <Text style={styles.viewerActionText}>カバーにする</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.viewerAction, index === photos.length - 1 && styles.viewerActionDisabled]}
+                  disabled={index === photos.length - 1}
+                  onPress={() => handleMove(index + 1)}
+                >
+                  <Text style={styles.viewerActionText}>後へ ▶</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.viewerAction} onPress={handleDelete}>
+                  <Text style={[styles.viewerActionText, { color: colors.error }]}>削除</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+// 店舗画像ギャラリー（先頭がカバー写真）
+const VenueImageGallery = ({ images, onOpen }) => {
   const [selectedImage, setSelectedImage] = useState(0);
-  const [showModal, setShowModal] = useState(false);
 
-  const sampleImages = [
-    { id: 1, url: null, caption: 'メインエントランス' },
-    { id: 2, url: null, caption: 'バーカウンター' },
-    { id: 3, url: null, caption: 'VIPルーム' },
-  ];
+  if (images.length === 0) {
+    return (
+      <View style={styles.imageGallery}>
+        <View style={styles.mainImage}>
+          <View style={styles.imagePlaceholder}>
+            <Text style={styles.imageIcon}>📷</Text>
+            <Text style={styles.imageCaption}>写真はまだありません</Text>
+          </View>
+        </View>
+      </View>
+    );
+  }
 
-  const displayImages = images || sampleImages;
+  // 写真が削除されて選択中の位置がなくなったら先頭に戻す
+  const selectedIndex = selectedImage < images.length ? selectedImage : 0;
+  const selected = images[selectedIndex];
 
   return (
     <View style={styles.imageGallery}>
       {/* メイン画像 */}
-      <TouchableOpacity
-        style={styles.mainImage}
-        onPress={() => setShowModal(true)}
-      >
-        <View style={styles.imagePlaceholder}>
-          <Text style={styles.imageIcon}>📷</Text>
-          <Text style={styles.imageCaption}>
-            {displayImages[selectedImage]?.caption || 'メイン画像'}
-          </Text>
-        </View>
+      <TouchableOpacity style={styles.mainImage} onPress={() => onOpen(selectedIndex)}>
+        <Image source={{ uri: selected.url }} style={styles.mainImageContent} resizeMode="cover" />
         <View style={styles.imageCounter}>
           <Text style={styles.counterText}>
-            {selectedImage + 1} / {displayImages.length}
+            {selectedIndex + 1} / {images.length}
           </Text>
         </View>
+        {selected.caption && (
+          <View style={styles.mainImageCaption}>
+            <Text style={styles.mainImageCaptionText} numberOfLines={1}>{selected.caption}</Text>
+          </View>
+        )}
       </TouchableOpacity>
 
       {/* 画像サムネイル */}
-      <ScrollView
-        horizontal
-        showsHorizontalScrollIndicator={false}
-        style={styles.thumbnailScroll}
-        contentContainerStyle={styles.thumbnailContainer}
-      >
-        {displayImages.map((image, index) => (
-          <TouchableOpacity
-            key={image.id}
-            style={[
-              styles.thumbnail,
-              {
-                borderColor: selectedImage === index ? colors.primary : colors.border,
-              },
-            ]}
-            onPress={() => setSelectedImage(index)}
-          >
-            <Text style={styles.thumbnailIcon}>📷</Text>
-          </TouchableOpacity>
-        ))}
-      </ScrollView>
-
-      {/* 画像モーダル */}
-      <Modal
-        visible={showModal}
-        animationType="fade"
-        transparent={true}
-        onRequestClose={() => setShowModal(false)}
-      >
-        <View style={styles.modalOverlay}>
-          <View style={styles.modalContent}>
+      {images.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.thumbnailScroll}
+          contentContainerStyle={styles.thumbnailContainer}
+        >
+          {images.map((image, index) => (
             <TouchableOpacity
-              style={styles.modalClose}
-              onPress={() => setShowModal(false)}
+              key={image.id}
+              style={[
+                styles.thumbnail,
+                {
+                  borderColor: selectedIndex === index ? colors.primary : colors.border,
+                },
+              ]}
+              onPress={() => setSelectedImage(index)}
             >
-              <Text style={styles.modalCloseText}>×</Text>
+              <Image source={{ uri: image.thumbnailUrl || image.url }} style={styles.thumbnailImage} />
             </TouchableOpacity>
-            <View style={styles.modalImage}>
-              <Text style={styles.modalImageIcon}>📷</Text>
-              <Text style={styles.modalImageCaption}>
-                {displayImages[selectedImage]?.caption}
-              </Text>
-            </View>
-          </View>
-        </View>
-      </Modal>
+          ))}
+        </ScrollView>
+      )}
     </View>
   );
 };
 
-// 店舗基本情報
-const VenueBasicInfo = ({ venue }) => {
-  const getCategoryIcon = (category) => {
-    const icons = {
-      bar: '🍸',
-      club: '🎵',
-      lounge: '🛋️',
-      restaurant: '🍽️',
-      karaoke: '🎤',
-      pub: '🍺',
-    };
-    return icons[category] || '🏪';
+// 写真タブ（一覧。タップでフルスクリーン表示）
+const VenuePhotos = ({ photos, onOpen }) => {
+  if (photos.length === 0) {
+    return (
+      <View style={styles.placeholderSection}>
+        <Text style={styles.sectionTitle}>店舗写真</Text>
+        <Text style={styles.placeholderText}>写真はまだありません</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.photoSection}>
+      <Text style={styles.sectionTitle}>店舗写真（{photos.length}枚）</Text>
+      <View style={styles.photoGrid}>
+        {photos.map((photo, index) => (
+          <TouchableOpacity key={photo.id} style={styles.photoCell} onPress={() => onOpen(index)}>
+            <Image source={{ uri: photo.thumbnailUrl || photo.url }} style={styles.photoCellImage} />
+            {index === 0 && (
+              <View style={styles.coverBadge}>
+                <Text style={styles.coverBadgeText}>カバー</Text>
+              </View>
+            )}
+            {photo.caption && (
+              <Text style={styles.photoCellCaption} numberOfLines={1}>{photo.caption}</Text>
+            )}
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const getCategoryIcon = (category) => {
+  const icons = {
+    bar: '🍸',
+    club: '🎵',
+    lounge: '🛋️',
+    restaurant: '🍽️',
+    karaoke: '🎤',
+    pub: '🍺',
   };
+  return icons[category] || '🏪';
+};
 
+// 店舗基本情報
+const VenueBasicInfo = ({ venue }) => {
   const getPriceRangeLabel = (priceRange) => {
     const labels = {
       budget: '¥ (1,000〜2,000円)',
@@ -164,7 +322,7 @@ const VenueBasicInfo = ({ venue }) => {
       <View style={styles.venueMetrics}>
         <View style={styles.metricItem}>
           <Text style={styles.metricLabel}>カテゴリ</Text>
-          <Text style={styles.metricValue}>{venue.categoryLabel || venue.category}</Text>
+          <Text style={styles.metricValue}>{getCategoryLabel(venue.category)}</Text>
         </View>
         <View style={styles.metricItem}>
           <Text style={styles.metricLabel}>価格帯</Text>
@@ -172,7 +330,9 @@ const VenueBasicInfo = ({ venue }) => {
         </View>
         <View style={styles.metricItem}>
           <Text style={styles.metricLabel}>距離</Text>
-          <Text style={styles.metricValue}>{venue.distance}m</Text>
+          <Text style={styles.metricValue}>
+            {typeof venue.distance === 'number' ? `${venue.distance}m` : '-'}
+          </Text>
         </View>
       </View>
 
@@ -187,8 +347,29 @@ const VenueBasicInfo = ({ venue }) => {
   );
 };
 
+// 東京時間での時刻表示（"05:00"）
+const formatTokyoTime = (date) => {
+  const { minutes } = getTokyoDateTime(date);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// 日付キーの表示（"8/13(水)〜8/16(土)"）
+const formatDateKey = (dateKey) => {
+  const [, month, day] = dateKey.split('-').map(Number);
+  const weekday = '日月火水木金土'[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  return `${month}/${day}(${weekday})`;
+};
+
+const formatDateRange = (from, to) => (
+  from === to ? formatDateKey(from) : `${formatDateKey(from)}〜${formatDateKey(to)}`
+);
+
 // 店舗連絡先情報
 const VenueContactInfo = ({ venue }) => {
+  const status = venue.openingHours ? getOpenStatus(venue.openingHours) : null;
+  const isOpen = status ? status.isOpen : venue.isOpen;
+  const statusLabel = describeOpenStatus(status) || (isOpen ? '営業中' : '営業時間外');
+
   const handleCall = (phoneNumber) => {
     Linking.openURL(`tel:${phoneNumber}`);
   };
@@ -253,7 +434,7 @@ const VenueContactInfo = ({ venue }) => {
       <View style={styles.contactItem}>
         <View style={styles.contactIcon}>
           <Text style={styles.contactIconText}>
-            {venue.isOpen ? '🟢' : '🔴'}
+            {isOpen ? '🟢' : '🔴'}
           </Text>
         </View>
         <View style={styles.contactContent}>
@@ -261,10 +442,10 @@ const VenueContactInfo = ({ venue }) => {
           <Text
             style={[
               styles.contactValue,
-              { color: venue.isOpen ? colors.success : colors.error }
+              { color: isOpen ? colors.success : colors.error }
             ]}
           >
-            {venue.isOpen ? '営業中' : '営業時間外'}
+            {statusLabel}
           </Text>
         </View>
       </View>
@@ -272,6 +453,105 @@ const VenueContactInfo = ({ venue }) => {
   );
 };
 
+// 混雑状況の報告で選べる待ち時間（分, null は待ちなし）
+const WAIT_OPTIONS = [null, 10, 20, 30, 60];
+
+// 混雑状況（ライブ）と報告
+const VenueCrowdStatus = ({ venue }) => {
+  const [status, setStatus] = useState(() => VenueStatusService.getCachedStatus(venue.id));
+  const [crowdLevel, setCrowdLevel] = useState(null);
+  const [waitMinutes, setWaitMinutes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus(VenueStatusService.getCachedStatus(venue.id));
+    setCrowdLevel(null);
+    setWaitMinutes(null);
+
+    VenueStatusService.getStatus(venue.id).then(result => {
+      if (!cancelled && result.success) setStatus(result.status);
+    });
+    const unsubscribe = VenueStatusService.subscribe(() => {
+      if (!cancelled) setStatus(VenueStatusService.getCachedStatus(venue.id));
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [venue.id]);
+
+  const handleReport = async () => {
+    setIsSubmitting(true);
+    const result = await VenueStatusService.reportStatus(venue.id, { crowdLevel, waitMinutes });
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      Alert.alert('エラー', result.error);
+      return;
+    }
+    setStatus(result.status);
+    setCrowdLevel(null);
+    setWaitMinutes(null);
+    Alert.alert('混雑状況', '報告ありがとうございます');
+  };
+
+  const label = describeVenueStatus(status);
+
+  return (
+    <View style={styles.crowdStatus}>
+      <Text style={styles.sectionTitle}>混雑状況</Text>
+      {label ? (
+        <>
+          <Text style={styles.crowdLabel}>{label}</Text>
+          <Text style={styles.crowdMeta}>
+            {describeStatusAge(status)}更新・報告{status.reportCount}件
+            {status.ownerReported ? '・お店からの情報あり' : ''}
+          </Text>
+        </>
+      ) : (
+        <Text style={styles.crowdMeta}>最近の報告はありません</Text>
+      )}
+
+      <Text style={styles.crowdPrompt}>今の様子を教えてください</Text>
+      <View style={styles.crowdOptions}>
+        {CROWD_LEVELS.map(level => (
+          <TouchableOpacity
+            key={level.id}
+            style={[styles.crowdOption, crowdLevel === level.id && styles.crowdOptionSelected]}
+            onPress={() => setCrowdLevel(level.id)}
+          >
+            <Text style={[styles.crowdOptionText, crowdLevel === level.id && styles.crowdOptionTextSelected]}>
+              {level.icon} {level.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.crowdOptions}>
+        {WAIT_OPTIONS.map(minutes => (
+          <TouchableOpacity
+            key={String(minutes)}
+            style={[styles.crowdOption, waitMinutes === minutes && styles.crowdOptionSelected]}
+            onPress={() => setWaitMinutes(minutes)}
+          >
+            <Text style={[styles.crowdOptionText, waitMinutes === minutes && styles.crowdOptionTextSelected]}>
+              {minutes === null ? '待ちなし' : `待ち${minutes}分`}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TouchableOpacity
+        style={[styles.crowdSubmit, (!crowdLevel || isSubmitting) && styles.crowdSubmitDisabled]}
+        disabled={!crowdLevel || isSubmitting}
+        onPress={handleReport}
+      >
+        <Text style={styles.crowdSubmitText}>{isSubmitting ? '送信中...' : '報告する'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
 // 営業時間表
 const VenueHours = ({ hours }) => {
   const sampleHours = {
@@ -286,58 +566,192 @@ const VenueHours = ({ hours }) => {
 
   const displayHours = hours || sampleHours;
 
-  const dayLabels = {
-    monday: '月曜日',
-    tuesday: '火曜日',
-    wednesday: '水曜日',
-    thursday: '木曜日',
-    friday: '金曜日',
-    saturday: '土曜日',
-    sunday: '日曜日',
+  // 曜日・営業状況は端末のタイムゾーンに関係なく東京時間で判定
+  const now = new Date();
+  const { dateKey, weekday } = getTokyoDateTime(now);
+  const currentDay = DAY_KEYS[weekday];
+  const today = getSessionsForDate(displayHours, dateKey);
+  const status = getOpenStatus(displayHours, now);
+
+  const dayKeys = [...WEEK_DAY_ORDER, 'holiday', 'holidayEve']
+    .filter(day => WEEK_DAY_ORDER.includes(day) || displayHours[day]);
+  const upcoming = getUpcomingExceptions(displayHours, now, 60);
+
+  const getStatusText = () => {
+    if (status.isOpen) {
+      const lastOrder = status.lastOrderAt
+        ? `（L.O. ${formatTokyoTime(status.lastOrderAt)}${status.acceptingOrders ? '' : ' 終了'}）`
+        : '';
+      return `営業中・${formatTokyoTime(status.closesAt)}まで${lastOrder}`;
+    }
+    if (status.closedToday) {
+      const next = status.opensAt ? `・次の営業 ${formatTokyoTime(status.opensAt)}から` : '';
+      return `${describeOpenStatus(status)}${next}`;
+    }
+    if (status.opensAt) {
+      const { weekday: openWeekday } = getTokyoDateTime(status.opensAt);
+      return `営業時間外・次の営業 ${DAY_LABELS[DAY_KEYS[openWeekday]]} ${formatTokyoTime(status.opensAt)}から`;
+    }
+    return '営業時間外';
   };
 
-  const getCurrentDay = () => {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[new Date().getDay()];
+  const getTodayNote = () => {
+    const reason = today.reason ? `（${today.reason}）` : '';
+    if (['override', 'exception'].includes(today.source)) {
+      return today.sessions.length === 0
+        ? `本日は休業です${reason}`
+        : `本日は特別営業時間です：${describeDaySchedule(today.schedule)}${reason}`;
+    }
+    if (today.source === 'holiday') {
+      return `本日は${today.holidayName}のため祝日の営業時間です`;
+    }
+    if (today.source === 'holidayEve') {
+      return `明日は${today.nextHolidayName}のため祝前日の営業時間です`;
+    }
+    return null;
   };
 
-  const currentDay = getCurrentDay();
+  const todayNote = getTodayNote();
 
   return (
     <View style={styles.hoursCard}>
       <Text style={styles.sectionTitle}>営業時間</Text>
+
+      <Text
+        style={[
+          styles.hoursStatus,
+          { color: status.isOpen ? colors.success : colors.error },
+        ]}
+      >
+        {getStatusText()}
+      </Text>
+      {todayNote && <Text style={styles.hoursNote}>{todayNote}</Text>}
       
-      {Object.entries(displayHours).map(([day, schedule]) => (
-        <View
-          key={day}
-          style={[
-            styles.hourItem,
-            {
-              backgroundColor: currentDay === day ? colors.backgroundLight : 'transparent',
-            },
-          ]}
-        >
-          <Text
-            style={[
-              styles.dayLabel,
-              {
-                fontWeight: currentDay === day ? '600' : '400',
-                color: currentDay === day ? colors.primary : colors.text,
-              },
-            ]}
-          >
-            {dayLabels[day]}
-          </Text>
-          <Text
+      {dayKeys.map((day) => {
+        const isToday = ['holiday', 'holidayEve'].includes(today.source)
+          ? day === today.source
+          : currentDay === day;
+        const closed = normalizeSessions(displayHours[day]).length === 0;
+
+        return (
+          <View
+            key={day}
             style={[
-              styles.hourValue,
+              styles.hourItem,
               {
-                color: schedule.closed ? colors.textSecondary : colors.text,
+                backgroundColor: isToday ? colors.backgroundLight : 'transparent',
               },
             ]}
           >
-            {schedule.closed ? '定休日' : `${schedule.open} - ${schedule.close}`}
-          </Text>
+            <Text
+              style={[
+                styles.dayLabel,
+                {
+                  fontWeight: isToday ? '600' : '400',
+                  color: isToday ? colors.primary : colors.text,
+                },
+              ]}
+            >
+              {DAY_LABELS[day]}
+            </Text>
+            <Text
+              style={[
+                styles.hourValue,
+                {
+                  color: closed ? colors.textSecondary : colors.text,
+                },
+              ]}
+            >
+              {describeDaySchedule(displayHours[day])}
+            </Text>
+          </View>
+        );
+      })}
+
+      {upcoming.length > 0 && (
+        <View style={styles.exceptionList}>
+          <Text style={styles.exceptionTitle}>休業・特別営業のお知らせ</Text>
+          {upcoming.map((exception) => (
+            <View key={exception.from} style={styles.hourItem}>
+              <Text style={styles.exceptionDate}>
+                {formatDateRange(exception.from, exception.to)}
+              </Text>
+              <Text
+                style={[
+                  styles.hourValue,
+                  { color: exception.closed ? colors.error : colors.text },
+                ]}
+              >
+                {exception.closed ? '休業' : describeDaySchedule(exception.schedule)}
+                {exception.reason ? `（${exception.reason}）` : ''}
+              </Text>
+            </View>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+// メニュー（区分ごとの品目と価格、ハッピーアワー、1人あたりの予算の目安）
+const VenueMenu = ({ menu }) => {
+  if (!hasMenu(menu)) {
+    return (
+      <View style={styles.placeholderSection}>
+        <Text style={styles.sectionTitle}>メニュー</Text>
+        <Text style={styles.placeholderText}>メニューはまだ登録されていません</Text>
+      </View>
+    );
+  }
+
+  const estimate = estimatePerPersonSpend(menu);
+  const happyHourNow = isHappyHour(menu, new Date());
+
+  return (
+    <View style={styles.menuCard}>
+      <Text style={styles.sectionTitle}>メニュー</Text>
+
+      {estimate && (
+        <View style={styles.menuEstimate}>
+          <Text style={styles.menuEstimateLabel}>1人あたりの予算の目安</Text>
+          <Text style={styles.menuEstimateValue}>{formatYen(estimate.total)}</Text>
+          <Text style={styles.menuNote}>{describeSpendEstimate(estimate)}</Text>
+        </View>
+      )}
+
+      {menu.charge > 0 && (
+        <Text style={styles.menuNote}>チャージ・お通し：1人 {formatYen(menu.charge)}</Text>
+      )}
+      {menu.happyHour && (
+        <Text style={[styles.menuHappyHour, happyHourNow && styles.menuHappyHourActive]}>
+          🍻 ハッピーアワー {describeHappyHour(menu.happyHour, DAY_LABELS)}
+          {happyHourNow ? '（開催中）' : ''}
+        </Text>
+      )}
+
+      {menu.sections.map((section) => (
+        <View key={section.id} style={styles.menuSection}>
+          <Text style={styles.menuSectionTitle}>{section.name}</Text>
+          {section.items.map((item) => {
+            const discounted = happyHourNow && item.happyHourPrice !== null;
+
+            return (
+              <View key={item.id} style={styles.menuItem}>
+                <View style={styles.menuItemInfo}>
+                  <Text style={styles.menuItemName}>{item.name}</Text>
+                  {item.size && <Text style={styles.menuItemSize}>{item.size}</Text>}
+                </View>
+                <View style={styles.menuItemPrices}>
+                  <Text style={[styles.menuItemPrice, discounted && styles.menuItemPriceStruck]}>
+                    {formatYen(item.price)}
+                  </Text>
+                  {item.happyHourPrice !== null && (
+                    <Text style={styles.menuHappyHourPrice}>HH {formatYen(item.happyHourPrice)}</Text>
+                  )}
+                </View>
+              </View>
+            );
+          })}
         </View>
       ))}
     </View>
@@ -476,35 +890,119 @@ const VenueActions = ({ venue, onFavorite, onShare, onCheckIn }) => {
   );
 };
 
+// 似ているお店（現在の店舗と営業していない店舗は除く）
+const SimilarVenues = ({ venue, onSelect }) => {
+  const [similarVenues, setSimilarVenues] = useState([]);
+  // 親の再描画で同じ店舗のオブジェクトが作り直されても、店舗が変わったときだけ読み直す
+  const venueRef = useRef(venue);
+  venueRef.current = venue;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSimilarVenues = async () => {
+      try {
+        await VenueSearchService.initialize();
+        const results = VenueSearchService.getSimilarVenues(venueRef.current, { limit: 8 });
+        if (!cancelled) setSimilarVenues(results);
+      } catch (error) {
+        console.error('Failed to load similar venues:', error);
+        if (!cancelled) setSimilarVenues([]);
+      }
+    };
+
+    loadSimilarVenues();
+    return () => {
+      cancelled = true;
+    };
+  }, [venue.id]);
+
+  if (similarVenues.length === 0) {
+    return null;
+  }
+
+  const getPriceSymbol = (priceRange) => {
+    const range = VenueSearchService.getPriceRanges().find(p => p.id === priceRange);
+    return range ? range.symbol : '';
+  };
+
+  return (
+    <View style={styles.similarSection}>
+      <Text style={[styles.sectionTitle, styles.similarTitle]}>似ているお店</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.similarList}
+      >
+        {similarVenues.map((similar) => (
+          <TouchableOpacity
+            key={similar.id}
+            style={styles.similarCard}
+            onPress={() => onSelect(similar)}
+          >
+            <View style={styles.similarImage}>
+              <Text style={styles.similarIcon}>{getCategoryIcon(similar.category)}</Text>
+            </View>
+            <Text style={styles.similarName} numberOfLines={1}>{similar.name}</Text>
+            <Text style={styles.similarMeta} numberOfLines={1}>
+              ★ {similar.rating ? similar.rating.toFixed(1) : 'N/A'} {getPriceSymbol(similar.priceRange)}
+              {typeof similar.distanceFromVenue === 'number'
+                ? `・${similar.distanceFromVenue < 1000 ? `${similar.distanceFromVenue}m` : `${(similar.distanceFromVenue / 1000).toFixed(1)}km`}`
+                : ''}
+            </Text>
+            {similar.similarity.reasons[0] && (
+              <Text style={styles.similarReason} numberOfLines={1}>
+                {similar.similarity.reasons[0].label}
+              </Text>
+            )}
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+};
+
 // メイン店舗詳細コンポーネント
+// 「似ているお店」を選ぶと同じ画面のまま表示を切り替える
 const VenueDetails = ({ venue, onClose }) => {
   const [activeTab, setActiveTab] = useState('info');
+  const [selectedVenue, setSelectedVenue] = useState(null);
+  const scrollViewRef = useRef(null);
+
+  useEffect(() => {
+    setSelectedVenue(null);
+  }, [venue]);
 
-  // サンプル店舗データ
-  const sampleVenue = {
-    id: 1,
-    name: "GENTLE LOUNGE",
-    category: "lounge",
-    categoryLabel: "ラウンジ",
-    address: "〒150-0041 東京都渋谷区神南1-2-3 ABCビル 5F",
-    phone: "03-1234-5678",
-    website: "https://gentle-lounge.example.com",
-    rating: 4.8,
-    reviewCount: 127,
-    priceRange: "expensive",
-    distance: 250,
-    description: "やさしいピンクの温かみのあるデザインで、心地よい雰囲気を演出。大人の上質な時間を過ごせる洗練されたラウンジです。",
-    tags: ["ラウンジ", "やさしい", "ピンク", "大人", "上質"],
-    isOpen: true,
-    isFavorite: false,
-    images: null,
-    hours: null,
+  const handleSelectSimilar = (similar) => {
+    setSelectedVenue(similar);
+    setActiveTab('info');
+    scrollViewRef.current?.scrollTo({ y: 0, animated: true });
   };
 
-  const displayVenue = venue || sampleVenue;
+  // どの画面から渡された店舗も正規形にそろえて表示する（未指定ならサンプル店舗）
+  const sourceVenue = selectedVenue || venue || SAMPLE_VENUES[0];
+  const displayVenue = useMemo(() => normalizeVenue(sourceVenue), [sourceVenue]);
+
+  // 写真は並べ替え・削除の結果をすぐ反映するため別に持つ（viewerIndex はフルスクリーン表示中の写真）
+  const [photos, setPhotos] = useState(displayVenue.images);
+  const [viewerIndex, setViewerIndex] = useState(null);
+
+  useEffect(() => {
+    setPhotos(displayVenue.images);
+    setViewerIndex(null);
+
+    const handlePhotosChanged = ({ venueId, photos: changedPhotos }) => {
+      if (String(venueId) === displayVenue.id) setPhotos(changedPhotos);
+    };
+    VenuePhotoService.addEventListener('photosChanged', handlePhotosChanged);
+    return () => {
+      VenuePhotoService.removeEventListener('photosChanged', handlePhotosChanged);
+    };
+  }, [displayVenue]);
 
   const tabs = [
     { id: 'info', label: '基本情報', icon: 'ℹ️' },
+    { id: 'menu', label: 'メニュー', icon: '🍹' },
     { id: 'reviews', label: 'レビュー', icon: '⭐' },
     { id: 'photos', label: '写真', icon: '📷' },
   ];
@@ -515,7 +1013,14 @@ const VenueDetails = ({ venue, onClose }) => {
         return (
           <View style={styles.tabContent}>
             <VenueContactInfo venue={displayVenue} />
-            <VenueHours hours={displayVenue.hours} />
+            <VenueCrowdStatus venue={displayVenue} />
+            <VenueHours hours={displayVenue.openingHours} />
+          </View>
+        );
+      case 'menu':
+        return (
+          <View style={styles.tabContent}>
+            <VenueMenu menu={displayVenue.menu} />
           </View>
         );
       case 'reviews':
@@ -532,12 +1037,7 @@ const VenueDetails = ({ venue, onClose }) => {
       case 'photos':
         return (
           <View style={styles.tabContent}>
-            <View style={styles.placeholderSection}>
-              <Text style={styles.sectionTitle}>店舗写真</Text>
-              <Text style={styles.placeholderText}>
-                写真ギャラリー機能は開発中です
-              </Text>
-            </View>
+            <VenuePhotos photos={photos} onOpen={setViewerIndex} />
           </View>
         );
       default:
@@ -547,9 +1047,9 @@ const VenueDetails = ({ venue, onClose }) => {
 
   return (
     <View style={styles.container}>
-      <ScrollView style={styles.scrollView} showsVerticalScrollIndicator={false}>
+      <ScrollView ref={scrollViewRef} style={styles.scrollView} showsVerticalScrollIndicator={false}>
         {/* 画像ギャラリー */}
-        <VenueImageGallery images={displayVenue.images} venueName={displayVenue.name} />
+        <VenueImageGallery images={photos} onOpen={setViewerIndex} />
         
         {/* 基本情報 */}
         <VenueBasicInfo venue={displayVenue} />
@@ -594,8 +1094,21 @@ const VenueDetails = ({ venue, onClose }) => {
         
         {/* タブコンテンツ */}
         {renderTabContent()}
+
+        {/* 似ているお店 */}
+        <SimilarVenues venue={displayVenue} onSelect={handleSelectSimilar} />
       </ScrollView>
       
+      {/* 写真のフルスクリーン表示 */}
+      <VenuePhotoViewer
+        photos={photos}
+        initialIndex={viewerIndex ?? 0}
+        visible={viewerIndex !== null && photos.length > 0}
+        onClose={() => setViewerIndex(null)}
+        manageable={VenuePhotoService.canManage(displayVenue)}
+        venueId={displayVenue.id}
+      />
+
       {/* 閉じるボタン */}
       {onClose && (
         <TouchableOpacity
@@ -628,6 +1141,27 @@ const styles = StyleSheet.create({
     height: 250,
     position: 'relative',
   },
+
+  mainImageContent: {
+    width: '100%',
+    height: '100%',
+    backgroundColor: colors.backgroundLight,
+  },
+
+  mainImageCaption: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 0,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+
+  mainImageCaptionText: {
+    color: colors.white,
+    fontSize: 14,
+  },
   
   imagePlaceholder: {
     flex: 1,
@@ -682,28 +1216,80 @@ const styles = StyleSheet.create({
     backgroundColor: colors.backgroundLight,
   },
   
-  thumbnailIcon: {
-    fontSize: 20,
-    color: colors.primary,
+  thumbnailImage: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 6,
   },
-  
-  modalOverlay: {
+
+  // 写真のフルスクリーン表示
+  viewerOverlay: {
     flex: 1,
-    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+    backgroundColor: 'rgba(0, 0, 0, 0.95)',
+    justifyContent: 'center',
+  },
+
+  viewerPage: {
+    width: screenWidth,
     justifyContent: 'center',
     alignItems: 'center',
   },
-  
-  modalContent: {
-    width: '90%',
+
+  viewerImage: {
+    width: screenWidth,
     height: '80%',
-    position: 'relative',
+  },
+
+  viewerFooter: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    bottom: 40,
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+
+  viewerCounter: {
+    color: colors.white,
+    fontSize: 12,
+    textAlign: 'center',
+  },
+
+  viewerCaption: {
+    color: colors.white,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+
+  viewerActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 8,
+  },
+
+  viewerAction: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+  },
+
+  viewerActionDisabled: {
+    opacity: 0.4,
+  },
+
+  viewerActionText: {
+    color: colors.white,
+    fontSize: 13,
+    fontWeight: '600',
   },
   
   modalClose: {
     position: 'absolute',
-    top: 10,
-    right: 10,
+    top: 50,
+    right: 16,
     zIndex: 1,
     width: 40,
     height: 40,
@@ -717,23 +1303,52 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
   },
   
-  modalImage: {
-    flex: 1,
-    borderRadius: 16,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: colors.backgroundLight,
-    gap: 16,
+  // 写真タブ
+  photoSection: {
+    backgroundColor: colors.white,
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
   },
-  
-  modalImageIcon: {
-    fontSize: 80,
-    color: colors.primary,
+
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
   },
-  
-  modalImageCaption: {
-    fontSize: 16,
+
+  photoCell: {
+    width: (screenWidth - 32 - 32 - 16) / 3,
+    position: 'relative',
+  },
+
+  photoCellImage: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 8,
+    backgroundColor: colors.backgroundLight,
+  },
+
+  photoCellCaption: {
+    fontSize: 11,
     color: colors.textSecondary,
+    marginTop: 4,
+  },
+
+  coverBadge: {
+    position: 'absolute',
+    top: 6,
+    left: 6,
+    backgroundColor: colors.primary,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+
+  coverBadgeText: {
+    color: colors.white,
+    fontSize: 10,
+    fontWeight: '600',
   },
   
   // 基本情報
@@ -918,6 +1533,217 @@ const styles = StyleSheet.create({
   
   hourValue: {
     fontSize: 14,
+    flex: 1,
+    textAlign: 'right',
+  },
+
+  hoursStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+
+  hoursNote: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginBottom: 8,
+  },
+
+  exceptionList: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+
+  exceptionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+
+  exceptionDate: {
+    fontSize: 14,
+    color: colors.text,
+  },
+
+  // 混雑状況
+  crowdStatus: {
+    backgroundColor: colors.white,
+    marginHorizontal: 16,
+    marginBottom: 16,
+    padding: 16,
+    borderRadius: 12,
+  },
+
+  crowdLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  crowdMeta: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 4,
+  },
+
+  crowdPrompt: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: 16,
+    marginBottom: 8,
+  },
+
+  crowdOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 8,
+  },
+
+  crowdOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.background,
+  },
+
+  crowdOptionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.backgroundLight,
+  },
+
+  crowdOptionText: {
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+
+  crowdOptionTextSelected: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+
+  crowdSubmit: {
+    marginTop: 4,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+  },
+
+  crowdSubmitDisabled: {
+    opacity: 0.5,
+  },
+
+  crowdSubmitText: {
+    color: colors.white,
+    fontWeight: 'bold',
+  },
+
+  // メニュー
+  menuCard: {
+    backgroundColor: colors.white,
+    margin: 16,
+    padding: 16,
+    borderRadius: 12,
+  },
+
+  menuEstimate: {
+    backgroundColor: colors.backgroundLight,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+
+  menuEstimateLabel: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+
+  menuEstimateValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginVertical: 2,
+  },
+
+  menuNote: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginBottom: 4,
+  },
+
+  menuHappyHour: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 8,
+  },
+
+  menuHappyHourActive: {
+    color: colors.primary,
+  },
+
+  menuSection: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+
+  menuSectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+
+  menuItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+
+  menuItemInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+
+  menuItemName: {
+    fontSize: 14,
+    color: colors.text,
+  },
+
+  menuItemSize: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+
+  menuItemPrices: {
+    alignItems: 'flex-end',
+  },
+
+  menuItemPrice: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+  },
+
+  menuItemPriceStruck: {
+    color: colors.textSecondary,
+    textDecorationLine: 'line-through',
+  },
+
+  menuHappyHourPrice: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary,
   },
   
   // アクション
@@ -1037,6 +1863,71 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
   
+  // 似ているお店
+  similarSection: {
+    paddingVertical: 16,
+    marginBottom: 24,
+  },
+  
+  similarTitle: {
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  
+  similarList: {
+    paddingHorizontal: 16,
+    gap: 12,
+  },
+  
+  similarCard: {
+    width: 150,
+    backgroundColor: colors.white,
+    borderRadius: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: {
+      width: 0,
+      height: 1,
+    },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  
+  similarImage: {
+    height: 80,
+    backgroundColor: colors.backgroundLight,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  
+  similarIcon: {
+    fontSize: 32,
+  },
+  
+  similarName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: 8,
+    marginHorizontal: 8,
+  },
+  
+  similarMeta: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 4,
+    marginHorizontal: 8,
+  },
+  
+  similarReason: {
+    fontSize: 11,
+    color: colors.primary,
+    marginTop: 4,
+    marginHorizontal: 8,
+    marginBottom: 8,
+  },
+  
   // 閉じるボタン
   closeButton: {
     position: 'absolute',
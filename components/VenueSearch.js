@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,9 +9,16 @@ import {
   FlatList,
   Modal,
   ActivityIndicator,
+  Alert,
+  RefreshControl,
 } from 'react-native';
 import VenueSearchService from '../services/VenueSearchService';
+import SavedSearchService from '../services/SavedSearchService';
+import VenueStatusService from '../services/VenueStatusService';
 import VenueDetails from './VenueDetails';
+import { getOpenStatus, describeOpenStatus } from '../utils/opening-hours';
+import { describeVenueStatus } from '../utils/venue-status';
+import { estimatePerPersonSpend, formatYen } from '../utils/venue-menu';
 
 // カラーテーマ
 const colors = {
@@ -27,10 +34,34 @@ const colors = {
 };
 
 // フィルターコンポーネント
-const SearchFilters = ({ filters, onFilterChange, categories, priceRanges }) => {
+// 件数付きのラベル（件数未取得なら件数なし）
+const withCount = (label, count) => (count === undefined ? label : `${label} (${count})`);
+
+// 0件になる選択肢は、選択中でなければ隠す
+const hasResults = (count, isSelected) => isSelected || count === undefined || count > 0;
+
+const TAG_CHIP_LIMIT = 8;
+
+const SearchFilters = ({ filters, onFilterChange, categories, priceRanges, facets }) => {
   const [showCategoryFilter, setShowCategoryFilter] = useState(false);
   const [showPriceFilter, setShowPriceFilter] = useState(false);
 
+  const ratingCount = facets?.ratings?.[4];
+  const openNowCount = facets?.openNow;
+  const uncrowdedCount = facets?.uncrowded;
+  const ageOptions = Object.entries(facets?.ageRestrictions || {})
+    .filter(([ageRestriction]) => ageRestriction !== 'none');
+  if (filters.ageRestriction && !ageOptions.some(([ageRestriction]) => ageRestriction === filters.ageRestriction)) {
+    ageOptions.push([filters.ageRestriction, 0]);
+  }
+  const selectedTags = filters.tags || [];
+  const tagOptions = [
+    ...selectedTags
+      .filter(tag => !(facets?.tags || []).some(facet => facet.tag === tag))
+      .map(tag => ({ tag, count: 0 })),
+    ...(facets?.tags || []).slice(0, TAG_CHIP_LIMIT),
+  ];
+
   return (
     <View style={styles.filtersContainer}>
       {/* カテゴリフィルター */}
@@ -72,41 +103,106 @@ const SearchFilters = ({ filters, onFilterChange, categories, priceRanges }) =>
       </TouchableOpacity>
 
       {/* 評価フィルター */}
-      <TouchableOpacity
-        style={[
-          styles.filterButton,
-          filters.minRating && styles.activeFilterButton
-        ]}
-        onPress={() => {
-          const newRating = filters.minRating === 4.0 ? undefined : 4.0;
-          onFilterChange({ ...filters, minRating: newRating });
-        }}
-      >
-        <Text style={[
-          styles.filterButtonText,
-          filters.minRating && styles.activeFilterButtonText
-        ]}>
-          評価4.0以上
-        </Text>
-      </TouchableOpacity>
+      {hasResults(ratingCount, Boolean(filters.minRating)) && (
+        <TouchableOpacity
+          style={[
+            styles.filterButton,
+            filters.minRating && styles.activeFilterButton
+          ]}
+          onPress={() => {
+            const newRating = filters.minRating === 4.0 ? undefined : 4.0;
+            onFilterChange({ ...filters, minRating: newRating });
+          }}
+        >
+          <Text style={[
+            styles.filterButtonText,
+            filters.minRating && styles.activeFilterButtonText
+          ]}>
+            {withCount('評価4.0以上', ratingCount)}
+          </Text>
+        </TouchableOpacity>
+      )}
 
       {/* 営業中フィルター */}
-      <TouchableOpacity
-        style={[
-          styles.filterButton,
-          filters.openNow && styles.activeFilterButton
-        ]}
-        onPress={() => {
-          onFilterChange({ ...filters, openNow: !filters.openNow });
-        }}
-      >
-        <Text style={[
-          styles.filterButtonText,
-          filters.openNow && styles.activeFilterButtonText
-        ]}>
-          営業中
-        </Text>
-      </TouchableOpacity>
+      {hasResults(openNowCount, Boolean(filters.openNow)) && (
+        <TouchableOpacity
+          style={[
+            styles.filterButton,
+            filters.openNow && styles.activeFilterButton
+          ]}
+          onPress={() => {
+            onFilterChange({ ...filters, openNow: !filters.openNow });
+          }}
+        >
+          <Text style={[
+            styles.filterButtonText,
+            filters.openNow && styles.activeFilterButtonText
+          ]}>
+            {withCount('営業中', openNowCount)}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {/* 空いているフィルター（ライブの混雑状況） */}
+      {hasResults(uncrowdedCount, Boolean(filters.uncrowded)) && (
+        <TouchableOpacity
+          style={[
+            styles.filterButton,
+            filters.uncrowded && styles.activeFilterButton
+          ]}
+          onPress={() => {
+            onFilterChange({ ...filters, uncrowded: !filters.uncrowded });
+          }}
+        >
+          <Text style={[
+            styles.filterButtonText,
+            filters.uncrowded && styles.activeFilterButtonText
+          ]}>
+            {withCount('空いている', uncrowdedCount)}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      {/* 年齢制限フィルター */}
+      {ageOptions
+        .filter(([ageRestriction, count]) => hasResults(count, filters.ageRestriction === ageRestriction))
+        .map(([ageRestriction, count]) => {
+          const isSelected = filters.ageRestriction === ageRestriction;
+          return (
+            <TouchableOpacity
+              key={ageRestriction}
+              style={[styles.filterButton, isSelected && styles.activeFilterButton]}
+              onPress={() => {
+                onFilterChange({ ...filters, ageRestriction: isSelected ? undefined : ageRestriction });
+              }}
+            >
+              <Text style={[styles.filterButtonText, isSelected && styles.activeFilterButtonText]}>
+                {withCount(`${parseInt(ageRestriction, 10)}歳以上`, count)}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+
+      {/* タグフィルター */}
+      {tagOptions.map(({ tag, count }) => {
+        const isSelected = selectedTags.includes(tag);
+        return (
+          <TouchableOpacity
+            key={`tag_${tag}`}
+            style={[styles.filterButton, isSelected && styles.activeFilterButton]}
+            onPress={() => {
+              const newTags = isSelected
+                ? selectedTags.filter(t => t !== tag)
+                : [...selectedTags, tag];
+              onFilterChange({ ...filters, tags: newTags });
+            }}
+          >
+            <Text style={[styles.filterButtonText, isSelected && styles.activeFilterButtonText]}>
+              {withCount(`#${tag}`, count)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
 
       {/* カテゴリ選択モーダル */}
       <Modal
@@ -119,28 +215,35 @@ const SearchFilters = ({ filters, onFilterChange, categories, priceRanges }) =>
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>カテゴリを選択</Text>
             <ScrollView style={styles.optionsList}>
-              {categories.map((category) => (
-                <TouchableOpacity
-                  key={category.id}
-                  style={[
-                    styles.optionItem,
-                    filters.categories?.includes(category.id) && styles.selectedOption
-                  ]}
-                  onPress={() => {
-                    const currentCategories = filters.categories || [];
-                    const newCategories = currentCategories.includes(category.id)
-                      ? currentCategories.filter(c => c !== category.id)
-                      : [...currentCategories, category.id];
-                    onFilterChange({ ...filters, categories: newCategories });
-                  }}
-                >
-                  <Text style={styles.optionIcon}>{category.icon}</Text>
-                  <Text style={styles.optionText}>{category.name}</Text>
-                  {filters.categories?.includes(category.id) && (
-                    <Text style={styles.checkmark}>✓</Text>
-                  )}
-                </TouchableOpacity>
-              ))}
+              {categories
+                .filter(category => hasResults(
+                  facets?.categories?.[category.id],
+                  filters.categories?.includes(category.id)
+                ))
+                .map((category) => (
+                  <TouchableOpacity
+                    key={category.id}
+                    style={[
+                      styles.optionItem,
+                      filters.categories?.includes(category.id) && styles.selectedOption
+                    ]}
+                    onPress={() => {
+                      const currentCategories = filters.categories || [];
+                      const newCategories = currentCategories.includes(category.id)
+                        ? currentCategories.filter(c => c !== category.id)
+                        : [...currentCategories, category.id];
+                      onFilterChange({ ...filters, categories: newCategories });
+                    }}
+                  >
+                    <Text style={styles.optionIcon}>{category.icon}</Text>
+                    <Text style={styles.optionText}>
+                      {withCount(category.name, facets?.categories?.[category.id])}
+                    </Text>
+                    {filters.categories?.includes(category.id) && (
+                      <Text style={styles.checkmark}>✓</Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
             </ScrollView>
             <TouchableOpacity
               style={styles.closeModalButton}
@@ -163,32 +266,37 @@ const SearchFilters = ({ filters, onFilterChange, categories, priceRanges }) =>
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>価格帯を選択</Text>
             <ScrollView style={styles.optionsList}>
-              {priceRanges.map((priceRange) => (
-                <TouchableOpacity
-                  key={priceRange.id}
-                  style={[
-                    styles.optionItem,
-                    filters.priceRanges?.includes(priceRange.id) && styles.selectedOption
-                  ]}
-                  onPress={() => {
-                    const currentPriceRanges = filters.priceRanges || [];
-                    const newPriceRanges = currentPriceRanges.includes(priceRange.id)
-                      ? currentPriceRanges.filter(p => p !== priceRange.id)
-                      : [...currentPriceRanges, priceRange.id];
-                    onFilterChange({ ...filters, priceRanges: newPriceRanges });
-                  }}
-                >
-                  <Text style={styles.optionText}>
-                    {priceRange.symbol} {priceRange.name}
-                  </Text>
-                  <Text style={styles.priceRangeDetail}>
-                    ({priceRange.min.toLocaleString()}〜{priceRange.max.toLocaleString()}円)
-                  </Text>
-                  {filters.priceRanges?.includes(priceRange.id) && (
-                    <Text style={styles.checkmark}>✓</Text>
-                  )}
-                </TouchableOpacity>
-              ))}
+              {priceRanges
+                .filter(priceRange => hasResults(
+                  facets?.priceRanges?.[priceRange.id],
+                  filters.priceRanges?.includes(priceRange.id)
+                ))
+                .map((priceRange) => (
+                  <TouchableOpacity
+                    key={priceRange.id}
+                    style={[
+                      styles.optionItem,
+                      filters.priceRanges?.includes(priceRange.id) && styles.selectedOption
+                    ]}
+                    onPress={() => {
+                      const currentPriceRanges = filters.priceRanges || [];
+                      const newPriceRanges = currentPriceRanges.includes(priceRange.id)
+                        ? currentPriceRanges.filter(p => p !== priceRange.id)
+                        : [...currentPriceRanges, priceRange.id];
+                      onFilterChange({ ...filters, priceRanges: newPriceRanges });
+                    }}
+                  >
+                    <Text style={styles.optionText}>
+                      {withCount(`${priceRange.symbol} ${priceRange.name}`, facets?.priceRanges?.[priceRange.id])}
+                    </Text>
+                    <Text style={styles.priceRangeDetail}>
+                      ({priceRange.min.toLocaleString()}〜{priceRange.max.toLocaleString()}円)
+                    </Text>
+                    {filters.priceRanges?.includes(priceRange.id) && (
+                      <Text style={styles.checkmark}>✓</Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
             </ScrollView>
             <TouchableOpacity
               style={styles.closeModalButton}
@@ -211,6 +319,7 @@ const SortOptions = ({ sortBy, onSortChange }) => {
     { id: 'relevance', label: '関連度順', icon: '🎯' },
     { id: 'rating', label: '評価順', icon: '⭐' },
     { id: 'distance', label: '距離順', icon: '📍' },
+    { id: 'nearby', label: '近くのおすすめ順', icon: '🧭' },
     { id: 'name', label: '名前順', icon: '🔤' },
     { id: 'price_low', label: '価格安い順', icon: '💰' },
     { id: 'price_high', label: '価格高い順', icon: '💎' },
@@ -296,6 +405,36 @@ const VenueCard = ({ venue, onPress }) => {
     return symbols[priceRange] || '¥';
   };
 
+  const formatDistance = (distance) => {
+    if (distance < 1000) {
+      return `${distance}m`;
+    }
+    return `${(distance / 1000).toFixed(1)}km`;
+  };
+
+  // 営業状況（臨時休業・特別営業を含む）。営業時間が不明なら出さない
+  const openStatus = venue.openingHours ? getOpenStatus(venue.openingHours) : null;
+
+  // メニューから出した1人あたりの予算の目安（メニューがなければ出さない）
+  const spendEstimate = estimatePerPersonSpend(venue.menu);
+
+  // ライブの混雑状況（確度が低ければ出さない）
+  const crowdStatus = describeVenueStatus(VenueStatusService.getCachedStatus(venue.id));
+
+  // 個人化で順位が上がった理由（「順位の理由」を開いているときの explain モードの内訳から）
+  const personal = venue.ranking?.components.find(component => component.type === 'personal');
+
+  const showRankingDetails = () => {
+    const lines = venue.ranking.components.flatMap(component => [
+      `${component.label}: ${component.points > 0 ? '+' : ''}${component.points}`,
+      ...(component.reasons || []).map(reason => `  ・${reason.label} (${reason.points > 0 ? '+' : ''}${reason.points})`),
+    ]);
+    Alert.alert(
+      `${venue.ranking.position}位の理由`,
+      [...lines, `合計: ${venue.ranking.score}`].join('\n')
+    );
+  };
+
   return (
     <TouchableOpacity style={styles.venueCard} onPress={() => onPress(venue)}>
       <View style={styles.venueImagePlaceholder}>
@@ -313,80 +452,414 @@ const VenueCard = ({ venue, onPress }) => {
           </View>
           <Text style={styles.venuePriceRange}>
             {getPriceRangeSymbol(venue.priceRange)}
+            {spendEstimate ? `・目安 ${formatYen(spendEstimate.total)}/人` : ''}
           </Text>
         </View>
         
-        <Text style={styles.venueDistance}>{venue.distance}m</Text>
+        {openStatus && (
+          <Text style={[styles.venueOpenStatus, { color: openStatus.isOpen ? colors.success : colors.error }]}>
+            {describeOpenStatus(openStatus)}
+          </Text>
+        )}
+        {crowdStatus && (
+          <Text style={styles.venueCrowdStatus}>{crowdStatus}</Text>
+        )}
+        {typeof venue.distance === 'number' && (
+          <Text style={styles.venueDistance}>
+            {formatDistance(venue.distance)}
+            {venue.walkMinutes ? `・徒歩${venue.walkMinutes}分` : ''}
+          </Text>
+        )}
         <Text style={styles.venueDescription} numberOfLines={2}>
           {venue.description}
         </Text>
+        {personal && personal.points > 0 && (
+          <TouchableOpacity style={styles.venuePersonal} onPress={showRankingDetails}>
+            <Text style={styles.venuePersonalText} numberOfLines={1}>
+              ✨ あなた向け: {personal.reasons[0].label}
+            </Text>
+            <Text style={styles.venuePersonalInfo}>ⓘ</Text>
+          </TouchableOpacity>
+        )}
       </View>
     </TouchableOpacity>
   );
 };
 
+// 入力補完の種類ごとのアイコン
+const SUGGESTION_ICONS = {
+  history: '🕘',
+  venue: '🏠',
+  area: '📍',
+  station: '🚉',
+  category: '📂',
+  tag: '#',
+  amenity: '✨',
+};
+
+const SEARCH_DEBOUNCE_MS = 300;
+const PAGE_SIZE = 20;
+const SUGGESTION_DEBOUNCE_MS = 150;
+
+// 一致部分を強調した文字列
+const HighlightedText = ({ text, highlight, style }) => {
+  if (!highlight) {
+    return <Text style={style} numberOfLines={1}>{text}</Text>;
+  }
+
+  const [start, end] = highlight;
+  return (
+    <Text style={style} numberOfLines={1}>
+      {text.slice(0, start)}
+      <Text style={styles.suggestionHighlight}>{text.slice(start, end)}</Text>
+      {text.slice(end)}
+    </Text>
+  );
+};
+
+// 入力補完の候補リスト
+const SearchSuggestions = ({ suggestions, onSelect }) => (
+  <View style={styles.suggestionsContainer}>
+    {suggestions.map((suggestion) => (
+      <TouchableOpacity
+        key={`${suggestion.type}_${suggestion.text}`}
+        style={styles.suggestionItem}
+        onPress={() => onSelect(suggestion)}
+      >
+        <Text style={styles.suggestionIcon}>{SUGGESTION_ICONS[suggestion.type]}</Text>
+        <HighlightedText
+          text={suggestion.text}
+          highlight={suggestion.highlight}
+          style={styles.suggestionText}
+        />
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+// 入力中の語（最後の空白以降）。「tag:」などの演算子を入力中なら null
+const getCurrentTerm = (query) => {
+  const match = query.match(/(^|[\s　])([^\s　]*)$/);
+  const term = match ? match[2] : '';
+  return term.includes(':') ? null : term;
+};
+
+// 入力中の語を置き換える
+const replaceCurrentTerm = (query, replacement) => {
+  const replaced = query.replace(/[^\s　]*$/, replacement);
+  return replaced.replace(/\s+/g, ' ').trim();
+};
+
+// 徒歩圏検索で選べる時間（分）
+const WALK_MINUTE_OPTIONS = [5, 10, 15, 20];
+
+// 徒歩圏検索の起点（エリア・駅）
+const PlaceFilter = ({ place, onWalkMinutesChange, onClear }) => {
+  const label = place.type === 'station' ? `${place.name}駅` : place.name;
+  const nextMinutes = WALK_MINUTE_OPTIONS[
+    (WALK_MINUTE_OPTIONS.indexOf(place.walkMinutes) + 1) % WALK_MINUTE_OPTIONS.length
+  ];
+
+  return (
+    <View style={styles.placeFilter}>
+      <Text style={styles.placeFilterIcon}>📍</Text>
+      <Text style={styles.placeFilterText}>{label}</Text>
+      <TouchableOpacity
+        style={styles.walkMinutesButton}
+        onPress={() => onWalkMinutesChange(nextMinutes)}
+      >
+        <Text style={styles.walkMinutesButtonText}>徒歩{place.walkMinutes}分以内 ▾</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.clearButton} onPress={onClear}>
+        <Text style={styles.clearButtonText}>×</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
 // メイン検索コンポーネント
-const VenueSearch = () => {
+// initialPlace / initialQuery: ホーム画面のエリア・駅と検索ワードから開いたときの初期条件
+const VenueSearch = ({ initialPlace = '', initialQuery = '' }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [filters, setFilters] = useState({});
+  const [facets, setFacets] = useState(null);
   const [sortBy, setSortBy] = useState('relevance');
   const [categories, setCategories] = useState([]);
   const [priceRanges, setPriceRanges] = useState([]);
   const [selectedVenue, setSelectedVenue] = useState(null);
   const [showVenueDetails, setShowVenueDetails] = useState(false);
+  const [showSaveSearch, setShowSaveSearch] = useState(false);
+  const [saveSearchName, setSaveSearchName] = useState('');
+  const [place, setPlace] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [totalResults, setTotalResults] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [searchId, setSearchId] = useState(null);
+  const [showRankingReasons, setShowRankingReasons] = useState(false);
+  const [statusVersion, setStatusVersion] = useState(0);
+  const searchTimer = useRef(null);
+  const suggestionTimer = useRef(null);
+  // 続きの読み込みに使う直前の検索条件と、古い応答を捨てるための連番
+  const lastSearch = useRef(null);
+  const searchRequestId = useRef(0);
 
   useEffect(() => {
     initializeSearch();
+  }, [initialPlace, initialQuery]);
+
+  useEffect(() => {
+    return () => {
+      clearTimeout(searchTimer.current);
+      clearTimeout(suggestionTimer.current);
+    };
   }, []);
 
+  // 混雑状況の更新で一覧のバッジを描き直す
+  useEffect(() => VenueStatusService.subscribe(({ version }) => setStatusVersion(version)), []);
+
   const initializeSearch = async () => {
     try {
       await VenueSearchService.initialize();
+      await SavedSearchService.initialize();
       setCategories(VenueSearchService.getVenueCategories());
       setPriceRanges(VenueSearchService.getPriceRanges());
-      // 初期検索（空のクエリで全件取得）
-      performSearch('');
+
+      const nextPlace = initialPlace ? resolvePlace(initialPlace) : null;
+      const { filters: initialFilters } = VenueSearchService.parseSearchQuery(initialQuery);
+      const initialSortBy = nextPlace ? 'distance' : sortBy;
+      setPlace(nextPlace);
+      setSearchQuery(initialQuery);
+      setFilters(initialFilters);
+      setSortBy(initialSortBy);
+
+      // 初期検索（条件がなければ空のクエリで全件取得）
+      performSearch(initialQuery, { place: nextPlace, filters: initialFilters, sortBy: initialSortBy });
     } catch (error) {
       console.error('Failed to initialize search:', error);
     }
   };
 
-  const performSearch = async (query = searchQuery) => {
-    setIsLoading(true);
+  const resolvePlace = (name) => {
+    const resolved = VenueSearchService.resolvePlace(name);
+    if (!resolved) {
+      Alert.alert('エリア・駅', `「${name}」に一致するエリア・駅が見つかりませんでした`);
+      return null;
+    }
+    return { ...resolved, walkMinutes: VenueSearchService.searchConfig.defaultWalkMinutes };
+  };
+
+  const runSearch = (params, options = {}) => {
+    const searchOptions = {
+      sortBy: params.sortBy,
+      limit: PAGE_SIZE,
+      userId: SavedSearchService.getCurrentUserId(),
+      // 順位の内訳は「順位の理由」を開いているときだけ受け取る（全件の内訳を作るのは重いため）
+      ...(params.explain ? { explain: true } : {}),
+      ...options,
+    };
+
+    return params.place
+      ? VenueSearchService.searchVenuesNearPlace(params.place, params.query, params.filters, {
+        ...searchOptions,
+        walkMinutes: params.place.walkMinutes,
+      })
+      : VenueSearchService.searchVenues(params.query, params.filters, searchOptions);
+  };
+
+  // overrides: state that was just set and is not yet visible in this render
+  // overrides.refresh: pull-to-refresh（一覧を残したまま再計算）
+  const performSearch = async (query = searchQuery, overrides = {}) => {
+    const params = {
+      query,
+      filters: overrides.filters || filters,
+      place: overrides.place !== undefined ? overrides.place : place,
+      sortBy: overrides.sortBy || sortBy,
+      explain: overrides.explain !== undefined ? overrides.explain : showRankingReasons,
+    };
+    const requestId = ++searchRequestId.current;
+    lastSearch.current = params;
+
+    if (overrides.refresh) {
+      setIsRefreshing(true);
+    } else {
+      setIsLoading(true);
+    }
+
     try {
-      const result = await VenueSearchService.searchVenues(query, filters, {
-        sortBy,
-        limit: 20,
+      const result = await runSearch(params, {
+        refresh: Boolean(overrides.refresh),
+        recordAnalytics: true,
       });
+      if (requestId !== searchRequestId.current) return;
+
+      setSearchId(result.searchId);
       setSearchResults(result.results);
+      setTotalResults(result.total);
+      setNextCursor(result.nextCursor);
+      setFacets(result.facets);
     } catch (error) {
       console.error('Search failed:', error);
+      if (requestId !== searchRequestId.current) return;
+
+      setSearchId(null);
       setSearchResults([]);
+      setTotalResults(0);
+      setNextCursor(null);
+      setFacets(null);
     } finally {
-      setIsLoading(false);
+      if (requestId === searchRequestId.current) {
+        setIsLoading(false);
+        setIsRefreshing(false);
+      }
     }
   };
 
+  // 無限スクロール: 同じ検索の続きをカーソルで取得
+  const loadMore = async () => {
+    if (!nextCursor || isLoadingMore || isLoading || isRefreshing || !lastSearch.current) return;
+
+    const requestId = searchRequestId.current;
+    setIsLoadingMore(true);
+    try {
+      const result = await runSearch(lastSearch.current, { cursor: nextCursor });
+      if (requestId !== searchRequestId.current) return;
+
+      setSearchResults(current => {
+        const shownIds = new Set(current.map(venue => venue.id));
+        return [...current, ...result.results.filter(venue => !shownIds.has(venue.id))];
+      });
+      setTotalResults(result.total);
+      setNextCursor(result.nextCursor);
+    } catch (error) {
+      console.error('Failed to load more results:', error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  };
+
+  const handleRefresh = () => {
+    performSearch(searchQuery, { refresh: true });
+  };
+
+  // 「順位の理由」を開くと順位の内訳付きで検索し直す
+  const toggleRankingReasons = () => {
+    const next = !showRankingReasons;
+    setShowRankingReasons(next);
+    performSearch(searchQuery, { explain: next });
+  };
+
   const handleSearchQueryChange = (query) => {
     setSearchQuery(query);
-    // デバウンス処理のための遅延検索
-    setTimeout(() => {
-      if (query === searchQuery) {
-        performSearch(query);
+    // 「open:now」などの演算子をフィルターUIに反映
+    const { filters: parsedFilters } = VenueSearchService.parseSearchQuery(query, filters);
+    setFilters(parsedFilters);
+
+    // デバウンス: 入力が止まってから補完候補の取得・検索を行う
+    clearTimeout(suggestionTimer.current);
+    suggestionTimer.current = setTimeout(() => {
+      updateSuggestions(query);
+    }, SUGGESTION_DEBOUNCE_MS);
+
+    clearTimeout(searchTimer.current);
+    searchTimer.current = setTimeout(() => {
+      performSearch(query, { filters: parsedFilters });
+    }, SEARCH_DEBOUNCE_MS);
+  };
+
+  const updateSuggestions = async (query) => {
+    const term = getCurrentTerm(query);
+    if (!term) {
+      setSuggestions([]);
+      return;
+    }
+
+    const results = await VenueSearchService.getSearchSuggestions(term, {
+      userId: SavedSearchService.getCurrentUserId(),
+      limit: 8,
+    });
+    setSuggestions(results);
+  };
+
+  // 入力欄の内容を確定して検索
+  const applyQuery = (query, overrides = {}) => {
+    clearTimeout(searchTimer.current);
+    clearTimeout(suggestionTimer.current);
+    setSuggestions([]);
+
+    const { filters: parsedFilters } = VenueSearchService.parseSearchQuery(query, filters);
+    setSearchQuery(query);
+    setFilters(parsedFilters);
+    performSearch(query, { filters: parsedFilters, ...overrides });
+  };
+
+  const handleSuggestionSelect = (suggestion) => {
+    switch (suggestion.type) {
+      case 'venue':
+        setSuggestions([]);
+        handleVenuePress(suggestion.venue);
+        break;
+      case 'area':
+      case 'station': {
+        const nextPlace = {
+          ...suggestion.place,
+          walkMinutes: VenueSearchService.searchConfig.defaultWalkMinutes,
+        };
+        setPlace(nextPlace);
+        setSortBy('distance');
+        applyQuery(replaceCurrentTerm(searchQuery, ''), { place: nextPlace, sortBy: 'distance' });
+        break;
       }
-    }, 300);
+      case 'category':
+        applyQuery(replaceCurrentTerm(searchQuery, `category:${suggestion.category.id}`));
+        break;
+      case 'tag':
+      case 'amenity': {
+        const tag = /[\s　]/.test(suggestion.text) ? `"${suggestion.text}"` : suggestion.text;
+        applyQuery(replaceCurrentTerm(searchQuery, `tag:${tag}`));
+        break;
+      }
+      default: {
+        // 過去の検索語: 自由入力部分を置き換え、演算子はそのまま残す
+        const query = VenueSearchService.serializeSearchQuery(suggestion.text, filters);
+        applyQuery(query);
+        break;
+      }
+    }
   };
 
   const handleFilterChange = (newFilters) => {
+    // フィルターUIの変更を検索ボックスの演算子に書き戻す
+    const { text } = VenueSearchService.parseSearchQuery(searchQuery);
+    const query = VenueSearchService.serializeSearchQuery(text, newFilters);
+    setSearchQuery(query);
     setFilters(newFilters);
-    performSearch();
+    performSearch(query, { filters: newFilters });
   };
 
   const handleSortChange = (newSortBy) => {
     setSortBy(newSortBy);
-    performSearch();
+    performSearch(searchQuery, { sortBy: newSortBy });
+  };
+
+  const handleWalkMinutesChange = (walkMinutes) => {
+    const nextPlace = { ...place, walkMinutes };
+    setPlace(nextPlace);
+    performSearch(searchQuery, { place: nextPlace });
+  };
+
+  const clearPlace = () => {
+    setPlace(null);
+    performSearch(searchQuery, { place: null });
+  };
+
+  // 検索結果からのタップは順位と一緒に記録
+  const handleResultPress = (venue, index) => {
+    VenueSearchService.recordResultClick(searchId, venue, index + 1);
+    handleVenuePress(venue);
   };
 
   const handleVenuePress = (venue) => {
@@ -395,9 +868,33 @@ const VenueSearch = () => {
   };
 
   const clearFilters = () => {
+    clearTimeout(searchTimer.current);
+    clearTimeout(suggestionTimer.current);
+    setSuggestions([]);
     setFilters({});
     setSearchQuery('');
-    performSearch('');
+    setPlace(null);
+    performSearch('', { filters: {}, place: null });
+  };
+
+  const openSaveSearch = () => {
+    setSaveSearchName(VenueSearchService.parseSearchQuery(searchQuery).text || searchQuery);
+    setShowSaveSearch(true);
+  };
+
+  const handleSaveSearch = async () => {
+    const result = await SavedSearchService.saveSearch({
+      name: saveSearchName,
+      query: searchQuery,
+      filters,
+    });
+
+    if (result.success) {
+      setShowSaveSearch(false);
+      Alert.alert('検索を保存しました', '条件に合う新しいお店が追加されると通知でお知らせします');
+    } else {
+      Alert.alert('エラー', result.error);
+    }
   };
 
   const hasActiveFilters = () => {
@@ -415,22 +912,40 @@ const VenueSearch = () => {
           <Text style={styles.searchIcon}>🔍</Text>
           <TextInput
             style={styles.searchInput}
-            placeholder="店舗名、エリア、特徴で検索..."
+            placeholder="店舗名、エリア、特徴で検索（例: バー 渋谷 open:now）"
             value={searchQuery}
             onChangeText={handleSearchQueryChange}
             returnKeyType="search"
-            onSubmitEditing={() => performSearch()}
+            onSubmitEditing={() => applyQuery(searchQuery)}
           />
+          {(searchQuery || hasActiveFilters()) && (
+            <TouchableOpacity style={styles.saveSearchButton} onPress={openSaveSearch}>
+              <Text style={styles.saveSearchButtonText}>☆ 保存</Text>
+            </TouchableOpacity>
+          )}
           {(searchQuery || hasActiveFilters()) && (
             <TouchableOpacity style={styles.clearButton} onPress={clearFilters}>
               <Text style={styles.clearButtonText}>×</Text>
             </TouchableOpacity>
           )}
         </View>
+
+        {/* 入力補完 */}
+        {suggestions.length > 0 && (
+          <SearchSuggestions suggestions={suggestions} onSelect={handleSuggestionSelect} />
+        )}
       </View>
 
       {/* フィルターとソート */}
       <View style={styles.controlsContainer}>
+        {place && (
+          <PlaceFilter
+            place={place}
+            onWalkMinutesChange={handleWalkMinutesChange}
+            onClear={clearPlace}
+          />
+        )}
+
         <ScrollView 
           horizontal 
           showsHorizontalScrollIndicator={false}
@@ -441,6 +956,7 @@ const VenueSearch = () => {
             onFilterChange={handleFilterChange}
             categories={categories}
             priceRanges={priceRanges}
+            facets={facets}
           />
         </ScrollView>
         
@@ -458,24 +974,84 @@ const VenueSearch = () => {
           <>
             <View style={styles.resultsHeader}>
               <Text style={styles.resultsCount}>
-                {searchResults.length}件の店舗が見つかりました
+                {totalResults}件の店舗が見つかりました
               </Text>
+              <TouchableOpacity onPress={toggleRankingReasons}>
+                <Text style={[styles.rankingReasonsToggle, showRankingReasons && styles.rankingReasonsToggleActive]}>
+                  ⓘ 順位の理由
+                </Text>
+              </TouchableOpacity>
             </View>
             
             <FlatList
               data={searchResults}
-              renderItem={({ item }) => (
-                <VenueCard venue={item} onPress={handleVenuePress} />
+              extraData={statusVersion}
+              renderItem={({ item, index }) => (
+                <VenueCard venue={item} onPress={(venue) => handleResultPress(venue, index)} />
               )}
               keyExtractor={(item) => item.id.toString()}
               showsVerticalScrollIndicator={false}
               contentContainerStyle={styles.resultsList}
               ItemSeparatorComponent={() => <View style={styles.separator} />}
+              onEndReached={loadMore}
+              onEndReachedThreshold={0.5}
+              refreshControl={
+                <RefreshControl
+                  refreshing={isRefreshing}
+                  onRefresh={handleRefresh}
+                  tintColor={colors.primary}
+                  colors={[colors.primary]}
+                />
+              }
+              ListFooterComponent={isLoadingMore ? (
+                <View style={styles.loadingMore}>
+                  <ActivityIndicator size="small" color={colors.primary} />
+                </View>
+              ) : null}
             />
           </>
         )}
       </View>
 
+      {/* 検索条件の保存モーダル */}
+      <Modal
+        visible={showSaveSearch}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setShowSaveSearch(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>この検索を保存</Text>
+            <View style={styles.saveSearchForm}>
+              <Text style={styles.saveSearchQuery} numberOfLines={2}>
+                {VenueSearchService.serializeSearchQuery(
+                  VenueSearchService.parseSearchQuery(searchQuery).text,
+                  filters
+                ) || 'すべてのお店'}
+              </Text>
+              <TextInput
+                style={styles.saveSearchInput}
+                placeholder="名前（例: 渋谷で飲める深夜バー）"
+                value={saveSearchName}
+                onChangeText={setSaveSearchName}
+                returnKeyType="done"
+                onSubmitEditing={handleSaveSearch}
+              />
+            </View>
+            <TouchableOpacity style={styles.closeModalButton} onPress={handleSaveSearch}>
+              <Text style={styles.closeModalButtonText}>保存</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.cancelModalButton}
+              onPress={() => setShowSaveSearch(false)}
+            >
+              <Text style={styles.cancelModalButtonText}>キャンセル</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
       {/* 店舗詳細モーダル */}
       <Modal
         visible={showVenueDetails}
@@ -544,6 +1120,73 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
   },
 
+  // 入力補完
+  suggestionsContainer: {
+    marginTop: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.white,
+    overflow: 'hidden',
+  },
+
+  suggestionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+
+  suggestionIcon: {
+    width: 24,
+    fontSize: 14,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginRight: 8,
+  },
+
+  suggestionText: {
+    flex: 1,
+    fontSize: 15,
+    color: colors.text,
+  },
+
+  suggestionHighlight: {
+    fontWeight: 'bold',
+    color: colors.primary,
+  },
+
+  // 徒歩圏検索
+  placeFilter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+
+  placeFilterIcon: {
+    fontSize: 16,
+    marginRight: 4,
+  },
+
+  placeFilterText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.text,
+    marginRight: 8,
+  },
+
+  walkMinutesButton: {
+    flex: 1,
+  },
+
+  walkMinutesButtonText: {
+    fontSize: 14,
+    color: colors.primary,
+  },
+
   // コントロール
   controlsContainer: {
     backgroundColor: colors.white,
@@ -687,6 +1330,53 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
   },
 
+  cancelModalButton: {
+    paddingVertical: 16,
+    alignItems: 'center',
+  },
+
+  cancelModalButtonText: {
+    color: colors.textSecondary,
+    fontSize: 16,
+  },
+
+  // 検索条件の保存
+  saveSearchButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    marginLeft: 8,
+  },
+
+  saveSearchButtonText: {
+    color: colors.primary,
+    fontSize: 12,
+    fontWeight: '600',
+  },
+
+  saveSearchForm: {
+    padding: 16,
+    gap: 12,
+  },
+
+  saveSearchQuery: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+
+  saveSearchInput: {
+    backgroundColor: colors.background,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+
   // 検索結果
   resultsContainer: {
     flex: 1,
@@ -705,6 +1395,9 @@ const styles = StyleSheet.create({
   },
 
   resultsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
     paddingHorizontal: 16,
     paddingVertical: 12,
     backgroundColor: colors.white,
@@ -715,6 +1408,16 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
 
+  rankingReasonsToggle: {
+    fontSize: 12,
+    color: colors.textSecondary,
+  },
+
+  rankingReasonsToggleActive: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+
   resultsList: {
     paddingHorizontal: 16,
   },
@@ -723,6 +1426,11 @@ const styles = StyleSheet.create({
     height: 12,
   },
 
+  loadingMore: {
+    paddingVertical: 20,
+    alignItems: 'center',
+  },
+
   // 店舗カード
   venueCard: {
     backgroundColor: colors.white,
@@ -805,11 +1513,42 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
   },
 
+  venueOpenStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+
+  venueCrowdStatus: {
+    fontSize: 12,
+    color: colors.text,
+    marginBottom: 2,
+  },
+
   venueDescription: {
     fontSize: 12,
     color: colors.textSecondary,
     lineHeight: 16,
   },
+
+  // 個人化の理由
+  venuePersonal: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+
+  venuePersonalText: {
+    flex: 1,
+    fontSize: 12,
+    color: colors.primary,
+  },
+
+  venuePersonalInfo: {
+    fontSize: 14,
+    color: colors.primary,
+    marginLeft: 4,
+  },
 });
 
 export default VenueSearch;
\ No newline at end of file
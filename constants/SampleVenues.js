@@ -0,0 +1,204 @@
+// サンプル店舗データ（utils/venue-schema.js の正規形）
+// 検索の初期データ・地図のモック・詳細画面の表示例で共通に使う
+
+export const SAMPLE_VENUES = [
+  {
+    id: 'venue_1',
+    name: '渋谷 VISION',
+    nameKana: null,
+    category: 'club',
+    address: '東京都渋谷区道玄坂2-10-12',
+    coordinates: { lat: 35.6581, lng: 139.6986 },
+    phone: '03-5784-0111',
+    website: 'https://vision-tokyo.com',
+    description: '渋谷最大級のクラブ。国内外の有名DJが出演する人気スポット。',
+    rating: 4.2,
+    reviewCount: 256,
+    priceRange: 'expensive',
+    images: [{ id: 'venue_1_image_1', url: 'https://example.com/vision1.jpg', caption: null }],
+    tags: ['クラブ', 'DJ', 'ダンス', '渋谷'],
+    amenities: ['VIPエリア', 'ダンスフロア', 'フルバー', 'クローク'],
+    openingHours: {
+      monday: { closed: true },
+      tuesday: { closed: true },
+      wednesday: { closed: true },
+      thursday: { open: '23:00', close: '05:00' },
+      friday: { open: '23:00', close: '05:00' },
+      saturday: { open: '23:00', close: '05:00' },
+      sunday: { closed: true },
+    },
+    isOpen: null,
+    ageRestriction: '20_plus',
+    dressCode: 'upscale',
+    capacity: 1000,
+    ownerId: null,
+    createdAt: null,
+    updatedAt: null,
+  },
+  {
+    id: 'venue_2',
+    name: '六本木 バーン',
+    nameKana: null,
+    category: 'bar',
+    address: '東京都港区六本木3-15-24',
+    coordinates: { lat: 35.6627, lng: 139.7320 },
+    phone: '03-3401-5755',
+    website: 'https://burn-roppongi.com',
+    description: '六本木の老舗バー。洗練されたカクテルと大人の雰囲気が魅力。',
+    rating: 4.5,
+    reviewCount: 189,
+    priceRange: 'luxury',
+    images: [{ id: 'venue_2_image_1', url: 'https://example.com/burn1.jpg', caption: null }],
+    tags: ['バー', 'カクテル', '六本木', '大人'],
+    amenities: ['プレミアムカクテル', '個室', 'テラス席', 'ソムリエ'],
+    openingHours: {
+      monday: { open: '18:00', close: '02:00' },
+      tuesday: { open: '18:00', close: '02:00' },
+      wednesday: { open: '18:00', close: '02:00' },
+      thursday: { open: '18:00', close: '02:00' },
+      friday: { open: '18:00', close: '02:00' },
+      saturday: { open: '18:00', close: '02:00' },
+      sunday: { open: '18:00', close: '24:00' },
+    },
+    isOpen: null,
+    ageRestriction: '20_plus',
+    dressCode: 'business_casual',
+    capacity: 80,
+    menu: {
+      sections: [
+        {
+          id: 'section_1',
+          name: 'カクテル',
+          kind: 'drink',
+          items: [
+            { id: 'section_1_1', name: 'ハイボール', price: 1200, size: 'グラス', happyHourPrice: 800 },
+            { id: 'section_1_2', name: 'ジントニック', price: 1500, size: 'グラス', happyHourPrice: 1000 },
+            { id: 'section_1_3', name: 'テキーラ', price: 1000, size: 'ショット', happyHourPrice: null },
+            { id: 'section_1_4', name: 'シグネチャーカクテル', price: 2200, size: null, happyHourPrice: null },
+          ],
+        },
+        {
+          id: 'section_2',
+          name: 'ボトル',
+          kind: 'bottle',
+          items: [
+            { id: 'section_2_1', name: '山崎 12年', price: 38000, size: '700ml', happyHourPrice: null },
+          ],
+        },
+        {
+          id: 'section_3',
+          name: 'フード',
+          kind: 'food',
+          items: [
+            { id: 'section_3_1', name: 'ミックスナッツ', price: 900, size: null, happyHourPrice: null },
+            { id: 'section_3_2', name: 'チーズ盛り合わせ', price: 1800, size: null, happyHourPrice: null },
+          ],
+        },
+      ],
+      happyHour: { from: '18:00', to: '20:00', days: null },
+      charge: 1000,
+    },
+    ownerId: null,
+    createdAt: null,
+    updatedAt: null,
+  },
+  {
+    id: 'venue_3',
+    name: '新宿 ラウンジ アジュール',
+    nameKana: null,
+    category: 'lounge',
+    address: '東京都新宿区歌舞伎町1-16-3',
+    coordinates: { lat: 35.6938, lng: 139.7016 },
+    phone: '03-3209-5777',
+    website: 'https://azure-shinjuku.com',
+    description: '新宿歌舞伎町の落ち着いたラウンジ。夜景を楽しめる空間。',
+    rating: 4.0,
+    reviewCount: 142,
+    priceRange: 'expensive',
+    images: [{ id: 'venue_3_image_1', url: 'https://example.com/azure1.jpg', caption: null }],
+    tags: ['ラウンジ', 'シーシャ', '新宿', '夜景'],
+    amenities: ['夜景', 'ソファ席', 'プライベート空間', 'シーシャ'],
+    openingHours: {
+      monday: { open: '19:00', close: '03:00' },
+      tuesday: { open: '19:00', close: '03:00' },
+      wednesday: { open: '19:00', close: '03:00' },
+      thursday: { open: '19:00', close: '03:00' },
+      friday: { open: '19:00', close: '05:00' },
+      saturday: { open: '19:00', close: '05:00' },
+      sunday: { open: '19:00', close: '02:00' },
+    },
+    isOpen: null,
+    ageRestriction: '20_plus',
+    dressCode: 'casual',
+    capacity: 120,
+    ownerId: null,
+    createdAt: null,
+    updatedAt: null,
+  },
+  {
+    id: 'venue_4',
+    name: '銀座 クラブ エル',
+    nameKana: null,
+    category: 'club',
+    address: '東京都中央区銀座8-5-6',
+    coordinates: { lat: 35.6724, lng: 139.7656 },
+    phone: null,
+    website: null,
+    description: '銀座の会員制クラブ。落ち着いた内装で上質な時間を過ごせる。',
+    rating: 4.3,
+    reviewCount: 98,
+    priceRange: 'luxury',
+    images: [],
+    tags: ['クラブ', '銀座', '会員制', '大人'],
+    amenities: ['VIPエリア', '個室', 'フルバー'],
+    openingHours: {
+      monday: { open: '20:00', close: '01:00' },
+      tuesday: { open: '20:00', close: '01:00' },
+      wednesday: { open: '20:00', close: '01:00' },
+      thursday: { open: '20:00', close: '01:00' },
+      friday: { open: '20:00', close: '02:00' },
+      saturday: { open: '20:00', close: '02:00' },
+      sunday: { closed: true },
+    },
+    isOpen: null,
+    ageRestriction: '20_plus',
+    dressCode: 'upscale',
+    capacity: 60,
+    ownerId: null,
+    createdAt: null,
+    updatedAt: null,
+  },
+  {
+    id: 'venue_5',
+    name: '恵比寿 カクテル バー',
+    nameKana: null,
+    category: 'bar',
+    address: '東京都渋谷区恵比寿1-20-8',
+    coordinates: { lat: 35.6467, lng: 139.7101 },
+    phone: null,
+    website: null,
+    description: '恵比寿駅近くのカクテルバー。季節のフルーツを使ったカクテルが人気。',
+    rating: 4.1,
+    reviewCount: 75,
+    priceRange: 'expensive',
+    images: [],
+    tags: ['バー', 'カクテル', '恵比寿'],
+    amenities: ['カウンター席', 'フルーツカクテル'],
+    openingHours: {
+      monday: { open: '18:00', close: '02:00' },
+      tuesday: { open: '18:00', close: '02:00' },
+      wednesday: { open: '18:00', close: '02:00' },
+      thursday: { open: '18:00', close: '02:00' },
+      friday: { open: '18:00', close: '03:00' },
+      saturday: { open: '18:00', close: '03:00' },
+      sunday: { open: '18:00', close: '24:00' },
+    },
+    isOpen: null,
+    ageRestriction: '20_plus',
+    dressCode: 'casual',
+    capacity: 30,
+    ownerId: null,
+    createdAt: null,
+    updatedAt: null,
+  },
+];
@@ -0,0 +1,49 @@
+// 検索用の同義語・別名辞書（初期データ）
+// VenueSearchService.exportSynonyms() / importSynonyms() と同じ JSON 形式
+//
+//   groups:  双方向の同義語グループ。どの語で検索してもグループ内の全ての語で照合する
+//   aliases: 一方向の別名。キーの語で検索したときだけ値の語でも照合する（逆方向には展開しない）
+//
+// 表記ゆれ（カタカナ/ひらがな・全角/半角・長音）は正規化で吸収されるため、1表記だけ書けばよい
+
+export const SYNONYM_DICTIONARY_VERSION = 1;
+
+export const DEFAULT_SYNONYMS = {
+  version: SYNONYM_DICTIONARY_VERSION,
+  groups: [
+    ['ラウンジ', 'lounge'],
+    ['バー', 'bar'],
+    ['クラブ', 'club', 'ナイトクラブ'],
+    ['パブ', 'pub'],
+    ['HUB', 'ハブ'],
+    ['居酒屋', 'izakaya'],
+    ['カラオケ', 'karaoke'],
+    ['シーシャ', 'shisha', '水タバコ', 'hookah'],
+    ['カクテル', 'cocktail'],
+    ['ウイスキー', 'ウィスキー', 'whisky', 'whiskey'],
+    ['ワイン', 'wine'],
+    ['日本酒', 'sake', '地酒'],
+    ['クラフトビール', 'craft beer'],
+    ['テキーラ', 'tequila'],
+    ['DJ', 'ディージェイ'],
+    ['ダーツ', 'darts'],
+    ['ビリヤード', 'billiards'],
+    ['ライブ', 'live', '生演奏'],
+    ['ハッピーアワー', 'happy hour'],
+    ['飲み放題', 'all you can drink'],
+    ['個室', 'private room'],
+    ['テラス', 'terrace', 'ルーフトップ', 'rooftop'],
+    ['スポーツバー', 'sports bar'],
+  ],
+  aliases: {
+    // 英国風パブチェーン「HUB」で探す人にはパブ全般も見せる（パブ検索で HUB だけに絞らない）
+    ハブ: ['パブ'],
+    hub: ['パブ'],
+    // 業界の俗称
+    箱: ['クラブ'],
+    ハコ: ['クラブ'],
+    // VIP 席のある店は個室としても探せるが、個室検索で VIP 席だけに絞らない
+    VIP: ['個室'],
+    ビアバー: ['クラフトビール'],
+  },
+};
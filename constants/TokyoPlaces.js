@@ -0,0 +1,63 @@
+// 東京の主要な夜遊びエリアと駅（オフライン用の同梱データ）
+// 座標はエリアの中心・駅の代表点（世界測地系）。徒歩圏検索の起点として使う
+
+export const TOKYO_AREAS = [
+  { id: 'shibuya', name: '渋谷', kana: 'しぶや', aliases: ['センター街', '宇田川町'], lat: 35.6595, lng: 139.7005 },
+  { id: 'dogenzaka', name: '道玄坂', kana: 'どうげんざか', aliases: [], lat: 35.6575, lng: 139.6975 },
+  { id: 'shinjuku', name: '新宿', kana: 'しんじゅく', aliases: [], lat: 35.6915, lng: 139.7030 },
+  { id: 'kabukicho', name: '歌舞伎町', kana: 'かぶきちょう', aliases: [], lat: 35.6950, lng: 139.7020 },
+  { id: 'shinjuku-nichome', name: '新宿二丁目', kana: 'しんじゅくにちょうめ', aliases: ['二丁目'], lat: 35.6905, lng: 139.7080 },
+  { id: 'roppongi', name: '六本木', kana: 'ろっぽんぎ', aliases: [], lat: 35.6627, lng: 139.7310 },
+  { id: 'nishiazabu', name: '西麻布', kana: 'にしあざぶ', aliases: [], lat: 35.6595, lng: 139.7240 },
+  { id: 'azabu-juban', name: '麻布十番', kana: 'あざぶじゅうばん', aliases: [], lat: 35.6555, lng: 139.7360 },
+  { id: 'ginza', name: '銀座', kana: 'ぎんざ', aliases: [], lat: 35.6712, lng: 139.7640 },
+  { id: 'ebisu', name: '恵比寿', kana: 'えびす', aliases: [], lat: 35.6465, lng: 139.7100 },
+  { id: 'omotesando', name: '表参道', kana: 'おもてさんどう', aliases: ['青山'], lat: 35.6655, lng: 139.7100 },
+  { id: 'nakameguro', name: '中目黒', kana: 'なかめぐろ', aliases: [], lat: 35.6440, lng: 139.6985 },
+  { id: 'ikebukuro', name: '池袋', kana: 'いけぶくろ', aliases: [], lat: 35.7300, lng: 139.7120 },
+  { id: 'akasaka', name: '赤坂', kana: 'あかさか', aliases: [], lat: 35.6740, lng: 139.7360 },
+  { id: 'shimbashi', name: '新橋', kana: 'しんばし', aliases: [], lat: 35.6660, lng: 139.7570 },
+  { id: 'ueno', name: '上野', kana: 'うえの', aliases: [], lat: 35.7110, lng: 139.7745 },
+  { id: 'shimokitazawa', name: '下北沢', kana: 'しもきたざわ', aliases: ['下北'], lat: 35.6615, lng: 139.6675 },
+  { id: 'sangenjaya', name: '三軒茶屋', kana: 'さんげんじゃや', aliases: ['三茶'], lat: 35.6435, lng: 139.6695 },
+  { id: 'gotanda', name: '五反田', kana: 'ごたんだ', aliases: [], lat: 35.6260, lng: 139.7230 },
+];
+
+export const TOKYO_STATIONS = [
+  { id: 'shibuya-sta', name: '渋谷', kana: 'しぶや', lines: ['JR山手線', '東京メトロ銀座線', '東京メトロ半蔵門線', '東京メトロ副都心線', '東急東横線', '東急田園都市線', '京王井の頭線'], lat: 35.6580, lng: 139.7016 },
+  { id: 'shinjuku-sta', name: '新宿', kana: 'しんじゅく', lines: ['JR山手線', 'JR中央線', '東京メトロ丸ノ内線', '都営新宿線', '都営大江戸線', '小田急線', '京王線'], lat: 35.6896, lng: 139.7006 },
+  { id: 'shinjuku-sanchome-sta', name: '新宿三丁目', kana: 'しんじゅくさんちょうめ', lines: ['東京メトロ丸ノ内線', '東京メトロ副都心線', '都営新宿線'], lat: 35.6906, lng: 139.7049 },
+  { id: 'seibu-shinjuku-sta', name: '西武新宿', kana: 'せいぶしんじゅく', lines: ['西武新宿線'], lat: 35.6962, lng: 139.7003 },
+  { id: 'higashi-shinjuku-sta', name: '東新宿', kana: 'ひがししんじゅく', lines: ['東京メトロ副都心線', '都営大江戸線'], lat: 35.6979, lng: 139.7076 },
+  { id: 'roppongi-sta', name: '六本木', kana: 'ろっぽんぎ', lines: ['東京メトロ日比谷線', '都営大江戸線'], lat: 35.6628, lng: 139.7314 },
+  { id: 'roppongi-itchome-sta', name: '六本木一丁目', kana: 'ろっぽんぎいっちょうめ', lines: ['東京メトロ南北線'], lat: 35.6652, lng: 139.7392 },
+  { id: 'nogizaka-sta', name: '乃木坂', kana: 'のぎざか', lines: ['東京メトロ千代田線'], lat: 35.6666, lng: 139.7263 },
+  { id: 'azabu-juban-sta', name: '麻布十番', kana: 'あざぶじゅうばん', lines: ['東京メトロ南北線', '都営大江戸線'], lat: 35.6564, lng: 139.7370 },
+  { id: 'ginza-sta', name: '銀座', kana: 'ぎんざ', lines: ['東京メトロ銀座線', '東京メトロ丸ノ内線', '東京メトロ日比谷線'], lat: 35.6717, lng: 139.7650 },
+  { id: 'higashi-ginza-sta', name: '東銀座', kana: 'ひがしぎんざ', lines: ['東京メトロ日比谷線', '都営浅草線'], lat: 35.6694, lng: 139.7670 },
+  { id: 'yurakucho-sta', name: '有楽町', kana: 'ゆうらくちょう', lines: ['JR山手線', 'JR京浜東北線', '東京メトロ有楽町線'], lat: 35.6751, lng: 139.7630 },
+  { id: 'shimbashi-sta', name: '新橋', kana: 'しんばし', lines: ['JR山手線', 'JR京浜東北線', '東京メトロ銀座線', '都営浅草線', 'ゆりかもめ'], lat: 35.6663, lng: 139.7583 },
+  { id: 'ebisu-sta', name: '恵比寿', kana: 'えびす', lines: ['JR山手線', 'JR埼京線', '東京メトロ日比谷線'], lat: 35.6467, lng: 139.7101 },
+  { id: 'daikanyama-sta', name: '代官山', kana: 'だいかんやま', lines: ['東急東横線'], lat: 35.6481, lng: 139.7033 },
+  { id: 'nakameguro-sta', name: '中目黒', kana: 'なかめぐろ', lines: ['東急東横線', '東京メトロ日比谷線'], lat: 35.6440, lng: 139.6990 },
+  { id: 'omotesando-sta', name: '表参道', kana: 'おもてさんどう', lines: ['東京メトロ銀座線', '東京メトロ千代田線', '東京メトロ半蔵門線'], lat: 35.6652, lng: 139.7123 },
+  { id: 'harajuku-sta', name: '原宿', kana: 'はらじゅく', lines: ['JR山手線'], lat: 35.6702, lng: 139.7027 },
+  { id: 'meiji-jingumae-sta', name: '明治神宮前', kana: 'めいじじんぐうまえ', lines: ['東京メトロ千代田線', '東京メトロ副都心線'], lat: 35.6685, lng: 139.7054 },
+  { id: 'ikebukuro-sta', name: '池袋', kana: 'いけぶくろ', lines: ['JR山手線', '東京メトロ丸ノ内線', '東京メトロ有楽町線', '東京メトロ副都心線', '西武池袋線', '東武東上線'], lat: 35.7295, lng: 139.7109 },
+  { id: 'akasaka-sta', name: '赤坂', kana: 'あかさか', lines: ['東京メトロ千代田線'], lat: 35.6722, lng: 139.7363 },
+  { id: 'akasaka-mitsuke-sta', name: '赤坂見附', kana: 'あかさかみつけ', lines: ['東京メトロ銀座線', '東京メトロ丸ノ内線'], lat: 35.6770, lng: 139.7371 },
+  { id: 'ueno-sta', name: '上野', kana: 'うえの', lines: ['JR山手線', 'JR京浜東北線', '東京メトロ銀座線', '東京メトロ日比谷線'], lat: 35.7138, lng: 139.7773 },
+  { id: 'asakusa-sta', name: '浅草', kana: 'あさくさ', lines: ['東京メトロ銀座線', '都営浅草線', '東武スカイツリーライン'], lat: 35.7107, lng: 139.7966 },
+  { id: 'akihabara-sta', name: '秋葉原', kana: 'あきはばら', lines: ['JR山手線', 'JR総武線', '東京メトロ日比谷線', 'つくばエクスプレス'], lat: 35.6984, lng: 139.7731 },
+  { id: 'tokyo-sta', name: '東京', kana: 'とうきょう', lines: ['JR山手線', 'JR中央線', 'JR東海道線', '東京メトロ丸ノ内線'], lat: 35.6812, lng: 139.7671 },
+  { id: 'shinagawa-sta', name: '品川', kana: 'しながわ', lines: ['JR山手線', 'JR東海道線', '京急本線'], lat: 35.6285, lng: 139.7388 },
+  { id: 'gotanda-sta', name: '五反田', kana: 'ごたんだ', lines: ['JR山手線', '都営浅草線', '東急池上線'], lat: 35.6262, lng: 139.7236 },
+  { id: 'shimokitazawa-sta', name: '下北沢', kana: 'しもきたざわ', lines: ['小田急線', '京王井の頭線'], lat: 35.6614, lng: 139.6680 },
+  { id: 'sangenjaya-sta', name: '三軒茶屋', kana: 'さんげんじゃや', lines: ['東急田園都市線', '東急世田谷線'], lat: 35.6436, lng: 139.6707 },
+  { id: 'koenji-sta', name: '高円寺', kana: 'こうえんじ', lines: ['JR中央線'], lat: 35.7053, lng: 139.6497 },
+  { id: 'kichijoji-sta', name: '吉祥寺', kana: 'きちじょうじ', lines: ['JR中央線', '京王井の頭線'], lat: 35.7031, lng: 139.5798 },
+  { id: 'kagurazaka-sta', name: '神楽坂', kana: 'かぐらざか', lines: ['東京メトロ東西線'], lat: 35.7040, lng: 139.7345 },
+];
+
+// ホーム画面の人気エリア（TOKYO_AREAS の id）
+export const POPULAR_AREA_IDS = ['shibuya', 'shinjuku', 'roppongi', 'ginza', 'ebisu', 'omotesando'];
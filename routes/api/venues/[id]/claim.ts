@@ -0,0 +1,42 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { requestVenueClaim } from "../../../../utils/venue-owner-service.ts";
+import { VenueClaimError } from "../../../../utils/venue-claims.js";
+
+// 店舗のオーナー申請（店舗に登録された電話番号かメールアドレスに確認コードを送る）
+//   POST /api/venues/:id/claim   body { channel: "phone" | "email" } → { success, claimId, channel, masked, expiresAt }
+// 確認コードは応答に含めない。照合は POST /api/venues/claims/:claimId
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "オーナー申請にはログインが必要です" }, 401);
+      }
+
+      const { channel } = await req.json();
+      const claim = await requestVenueClaim(ctx.params.id, user.id, channel);
+      return json({ success: true, ...claim });
+    } catch (error) {
+      console.error("Venue claim request error:", error);
+      if (error instanceof VenueClaimError) {
+        return json({ success: false, error: error.message }, error.status);
+      }
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+      }
+      return json({ success: false, error: "オーナー申請中にエラーが発生しました" }, 500);
+    }
+  },
+};
@@ -0,0 +1,46 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { submitOwnerEdit } from "../../../../utils/venue-owner-service.ts";
+import { VenueClaimError } from "../../../../utils/venue-claims.js";
+
+// オーナーによる店舗の編集（審査待ちとして積まれ、管理者が承認すると反映される）
+//   POST /api/venues/:id/edits   body { updates, note } → { success, edit }
+// updates は営業時間・写真・説明・設備（OWNER_EDITABLE_FIELDS）だけ。それ以外の項目があれば 400、オーナーでなければ 403
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "店舗の編集にはログインが必要です" }, 401);
+      }
+
+      const { updates, note } = await req.json();
+      if (!updates || typeof updates !== "object" || Array.isArray(updates)) {
+        return json({ success: false, error: "編集する項目が指定されていません" }, 400);
+      }
+
+      const edit = submitOwnerEdit(ctx.params.id, user.id, updates, typeof note === "string" ? note : "");
+      return json({ success: true, edit });
+    } catch (error) {
+      console.error("Venue owner edit error:", error);
+      if (error instanceof VenueClaimError) {
+        return json({ success: false, error: error.message }, error.status);
+      }
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+      }
+      return json({ success: false, error: "店舗の編集中にエラーが発生しました" }, 500);
+    }
+  },
+};
@@ -0,0 +1,25 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { venueRepository } from "../../../../utils/sqlite-venue-repository.ts";
+
+// 店舗の編集履歴
+//   GET /api/venues/:id/history   { success, history }（version の昇順。形式は utils/venue-history.js）
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async GET(_req, ctx) {
+    try {
+      await initDatabase();
+      return json({ success: true, history: await venueRepository.getHistory(ctx.params.id) });
+    } catch (error) {
+      console.error("Venue history API error:", error);
+      return json({ success: false, error: "編集履歴の取得中にエラーが発生しました" }, 500);
+    }
+  },
+};
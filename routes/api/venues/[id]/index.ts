@@ -0,0 +1,52 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { venueRepository } from "../../../../utils/sqlite-venue-repository.ts";
+
+// 1店舗
+//   GET    /api/venues/:id        { success, venue }（ない店舗は 404）
+//   DELETE /api/venues/:id        { success, removed }（管理者のみ）
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async GET(_req, ctx) {
+    try {
+      await initDatabase();
+
+      const venue = await venueRepository.get(ctx.params.id);
+      if (!venue) {
+        return json({ success: false, error: "店舗が見つかりません" }, 404);
+      }
+      return json({ success: true, venue });
+    } catch (error) {
+      console.error("Venue API error:", error);
+      return json({ success: false, error: "店舗の取得中にエラーが発生しました" }, 500);
+    }
+  },
+
+  async DELETE(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "店舗の削除にはログインが必要です" }, 401);
+      }
+      if (user.role !== "admin") {
+        return json({ success: false, error: "店舗を削除できるのは管理者だけです" }, 403);
+      }
+
+      const author = { id: user.id, name: user.name, role: user.role };
+      return json({ success: true, removed: await venueRepository.remove(ctx.params.id, { author }) });
+    } catch (error) {
+      console.error("Venue delete error:", error);
+      return json({ success: false, error: "店舗の削除中にエラーが発生しました" }, 500);
+    }
+  },
+};
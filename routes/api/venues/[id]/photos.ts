@@ -0,0 +1,130 @@
+import { Handlers } from "$fresh/server.ts";
+import { getVenue, initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import {
+  deleteVenuePhoto,
+  moveVenuePhoto,
+  reorderVenuePhotos,
+  setVenueCoverPhoto,
+  updateVenuePhotoCaption,
+  uploadVenuePhoto,
+  VenuePhotoError,
+} from "../../../../utils/venue-photo-store.ts";
+
+// 店舗の写真（先頭がカバー写真）
+//   GET    /api/venues/:id/photos                       { success, photos }
+//   POST   /api/venues/:id/photos                       multipart（image, caption）→ { success, photo, photos }（ログインが必要）
+//   PATCH  /api/venues/:id/photos                       body のどれか1つ → { success, photos }（オーナー・管理者）
+//            { order: [photoId, ...] }                  並べ替え
+//            { photoId, toIndex }                       1枚を動かす
+//            { coverId }                                カバー写真にする
+//            { photoId, caption }                       説明の変更
+//   DELETE /api/venues/:id/photos?photoId=             { success, photos }（オーナー・管理者・投稿した本人）
+// 写真は { id, url, thumbnailUrl, caption }。権限と検証は utils/venue-photo-store.ts
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+const unauthorized = () => json({ success: false, error: "写真の登録・管理にはログインが必要です" }, 401);
+
+// 入力の誤り・権限・店舗がないときはその内容（400 / 403 / 404）、それ以外は 500
+function errorResponse(error: unknown, message: string): Response {
+  if (error instanceof VenuePhotoError) {
+    return json({ success: false, error: error.message }, error.status);
+  }
+  if (error instanceof SyntaxError) {
+    return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+  }
+  return json({ success: false, error: message }, 500);
+}
+
+export const handler: Handlers = {
+  async GET(_req, ctx) {
+    try {
+      await initDatabase();
+
+      const venue = getVenue(ctx.params.id);
+      if (!venue) {
+        return json({ success: false, error: "店舗が見つかりません" }, 404);
+      }
+      return json({ success: true, photos: venue.images });
+    } catch (error) {
+      console.error("Venue photos API error:", error);
+      return json({ success: false, error: "写真の取得中にエラーが発生しました" }, 500);
+    }
+  },
+
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) return unauthorized();
+
+      const formData = await req.formData();
+      const image = formData.get("image");
+      if (!(image instanceof File)) {
+        return json({ success: false, error: "画像ファイルが選択されていません" }, 400);
+      }
+
+      const { venue, photo } = await uploadVenuePhoto(ctx.params.id, user, image, formData.get("caption"));
+      return json({ success: true, photo, photos: venue.images });
+    } catch (error) {
+      console.error("Venue photo upload error:", error);
+      return errorResponse(error, "写真の登録中にエラーが発生しました");
+    }
+  },
+
+  async PATCH(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) return unauthorized();
+
+      const body = await req.json();
+      const venueId = ctx.params.id;
+      let venue;
+      if (Array.isArray(body.order)) {
+        venue = await reorderVenuePhotos(venueId, user, body.order);
+      } else if (body.coverId !== undefined) {
+        venue = await setVenueCoverPhoto(venueId, user, String(body.coverId));
+      } else if (body.photoId !== undefined && body.toIndex !== undefined) {
+        venue = await moveVenuePhoto(venueId, user, String(body.photoId), Number(body.toIndex));
+      } else if (body.photoId !== undefined && body.caption !== undefined) {
+        venue = await updateVenuePhotoCaption(venueId, user, String(body.photoId), body.caption);
+      } else {
+        return json({ success: false, error: "変更内容が指定されていません" }, 400);
+      }
+
+      return json({ success: true, photos: venue.images });
+    } catch (error) {
+      console.error("Venue photo update error:", error);
+      return errorResponse(error, "写真の更新中にエラーが発生しました");
+    }
+  },
+
+  async DELETE(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) return unauthorized();
+
+      const photoId = new URL(req.url).searchParams.get("photoId");
+      if (!photoId) {
+        return json({ success: false, error: "写真IDが指定されていません" }, 400);
+      }
+
+      const venue = await deleteVenuePhoto(ctx.params.id, user, photoId);
+      return json({ success: true, photos: venue.images });
+    } catch (error) {
+      console.error("Venue photo delete error:", error);
+      return errorResponse(error, "写真の削除中にエラーが発生しました");
+    }
+  },
+};
@@ -0,0 +1,47 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { venueRepository } from "../../../../utils/sqlite-venue-repository.ts";
+
+// 以前の版に戻す（戻したこと自体も新しい版として履歴に残る）
+//   POST /api/venues/:id/revert   body { version } → { success, venue }（削除されていた版なら venue は null）
+// 全項目が書き換わるので管理者だけ。履歴にない版は 404
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "以前の版に戻すにはログインが必要です" }, 401);
+      }
+      if (user.role !== "admin") {
+        return json({ success: false, error: "以前の版に戻せるのは管理者だけです" }, 403);
+      }
+
+      const { version } = await req.json();
+      const history = await venueRepository.getHistory(ctx.params.id);
+      if (!history.some((entry) => entry.version === Number(version))) {
+        return json({ success: false, error: `版 ${version} の履歴がありません` }, 404);
+      }
+
+      const author = { id: user.id, name: user.name, role: user.role };
+      const venue = await venueRepository.revert(ctx.params.id, version, { author });
+      return json({ success: true, venue });
+    } catch (error) {
+      console.error("Venue revert error:", error);
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: error.message }, 400);
+      }
+      return json({ success: false, error: "以前の版に戻す処理中にエラーが発生しました" }, 500);
+    }
+  },
+};
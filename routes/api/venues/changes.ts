@@ -0,0 +1,28 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../utils/database.ts";
+import { venueRepository } from "../../../utils/sqlite-venue-repository.ts";
+
+// 店舗の変更フィード（アプリの HTTP リポジトリが定期的に確認する）
+//   GET /api/venues/changes?since=   { success, changes, cursor, reset }
+// reset が true なら変更を追いきれないので、アプリは全件を読み直す
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async GET(req) {
+    try {
+      await initDatabase();
+
+      const since = Math.max(Number(new URL(req.url).searchParams.get("since")) || 0, 0);
+      return json({ success: true, ...await venueRepository.getChanges(since) });
+    } catch (error) {
+      console.error("Venue changes API error:", error);
+      return json({ success: false, error: "店舗の変更の取得中にエラーが発生しました" }, 500);
+    }
+  },
+};
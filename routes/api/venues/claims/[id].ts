@@ -0,0 +1,45 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { verifyVenueClaim } from "../../../../utils/venue-owner-service.ts";
+import { VenueClaimError } from "../../../../utils/venue-claims.js";
+
+// オーナー申請の確認コードの照合（申請した本人だけ）
+//   POST /api/venues/claims/:id   body { code } → { success, venue }（合えば申請者が店舗のオーナーになる）
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "オーナー申請の確認にはログインが必要です" }, 401);
+      }
+
+      const { code } = await req.json();
+      if (!code) {
+        return json({ success: false, error: "確認コードを入力してください" }, 400);
+      }
+
+      const venue = await verifyVenueClaim(Number(ctx.params.id), user.id, String(code));
+      return json({ success: true, venue });
+    } catch (error) {
+      console.error("Venue claim verify error:", error);
+      if (error instanceof VenueClaimError) {
+        return json({ success: false, error: error.message }, error.status);
+      }
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+      }
+      return json({ success: false, error: "オーナー申請の確認中にエラーが発生しました" }, 500);
+    }
+  },
+};
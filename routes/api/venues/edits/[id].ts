@@ -0,0 +1,74 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { approveOwnerEdit, rejectOwnerEdit, withdrawOwnerEdit } from "../../../../utils/venue-owner-service.ts";
+import { VenueClaimError } from "../../../../utils/venue-claims.js";
+
+// オーナーによる店舗の編集の審査と取り下げ
+//   POST   /api/venues/edits/:id   body { action: "approve" | "reject", comment } → { success, venue? }（管理者のみ）
+//   DELETE /api/venues/edits/:id   → { success }（審査待ちの自分の編集を取り下げる）
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "編集の審査にはログインが必要です" }, 401);
+      }
+      if (user.role !== "admin") {
+        return json({ success: false, error: "編集を審査できるのは管理者だけです" }, 403);
+      }
+
+      const { action, comment } = await req.json();
+      const editId = Number(ctx.params.id);
+      const text = typeof comment === "string" ? comment : "";
+
+      if (action === "approve") {
+        const venue = await approveOwnerEdit(editId, user.id, text);
+        return json({ success: true, venue });
+      }
+      if (action === "reject") {
+        rejectOwnerEdit(editId, user.id, text);
+        return json({ success: true });
+      }
+      return json({ success: false, error: `不明な操作です: ${action}` }, 400);
+    } catch (error) {
+      console.error("Venue owner edit review error:", error);
+      if (error instanceof VenueClaimError) {
+        return json({ success: false, error: error.message }, error.status);
+      }
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+      }
+      return json({ success: false, error: "編集の審査中にエラーが発生しました" }, 500);
+    }
+  },
+
+  async DELETE(req, ctx) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "編集の取り下げにはログインが必要です" }, 401);
+      }
+
+      if (!withdrawOwnerEdit(Number(ctx.params.id), user.id)) {
+        return json({ success: false, error: "審査待ちの編集が見つかりません" }, 404);
+      }
+      return json({ success: true });
+    } catch (error) {
+      console.error("Venue owner edit withdraw error:", error);
+      return json({ success: false, error: "編集の取り下げ中にエラーが発生しました" }, 500);
+    }
+  },
+};
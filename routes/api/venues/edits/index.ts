@@ -0,0 +1,40 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../../utils/database.ts";
+import { getUserFromRequest } from "../../../../utils/auth.ts";
+import { getOwnerEdits, getPendingOwnerEdits } from "../../../../utils/venue-owner-service.ts";
+
+// オーナーによる店舗の編集の一覧
+//   GET /api/venues/edits                  { success, edits }（ログイン中のユーザーの編集, 新しい順）
+//   GET /api/venues/edits?status=pending   { success, queue }（審査待ち, 古い順。管理者のみ）
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async GET(req) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "店舗の編集の確認にはログインが必要です" }, 401);
+      }
+
+      if (new URL(req.url).searchParams.get("status") === "pending") {
+        if (user.role !== "admin") {
+          return json({ success: false, error: "審査待ちの編集を見られるのは管理者だけです" }, 403);
+        }
+        return json({ success: true, queue: getPendingOwnerEdits() });
+      }
+
+      return json({ success: true, edits: getOwnerEdits(user.id) });
+    } catch (error) {
+      console.error("Venue owner edits error:", error);
+      return json({ success: false, error: "店舗の編集の取得中にエラーが発生しました" }, 500);
+    }
+  },
+};
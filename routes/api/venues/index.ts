@@ -0,0 +1,87 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../utils/database.ts";
+import { getUserFromRequest } from "../../../utils/auth.ts";
+import { venueRepository } from "../../../utils/sqlite-venue-repository.ts";
+
+// 店舗（アプリの HTTP リポジトリ utils/http-venue-repository.js が使う）
+//   GET  /api/venues?limit=&offset=                          { success, venues, hasMore }
+//   GET  /api/venues?north=&south=&east=&west=&category=&limit=  { success, venues }（範囲内の店舗）
+//   POST /api/venues                                         body { venues } → { success, venues }（管理者のみ）
+// id が既存の店舗なら更新、なければ追加する。編集履歴の変更者はログイン中のユーザー
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+// 入力の誤り（JSON の形式・店舗データの検証）は 400、それ以外は 500
+function isInputError(error: unknown): boolean {
+  return error instanceof SyntaxError || Array.isArray((error as { errors?: unknown })?.errors);
+}
+
+export const handler: Handlers = {
+  async GET(req) {
+    try {
+      await initDatabase();
+
+      const params = new URL(req.url).searchParams;
+
+      if (params.has("north")) {
+        const bounds = Object.fromEntries(
+          ["north", "south", "east", "west"].map((key) => [key, Number(params.get(key))]),
+        );
+        const category = params.get("category") || undefined;
+        const limit = Number(params.get("limit")) || undefined;
+        try {
+          return json({ success: true, venues: await venueRepository.queryByBounds(bounds, { category, limit }) });
+        } catch (error) {
+          // 範囲の指定の誤り
+          return json({ success: false, error: error.message }, 400);
+        }
+      }
+
+      const limit = Math.min(Number(params.get("limit")) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const offset = Math.max(Number(params.get("offset")) || 0, 0);
+      const venues = await venueRepository.list();
+      return json({ success: true, venues: venues.slice(offset, offset + limit), hasMore: offset + limit < venues.length });
+    } catch (error) {
+      console.error("Venues API error:", error);
+      return json({ success: false, error: "店舗の取得中にエラーが発生しました" }, 500);
+    }
+  },
+
+  async POST(req) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "店舗の登録・編集にはログインが必要です" }, 401);
+      }
+      // オーナー（ownerId）を含め店舗データを直接書き換えられるのは管理者だけ
+      if (user.role !== "admin") {
+        return json({ success: false, error: "店舗を登録・編集できるのは管理者だけです" }, 403);
+      }
+
+      const body = await req.json();
+      const input = Array.isArray(body.venues) ? body.venues : [body.venues].filter(Boolean);
+      if (input.length === 0) {
+        return json({ success: false, error: "店舗が指定されていません" }, 400);
+      }
+
+      const author = { id: user.id, name: user.name, role: user.role };
+      return json({ success: true, venues: await venueRepository.upsert(input, { author }) });
+    } catch (error) {
+      console.error("Venue save error:", error);
+      if (isInputError(error)) {
+        return json({ success: false, error: error.message }, 400);
+      }
+      return json({ success: false, error: "店舗の保存中にエラーが発生しました" }, 500);
+    }
+  },
+};
@@ -0,0 +1,48 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../utils/database.ts";
+import { getUserFromRequest } from "../../../utils/auth.ts";
+import { venueRepository } from "../../../utils/sqlite-venue-repository.ts";
+
+// 重複した2店舗の統合（お気に入り・レビューなどは survivorId に付け替える）
+//   POST /api/venues/merge   body { survivorId, duplicateId } → { success, venue, moved }
+// 管理者だけ。どちらかの店舗がなければ 404
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async POST(req) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "店舗の統合にはログインが必要です" }, 401);
+      }
+      if (user.role !== "admin") {
+        return json({ success: false, error: "店舗を統合できるのは管理者だけです" }, 403);
+      }
+
+      const { survivorId, duplicateId } = await req.json();
+      const survivor = survivorId ? await venueRepository.get(survivorId) : null;
+      const duplicate = duplicateId ? await venueRepository.get(duplicateId) : null;
+      if (!survivor || !duplicate || survivor.id === duplicate.id) {
+        return json({ success: false, error: "統合する2つの店舗が見つかりません" }, 404);
+      }
+
+      const author = { id: user.id, name: user.name, role: user.role };
+      const { venue, moved } = await venueRepository.merge(survivorId, duplicateId, { author });
+      return json({ success: true, venue, moved });
+    } catch (error) {
+      console.error("Venue merge error:", error);
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: error.message }, 400);
+      }
+      return json({ success: false, error: "店舗の統合中にエラーが発生しました" }, 500);
+    }
+  },
+};
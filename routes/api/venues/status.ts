@@ -0,0 +1,83 @@
+import { Handlers } from "$fresh/server.ts";
+import { initDatabase } from "../../../utils/database.ts";
+import { getUserFromRequest } from "../../../utils/auth.ts";
+import {
+  getVenueStatus,
+  getVenueStatuses,
+  purgeExpiredStatusReports,
+  submitVenueStatusReport,
+} from "../../../utils/venue-status-store.ts";
+import { VenueStatusError } from "../../../utils/venue-status.js";
+
+// 店舗の混雑度・待ち時間
+//   GET  /api/venues/status                 { success, statuses: { venueId: status }, serverTime }（有効な報告のある店舗だけ）
+//   GET  /api/venues/status?ids=1,2         指定した店舗だけ
+//   GET  /api/venues/status?venueId=1       { success, status }（報告がなければ null）
+//   POST /api/venues/status                 body { venueId, crowdLevel, waitMinutes } → { success, status }（ログインが必要）
+// status の形式と重み付けは utils/venue-status.js
+
+// 期限切れの報告を消す間隔
+const PURGE_INTERVAL = 10 * 60 * 1000;
+let lastPurgedAt = 0;
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export const handler: Handlers = {
+  async GET(req) {
+    try {
+      await initDatabase();
+
+      if (Date.now() - lastPurgedAt > PURGE_INTERVAL) {
+        purgeExpiredStatusReports();
+        lastPurgedAt = Date.now();
+      }
+
+      const url = new URL(req.url);
+      const venueId = url.searchParams.get("venueId");
+      if (venueId) {
+        return json({ success: true, status: getVenueStatus(venueId) });
+      }
+
+      const ids = url.searchParams.get("ids");
+      const statuses = getVenueStatuses(ids ? ids.split(",").map((id) => id.trim()).filter(Boolean) : undefined);
+      return json({ success: true, statuses, serverTime: new Date().toISOString() });
+    } catch (error) {
+      console.error("Venue status API error:", error);
+      return json({ success: false, error: "店舗の混雑状況の取得中にエラーが発生しました" }, 500);
+    }
+  },
+
+  async POST(req) {
+    try {
+      await initDatabase();
+
+      const user = await getUserFromRequest(req);
+      if (!user) {
+        return json({ success: false, error: "混雑状況の報告にはログインが必要です" }, 401);
+      }
+
+      const { venueId, crowdLevel, waitMinutes } = await req.json();
+      if (!venueId) {
+        return json({ success: false, error: "店舗IDが指定されていません" }, 400);
+      }
+
+      const status = submitVenueStatusReport(venueId, user, { crowdLevel, waitMinutes });
+      return json({ success: true, status });
+    } catch (error) {
+      // 入力の誤り（店舗がない・混雑度が不正など）はその内容（400 / 404）、それ以外は 500
+      console.error("Venue status report error:", error);
+      if (error instanceof VenueStatusError) {
+        return json({ success: false, error: error.message }, error.status);
+      }
+      if (error instanceof SyntaxError) {
+        return json({ success: false, error: "リクエストの形式が正しくありません" }, 400);
+      }
+      return json({ success: false, error: "混雑状況の報告中にエラーが発生しました" }, 500);
+    }
+  },
+};
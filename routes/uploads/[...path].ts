@@ -0,0 +1,32 @@
+import { Handlers } from "$fresh/server.ts";
+import { resolveUploadPath } from "../../utils/venue-photo-store.ts";
+import { PHOTO_MIME_TYPES, getFileExtension } from "../../utils/venue-photos.js";
+
+// アップロードした写真とサムネイル（AppConfig.uploadPath 以下）を返す
+//   GET /uploads/venue/{filename}、/uploads/venue/thumbnails/{filename}
+export const handler: Handlers = {
+  async GET(_req, ctx) {
+    const path = resolveUploadPath(`/uploads/${ctx.params.path}`);
+    const extension = getFileExtension(ctx.params.path) as keyof typeof PHOTO_MIME_TYPES | null;
+    if (!path || !extension || !PHOTO_MIME_TYPES[extension]) {
+      return new Response("Not Found", { status: 404 });
+    }
+
+    try {
+      const file = await Deno.readFile(path);
+      return new Response(file, {
+        headers: {
+          "Content-Type": PHOTO_MIME_TYPES[extension],
+          // ファイル名は毎回変わるため長くキャッシュしてよい
+          "Cache-Control": "public, max-age=31536000, immutable",
+        },
+      });
+    } catch (error) {
+      if (error instanceof Deno.errors.NotFound) {
+        return new Response("Not Found", { status: 404 });
+      }
+      console.error("Upload file error:", error);
+      return new Response("Internal Server Error", { status: 500 });
+    }
+  },
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env -S deno run -A
+
+import { Command } from "https://deno.land/x/cliffy@v1.0.0-rc.3/command/mod.ts";
+import { Confirm } from "https://deno.land/x/cliffy@v1.0.0-rc.3/prompt/mod.ts";
+import { colors } from "https://deno.land/x/cliffy@v1.0.0-rc.3/ansi/colors.ts";
+import { initDatabase } from "../utils/database.ts";
+import { venueRepository } from "../utils/sqlite-venue-repository.ts";
+import { CONFIDENCE_THRESHOLDS, findDuplicateCandidates } from "../utils/venue-dedup.js";
+
+const CLI_AUTHOR = { id: null, name: "dedupe-venues (CLI)", role: "admin" };
+
+function formatProposal(proposal: any, index: number): string {
+  const [a, b] = proposal.venues;
+  const { name, phone, address, distance } = proposal.signals;
+  const mark = proposal.confidence === "high" ? colors.red("●") : colors.yellow("●");
+  return [
+    `${mark} ${index + 1}. score ${proposal.score.toFixed(2)}（${proposal.reasons.join("、")}）`,
+    `   ${a.id === proposal.survivorId ? "残す" : "統合"} ${a.id}: ${a.name} / ${a.address}`,
+    `   ${b.id === proposal.survivorId ? "残す" : "統合"} ${b.id}: ${b.name} / ${b.address}`,
+    colors.gray(
+      `   店名 ${name} / 電話 ${phone ?? "-"} / 住所 ${address ?? "-"} / 距離 ${distance !== null ? `${distance}m` : "-"}`,
+    ),
+  ].join("\n");
+}
+
+// 重複店舗の検出・統合CLIツール
+const dedupeVenues = new Command()
+  .name("dedupe-venues")
+  .version("1.0.0")
+  .description("venues テーブルの重複店舗を検出して統合する")
+  .option("--min-score <score:number>", "この score 未満の組は表示しない", { default: CONFIDENCE_THRESHOLDS.medium })
+  .option("--merge <pair:string>", "指定した組を統合する（<残す店舗ID>:<統合する店舗ID>）")
+  .option("--auto", `score ${CONFIDENCE_THRESHOLDS.high} 以上の組をすべて統合する`, { default: false })
+  .option("-y, --yes", "統合前の確認を省略", { default: false })
+  .option("--json", "候補を JSON で出力", { default: false })
+  .action(async (options) => {
+    try {
+      await initDatabase();
+
+      if (options.merge) {
+        const [survivorId, duplicateId] = options.merge.split(":");
+        if (!survivorId || !duplicateId) {
+          throw new Error("--merge は <残す店舗ID>:<統合する店舗ID> で指定してください");
+        }
+        const { venue, moved } = await venueRepository.merge(survivorId, duplicateId, { author: CLI_AUTHOR });
+        console.log(colors.green(`✅ ${duplicateId} を ${venue.id}「${venue.name}」に統合しました`));
+        console.log(colors.gray(`   付け替え: ${JSON.stringify(moved)}`));
+        return;
+      }
+
+      const proposals = findDuplicateCandidates(await venueRepository.list(), { minScore: options.minScore });
+
+      if (options.json) {
+        console.log(JSON.stringify(proposals, null, 2));
+        return;
+      }
+
+      if (proposals.length === 0) {
+        console.log(colors.green("重複の候補はありません"));
+        return;
+      }
+
+      console.log(colors.bold.blue(`\n🔍 重複の候補: ${proposals.length} 組\n`));
+      proposals.forEach((proposal, index) => console.log(formatProposal(proposal, index)));
+
+      if (!options.auto) {
+        console.log(colors.gray("\n統合するには --merge <残す店舗ID>:<統合する店舗ID> または --auto を指定してください"));
+        return;
+      }
+
+      // 同じ店舗が複数の組に出てくる場合、先に統合した組で消えた店舗の組は飛ばす
+      const merged = new Set<string>();
+      const targets = proposals.filter((proposal) => proposal.confidence === "high");
+      if (targets.length === 0) {
+        console.log(colors.yellow(`\nscore ${CONFIDENCE_THRESHOLDS.high} 以上の組はありません`));
+        return;
+      }
+
+      if (!options.yes) {
+        const confirmed = await Confirm.prompt(`${targets.length} 組の店舗を統合しますか？`);
+        if (!confirmed) {
+          console.log(colors.gray("統合を中止しました"));
+          return;
+        }
+      }
+
+      for (const proposal of targets) {
+        if (merged.has(proposal.survivorId) || merged.has(proposal.duplicateId)) continue;
+        await venueRepository.merge(proposal.survivorId, proposal.duplicateId, { author: CLI_AUTHOR });
+        merged.add(proposal.duplicateId);
+        console.log(colors.green(`✅ ${proposal.duplicateId} を ${proposal.survivorId} に統合しました`));
+      }
+    } catch (error) {
+      console.error(colors.red("❌ 重複の統合に失敗しました:"), error.message);
+      Deno.exit(1);
+    }
+  });
+
+if (import.meta.main) {
+  try {
+    await dedupeVenues.parse(Deno.args);
+  } catch (error) {
+    console.error(colors.red("❌ エラー:"), error.message);
+    Deno.exit(1);
+  }
+}
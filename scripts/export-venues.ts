@@ -0,0 +1,61 @@
+#!/usr/bin/env -S deno run -A
+
+import { Command } from "https://deno.land/x/cliffy@v1.0.0-rc.3/command/mod.ts";
+import { colors } from "https://deno.land/x/cliffy@v1.0.0-rc.3/ansi/colors.ts";
+import { initDatabase } from "../utils/database.ts";
+import { venueRepository } from "../utils/sqlite-venue-repository.ts";
+import { EXPORT_FORMATS, exportVenues } from "../utils/venue-export.js";
+
+// 店舗一覧の書き出しCLIツール
+const exportVenuesCommand = new Command()
+  .name("export-venues")
+  .version("1.0.0")
+  .description("venues テーブルの店舗を GeoJSON / KML / CSV で書き出す")
+  .option("-f, --format <format:string>", `書き出す形式 (${Object.keys(EXPORT_FORMATS).join("|")})。省略時は出力先の拡張子から判定`)
+  .option("-o, --output <file:string>", "出力先のファイル（省略時は標準出力）")
+  .option("-c, --category <category:string>", "カテゴリで絞り込む")
+  .option("--ids <ids:string>", "店舗IDで絞り込む（カンマ区切り）")
+  .option("--japanese-headers", "CSV の列名を日本語にする", { default: false })
+  .option("--title <title:string>", "KML のドキュメント名")
+  .action(async (options) => {
+    try {
+      const format = options.format ?? options.output?.split(".").pop()?.toLowerCase();
+      if (!format || !(format in EXPORT_FORMATS)) {
+        throw new Error(`--format に ${Object.keys(EXPORT_FORMATS).join(" / ")} のいずれかを指定してください`);
+      }
+
+      await initDatabase();
+      const ids = options.ids ? options.ids.split(",").map((id) => id.trim()) : null;
+      const venues = (await venueRepository.list()).filter((venue) =>
+        (!options.category || venue.category === options.category) && (!ids || ids.includes(venue.id))
+      );
+
+      const result = exportVenues(venues, format, {
+        title: options.title,
+        headers: options.japaneseHeaders ? "ja" : "en",
+      });
+
+      if (!options.output) {
+        await Deno.stdout.write(new TextEncoder().encode(result.content));
+        return;
+      }
+
+      await Deno.writeTextFile(options.output, result.content);
+      console.log(colors.green(`✅ ${result.count} 件の店舗を ${options.output} に書き出しました`));
+      if (result.skipped.length > 0) {
+        console.log(colors.yellow(`⚠ 座標のない ${result.skipped.length} 件は書き出していません: ${result.skipped.join(", ")}`));
+      }
+    } catch (error) {
+      console.error(colors.red("❌ 書き出しに失敗しました:"), error.message);
+      Deno.exit(1);
+    }
+  });
+
+if (import.meta.main) {
+  try {
+    await exportVenuesCommand.parse(Deno.args);
+  } catch (error) {
+    console.error(colors.red("❌ エラー:"), error.message);
+    Deno.exit(1);
+  }
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env -S deno run -A
+
+import { Command } from "https://deno.land/x/cliffy@v1.0.0-rc.3/command/mod.ts";
+import { Confirm } from "https://deno.land/x/cliffy@v1.0.0-rc.3/prompt/mod.ts";
+import { colors } from "https://deno.land/x/cliffy@v1.0.0-rc.3/ansi/colors.ts";
+import { initDatabase } from "../utils/database.ts";
+import { venueRepository } from "../utils/sqlite-venue-repository.ts";
+import { formatImportReport, getImportableVenues, planVenueImport } from "../utils/venue-import.js";
+
+// 住所から座標を補完（Google Geocoding API）
+// アプリでは MapService.geocodeAddress（端末の位置情報サービス）を使うが、CLI は Deno で動くため API を直接呼ぶ
+async function geocodeWithGoogle(address: string): Promise<{ lat: number; lng: number } | null> {
+  const apiKey = Deno.env.get("GOOGLE_MAPS_API_KEY");
+  if (!apiKey) return null;
+
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&language=ja&key=${apiKey}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Geocoding API の呼び出しに失敗しました（${response.status}）`);
+  }
+
+  const data = await response.json();
+  const location = data.results?.[0]?.geometry?.location;
+  return location ? { lat: location.lat, lng: location.lng } : null;
+}
+
+// 店舗一覧の取り込みCLIツール
+const importVenues = new Command()
+  .name("import-venues")
+  .version("1.0.0")
+  .description("CSV / GeoJSON の店舗一覧を検証して venues テーブルに取り込む")
+  .arguments("<file:string>")
+  .option("-f, --format <format:string>", "ファイル形式 (csv|geojson)。省略時は拡張子と内容から判定")
+  .option("--commit", "検証後に保存する（指定しなければ報告のみ）", { default: false })
+  .option("--include-duplicates", "重複と判定された行も保存する", { default: false })
+  .option("--no-geocode", "座標のない行を住所から補完しない")
+  .option("-y, --yes", "保存前の確認を省略", { default: false })
+  .option("--json", "報告を JSON で出力", { default: false })
+  .action(async (options, file) => {
+    try {
+      await initDatabase();
+      const text = await Deno.readTextFile(file);
+
+      if (options.geocode && !Deno.env.get("GOOGLE_MAPS_API_KEY")) {
+        console.log(colors.yellow("⚠ GOOGLE_MAPS_API_KEY が未設定のため、座標のない行は補完しません\n"));
+      }
+
+      const report = await planVenueImport(text, {
+        format: options.format,
+        fileName: file,
+        existingVenues: await venueRepository.list(),
+        geocode: options.geocode ? geocodeWithGoogle : null,
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log(colors.bold.blue(`\n📥 取り込み内容の確認: ${file}\n`));
+        console.log(formatImportReport(report));
+      }
+
+      if (!options.commit) {
+        if (!options.json) {
+          console.log(colors.gray("\n保存するには --commit を付けて実行してください"));
+        }
+        return;
+      }
+
+      const venues = getImportableVenues(report, { includeDuplicates: options.includeDuplicates });
+      if (venues.length === 0) {
+        console.log(colors.yellow("\n保存できる店舗がありません"));
+        return;
+      }
+
+      if (!options.yes) {
+        const confirmed = await Confirm.prompt(`${venues.length} 件の店舗を保存しますか？`);
+        if (!confirmed) {
+          console.log(colors.gray("取り込みを中止しました"));
+          return;
+        }
+      }
+
+      const saved = await venueRepository.upsert(venues);
+      console.log(colors.green(`\n✅ ${saved.length} 件の店舗を保存しました（うち登録済みの更新 ${report.summary.updates} 件）`));
+
+      if (report.summary.invalid > 0) {
+        Deno.exit(2);
+      }
+    } catch (error) {
+      console.error(colors.red("❌ 取り込みに失敗しました:"), error.message);
+      Deno.exit(1);
+    }
+  });
+
+if (import.meta.main) {
+  try {
+    await importVenues.parse(Deno.args);
+  } catch (error) {
+    console.error(colors.red("❌ エラー:"), error.message);
+    Deno.exit(1);
+  }
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env -S deno run -A
+
+import { Command } from "https://deno.land/x/cliffy@v1.0.0-rc.3/command/mod.ts";
+import { colors } from "https://deno.land/x/cliffy@v1.0.0-rc.3/ansi/colors.ts";
+import { initDatabase } from "../utils/database.ts";
+import { getUserByEmail } from "../utils/user-service.ts";
+import { approveOwnerEdit, getPendingOwnerEdits, rejectOwnerEdit } from "../utils/venue-owner-service.ts";
+import { HISTORY_FIELD_LABELS } from "../utils/venue-history.js";
+
+const fieldLabel = (field: string) =>
+  HISTORY_FIELD_LABELS[field as keyof typeof HISTORY_FIELD_LABELS] || field;
+
+function formatValue(value: unknown): string {
+  if (value === null || value === undefined) return "（なし）";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+// オーナーによる店舗編集の審査CLIツール
+const moderateVenueEdits = new Command()
+  .name("moderate-venue-edits")
+  .version("1.0.0")
+  .description("店舗オーナーの編集（審査待ち）を確認して承認・却下する")
+  .option("--reviewer <email:string>", "審査する管理者のメールアドレス（承認・却下に必要）")
+  .option("--approve <id:number>", "編集を承認して店舗に反映する")
+  .option("--reject <id:number>", "編集を却下する（--comment で理由が必要）")
+  .option("--comment <comment:string>", "審査のコメント（却下の理由）", { default: "" })
+  .option("--json", "審査待ちの一覧を JSON で出力", { default: false })
+  .action(async (options) => {
+    try {
+      await initDatabase();
+
+      if (options.approve !== undefined || options.reject !== undefined) {
+        const reviewer = options.reviewer ? getUserByEmail(options.reviewer) : null;
+        if (!reviewer) {
+          throw new Error("--reviewer に管理者のメールアドレスを指定してください");
+        }
+
+        if (options.approve !== undefined) {
+          const venue = await approveOwnerEdit(options.approve, reviewer.id, options.comment);
+          console.log(colors.green(`✅ 編集 #${options.approve} を承認し、「${venue.name}」に反映しました`));
+        } else {
+          rejectOwnerEdit(options.reject!, reviewer.id, options.comment);
+          console.log(colors.yellow(`編集 #${options.reject} を却下しました`));
+        }
+        return;
+      }
+
+      const edits = getPendingOwnerEdits();
+
+      if (options.json) {
+        console.log(JSON.stringify(edits, null, 2));
+        return;
+      }
+
+      if (edits.length === 0) {
+        console.log(colors.green("審査待ちの編集はありません"));
+        return;
+      }
+
+      console.log(colors.bold.blue(`\n📝 審査待ちの編集: ${edits.length} 件\n`));
+      for (const edit of edits) {
+        console.log(`#${edit.id} ${edit.venueName ?? edit.venueId} — ${edit.summary}（${edit.authorName ?? edit.userId}, ${edit.createdAt}）`);
+        if (edit.note) console.log(colors.gray(`   メモ: ${edit.note}`));
+        for (const change of edit.changes) {
+          console.log(`   ${fieldLabel(change.field)}: ${formatValue(change.before)} → ${formatValue(change.after)}`);
+        }
+        if (edit.conflicts.length > 0) {
+          console.log(colors.red(`   ⚠️ 申請後に変更された項目: ${edit.conflicts.map(fieldLabel).join("、")}（承認すると上書きします）`));
+        }
+        console.log("");
+      }
+      console.log(colors.gray("承認: --approve <id> / 却下: --reject <id> --comment <理由>（どちらも --reviewer <email> が必要）"));
+    } catch (error) {
+      console.error(colors.red("❌ 編集の審査に失敗しました:"), error.message);
+      Deno.exit(1);
+    }
+  });
+
+if (import.meta.main) {
+  try {
+    await moderateVenueEdits.parse(Deno.args);
+  } catch (error) {
+    console.error(colors.red("❌ エラー:"), error.message);
+    Deno.exit(1);
+  }
+}
@@ -330,6 +330,16 @@ class AuthService {
     return this.currentUser;
   }
 
+  // 店舗の編集履歴などに残す変更者（未ログインなら null）
+  getCurrentAuthor() {
+    if (!this.currentUser) return null;
+    return {
+      id: this.currentUser.id,
+      name: this.currentUser.displayName,
+      role: this.currentUser.role || 'user',
+    };
+  }
+
   // ログイン状態確認
   isAuthenticated() {
     return this.currentUser !== null;
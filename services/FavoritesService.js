@@ -1,4 +1,5 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { normalizeVenue } from '../utils/venue-schema';
 
 class FavoritesService {
   constructor() {
@@ -35,10 +36,8 @@ class FavoritesService {
 
       this.favorites.clear();
       favoritesList.forEach(favorite => {
-        this.favorites.set(favorite.id, {
-          ...favorite,
-          favoriteDate: new Date(favorite.favoriteDate),
-        });
+        const item = this.toFavoriteItem(favorite, favorite.favoriteDate);
+        this.favorites.set(item.id, item);
       });
 
       console.log(`Loaded ${this.favorites.size} favorites`);
@@ -61,31 +60,23 @@ class FavoritesService {
     }
   }
 
+  // お気に入りには店舗の正規形（utils/venue-schema.js）と追加日時を保存する
+  toFavoriteItem(venue, favoriteDate) {
+    return {
+      ...normalizeVenue(venue),
+      favoriteDate: new Date(favoriteDate),
+    };
+  }
+
   async addFavorite(venue) {
     try {
       if (!venue || !venue.id) {
         throw new Error('Invalid venue data');
       }
 
-      const favoriteItem = {
-        id: venue.id,
-        name: venue.name,
-        category: venue.category,
-        rating: venue.rating,
-        reviewCount: venue.reviewCount || 0,
-        priceRange: venue.priceRange,
-        distance: venue.distance,
-        description: venue.description,
-        address: venue.address,
-        phone: venue.phone,
-        website: venue.website,
-        coordinates: venue.coordinates,
-        favoriteDate: new Date(),
-        tags: venue.tags || [],
-        images: venue.images || [],
-      };
+      const favoriteItem = this.toFavoriteItem(venue, new Date());
 
-      this.favorites.set(venue.id, favoriteItem);
+      this.favorites.set(favoriteItem.id, favoriteItem);
       await this.saveFavorites();
 
       this.emit('favoriteAdded', { venue: favoriteItem });
@@ -108,12 +99,12 @@ class FavoritesService {
         throw new Error('Venue ID is required');
       }
 
-      const removedVenue = this.favorites.get(venueId);
+      const removedVenue = this.favorites.get(String(venueId));
       if (!removedVenue) {
         return false; // Already not in favorites
       }
 
-      this.favorites.delete(venueId);
+      this.favorites.delete(String(venueId));
       await this.saveFavorites();
 
       this.emit('favoriteRemoved', { venue: removedVenue });
@@ -130,6 +121,36 @@ class FavoritesService {
     }
   }
 
+  // 店舗の統合（VenueMergeService）で fromId の店舗がなくなったとき、お気に入りを残す店舗に付け替える
+  // どちらかがお気に入りなら統合後の店舗で登録し直す（追加日時は古い方）
+  async repointFavorite(fromId, venue) {
+    try {
+      const from = this.favorites.get(String(fromId));
+      const existing = this.favorites.get(String(venue.id));
+      if (!from && !existing) {
+        return false;
+      }
+
+      const dates = [from, existing].filter(Boolean).map(favorite => favorite.favoriteDate);
+      const favoriteItem = this.toFavoriteItem(venue, Math.min(...dates));
+
+      this.favorites.delete(String(fromId));
+      this.favorites.set(favoriteItem.id, favoriteItem);
+      await this.saveFavorites();
+
+      this.emit('favoritesChanged', {
+        action: 'merged',
+        venue: favoriteItem,
+        totalCount: this.favorites.size
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Failed to repoint favorite:', error);
+      return false;
+    }
+  }
+
   async toggleFavorite(venue) {
     try {
       if (!venue || !venue.id) {
@@ -152,7 +173,8 @@ class FavoritesService {
   }
 
   isFavorite(venueId) {
-    return this.favorites.has(venueId);
+    // 店舗IDは正規形にそろえて文字列で持つ
+    return this.favorites.has(String(venueId));
   }
 
   getFavorites() {
@@ -160,7 +182,7 @@ class FavoritesService {
   }
 
   getFavoriteById(venueId) {
-    return this.favorites.get(venueId);
+    return this.favorites.get(String(venueId));
   }
 
   async searchFavorites(query = '') {
@@ -327,11 +349,9 @@ class FavoritesService {
       let importedCount = 0;
       
       for (const favorite of data.favorites) {
-        if (favorite.id && !this.favorites.has(favorite.id)) {
-          this.favorites.set(favorite.id, {
-            ...favorite,
-            favoriteDate: new Date(favorite.favoriteDate),
-          });
+        if (favorite.id && !this.favorites.has(String(favorite.id))) {
+          const item = this.toFavoriteItem(favorite, favorite.favoriteDate);
+          this.favorites.set(item.id, item);
           importedCount++;
         }
       }
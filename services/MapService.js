@@ -1,5 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Location from 'expo-location';
+import VenueRepository from './VenueRepository';
+import { getBoundsAround } from '../utils/venue-repository';
 
 class MapService {
   constructor() {
@@ -333,73 +335,26 @@ class MapService {
         throw new Error('現在位置を取得できません');
       }
 
-      // モック店舗データ（実際の実装では外部APIを使用）
-      const mockVenues = [
-        {
-          id: 'venue_1',
-          name: '渋谷 VISION',
-          category: 'club',
-          latitude: 35.6581,
-          longitude: 139.7006,
-          address: '東京都渋谷区道玄坂2-10-7',
-          rating: 4.2,
-          priceRange: 3,
-        },
-        {
-          id: 'venue_2',
-          name: '六本木 バーン',
-          category: 'bar',
-          latitude: 35.6627,
-          longitude: 139.7315,
-          address: '東京都港区六本木7-14-10',
-          rating: 4.5,
-          priceRange: 4,
-        },
-        {
-          id: 'venue_3',
-          name: '新宿 ラウンジ アジュール',
-          category: 'lounge',
-          latitude: 35.6938,
-          longitude: 139.7034,
-          address: '東京都新宿区歌舞伎町1-1-1',
-          rating: 4.0,
-          priceRange: 3,
-        },
-        {
-          id: 'venue_4',
-          name: '銀座 クラブ エル',
-          category: 'club',
-          latitude: 35.6724,
-          longitude: 139.7656,
-          address: '東京都中央区銀座8-5-6',
-          rating: 4.3,
-          priceRange: 5,
-        },
-        {
-          id: 'venue_5',
-          name: '恵比寿 カクテル バー',
-          category: 'bar',
-          latitude: 35.6467,
-          longitude: 139.7101,
-          address: '東京都渋谷区恵比寿1-20-8',
-          rating: 4.1,
-          priceRange: 3,
-        }
-      ];
+      // 半径を囲む範囲の店舗をリポジトリから読み、円の外は距離で落とす
+      await VenueRepository.initialize();
+      const { latitude, longitude } = this.currentLocation;
+      const venues = await VenueRepository.queryByBounds(
+        getBoundsAround(latitude, longitude, radius),
+        { category }
+      );
 
       // 距離でフィルタリング
-      const nearbyVenues = mockVenues
+      const nearbyVenues = venues
         .map(venue => ({
           ...venue,
           distance: this.calculateDistance(
             this.currentLocation.latitude,
             this.currentLocation.longitude,
-            venue.latitude,
-            venue.longitude
+            venue.coordinates.lat,
+            venue.coordinates.lng
           )
         }))
         .filter(venue => venue.distance <= radius)
-        .filter(venue => !category || venue.category === category)
         .sort((a, b) => a.distance - b.distance);
 
       return {
@@ -439,8 +394,8 @@ class MapService {
     }
   }
 
-  // 現在位置を取得
-  getCurrentLocation() {
+  // 最後に取得した位置を取得（位置情報の再取得は行わない）
+  getLastKnownLocation() {
     return this.currentLocation;
   }
 
@@ -466,8 +421,13 @@ class MapService {
       };
     }
 
-    const lats = venues.map(venue => venue.latitude);
-    const lngs = venues.map(venue => venue.longitude);
+    const located = venues.filter(venue => venue.coordinates);
+    if (located.length === 0) {
+      return this.calculateMapRegion([], padding);
+    }
+
+    const lats = located.map(venue => venue.coordinates.lat);
+    const lngs = located.map(venue => venue.coordinates.lng);
 
     const minLat = Math.min(...lats);
     const maxLat = Math.max(...lats);
@@ -531,7 +531,8 @@ class NotificationService {
     });
   }
 
-  async createNewVenueNotification(venueData) {
+  // extraData: 通知の data に追加する情報（保存した検索条件など）
+  async createNewVenueNotification(venueData, extraData = {}) {
     return await this.createNotification({
       type: 'newVenue',
       category: 'newVenue',
@@ -543,6 +544,7 @@ class NotificationService {
         venueName: venueData.name,
         category: venueData.category,
         area: venueData.area,
+        ...extraData,
       },
     });
   }
@@ -0,0 +1,317 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import FavoritesService from './FavoritesService';
+import ReviewService from './ReviewService';
+import MapService from './MapService';
+import { normalizeText } from '../utils/search-normalizer';
+import { TOKYO_AREAS } from '../constants/TokyoPlaces';
+
+// 好みの種類ごとの加点の上限（calculateRelevanceScore の評価点 rating * 10 と同じ尺度）
+const AFFINITY_WEIGHTS = {
+  category: 15,
+  priceRange: 8,
+  tag: 10,
+  area: 10,
+};
+
+// シグナルごとの重み
+const SIGNAL_WEIGHTS = {
+  favorite: 1,
+  review: 1, // (評価 - 3) / 2 を掛ける。低評価の店の傾向は減点になる
+  history: 0.3,
+};
+
+// 店舗がエリアに属するとみなす中心からの距離（メートル）
+const AREA_RADIUS = 1000;
+
+// プロフィールを作り直すきっかけになるイベント
+const FAVORITE_EVENTS = ['favoritesChanged', 'favoriteRemoved', 'favoritesCleared', 'favoritesImported'];
+const REVIEW_EVENTS = ['reviewCreated', 'reviewUpdated', 'reviewDeleted'];
+
+// 好みの傾向（お気に入り・自分のレビュー・検索履歴）からのランキング加点
+// ユーザーが有効にしたときだけ使う（初期状態は無効）
+class PersonalizationService {
+  constructor() {
+    this.initialized = false;
+    this.settings = {}; // userId -> { enabled }
+    this.profiles = new Map(); // userId -> 好みのプロフィール
+    this.profileVersion = 0;
+    this.listeners = [];
+    this.storageKey = '@nightlife_navigator:personalization';
+    this.config = {
+      profileExpiry: 60 * 1000,
+      minSignals: 2, // これより少ない手がかりでは個人化しない
+      maxHistoryEntries: 50,
+    };
+    this.handleSignalsChanged = this.handleSignalsChanged.bind(this);
+  }
+
+  static getInstance() {
+    if (!PersonalizationService.instance) {
+      PersonalizationService.instance = new PersonalizationService();
+    }
+    return PersonalizationService.instance;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await FavoritesService.initialize();
+      await ReviewService.initialize();
+      await this.loadSettings();
+
+      FAVORITE_EVENTS.forEach(eventType => {
+        FavoritesService.addEventListener(eventType, this.handleSignalsChanged);
+      });
+      REVIEW_EVENTS.forEach(eventType => {
+        ReviewService.addEventListener(eventType, this.handleSignalsChanged);
+      });
+
+      this.initialized = true;
+      console.log('PersonalizationService initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize PersonalizationService:', error);
+      throw error;
+    }
+  }
+
+  async loadSettings() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      this.settings = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to load personalization settings:', error);
+      this.settings = {};
+    }
+  }
+
+  async saveSettings() {
+    try {
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (error) {
+      console.error('Failed to save personalization settings:', error);
+    }
+  }
+
+  isEnabled(userId) {
+    return Boolean(this.settings[userId]?.enabled);
+  }
+
+  async setEnabled(userId, enabled) {
+    this.settings[userId] = { ...this.settings[userId], enabled: Boolean(enabled) };
+    this.profiles.delete(userId);
+    this.profileVersion++;
+    await this.saveSettings();
+
+    this.emit('personalizationChanged', { userId, enabled: Boolean(enabled) });
+    return this.isEnabled(userId);
+  }
+
+  // お気に入りやレビューが変わったらプロフィールを作り直す
+  handleSignalsChanged() {
+    this.profiles.clear();
+    this.profileVersion++;
+    this.emit('personalizationChanged', { profileVersion: this.profileVersion });
+  }
+
+  // 店舗の属するエリア（中心から一定距離以内で最も近いもの、なければ住所の表記）
+  getVenueArea(venue) {
+    if (!venue) return null;
+
+    if (venue.coordinates) {
+      let nearest = null;
+      let nearestDistance = AREA_RADIUS;
+      TOKYO_AREAS.forEach(area => {
+        const distance = MapService.calculateDistance(
+          venue.coordinates.lat,
+          venue.coordinates.lng,
+          area.lat,
+          area.lng
+        );
+        if (distance <= nearestDistance) {
+          nearest = area;
+          nearestDistance = distance;
+        }
+      });
+      if (nearest) return nearest;
+    }
+
+    const address = venue.address || '';
+    return TOKYO_AREAS.find(area => address.includes(area.name)) || null;
+  }
+
+  // context.getVenue: 店舗IDから店舗を引く / context.history: このユーザーの検索履歴
+  getProfile(userId, context = {}) {
+    const cached = this.profiles.get(userId);
+    if (cached && Date.now() - cached.builtAt < this.config.profileExpiry) {
+      return cached;
+    }
+
+    const profile = this.buildProfile(userId, context);
+    this.profiles.set(userId, profile);
+    return profile;
+  }
+
+  buildProfile(userId, context = {}) {
+    const { getVenue = () => null, history = [] } = context;
+    const affinities = { category: {}, priceRange: {}, tag: {}, area: {} };
+    const sources = { favorites: 0, reviews: 0, searches: 0 };
+
+    // タグは表記ゆれを吸収した正規化済みのキーで数える
+    const add = (type, value, weight) => {
+      if (value === undefined || value === null || value === '' || weight === 0) return false;
+      const key = type === 'tag' ? normalizeText(value) : value;
+      affinities[type][key] = (affinities[type][key] || 0) + weight;
+      return true;
+    };
+
+    const addVenueTraits = (venue, weight) => {
+      add('priceRange', venue.priceRange, weight);
+      (venue.tags || []).forEach(tag => add('tag', tag, weight));
+      const area = this.getVenueArea(venue);
+      if (area) add('area', area.id, weight);
+    };
+
+    // お気に入り: カテゴリ・価格帯は集計済みの統計を使う
+    const favoriteStats = FavoritesService.getFavoriteStats();
+    Object.entries(favoriteStats.categoryBreakdown).forEach(([category, count]) => {
+      add('category', category, count * SIGNAL_WEIGHTS.favorite);
+    });
+    Object.entries(favoriteStats.priceRangeBreakdown).forEach(([priceRange, count]) => {
+      add('priceRange', priceRange, count * SIGNAL_WEIGHTS.favorite);
+    });
+    FavoritesService.getFavorites().forEach(favorite => {
+      (favorite.tags || []).forEach(tag => add('tag', tag, SIGNAL_WEIGHTS.favorite));
+      const area = this.getVenueArea(favorite);
+      if (area) add('area', area.id, SIGNAL_WEIGHTS.favorite);
+    });
+    sources.favorites = favoriteStats.totalCount;
+
+    // 自分のレビュー: 高評価の店の傾向は加点、低評価は減点
+    ReviewService.getReviewsByUser(userId, { limit: 100 }).forEach(review => {
+      const weight = ((review.rating - 3) / 2) * SIGNAL_WEIGHTS.review;
+      const venue = getVenue(review.venueId);
+      if (venue) {
+        add('category', venue.category, weight);
+        addVenueTraits(venue, weight);
+      }
+      if (weight > 0) {
+        (review.tags || []).forEach(tag => add('tag', tag, weight));
+      }
+      sources.reviews++;
+    });
+
+    // 検索履歴: 絞り込んだ条件と、検索語に含まれるエリア名
+    history.slice(0, this.config.maxHistoryEntries).forEach(search => {
+      const filters = search.filters || {};
+      const query = normalizeText(search.query);
+      const matchedAreas = query
+        ? TOKYO_AREAS.filter(area => query.includes(normalizeText(area.name)) || query.includes(area.kana))
+        : [];
+
+      const added = [
+        ...(filters.categories || []).map(category => add('category', category, SIGNAL_WEIGHTS.history)),
+        ...(filters.priceRanges || []).map(priceRange => add('priceRange', priceRange, SIGNAL_WEIGHTS.history)),
+        ...(filters.tags || []).map(tag => add('tag', tag, SIGNAL_WEIGHTS.history)),
+        ...matchedAreas.map(area => add('area', area.id, SIGNAL_WEIGHTS.history)),
+      ];
+      if (added.some(Boolean)) sources.searches++;
+    });
+
+    // 種類ごとに最大の絶対値で割り、-1〜1 の好み度にする
+    Object.values(affinities).forEach(values => {
+      const max = Math.max(0, ...Object.values(values).map(Math.abs));
+      Object.keys(values).forEach(key => {
+        values[key] = max > 0 ? values[key] / max : 0;
+      });
+    });
+
+    const signalCount = sources.favorites + sources.reviews + sources.searches;
+
+    return {
+      userId,
+      version: this.profileVersion,
+      builtAt: Date.now(),
+      active: signalCount >= this.config.minSignals,
+      sources,
+      affinities,
+    };
+  }
+
+  // 店舗への加点と、その内訳（説明表示用）
+  // 戻り値: { boost, reasons: [{ type, value, affinity, points }] }
+  scoreVenue(venue, profile) {
+    if (!profile || !profile.active || !venue) {
+      return { boost: 0, reasons: [] };
+    }
+
+    const reasons = [];
+    const addReason = (type, value, affinity) => {
+      if (!affinity) return;
+      reasons.push({
+        type,
+        value,
+        affinity: Math.round(affinity * 100) / 100,
+        points: Math.round(affinity * AFFINITY_WEIGHTS[type] * 10) / 10,
+      });
+    };
+
+    addReason('category', venue.category, profile.affinities.category[venue.category]);
+    addReason('priceRange', venue.priceRange, profile.affinities.priceRange[venue.priceRange]);
+
+    // タグは最も好みに合う1つだけを数える（タグの多い店が有利にならないように）
+    const bestTag = (venue.tags || [])
+      .map(tag => ({ tag, affinity: profile.affinities.tag[normalizeText(tag)] || 0 }))
+      .sort((a, b) => b.affinity - a.affinity)[0];
+    if (bestTag) addReason('tag', bestTag.tag, bestTag.affinity);
+
+    const area = this.getVenueArea(venue);
+    if (area) addReason('area', area.name, profile.affinities.area[area.id]);
+
+    return {
+      boost: reasons.reduce((sum, reason) => sum + reason.points, 0),
+      reasons: reasons.sort((a, b) => b.points - a.points),
+    };
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+
+  async cleanup() {
+    try {
+      FAVORITE_EVENTS.forEach(eventType => {
+        FavoritesService.removeEventListener(eventType, this.handleSignalsChanged);
+      });
+      REVIEW_EVENTS.forEach(eventType => {
+        ReviewService.removeEventListener(eventType, this.handleSignalsChanged);
+      });
+      this.listeners = [];
+      this.profiles.clear();
+      this.initialized = false;
+      console.log('PersonalizationService cleaned up');
+    } catch (error) {
+      console.error('Failed to cleanup PersonalizationService:', error);
+    }
+  }
+}
+
+export default PersonalizationService.getInstance();
@@ -291,6 +291,41 @@ class ReviewService {
     }
   }
 
+  // 店舗の統合（VenueMergeService）でレビューを残す店舗に付け替える
+  // 同じユーザーが両方の店舗にレビューしていた場合は残す店舗のレビューを残す
+  async repointReviews(fromId, toId) {
+    try {
+      const reviews = Array.from(this.reviews.values());
+      const targetUsers = new Set(
+        reviews.filter(review => review.venueId === toId).map(review => review.userId)
+      );
+      let moved = 0;
+      let removed = 0;
+
+      reviews
+        .filter(review => review.venueId === fromId)
+        .forEach(review => {
+          if (targetUsers.has(review.userId)) {
+            this.reviews.delete(review.id);
+            removed++;
+          } else {
+            this.reviews.set(review.id, { ...review, venueId: toId });
+            moved++;
+          }
+        });
+
+      if (moved > 0 || removed > 0) {
+        await this.saveReviews();
+        this.emit('reviewsUpdated', this.getReviewsByVenue(toId));
+      }
+
+      return { success: true, moved, removed };
+    } catch (error) {
+      console.error('Failed to repoint reviews:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // レビューにヘルプフル投票
   async markReviewHelpful(reviewId, isHelpful = true) {
     try {
@@ -0,0 +1,342 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueSearchService from './VenueSearchService';
+import NotificationService from './NotificationService';
+import AuthService from './AuthService';
+
+// 再評価時に無視するフィルター（時刻・現在地・混雑状況に依存し、保存時点の値に意味がないもの）
+const TRANSIENT_FILTER_KEYS = ['userLocation', 'openNow', 'openAt', 'uncrowded'];
+
+class SavedSearchService {
+  constructor() {
+    this.initialized = false;
+    this.savedSearches = new Map();
+    this.listeners = [];
+    this.storageKey = '@nightlife_navigator:saved_searches';
+    this.maxSavedSearchesPerUser = 20;
+    this.maxNotifiedVenueIds = 200;
+    this.evaluationQueue = Promise.resolve();
+    this.handleVenuesChanged = this.handleVenuesChanged.bind(this);
+  }
+
+  static getInstance() {
+    if (!SavedSearchService.instance) {
+      SavedSearchService.instance = new SavedSearchService();
+    }
+    return SavedSearchService.instance;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await VenueSearchService.initialize();
+      await this.loadSavedSearches();
+
+      // 店舗の追加・更新のたびにバックグラウンドで保存済み検索を再評価
+      // （アプリでの追加だけでなく、インポートや他の端末・サーバーでの変更も含む）
+      VenueSearchService.addEventListener('venuesChanged', this.handleVenuesChanged);
+
+      this.initialized = true;
+      console.log('SavedSearchService initialized successfully');
+
+      // 前回の評価以降に追加された店舗を確認（初期化は待たせない）
+      this.evaluateSavedSearches();
+    } catch (error) {
+      console.error('Failed to initialize SavedSearchService:', error);
+      throw error;
+    }
+  }
+
+  async loadSavedSearches() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      const savedSearchList = stored ? JSON.parse(stored) : [];
+
+      this.savedSearches.clear();
+      savedSearchList.forEach(savedSearch => {
+        this.savedSearches.set(savedSearch.id, savedSearch);
+      });
+
+      console.log(`Loaded ${this.savedSearches.size} saved searches`);
+    } catch (error) {
+      console.error('Failed to load saved searches:', error);
+      this.savedSearches.clear();
+    }
+  }
+
+  async saveSavedSearches() {
+    try {
+      const savedSearchList = Array.from(this.savedSearches.values());
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(savedSearchList));
+    } catch (error) {
+      console.error('Failed to save saved searches:', error);
+    }
+  }
+
+  getCurrentUserId() {
+    const user = AuthService.getCurrentUser();
+    return user ? user.id : 'anonymous';
+  }
+
+  getSavedSearches(userId = this.getCurrentUserId()) {
+    return Array.from(this.savedSearches.values())
+      .filter(savedSearch => savedSearch.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  getSavedSearchById(savedSearchId) {
+    return this.savedSearches.get(savedSearchId) || null;
+  }
+
+  async saveSearch({ name, query = '', filters = {} }, userId = this.getCurrentUserId()) {
+    try {
+      const storedFilters = { ...filters };
+      delete storedFilters.userLocation;
+
+      const hasFilters = Object.values(storedFilters).some(value =>
+        Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== false
+      );
+      if (!query.trim() && !hasFilters) {
+        throw new Error('保存する検索条件がありません');
+      }
+
+      if (this.getSavedSearches(userId).length >= this.maxSavedSearchesPerUser) {
+        throw new Error(`保存できる検索条件は${this.maxSavedSearchesPerUser}件までです`);
+      }
+
+      const now = new Date().toISOString();
+      const savedSearch = {
+        id: `saved_search_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        userId,
+        name: (name || '').trim() || query.trim() || '保存した検索',
+        query: query.trim(),
+        filters: storedFilters,
+        createdAt: now,
+        updatedAt: now,
+        lastEvaluatedAt: now,
+        notifiedVenueIds: [],
+      };
+
+      this.savedSearches.set(savedSearch.id, savedSearch);
+      await this.saveSavedSearches();
+
+      this.emit('savedSearchAdded', savedSearch);
+      this.emit('savedSearchesChanged', this.getSavedSearches(userId));
+
+      return { success: true, savedSearch };
+    } catch (error) {
+      console.error('Failed to save search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async renameSavedSearch(savedSearchId, name) {
+    try {
+      const savedSearch = this.savedSearches.get(savedSearchId);
+      if (!savedSearch) {
+        throw new Error('保存した検索が見つかりません');
+      }
+
+      const trimmedName = (name || '').trim();
+      if (!trimmedName) {
+        throw new Error('名前を入力してください');
+      }
+
+      const updated = {
+        ...savedSearch,
+        name: trimmedName,
+        updatedAt: new Date().toISOString(),
+      };
+
+      this.savedSearches.set(savedSearchId, updated);
+      await this.saveSavedSearches();
+
+      this.emit('savedSearchesChanged', this.getSavedSearches(updated.userId));
+
+      return { success: true, savedSearch: updated };
+    } catch (error) {
+      console.error('Failed to rename saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deleteSavedSearch(savedSearchId) {
+    try {
+      const savedSearch = this.savedSearches.get(savedSearchId);
+      if (!savedSearch) {
+        throw new Error('保存した検索が見つかりません');
+      }
+
+      this.savedSearches.delete(savedSearchId);
+      await this.saveSavedSearches();
+
+      this.emit('savedSearchDeleted', savedSearch);
+      this.emit('savedSearchesChanged', this.getSavedSearches(savedSearch.userId));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to delete saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 保存した検索条件で検索を実行
+  async runSavedSearch(savedSearchId, options = {}) {
+    const savedSearch = this.savedSearches.get(savedSearchId);
+    if (!savedSearch) {
+      throw new Error('保存した検索が見つかりません');
+    }
+
+    return await VenueSearchService.searchVenues(savedSearch.query, savedSearch.filters, {
+      ...options,
+      userId: savedSearch.userId,
+    });
+  }
+
+  matchesSavedSearch(savedSearch, venue) {
+    return VenueSearchService.matchesSearch(venue, savedSearch.query, savedSearch.filters, {
+      ignoreFilters: TRANSIENT_FILTER_KEYS,
+    });
+  }
+
+  handleVenuesChanged(change) {
+    if (change.type !== 'upsert' || !change.venue) return;
+
+    // 店舗の保存処理を待たせないよう非同期で評価
+    setTimeout(() => {
+      this.evaluateVenue(change.venue);
+    }, 0);
+  }
+
+  // 評価は1件ずつ順に実行する（並行すると notifiedVenueIds を互いに上書きし、同じ店舗を二重に通知するため）
+  enqueueEvaluation(task) {
+    const run = this.evaluationQueue.then(task);
+    this.evaluationQueue = run.catch(() => {});
+    return run;
+  }
+
+  // 1店舗を現在のユーザーの保存済み検索と照合し、新たに一致したら通知
+  evaluateVenue(venue) {
+    return this.enqueueEvaluation(() => this.runVenueEvaluation(venue));
+  }
+
+  async runVenueEvaluation(venue) {
+    try {
+      const userId = this.getCurrentUserId();
+      const now = new Date().toISOString();
+      let changed = false;
+
+      for (const savedSearch of this.getSavedSearches(userId)) {
+        const notifiedVenueIds = savedSearch.notifiedVenueIds || [];
+        if (notifiedVenueIds.includes(venue.id)) continue;
+        if (!this.matchesSavedSearch(savedSearch, venue)) continue;
+
+        await NotificationService.createNewVenueNotification(
+          { ...venue, area: venue.area || venue.address },
+          { savedSearchId: savedSearch.id, savedSearchName: savedSearch.name }
+        );
+
+        // 通知を待つ間に削除・更新されていれば最新の内容に追記する
+        const current = this.savedSearches.get(savedSearch.id);
+        if (!current) continue;
+        this.savedSearches.set(savedSearch.id, {
+          ...current,
+          lastEvaluatedAt: now,
+          notifiedVenueIds: [venue.id, ...(current.notifiedVenueIds || [])].slice(0, this.maxNotifiedVenueIds),
+        });
+        changed = true;
+
+        this.emit('savedSearchMatched', { savedSearch, venue });
+      }
+
+      if (changed) {
+        await this.saveSavedSearches();
+      }
+    } catch (error) {
+      console.error('Failed to evaluate saved searches for venue:', error);
+    }
+  }
+
+  // 各保存済み検索の前回評価以降に追加された店舗をまとめて再評価
+  evaluateSavedSearches() {
+    return this.enqueueEvaluation(() => this.runSavedSearchesEvaluation());
+  }
+
+  async runSavedSearchesEvaluation() {
+    try {
+      const userId = this.getCurrentUserId();
+      const savedSearches = this.getSavedSearches(userId);
+      if (savedSearches.length === 0) return;
+
+      const venues = VenueSearchService.getVenues();
+      const now = new Date().toISOString();
+
+      for (const savedSearch of savedSearches) {
+        const since = new Date(savedSearch.lastEvaluatedAt || savedSearch.createdAt);
+        const notifiedVenueIds = [...(savedSearch.notifiedVenueIds || [])];
+
+        for (const venue of venues) {
+          if (!venue.createdAt || new Date(venue.createdAt) <= since) continue;
+          if (notifiedVenueIds.includes(venue.id)) continue;
+          if (!this.matchesSavedSearch(savedSearch, venue)) continue;
+
+          await NotificationService.createNewVenueNotification(
+            { ...venue, area: venue.area || venue.address },
+            { savedSearchId: savedSearch.id, savedSearchName: savedSearch.name }
+          );
+          notifiedVenueIds.unshift(venue.id);
+
+          this.emit('savedSearchMatched', { savedSearch, venue });
+        }
+
+        const current = this.savedSearches.get(savedSearch.id);
+        if (!current) continue;
+        this.savedSearches.set(savedSearch.id, {
+          ...current,
+          lastEvaluatedAt: now,
+          notifiedVenueIds: notifiedVenueIds.slice(0, this.maxNotifiedVenueIds),
+        });
+      }
+
+      await this.saveSavedSearches();
+    } catch (error) {
+      console.error('Failed to evaluate saved searches:', error);
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+
+  async cleanup() {
+    try {
+      VenueSearchService.removeEventListener('venuesChanged', this.handleVenuesChanged);
+      this.listeners = [];
+      this.savedSearches.clear();
+      this.initialized = false;
+      console.log('SavedSearchService cleaned up');
+    } catch (error) {
+      console.error('Failed to cleanup SavedSearchService:', error);
+    }
+  }
+}
+
+export default SavedSearchService.getInstance();
@@ -0,0 +1,289 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { normalizeText } from '../utils/search-normalizer';
+
+// 検索ログに残さないフィルター（位置情報は個人を特定しうるため記録しない）
+const EXCLUDED_FILTER_KEYS = ['userLocation'];
+
+// クエリ中の個人情報らしき部分（メールアドレス・電話番号など長い数字列）を伏せる
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/g;
+const LONG_NUMBER_PATTERN = /\d[\d-]{6,}\d/g;
+
+// 端末内だけに保存する匿名の検索ログ
+// ユーザーIDや現在地は持たず、クエリ・フィルター・件数・応答時間・タップした結果の順位だけを記録する
+class SearchAnalyticsService {
+  constructor() {
+    this.initialized = false;
+    this.events = [];
+    this.storageKey = '@nightlife_navigator:search_analytics';
+    this.saveTimer = null;
+    this.config = {
+      enabled: true,
+      maxEvents: 1000,
+      maxQueryLength: 100,
+      maxClicksPerSearch: 20,
+      retentionDays: 30,
+      saveDelay: 1000,
+      // 入力途中の検索（"shi" → "shibu" → "shibuya"）を1件にまとめる間隔
+      refinementWindow: 3000,
+    };
+  }
+
+  static getInstance() {
+    if (!SearchAnalyticsService.instance) {
+      SearchAnalyticsService.instance = new SearchAnalyticsService();
+    }
+    return SearchAnalyticsService.instance;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.loadEvents();
+      this.initialized = true;
+      console.log('SearchAnalyticsService initialized successfully');
+    } catch (error) {
+      console.error('Failed to initialize SearchAnalyticsService:', error);
+      throw error;
+    }
+  }
+
+  async loadEvents() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      this.events = stored ? JSON.parse(stored) : [];
+      this.pruneEvents();
+      console.log(`Loaded ${this.events.length} search analytics events`);
+    } catch (error) {
+      console.error('Failed to load search analytics:', error);
+      this.events = [];
+    }
+  }
+
+  async saveEvents() {
+    try {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(this.events));
+    } catch (error) {
+      console.error('Failed to save search analytics:', error);
+    }
+  }
+
+  // 検索のたびに書き込まないよう、まとめて保存
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveEvents();
+    }, this.config.saveDelay);
+  }
+
+  // 保存期間と件数の上限を適用（新しい順に並んでいる前提）
+  pruneEvents() {
+    const cutoff = Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000;
+    this.events = this.events
+      .filter(event => new Date(event.timestamp).getTime() >= cutoff)
+      .slice(0, this.config.maxEvents);
+  }
+
+  anonymizeQuery(query) {
+    return String(query || '')
+      .replace(EMAIL_PATTERN, '[email]')
+      .replace(LONG_NUMBER_PATTERN, '[number]')
+      .trim()
+      .slice(0, this.config.maxQueryLength);
+  }
+
+  sanitizeFilters(filters = {}) {
+    return Object.entries(filters).reduce((sanitized, [key, value]) => {
+      if (EXCLUDED_FILTER_KEYS.includes(key)) return sanitized;
+      if (value === undefined || value === null || value === false) return sanitized;
+      if (Array.isArray(value) && value.length === 0) return sanitized;
+
+      sanitized[key] = value instanceof Date ? value.toISOString() : value;
+      return sanitized;
+    }, {});
+  }
+
+  // 直前の検索を入力途中のものとして置き換えるか
+  isRefinementOf(previous, queryKey, timestamp) {
+    if (!previous || previous.clicks.length > 0) return false;
+    if (timestamp - new Date(previous.timestamp).getTime() > this.config.refinementWindow) return false;
+
+    return queryKey.startsWith(previous.queryKey) || previous.queryKey.startsWith(queryKey);
+  }
+
+  // 検索を記録して searchId を返す（無効時は null）
+  recordSearch({ query = '', filters = {}, resultCount = 0, latency = 0, sortBy = null }) {
+    if (!this.config.enabled) return null;
+
+    try {
+      const now = Date.now();
+      const anonymizedQuery = this.anonymizeQuery(query);
+      const queryKey = normalizeText(anonymizedQuery);
+
+      const event = {
+        id: `search_event_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        query: anonymizedQuery,
+        queryKey,
+        filters: this.sanitizeFilters(filters),
+        sortBy,
+        resultCount,
+        latency,
+        clicks: [],
+        timestamp: new Date(now).toISOString(),
+      };
+
+      if (this.isRefinementOf(this.events[0], queryKey, now)) {
+        this.events[0] = event;
+      } else {
+        this.events.unshift(event);
+      }
+
+      this.pruneEvents();
+      this.scheduleSave();
+
+      return event.id;
+    } catch (error) {
+      console.error('Failed to record search:', error);
+      return null;
+    }
+  }
+
+  // 検索結果のタップを記録（position は 1 始まりの表示順位）
+  recordResultClick(searchId, venueId, position) {
+    if (!this.config.enabled || !searchId) return false;
+
+    try {
+      const event = this.events.find(e => e.id === searchId);
+      if (!event || event.clicks.length >= this.config.maxClicksPerSearch) return false;
+
+      event.clicks.push({
+        venueId,
+        position,
+        timestamp: new Date().toISOString(),
+      });
+      this.scheduleSave();
+
+      return true;
+    } catch (error) {
+      console.error('Failed to record result click:', error);
+      return false;
+    }
+  }
+
+  // 集計: よく検索されるクエリ、0件のクエリ、順位ごとのクリック率
+  // options.since: この日時以降のログだけを集計 / options.limit: ランキングの件数 / options.maxPosition: 集計する順位
+  getSearchAnalytics(options = {}) {
+    const { since = null, limit = 10, maxPosition = 10 } = options;
+    const sinceTime = since ? new Date(since).getTime() : 0;
+    const events = this.events.filter(event => new Date(event.timestamp).getTime() >= sinceTime);
+
+    const queries = new Map();
+    events.forEach(event => {
+      if (!event.queryKey) return;
+
+      const stats = queries.get(event.queryKey) || {
+        query: event.query,
+        count: 0,
+        zeroResultCount: 0,
+        totalResults: 0,
+        clickedSearches: 0,
+        lastSearchedAt: event.timestamp,
+      };
+
+      stats.count += 1;
+      stats.totalResults += event.resultCount;
+      if (event.resultCount === 0) stats.zeroResultCount += 1;
+      if (event.clicks.length > 0) stats.clickedSearches += 1;
+      queries.set(event.queryKey, stats);
+    });
+
+    const queryStats = Array.from(queries.values()).map(stats => ({
+      query: stats.query,
+      count: stats.count,
+      zeroResultCount: stats.zeroResultCount,
+      averageResults: Math.round((stats.totalResults / stats.count) * 10) / 10,
+      clickThroughRate: this.toRate(stats.clickedSearches, stats.count),
+      lastSearchedAt: stats.lastSearchedAt,
+    }));
+
+    const topQueries = [...queryStats]
+      .sort((a, b) => b.count - a.count || b.lastSearchedAt.localeCompare(a.lastSearchedAt))
+      .slice(0, limit);
+
+    const zeroResultQueries = queryStats
+      .filter(stats => stats.zeroResultCount > 0)
+      .sort((a, b) => b.zeroResultCount - a.zeroResultCount || b.lastSearchedAt.localeCompare(a.lastSearchedAt))
+      .slice(0, limit)
+      .map(({ query, zeroResultCount, lastSearchedAt }) => ({ query, count: zeroResultCount, lastSearchedAt }));
+
+    // 順位ごとのクリック率: その順位まで結果があった検索のうち、その順位がタップされた割合
+    const clickThroughByPosition = [];
+    for (let position = 1; position <= maxPosition; position++) {
+      const impressions = events.filter(event => event.resultCount >= position).length;
+      if (impressions === 0) break;
+
+      const clicks = events.filter(event => event.clicks.some(click => click.position === position)).length;
+      clickThroughByPosition.push({ position, impressions, clicks, rate: this.toRate(clicks, impressions) });
+    }
+
+    const searchesWithResults = events.filter(event => event.resultCount > 0);
+    const latencies = events.map(event => event.latency).sort((a, b) => a - b);
+
+    return {
+      totalSearches: events.length,
+      zeroResultRate: this.toRate(events.length - searchesWithResults.length, events.length),
+      clickThroughRate: this.toRate(
+        searchesWithResults.filter(event => event.clicks.length > 0).length,
+        searchesWithResults.length
+      ),
+      averageLatency: latencies.length > 0
+        ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+        : 0,
+      p95Latency: latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : 0,
+      topQueries,
+      zeroResultQueries,
+      clickThroughByPosition,
+    };
+  }
+
+  toRate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+  }
+
+  async setEnabled(enabled) {
+    this.config.enabled = Boolean(enabled);
+    if (!this.config.enabled) {
+      await this.clearAnalytics();
+    }
+  }
+
+  async clearAnalytics() {
+    try {
+      this.events = [];
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await AsyncStorage.removeItem(this.storageKey);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to clear search analytics:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cleanup() {
+    try {
+      if (this.saveTimer) {
+        await this.saveEvents();
+      }
+      this.events = [];
+      this.initialized = false;
+      console.log('SearchAnalyticsService cleaned up');
+    } catch (error) {
+      console.error('Failed to cleanup SearchAnalyticsService:', error);
+    }
+  }
+}
+
+export default SearchAnalyticsService.getInstance();
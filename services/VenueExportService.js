@@ -0,0 +1,65 @@
+import FavoritesService from './FavoritesService';
+import VenueRepository from './VenueRepository';
+import VenueSearchService from './VenueSearchService';
+import { EXPORT_FORMATS, exportVenues } from '../utils/venue-export';
+
+// 店舗一覧の書き出し（GeoJSON / KML / CSV）
+// 検索結果・お気に入り・全店舗のどれからでも書き出せる。形式と列は utils/venue-export.js を参照
+// 戻り値の content はそのまま Share.share やファイルの保存に使える
+class VenueExportService {
+  static getInstance() {
+    if (!VenueExportService.instance) {
+      VenueExportService.instance = new VenueExportService();
+    }
+    return VenueExportService.instance;
+  }
+
+  getExportFormats() {
+    return Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, ...format }));
+  }
+
+  // format: 'geojson' | 'kml' | 'csv'
+  // options: utils/venue-export.js の exportVenues と同じ（name / title / headers）
+  async exportVenues(venues, format, options = {}) {
+    try {
+      const result = exportVenues(venues, format, options);
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Failed to export venues:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 検索結果は表示中のページだけでなく、条件に一致する全件を書き出す
+  async exportSearchResults(query, filters, format, options = {}) {
+    try {
+      const { total } = await VenueSearchService.searchVenues(query, filters, { limit: 1 });
+      const { results } = await VenueSearchService.searchVenues(query, filters, { limit: Math.max(total, 1) });
+      return this.exportVenues(results, format, { name: 'search-results', title: '検索結果', ...options });
+    } catch (error) {
+      console.error('Failed to export search results:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async exportFavorites(format, options = {}) {
+    return this.exportVenues(FavoritesService.getFavorites(), format, {
+      name: 'favorites',
+      title: 'お気に入り',
+      ...options,
+    });
+  }
+
+  async exportCatalog(format, options = {}) {
+    try {
+      await VenueRepository.initialize();
+      const venues = await VenueRepository.list();
+      return this.exportVenues(venues, format, { name: 'venues', title: '店舗一覧', ...options });
+    } catch (error) {
+      console.error('Failed to export venue catalog:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export default VenueExportService.getInstance();
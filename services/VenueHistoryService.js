@@ -0,0 +1,109 @@
+import AuthService from './AuthService';
+import VenueRepository from './VenueRepository';
+import {
+  HISTORY_FIELD_LABELS,
+  HISTORY_TYPE_LABELS,
+  summarizeHistoryEntry,
+} from '../utils/venue-history';
+
+// 店舗の編集履歴（タイムライン）と以前の版への復元
+// 履歴そのものは店舗リポジトリが変更のたびに記録する（utils/venue-history.js）
+class VenueHistoryService {
+  constructor() {
+    this.listeners = [];
+  }
+
+  static getInstance() {
+    if (!VenueHistoryService.instance) {
+      VenueHistoryService.instance = new VenueHistoryService();
+    }
+    return VenueHistoryService.instance;
+  }
+
+  // 新しい順のタイムライン。各項目に表示用の summary・typeLabel・変更項目の label を付ける
+  async getTimeline(venueId) {
+    try {
+      await VenueRepository.initialize();
+      const history = await VenueRepository.getHistory(venueId);
+      const latestVersion = history.length > 0 ? history[history.length - 1].version : null;
+
+      const timeline = [...history].reverse().map(entry => ({
+        ...entry,
+        typeLabel: HISTORY_TYPE_LABELS[entry.type] || entry.type,
+        summary: summarizeHistoryEntry(entry),
+        authorName: entry.author?.name || 'システム',
+        isLatest: entry.version === latestVersion,
+        changes: entry.changes.map(change => ({
+          ...change,
+          label: HISTORY_FIELD_LABELS[change.field] || change.field,
+        })),
+      }));
+
+      return { success: true, timeline };
+    } catch (error) {
+      console.error('Failed to get venue timeline:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 版の時点の店舗（削除されていた版なら venue は null）
+  async getVersion(venueId, version) {
+    try {
+      await VenueRepository.initialize();
+      const venue = await VenueRepository.getVersion(venueId, version);
+      return { success: true, venue };
+    } catch (error) {
+      console.error('Failed to get venue version:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 版の内容に戻す。戻したこと自体も新しい版として履歴に残る
+  // 戻すと全項目が書き換わる（オーナーなども含む）ので管理者だけ
+  async revertToVersion(venueId, version) {
+    try {
+      if (!AuthService.isAuthenticated()) {
+        throw new Error('以前の版に戻すにはログインが必要です');
+      }
+
+      const author = AuthService.getCurrentAuthor();
+      if (author.role !== 'admin') {
+        throw new Error('以前の版に戻せるのは管理者だけです');
+      }
+
+      await VenueRepository.initialize();
+      const venue = await VenueRepository.revert(venueId, version, { author });
+
+      this.emit('venueReverted', { venueId: String(venueId), version: Number(version), venue });
+
+      return { success: true, venue };
+    } catch (error) {
+      console.error('Failed to revert venue:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenueHistoryService.getInstance();
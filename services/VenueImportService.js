@@ -0,0 +1,90 @@
+import AuthService from './AuthService';
+import MapService from './MapService';
+import VenueRepository from './VenueRepository';
+import { planVenueImport, getImportableVenues, formatImportReport } from '../utils/venue-import';
+
+// 店舗一覧（CSV / GeoJSON）の取り込み
+// previewImport で行ごとの検証・重複の報告を作り、内容を確認してから commitImport で保存する
+class VenueImportService {
+  constructor() {
+    this.listeners = [];
+  }
+
+  static getInstance() {
+    if (!VenueImportService.instance) {
+      VenueImportService.instance = new VenueImportService();
+    }
+    return VenueImportService.instance;
+  }
+
+  // 座標のない行は MapService.geocodeAddress で住所から補完する
+  async geocode(address) {
+    const result = await MapService.geocodeAddress(address);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { lat: result.location.latitude, lng: result.location.longitude };
+  }
+
+  // options.format: 'csv' | 'geojson'（省略時は fileName・内容から判定）/ options.geocode: false で補完しない
+  async previewImport(text, options = {}) {
+    try {
+      await VenueRepository.initialize();
+      const report = await planVenueImport(text, {
+        format: options.format,
+        fileName: options.fileName,
+        existingVenues: await VenueRepository.list(),
+        geocode: options.geocode === false ? null : address => this.geocode(address),
+      });
+
+      return { success: true, report, text: formatImportReport(report) };
+    } catch (error) {
+      console.error('Failed to preview venue import:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // options.includeDuplicates: 重複と判定された行も保存する
+  // 戻り値の updated は登録済みの店舗を更新した行（[{ id, fields }]。fields は値の変わった項目）
+  async commitImport(report, options = {}) {
+    try {
+      const venues = getImportableVenues(report, options);
+      if (venues.length === 0) {
+        return { success: true, imported: [], updated: [], skipped: report.rows.length };
+      }
+
+      const imported = await VenueRepository.upsert(venues, { author: AuthService.getCurrentAuthor() });
+      const updated = report.rows.filter(row => row.status === 'valid' && row.update).map(row => row.update);
+      this.emit('venuesImported', { count: imported.length, updated: updated.length });
+
+      return { success: true, imported, updated, skipped: report.rows.length - imported.length };
+    } catch (error) {
+      console.error('Failed to commit venue import:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenueImportService.getInstance();
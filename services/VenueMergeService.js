@@ -0,0 +1,137 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AuthService from './AuthService';
+import FavoritesService from './FavoritesService';
+import ReviewService from './ReviewService';
+import VenueRepository from './VenueRepository';
+import { findDuplicateCandidates } from '../utils/venue-dedup';
+
+// 重複店舗の統合
+// findMergeProposals で候補を出し、確認してから mergeVenues（または acceptProposal）で統合する
+// 統合するとリポジトリ側で店舗を1つにまとめ（SQLite ではチェックイン・写真などの付け替えも行う）、
+// 端末内のお気に入り・レビューも残す店舗に付け替える
+class VenueMergeService {
+  constructor() {
+    this.initialized = false;
+    this.dismissed = new Set();
+    this.listeners = [];
+    this.storageKey = '@nightlife_navigator:dismissed_duplicates';
+  }
+
+  static getInstance() {
+    if (!VenueMergeService.instance) {
+      VenueMergeService.instance = new VenueMergeService();
+    }
+    return VenueMergeService.instance;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKey);
+      this.dismissed = new Set(stored ? JSON.parse(stored) : []);
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize VenueMergeService:', error);
+      this.dismissed = new Set();
+    }
+  }
+
+  // options.minScore: この score 未満の組は出さない（utils/venue-dedup.js の CONFIDENCE_THRESHOLDS）
+  async findMergeProposals(options = {}) {
+    try {
+      await this.initialize();
+      await VenueRepository.initialize();
+
+      const proposals = findDuplicateCandidates(await VenueRepository.list(), {
+        minScore: options.minScore,
+        dismissed: this.dismissed,
+      });
+
+      return { success: true, proposals };
+    } catch (error) {
+      console.error('Failed to find merge proposals:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 重複ではない組として、以後の提案から外す
+  async dismissProposal(key) {
+    try {
+      await this.initialize();
+      this.dismissed.add(key);
+      await AsyncStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.dismissed)));
+
+      this.emit('proposalDismissed', { key });
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to dismiss merge proposal:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async acceptProposal(proposal) {
+    return this.mergeVenues(proposal.survivorId, proposal.duplicateId);
+  }
+
+  // duplicateId を survivorId に統合する。管理者だけ。戻り値の moved は付け替えた件数
+  async mergeVenues(survivorId, duplicateId) {
+    try {
+      if (!AuthService.isAuthenticated()) {
+        throw new Error('店舗の統合にはログインが必要です');
+      }
+
+      const author = AuthService.getCurrentAuthor();
+      if (author.role !== 'admin') {
+        throw new Error('店舗を統合できるのは管理者だけです');
+      }
+
+      await VenueRepository.initialize();
+      const { venue, moved } = await VenueRepository.merge(survivorId, duplicateId, { author });
+
+      await FavoritesService.initialize();
+      await ReviewService.initialize();
+      const favoriteMoved = await FavoritesService.repointFavorite(String(duplicateId), venue);
+      const reviewResult = await ReviewService.repointReviews(String(duplicateId), venue.id);
+
+      const result = {
+        venue,
+        moved: {
+          ...moved,
+          localFavorites: favoriteMoved ? 1 : 0,
+          localReviews: reviewResult.success ? reviewResult.moved : 0,
+        },
+      };
+      this.emit('venuesMerged', { survivorId: venue.id, duplicateId: String(duplicateId), ...result });
+
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Failed to merge venues:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenueMergeService.getInstance();
@@ -0,0 +1,277 @@
+import AuthService from './AuthService';
+import VenueRepository, { getVenueRepositoryConfig } from './VenueRepository';
+import { canEditVenue, getClaimChannels } from '../utils/venue-claims';
+
+// 店舗のオーナー申請と、オーナーによる編集の審査（決まりごとは utils/venue-claims.js）
+// 申請・照合・編集・審査はサーバー（utils/venue-owner-service.ts）で行い、ここでは API を呼ぶだけ
+// 確認コードはサーバーが作って店舗の電話番号かメールアドレスに送り、アプリには渡らない
+// API の URL は店舗リポジトリと同じ expo.extra.venueRepository.apiBaseUrl（ログイン中のユーザーの Cookie で呼ぶ）:
+//   POST   /venues/:id/claim          body { channel } → { claimId, channel, masked, expiresAt }
+//   POST   /venues/claims/:claimId    body { code } → { venue }
+//   POST   /venues/:id/edits          body { updates, note } → { edit }
+//   GET    /venues/edits              { edits }（自分の編集）
+//   GET    /venues/edits?status=pending   { queue }（管理者）
+//   POST   /venues/edits/:editId      body { action: 'approve' | 'reject', comment } → { venue? }（管理者）
+//   DELETE /venues/edits/:editId      審査待ちの自分の編集を取り下げる
+class VenueOwnerService {
+  constructor() {
+    this.listeners = [];
+    this.config = {
+      baseUrl: getVenueRepositoryConfig().apiBaseUrl,
+      timeout: 15000,
+    };
+  }
+
+  static getInstance() {
+    if (!VenueOwnerService.instance) {
+      VenueOwnerService.instance = new VenueOwnerService();
+    }
+    return VenueOwnerService.instance;
+  }
+
+  // 失敗したときはサーバーの error をそのまま例外にする
+  async request(path, options = {}) {
+    if (!this.config.baseUrl) {
+      throw new Error('オーナー申請・編集には店舗APIの接続が必要です（apiBaseUrl が設定されていません）');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(`${this.config.baseUrl.replace(/\/$/, '')}${path}`, {
+        ...options,
+        credentials: 'include',
+        headers: {
+          Accept: 'application/json',
+          ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        signal: controller.signal,
+      });
+
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data?.success) {
+        throw new Error(data?.error || `店舗APIの呼び出しに失敗しました（${response.status}）`);
+      }
+      return data;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('店舗APIの応答がありません（タイムアウト）');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  requireUser() {
+    const user = AuthService.getCurrentUser();
+    if (!user) {
+      throw new Error('ログインが必要です');
+    }
+    return user;
+  }
+
+  async getVenue(venueId) {
+    await VenueRepository.initialize();
+    const venue = await VenueRepository.get(venueId);
+    if (!venue) {
+      throw new Error('店舗が見つかりません');
+    }
+    return venue;
+  }
+
+  // 確認コードを送れる宛先（宛先そのものは伏せた masked だけを返す）
+  async getClaimOptions(venueId) {
+    try {
+      const venue = await this.getVenue(venueId);
+      const channels = getClaimChannels(venue).map(({ channel, label, masked }) => ({ channel, label, masked }));
+
+      return { success: true, channels, claimable: venue.ownerId === null };
+    } catch (error) {
+      console.error('Failed to get claim options:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // オーナー申請。channel: 'phone' | 'email' の宛先にサーバーから確認コードが届く
+  async requestClaim(venueId, channel) {
+    try {
+      this.requireUser();
+      const { claimId, masked, expiresAt } = await this.request(`/venues/${encodeURIComponent(venueId)}/claim`, {
+        method: 'POST',
+        body: JSON.stringify({ channel }),
+      });
+
+      this.emit('claimRequested', { claimId, venueId: String(venueId), channel });
+
+      return { success: true, claimId, channel, masked, expiresAt };
+    } catch (error) {
+      console.error('Failed to request venue claim:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 確認コードの照合。合えばサーバーが申請者を店舗のオーナーにする
+  async verifyClaim(claimId, code) {
+    try {
+      const user = this.requireUser();
+      const { venue } = await this.request(`/venues/claims/${encodeURIComponent(claimId)}`, {
+        method: 'POST',
+        body: JSON.stringify({ code: String(code).trim() }),
+      });
+
+      // サーバーではロールも venue_owner になっている。端末のプロフィールにも反映する
+      if (!['admin', 'venue_owner'].includes(user.role)) {
+        await AuthService.updateProfile({ role: 'venue_owner' });
+      }
+
+      this.emit('venueClaimed', { claimId, venue });
+
+      return { success: true, venue };
+    } catch (error) {
+      console.error('Failed to verify venue claim:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ログイン中のユーザーがオーナーの店舗
+  async getOwnedVenues() {
+    try {
+      const user = this.requireUser();
+      await VenueRepository.initialize();
+      const venues = (await VenueRepository.list()).filter(venue => venue.ownerId === String(user.id));
+
+      return { success: true, venues };
+    } catch (error) {
+      console.error('Failed to get owned venues:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async canEdit(venueId) {
+    const venue = await VenueRepository.get(venueId);
+    return canEditVenue(venue, AuthService.getCurrentAuthor());
+  }
+
+  // オーナーの編集を審査待ちにする。updates は OWNER_EDITABLE_FIELDS（営業時間・写真・説明・設備）だけ
+  async submitEdit(venueId, updates, note = '') {
+    try {
+      this.requireUser();
+      const { edit } = await this.request(`/venues/${encodeURIComponent(venueId)}/edits`, {
+        method: 'POST',
+        body: JSON.stringify({ updates, note }),
+      });
+
+      this.emit('editSubmitted', edit);
+
+      return { success: true, edit };
+    } catch (error) {
+      console.error('Failed to submit venue edit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 審査待ちの自分の編集を取り下げる
+  async withdrawEdit(editId) {
+    try {
+      this.requireUser();
+      await this.request(`/venues/edits/${encodeURIComponent(editId)}`, { method: 'DELETE' });
+
+      this.emit('editWithdrawn', { id: editId });
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to withdraw venue edit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 自分の編集（新しい順）
+  async getMyEdits() {
+    try {
+      this.requireUser();
+      const { edits } = await this.request('/venues/edits');
+
+      return { success: true, edits };
+    } catch (error) {
+      console.error('Failed to get my venue edits:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 審査待ちの編集（古い順）。conflicts は申請後に他の変更で値が変わった項目
+  async getModerationQueue() {
+    try {
+      this.requireUser();
+      const { queue } = await this.request('/venues/edits?status=pending');
+
+      return { success: true, queue };
+    } catch (error) {
+      console.error('Failed to get moderation queue:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 承認して店舗に反映する。編集履歴の変更者は編集したオーナー
+  async approveEdit(editId, comment = '') {
+    try {
+      this.requireUser();
+      const { venue } = await this.request(`/venues/edits/${encodeURIComponent(editId)}`, {
+        method: 'POST',
+        body: JSON.stringify({ action: 'approve', comment }),
+      });
+
+      this.emit('editApproved', { editId, venue });
+
+      return { success: true, venue };
+    } catch (error) {
+      console.error('Failed to approve venue edit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async rejectEdit(editId, comment) {
+    try {
+      this.requireUser();
+      if (!comment || !comment.trim()) {
+        throw new Error('却下の理由を入力してください');
+      }
+
+      await this.request(`/venues/edits/${encodeURIComponent(editId)}`, {
+        method: 'POST',
+        body: JSON.stringify({ action: 'reject', comment }),
+      });
+
+      this.emit('editRejected', { editId });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to reject venue edit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenueOwnerService.getInstance();
@@ -0,0 +1,243 @@
+import AuthService from './AuthService';
+import VenueRepository, { getVenueRepositoryConfig } from './VenueRepository';
+import { canEditVenue } from '../utils/venue-claims';
+import {
+  DEFAULT_PHOTO_LIMITS,
+  assertCanAddPhoto,
+  movePhoto,
+  normalizeCaption,
+  removePhoto,
+  reorderPhotos,
+  setCoverPhoto,
+  setPhotoCaption,
+  validatePhotoUpload,
+} from '../utils/venue-photos';
+
+// 店舗の写真（並び順・カバー写真の決まりは utils/venue-photos.js）
+// 店舗リポジトリが http のときは API サーバー（/venues/:id/photos）にアップロードし、サムネイルもサーバーで作る
+// それ以外は端末内の画像の URI を店舗の images にそのまま保存する（サムネイルは元の画像）
+// 写真の追加はログインしていれば誰でもでき、並べ替え・カバー写真・説明の変更・削除はその店舗のオーナーと管理者ができる
+class VenuePhotoService {
+  constructor() {
+    this.config = getVenueRepositoryConfig();
+    this.listeners = [];
+  }
+
+  static getInstance() {
+    if (!VenuePhotoService.instance) {
+      VenuePhotoService.instance = new VenuePhotoService();
+    }
+    return VenuePhotoService.instance;
+  }
+
+  isRemote() {
+    return this.config.backend === 'http';
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.config.apiBaseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        Accept: 'application/json',
+        ...(typeof options.body === 'string' ? { 'Content-Type': 'application/json' } : {}),
+      },
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `写真APIの呼び出しに失敗しました（${response.status}）`);
+    }
+    return data;
+  }
+
+  photosPath(venueId) {
+    return `/venues/${encodeURIComponent(venueId)}/photos`;
+  }
+
+  requireUser() {
+    const user = AuthService.getCurrentUser();
+    if (!user) {
+      throw new Error('写真の登録・管理にはログインが必要です');
+    }
+    return user;
+  }
+
+  async getVenue(venueId) {
+    await VenueRepository.initialize();
+    const venue = await VenueRepository.get(venueId);
+    if (!venue) {
+      throw new Error('店舗が見つかりません');
+    }
+    return venue;
+  }
+
+  // 並べ替え・カバー写真・説明の変更・削除ができるか
+  canManage(venue) {
+    return canEditVenue(venue, AuthService.getCurrentAuthor());
+  }
+
+  async getPhotos(venueId) {
+    try {
+      if (this.isRemote()) {
+        const { photos } = await this.request(this.photosPath(venueId));
+        return { success: true, photos };
+      }
+
+      const venue = await this.getVenue(venueId);
+      return { success: true, photos: venue.images };
+    } catch (error) {
+      console.error('Failed to get venue photos:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 写真を追加する（末尾に入る）。file: { uri, name, type, size }
+  async uploadPhoto(venueId, file, caption = null) {
+    try {
+      this.requireUser();
+
+      if (this.isRemote()) {
+        const formData = new FormData();
+        formData.append('image', { uri: file.uri, name: file.name, type: file.type });
+        if (caption) formData.append('caption', caption);
+
+        const { photo, photos } = await this.request(this.photosPath(venueId), { method: 'POST', body: formData });
+        this.emit('photosChanged', { venueId, photos });
+        return { success: true, photo, photos };
+      }
+
+      validatePhotoUpload(file, DEFAULT_PHOTO_LIMITS);
+      const venue = await this.getVenue(venueId);
+      assertCanAddPhoto(venue.images);
+
+      const photo = {
+        id: `photo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        url: file.uri,
+        thumbnailUrl: file.uri,
+        caption: normalizeCaption(caption),
+      };
+      const photos = await this.saveImages(venue, [...venue.images, photo]);
+      return { success: true, photo, photos };
+    } catch (error) {
+      console.error('Failed to upload venue photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 端末内の店舗の images を更新する
+  async saveImages(venue, images) {
+    const [saved] = await VenueRepository.upsert({ ...venue, images }, { author: AuthService.getCurrentAuthor() });
+    this.emit('photosChanged', { venueId: saved.id, photos: saved.images });
+    return saved.images;
+  }
+
+  // 管理の操作。body は API に送る内容、apply は端末内で images に当てはめる関数
+  async manage(venueId, body, apply) {
+    this.requireUser();
+
+    if (this.isRemote()) {
+      const { photos } = await this.request(this.photosPath(venueId), {
+        method: 'PATCH',
+        body: JSON.stringify(body),
+      });
+      this.emit('photosChanged', { venueId, photos });
+      return photos;
+    }
+
+    const venue = await this.getVenue(venueId);
+    if (!this.canManage(venue)) {
+      throw new Error('写真を管理できるのはこの店舗のオーナーと管理者だけです');
+    }
+    return await this.saveImages(venue, apply(venue.images));
+  }
+
+  // orderedIds: すべての写真の ID（先頭がカバー写真）
+  async reorderPhotos(venueId, orderedIds) {
+    try {
+      const photos = await this.manage(venueId, { order: orderedIds }, images => reorderPhotos(images, orderedIds));
+      return { success: true, photos };
+    } catch (error) {
+      console.error('Failed to reorder venue photos:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async movePhoto(venueId, photoId, toIndex) {
+    try {
+      const photos = await this.manage(venueId, { photoId, toIndex }, images => movePhoto(images, photoId, toIndex));
+      return { success: true, photos };
+    } catch (error) {
+      console.error('Failed to move venue photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setCover(venueId, photoId) {
+    try {
+      const photos = await this.manage(venueId, { coverId: photoId }, images => setCoverPhoto(images, photoId));
+      return { success: true, photos };
+    } catch (error) {
+      console.error('Failed to set cover photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateCaption(venueId, photoId, caption) {
+    try {
+      const photos = await this.manage(
+        venueId,
+        { photoId, caption: caption ?? '' },
+        images => setPhotoCaption(images, photoId, caption)
+      );
+      return { success: true, photos };
+    } catch (error) {
+      console.error('Failed to update photo caption:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async deletePhoto(venueId, photoId) {
+    try {
+      this.requireUser();
+
+      if (this.isRemote()) {
+        const { photos } = await this.request(
+          `${this.photosPath(venueId)}?photoId=${encodeURIComponent(photoId)}`,
+          { method: 'DELETE' }
+        );
+        this.emit('photosChanged', { venueId, photos });
+        return { success: true, photos };
+      }
+
+      const photos = await this.manage(venueId, null, images => removePhoto(images, photoId));
+      return { success: true, photos };
+    } catch (error) {
+      console.error('Failed to delete venue photo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenuePhotoService.getInstance();
@@ -0,0 +1,40 @@
+import Constants from 'expo-constants';
+import AsyncStorageVenueRepository from '../utils/async-storage-venue-repository';
+import HttpVenueRepository from '../utils/http-venue-repository';
+
+// 店舗データの保存先（リポジトリ）をアプリの設定から選ぶ
+// app.json の expo.extra.venueRepository:
+//   backend:          'asyncStorage'（端末内, 既定）| 'http'（API サーバー）
+//   apiBaseUrl:       http のときの API の URL（例: "https://example.com/api"）
+//   pollInterval:     http のとき他の端末の変更を確認する間隔（ミリ秒）
+//   seedSampleVenues: asyncStorage で空のときにサンプル店舗を入れるか
+// SQLite（utils/sqlite-venue-repository.ts）は Deno のサーバー専用で、アプリからは http 経由で使う
+
+const DEFAULT_CONFIG = {
+  backend: 'asyncStorage',
+  apiBaseUrl: '',
+  pollInterval: 30000,
+  seedSampleVenues: true,
+};
+
+export function getVenueRepositoryConfig() {
+  return {
+    ...DEFAULT_CONFIG,
+    ...(Constants.expoConfig?.extra?.venueRepository || {}),
+  };
+}
+
+export function createVenueRepository(config = getVenueRepositoryConfig()) {
+  switch (config.backend) {
+    case 'asyncStorage':
+      return new AsyncStorageVenueRepository({ seedSampleVenues: config.seedSampleVenues });
+    case 'http':
+      return new HttpVenueRepository({ baseUrl: config.apiBaseUrl, pollInterval: config.pollInterval });
+    case 'sqlite':
+      throw new Error('SQLite の店舗リポジトリはサーバー専用です。アプリでは backend: "http" を指定してください');
+    default:
+      throw new Error(`不明な店舗リポジトリです: ${config.backend}`);
+  }
+}
+
+export default createVenueRepository();
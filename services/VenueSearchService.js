@@ -1,15 +1,114 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  normalizeText,
+  appendReadings,
+  splitSearchTerms,
+  getTermVariants,
+  romajiToKana,
+} from '../utils/search-normalizer';
+import VenueSearchIndex from '../utils/venue-search-index';
+import AutocompleteTrie, { findHighlightRange } from '../utils/autocomplete-trie';
+import { getOpenStatus, resolveTokyoTime } from '../utils/opening-hours';
+import { isUncrowded } from '../utils/venue-status';
+import { findMenuItemsWithin, parseMaxPriceToken } from '../utils/venue-menu';
+import MapService from './MapService';
+import SearchAnalyticsService from './SearchAnalyticsService';
+import PersonalizationService from './PersonalizationService';
+import ReviewService from './ReviewService';
+import { TOKYO_AREAS, TOKYO_STATIONS } from '../constants/TokyoPlaces';
+import SynonymDictionary from '../utils/synonym-dictionary';
+import { DEFAULT_SYNONYMS } from '../constants/SearchSynonyms';
+import { VENUE_CATEGORIES, PRICE_RANGES } from '../utils/venue-schema';
+import VenueRepository from './VenueRepository';
+import AuthService from './AuthService';
+import VenueStatusService from './VenueStatusService';
+
+// Field operators accepted in the search box (e.g. "open:now price:<=¥¥ rating:>=4 tag:シーシャ crowd:low menu:<=500")
+const QUERY_FIELD_ALIASES = {
+  category: 'category',
+  cat: 'category',
+  genre: 'category',
+  カテゴリ: 'category',
+  ジャンル: 'category',
+  price: 'price',
+  価格: 'price',
+  予算: 'price',
+  rating: 'rating',
+  評価: 'rating',
+  open: 'open',
+  営業: 'open',
+  age: 'age',
+  年齢: 'age',
+  tag: 'tag',
+  タグ: 'tag',
+  crowd: 'crowd',
+  混雑: 'crowd',
+  menu: 'menu',
+  メニュー: 'menu'
+};
+
+// Filter keys owned by the query syntax (replaced, not merged, when the text box changes)
+const QUERY_SYNTAX_FILTER_KEYS = ['categories', 'priceRanges', 'minRating', 'openNow', 'openAt', 'ageRestriction', 'tags', 'uncrowded', 'menuMaxPrice'];
+
+// Rating facet buckets ("n venues rated >= bucket"), matching the minRating filter
+const RATING_FACET_BUCKETS = [3, 3.5, 4, 4.5];
+const MAX_TAG_FACETS = 20;
+
+// Maximum points each signal contributes to a similarity score (sums to 100)
+const SIMILARITY_WEIGHTS = {
+  category: 30,
+  priceRange: 15,
+  tags: 15,
+  reviewTags: 10,
+  amenities: 10,
+  distance: 15,
+  dressCode: 5
+};
+
+// Base weight of each autocomplete suggestion type (before frequency/rating boosts)
+const SUGGESTION_TYPE_WEIGHTS = {
+  history: 30,
+  venue: 20,
+  area: 18,
+  station: 15,
+  category: 15,
+  tag: 10,
+  amenity: 5
+};
+
+// Autocomplete entry for a venue name (matched by name and kana reading)
+const toVenueSuggestion = venue => ({
+  id: `venue:${venue.id}`,
+  type: 'venue',
+  text: venue.name,
+  readings: [venue.nameKana, appendReadings(normalizeText(venue.name))].filter(Boolean),
+  rating: venue.rating,
+  popularity: venue.reviewCount,
+  payload: { venue }
+});
 
 class VenueSearchService {
   constructor() {
     this.initialized = false;
-    this.venues = new Map();
+    this.venues = new Map(); // read-through copy of the venue repository
+    this.unsubscribeVenueChanges = null;
+    this.tagSuggestionRefresh = null; // pending tag/amenity recount after venue changes
+    this.locationRequest = null; // in-flight GPS fix shared by concurrent searches
     this.searchHistory = [];
     this.searchCache = new Map();
+    this.searchIndex = new VenueSearchIndex();
+    this.autocomplete = new AutocompleteTrie();
+    this.synonyms = new SynonymDictionary(DEFAULT_SYNONYMS);
+    this.queryFrequency = new Map(); // normalized query text -> times searched
+    this.listeners = [];
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+    this.maxCachedSearches = 50;
+    this.venuesVersion = 0;
+    this.snapshotSequence = 0;
     this.maxSearchResults = 100;
     this.searchConfig = {
       enableFuzzySearch: true,
+      enableSynonyms: true,
       enableAutoComplete: true,
       enableSearchSuggestions: true,
       enableLocationSearch: true,
@@ -17,22 +116,18 @@ class VenueSearchService {
       enablePriceFiltering: true,
       enableRatingFiltering: true,
       enableDistanceFiltering: true,
-      maxSearchHistory: 50
+      maxSearchHistory: 50,
+      locationMaxAge: 60 * 1000, // reuse a location fix for 1 minute
+      locationTimeout: 5 * 1000, // longest a search waits for a first location fix
+      proximityDecayDistance: 1500, // meters at which the proximity boost falls to ~37%
+      proximityWeight: 100,
+      walkingSpeed: 80, // meters per minute (the standard used for "徒歩N分" in Japan)
+      walkingDetourFactor: 1.25, // straight-line distance -> street distance
+      defaultWalkMinutes: 10,
+      similarityDistanceDecay: 2000 // meters at which the similarity distance signal falls to ~37%
     };
-    this.venueCategories = [
-      { id: 'bar', name: 'バー', icon: '🍸' },
-      { id: 'club', name: 'クラブ', icon: '🎵' },
-      { id: 'lounge', name: 'ラウンジ', icon: '🛋️' },
-      { id: 'restaurant', name: 'レストラン', icon: '🍽️' },
-      { id: 'karaoke', name: 'カラオケ', icon: '🎤' },
-      { id: 'pub', name: 'パブ', icon: '🍺' }
-    ];
-    this.priceRanges = [
-      { id: 'budget', name: '¥', symbol: '¥', min: 0, max: 2000 },
-      { id: 'moderate', name: '¥¥', symbol: '¥¥', min: 2001, max: 4000 },
-      { id: 'expensive', name: '¥¥¥', symbol: '¥¥¥', min: 4001, max: 8000 },
-      { id: 'luxury', name: '¥¥¥¥', symbol: '¥¥¥¥', min: 8001, max: 20000 }
-    ];
+    this.venueCategories = VENUE_CATEGORIES;
+    this.priceRanges = PRICE_RANGES;
   }
 
   static getInstance() {
@@ -46,9 +141,14 @@ class VenueSearchService {
     if (this.initialized) return;
 
     try {
+      this.loadStaticSuggestions();
+      await VenueRepository.initialize();
       await this.loadVenues();
       await this.loadSearchHistory();
-      await this.initializeDefaultVenues();
+      await this.loadSynonyms();
+      this.unsubscribeVenueChanges = VenueRepository.subscribe(this.handleVenueChange.bind(this));
+      await SearchAnalyticsService.initialize();
+      await PersonalizationService.initialize();
       
       this.initialized = true;
       console.log('VenueSearchService initialized successfully');
@@ -60,17 +160,51 @@ class VenueSearchService {
 
   async loadVenues() {
     try {
-      const venues = await AsyncStorage.getItem('venues');
-      const venueList = venues ? JSON.parse(venues) : [];
+      const venueList = await VenueRepository.list();
 
       this.venues.clear();
+      this.searchIndex.clear();
       venueList.forEach(venue => {
         this.venues.set(venue.id, venue);
       });
+      this.refreshVenueIndex();
     } catch (error) {
       console.error('Failed to load venues:', error);
       this.venues.clear();
+      this.searchIndex.clear();
+    }
+  }
+
+  // Keep the local copy in step with the repository's change feed.
+  // Only the changed venue is re-indexed; tag/amenity counts span all venues, so they are
+  // recomputed once after a burst of changes (an upsert of N venues emits N changes in a row).
+  handleVenueChange(change) {
+    if (change.type === 'reset') {
+      this.loadVenues();
+      return;
+    }
+
+    if (change.type === 'upsert' && change.venue) {
+      this.venues.set(change.venue.id, change.venue);
+      this.searchIndex.upsert(change.venue);
+      this.autocomplete.upsert(toVenueSuggestion(change.venue));
+    } else if (change.type === 'remove') {
+      this.venues.delete(change.venueId);
+      this.searchIndex.remove(change.venueId);
+      this.autocomplete.remove(`venue:${change.venueId}`);
     }
+    this.invalidateSearchCache();
+    this.scheduleTagSuggestionRefresh();
+    this.emit('venuesChanged', change);
+  }
+
+  scheduleTagSuggestionRefresh() {
+    if (this.tagSuggestionRefresh) return;
+
+    this.tagSuggestionRefresh = Promise.resolve().then(() => {
+      this.tagSuggestionRefresh = null;
+      this.refreshTagSuggestions(Array.from(this.venues.values()));
+    });
   }
 
   async loadSearchHistory() {
@@ -81,183 +215,69 @@ class VenueSearchService {
       console.error('Failed to load search history:', error);
       this.searchHistory = [];
     }
-  }
 
-  async initializeDefaultVenues() {
-    try {
-      if (this.venues.size === 0) {
-        const defaultVenues = [
-          {
-            id: 'venue_1',
-            name: '渋谷 VISION',
-            category: 'club',
-            address: '東京都渋谷区道玄坂2-10-12',
-            coordinates: { lat: 35.6581, lng: 139.6986 },
-            phone: '03-5784-0111',
-            website: 'https://vision-tokyo.com',
-            rating: 4.2,
-            reviewCount: 256,
-            priceRange: 'expensive',
-            images: ['https://example.com/vision1.jpg'],
-            description: '渋谷最大級のクラブ。国内外の有名DJが出演する人気スポット。',
-            amenities: ['VIPエリア', 'ダンスフロア', 'フルバー', 'クローク'],
-            openingHours: {
-              monday: { closed: true },
-              tuesday: { closed: true },
-              wednesday: { closed: true },
-              thursday: { open: '23:00', close: '05:00' },
-              friday: { open: '23:00', close: '05:00' },
-              saturday: { open: '23:00', close: '05:00' },
-              sunday: { closed: true }
-            },
-            ageRestriction: '20_plus',
-            dressCode: 'upscale',
-            capacity: 1000,
-            tags: ['クラブ', 'DJ', 'ダンス', '渋谷'],
-            events: [],
-            reviews: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          },
-          {
-            id: 'venue_2',
-            name: '六本木 バーン',
-            category: 'bar',
-            address: '東京都港区六本木3-15-24',
-            coordinates: { lat: 35.6627, lng: 139.7320 },
-            phone: '03-3401-5755',
-            website: 'https://burn-roppongi.com',
-            rating: 4.5,
-            reviewCount: 189,
-            priceRange: 'luxury',
-            images: ['https://example.com/burn1.jpg'],
-            description: '六本木の老舗バー。洗練されたカクテルと大人の雰囲気が魅力。',
-            amenities: ['プレミアムカクテル', '個室', 'テラス席', 'ソムリエ'],
-            openingHours: {
-              monday: { open: '18:00', close: '02:00' },
-              tuesday: { open: '18:00', close: '02:00' },
-              wednesday: { open: '18:00', close: '02:00' },
-              thursday: { open: '18:00', close: '02:00' },
-              friday: { open: '18:00', close: '02:00' },
-              saturday: { open: '18:00', close: '02:00' },
-              sunday: { open: '18:00', close: '24:00' }
-            },
-            ageRestriction: '20_plus',
-            dressCode: 'business_casual',
-            capacity: 80,
-            tags: ['バー', 'カクテル', '六本木', '大人'],
-            events: [],
-            reviews: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          },
-          {
-            id: 'venue_3',
-            name: '新宿 ラウンジ アジュール',
-            category: 'lounge',
-            address: '東京都新宿区歌舞伎町1-16-3',
-            coordinates: { lat: 35.6938, lng: 139.7016 },
-            phone: '03-3209-5777',
-            website: 'https://azure-shinjuku.com',
-            rating: 4.0,
-            reviewCount: 142,
-            priceRange: 'expensive',
-            images: ['https://example.com/azure1.jpg'],
-            description: '新宿歌舞伎町の落ち着いたラウンジ。夜景を楽しめる空間。',
-            amenities: ['夜景', 'ソファ席', 'プライベート空間', 'シーシャ'],
-            openingHours: {
-              monday: { open: '19:00', close: '03:00' },
-              tuesday: { open: '19:00', close: '03:00' },
-              wednesday: { open: '19:00', close: '03:00' },
-              thursday: { open: '19:00', close: '03:00' },
-              friday: { open: '19:00', close: '05:00' },
-              saturday: { open: '19:00', close: '05:00' },
-              sunday: { open: '19:00', close: '02:00' }
-            },
-            ageRestriction: '20_plus',
-            dressCode: 'casual',
-            capacity: 120,
-            tags: ['ラウンジ', 'シーシャ', '新宿', '夜景'],
-            events: [],
-            reviews: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-          }
-        ];
-
-        for (const venue of defaultVenues) {
-          this.venues.set(venue.id, venue);
-        }
-
-        await this.saveVenues();
-        console.log('Default venues initialized');
-      }
-    } catch (error) {
-      console.error('Failed to initialize default venues:', error);
-    }
+    this.rebuildHistorySuggestions();
   }
 
+  // options.cursor: nextCursor from a previous page; options.page is still accepted for offset paging.
+  // options.refresh: recompute the ranking even if a cached one exists.
+  // options.recordAnalytics: log this search (user-initiated searches only) and return its searchId.
+  // options.explain: attach a `ranking` breakdown (position, score components) to every result.
+  // options.personalize: false skips the user's personalization even if they turned it on.
   async searchVenues(query = '', filters = {}, options = {}) {
     try {
       const startTime = Date.now();
-      
-      // Generate cache key
-      const cacheKey = this.generateCacheKey(query, filters, options);
-      
-      // Check cache first
-      if (this.searchCache.has(cacheKey)) {
-        const cachedResult = this.searchCache.get(cacheKey);
-        if (Date.now() - cachedResult.timestamp < this.cacheExpiry) {
-          return cachedResult.results;
-        } else {
-          this.searchCache.delete(cacheKey);
-        }
-      }
 
-      // Perform search
-      let results = Array.from(this.venues.values());
+      // Resolve the user's position (explicit filter location wins over the device location)
+      const userLocation = await this.resolveUserLocation(filters, options);
 
-      // Apply text search
-      if (query && query.trim() !== '') {
-        results = this.performTextSearch(results, query.trim());
-      }
-
-      // Apply filters
-      if (Object.keys(filters).length > 0) {
-        results = this.applyFilters(results, filters);
-      }
-
-      // Apply sorting
-      const sortBy = options.sortBy || 'relevance';
-      results = this.sortResults(results, sortBy, query);
+      // The full ranked list is computed once per query and shared by all of its pages
+      const { snapshot, fresh } = this.getRankedSnapshot(query, filters, options, userLocation);
 
       // Apply pagination
-      const page = options.page || 1;
       const limit = options.limit || this.maxSearchResults;
-      const startIndex = (page - 1) * limit;
-      const paginatedResults = results.slice(startIndex, startIndex + limit);
+      const startIndex = options.cursor
+        ? this.resolveCursorOffset(snapshot, options.cursor)
+        : ((options.page || 1) - 1) * limit;
+      const paginatedResults = snapshot.results.slice(startIndex, startIndex + limit);
+      const endIndex = startIndex + paginatedResults.length;
+      const hasMore = endIndex < snapshot.results.length;
 
       // Create search result object
       const searchResult = {
         results: paginatedResults,
-        total: results.length,
-        page: page,
+        total: snapshot.results.length,
+        page: Math.floor(startIndex / limit) + 1,
         limit: limit,
-        totalPages: Math.ceil(results.length / limit),
+        totalPages: Math.ceil(snapshot.results.length / limit),
+        nextCursor: hasMore ? this.encodeCursor(snapshot, endIndex) : null,
+        hasMore: hasMore,
+        facets: snapshot.facets,
         query: query,
-        filters: filters,
-        sortBy: sortBy,
-        searchTime: Date.now() - startTime
+        text: snapshot.text,
+        filters: snapshot.filters,
+        queryErrors: snapshot.queryErrors,
+        sortBy: snapshot.sortBy,
+        userLocation: userLocation,
+        searchTime: Date.now() - startTime,
+        searchId: null
       };
 
-      // Cache results
-      this.searchCache.set(cacheKey, {
-        results: searchResult,
-        timestamp: Date.now()
-      });
+      // Log the first page only; later pages belong to the same search
+      if (options.recordAnalytics && startIndex === 0) {
+        searchResult.searchId = SearchAnalyticsService.recordSearch({
+          query: query,
+          filters: snapshot.filters,
+          resultCount: searchResult.total,
+          latency: searchResult.searchTime,
+          sortBy: snapshot.sortBy
+        });
+      }
 
-      // Update search history
-      await this.updateSearchHistory(query, filters, options);
+      // Update search history (only for newly computed first pages, not while paging)
+      if (fresh && startIndex === 0) {
+        await this.updateSearchHistory(query, filters, options);
+      }
 
       return searchResult;
     } catch (error) {
@@ -266,30 +286,782 @@ class VenueSearchService {
     }
   }
 
-  performTextSearch(venues, query) {
-    const searchTerms = query.toLowerCase().split(' ').filter(term => term.length > 0);
-    
-    return venues.filter(venue => {
-      const searchableText = [
-        venue.name,
-        venue.description,
-        venue.address,
-        venue.category,
-        ...venue.tags,
-        ...venue.amenities
-      ].join(' ').toLowerCase();
-
-      if (this.searchConfig.enableFuzzySearch) {
-        // Fuzzy search - match partial terms
-        return searchTerms.some(term => 
-          searchableText.includes(term) || 
-          this.calculateSimilarity(term, searchableText) > 0.7
-        );
-      } else {
-        // Exact match
-        return searchTerms.every(term => searchableText.includes(term));
+  getRankedSnapshot(query, filters, options, userLocation) {
+    // Paging options don't change the ranking, so they're not part of the cache key
+    const { page, limit, cursor, refresh, userId, recordAnalytics, personalize, ...rankingOptions } = options;
+    const profile = this.getPersonalProfile(userId, personalize);
+    const cacheKey = this.generateCacheKey(query, filters, {
+      ...rankingOptions,
+      personalization: profile ? `${userId}:${profile.version}` : null
+    }, userLocation);
+
+    const cached = this.searchCache.get(cacheKey);
+    if (cached && !refresh &&
+        cached.venuesVersion === this.venuesVersion &&
+        cached.statusVersion === VenueStatusService.getVersion() &&
+        Date.now() - cached.timestamp < this.cacheExpiry) {
+      return { snapshot: cached, fresh: false };
+    }
+
+    // Split "field:value" operators out of the query into filters;
+    // operators override the matching filters, the other filters still apply
+    const parsedQuery = this.parseSearchQuery(query, filters);
+    const textQuery = parsedQuery.text;
+    const activeFilters = { ...filters, ...parsedQuery.filters };
+
+    // Perform search - text queries only touch venues found in the index
+    let results;
+    if (textQuery !== '') {
+      const matches = this.searchIndex.search(this.getQueryTermVariants(textQuery), {
+        fuzzy: this.searchConfig.enableFuzzySearch,
+        requireAll: !this.searchConfig.enableFuzzySearch
+      });
+      results = Array.from(matches.keys())
+        .map(venueId => this.venues.get(venueId))
+        .filter(Boolean);
+    } else {
+      results = Array.from(this.venues.values());
+    }
+
+    // Attach distance (meters) to copies of the matched venues
+    if (userLocation) {
+      results = results.map(venue => this.withDistance(venue, userLocation));
+    }
+    const candidates = results;
+
+    // Apply filters
+    const effectiveFilters = this.withMenuTerms(
+      userLocation && !activeFilters.userLocation ? { ...activeFilters, userLocation } : activeFilters,
+      textQuery
+    );
+    if (Object.keys(activeFilters).length > 0) {
+      results = this.applyFilters(results, effectiveFilters);
+    }
+
+    // Facet counts over the filtered (unpaginated) set
+    const facets = this.computeFacets(candidates, results, effectiveFilters);
+
+    // Apply sorting
+    const sortBy = options.sortBy || 'relevance';
+    results = this.sortResults(results, sortBy, textQuery, { profile, explain: Boolean(options.explain) });
+
+    const snapshot = {
+      id: `snapshot_${++this.snapshotSequence}`,
+      venuesVersion: this.venuesVersion,
+      // Live crowd statuses feed the uncrowded filter and facet
+      statusVersion: VenueStatusService.getVersion(),
+      timestamp: Date.now(),
+      results,
+      facets,
+      text: textQuery,
+      filters: activeFilters,
+      queryErrors: parsedQuery.errors,
+      sortBy
+    };
+
+    // Cache the ranking, evicting the oldest entries beyond the limit
+    this.searchCache.delete(cacheKey);
+    this.searchCache.set(cacheKey, snapshot);
+    while (this.searchCache.size > this.maxCachedSearches) {
+      this.searchCache.delete(this.searchCache.keys().next().value);
+    }
+
+    return { snapshot, fresh: true };
+  }
+
+  // Cursor = ranking snapshot + offset + last venue shown.
+  // If the ranking was recomputed in between (venues changed, cache expired), paging resumes
+  // after the last venue shown so items aren't repeated or skipped.
+  encodeCursor(snapshot, offset) {
+    const lastVenue = snapshot.results[offset - 1];
+    return [snapshot.id, offset, lastVenue ? lastVenue.id : ''].join('|');
+  }
+
+  resolveCursorOffset(snapshot, cursor) {
+    const [snapshotId, offsetText, ...lastIdParts] = String(cursor).split('|');
+    const offset = parseInt(offsetText, 10);
+    if (isNaN(offset) || offset < 0) {
+      throw new Error('Invalid search cursor');
+    }
+
+    if (snapshotId === snapshot.id) {
+      return offset;
+    }
+
+    const lastId = lastIdParts.join('|');
+    const lastIndex = snapshot.results.findIndex(venue => String(venue.id) === lastId);
+    return lastIndex >= 0 ? lastIndex + 1 : Math.min(offset, snapshot.results.length);
+  }
+
+  // Any change to the venue set invalidates every cached ranking
+  invalidateSearchCache() {
+    this.venuesVersion++;
+    this.searchCache.clear();
+  }
+
+  // Facet counts for the filter UI.
+  // Each multi-select facet is counted with its own filter removed, so selecting "bar" still shows
+  // how many clubs the other filters allow; tags narrow conjunctively and are counted on the final set.
+  computeFacets(candidates, filteredResults, filters = {}) {
+    const resultsWithout = (...keys) => {
+      if (!keys.some(key => filters[key] !== undefined)) return filteredResults;
+      const remaining = { ...filters };
+      keys.forEach(key => delete remaining[key]);
+      return this.applyFilters(candidates, remaining);
+    };
+    const countBy = (venues, getKey, initial = {}) => venues.reduce((counts, venue) => {
+      const key = getKey(venue);
+      if (key !== undefined && key !== null) {
+        counts[key] = (counts[key] || 0) + 1;
       }
+      return counts;
+    }, { ...initial });
+    const zeroCounts = ids => ids.reduce((counts, id) => ({ ...counts, [id]: 0 }), {});
+
+    const ratingBase = resultsWithout('minRating');
+    const ratings = RATING_FACET_BUCKETS.reduce((counts, bucket) => ({
+      ...counts,
+      [bucket]: ratingBase.filter(venue => (venue.rating || 0) >= bucket).length
+    }), {});
+
+    const openNowBase = resultsWithout('openNow', 'openAt');
+    const now = new Date();
+
+    const tagCounts = new Map();
+    filteredResults.forEach(venue => {
+      new Set(venue.tags || []).forEach(tag => {
+        tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+      });
     });
+
+    return {
+      categories: countBy(
+        resultsWithout('categories'),
+        venue => venue.category,
+        zeroCounts(this.venueCategories.map(category => category.id))
+      ),
+      priceRanges: countBy(
+        resultsWithout('priceRanges'),
+        venue => venue.priceRange,
+        zeroCounts(this.priceRanges.map(range => range.id))
+      ),
+      ratings,
+      ageRestrictions: countBy(resultsWithout('ageRestriction'), venue => venue.ageRestriction || 'none'),
+      openNow: openNowBase.filter(venue => this.isVenueOpen(venue, now)).length,
+      uncrowded: resultsWithout('uncrowded').filter(venue => this.isVenueUncrowded(venue)).length,
+      tags: Array.from(tagCounts.entries())
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ja'))
+        .slice(0, MAX_TAG_FACETS)
+    };
+  }
+
+  // Parse "バー 渋谷 open:now price:<=¥¥ rating:>=4 tag:シーシャ" into free text + filters.
+  // A bare price ceiling ("テキーラ 500円以下", "〜500円") becomes the menu price filter.
+  // Syntax-owned keys in baseFilters are replaced; other keys (e.g. maxDistance) are kept.
+  parseSearchQuery(input = '', baseFilters = {}) {
+    const filters = { ...baseFilters };
+    QUERY_SYNTAX_FILTER_KEYS.forEach(key => delete filters[key]);
+
+    const textTokens = [];
+    const errors = [];
+    const tokens = String(input).match(/[^\s　"]*"[^"]*"?|[^\s　]+/g) || [];
+
+    tokens.forEach(token => {
+      const normalizedToken = token.normalize('NFKC');
+      const separator = normalizedToken.indexOf(':');
+      const fieldName = separator > 0 ? normalizedToken.slice(0, separator).toLowerCase() : null;
+      const field = fieldName ? QUERY_FIELD_ALIASES[fieldName] : null;
+
+      if (!field) {
+        const maxPrice = fieldName ? null : parseMaxPriceToken(token);
+        if (maxPrice) {
+          filters.menuMaxPrice = maxPrice.maxPrice;
+          if (maxPrice.text) textTokens.push(maxPrice.text);
+        } else {
+          textTokens.push(token);
+        }
+        return;
+      }
+
+      const value = normalizedToken.slice(separator + 1).replace(/^"|"$/g, '').trim();
+      if (!value || !this.applyQueryOperator(filters, field, value)) {
+        errors.push({ token, message: `「${token}」を解釈できませんでした` });
+      }
+    });
+
+    return {
+      text: textTokens.join(' ').trim(),
+      filters,
+      errors
+    };
+  }
+
+  applyQueryOperator(filters, field, value) {
+    const [, operator = '', operand = value] = value.match(/^(<=|>=|<|>|=)?(.*)$/) || [];
+
+    switch (field) {
+      case 'category': {
+        const categories = operand.split(',').map(part => this.findCategoryId(part));
+        if (categories.some(id => !id)) return false;
+        filters.categories = [...new Set([...(filters.categories || []), ...categories])];
+        return true;
+      }
+
+      case 'price': {
+        const priceRanges = this.resolvePriceOperand(operator, operand);
+        if (!priceRanges || priceRanges.length === 0) return false;
+        filters.priceRanges = priceRanges;
+        return true;
+      }
+
+      case 'rating': {
+        if (operator === '<' || operator === '<=') return false;
+        const rating = parseFloat(operand.replace(/\+$/, ''));
+        if (isNaN(rating) || rating < 0 || rating > 5) return false;
+        filters.minRating = rating;
+        return true;
+      }
+
+      case 'open': {
+        if (['now', '今', '中', '営業中'].includes(operand.toLowerCase())) {
+          filters.openNow = true;
+          return true;
+        }
+        if (!/^\d{1,2}:\d{2}$/.test(operand)) return false;
+        filters.openAt = operand;
+        return true;
+      }
+
+      case 'age': {
+        const match = operand.match(/^(\d{2})(\+|_plus|歳以上)?$/);
+        if (!match) return false;
+        filters.ageRestriction = `${match[1]}_plus`;
+        return true;
+      }
+
+      case 'tag': {
+        const tags = operand.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length === 0) return false;
+        filters.tags = [...new Set([...(filters.tags || []), ...tags])];
+        return true;
+      }
+
+      case 'crowd': {
+        if (!['low', '空いている', '空き'].includes(operand.toLowerCase())) return false;
+        filters.uncrowded = true;
+        return true;
+      }
+
+      case 'menu': {
+        // Ceiling on a menu item's price, e.g. menu:<=500 (the text terms pick which items count)
+        if (operator === '>' || operator === '>=') return false;
+        const match = operand.match(/^[¥]?(\d[\d,]*)円?$/);
+        if (!match) return false;
+        const amount = Number(match[1].replace(/,/g, ''));
+        filters.menuMaxPrice = operator === '<' ? amount - 1 : amount;
+        return true;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  findCategoryId(value) {
+    const normalizedValue = normalizeText(value);
+    const category = this.venueCategories.find(c =>
+      c.id === normalizedValue || normalizeText(c.name) === normalizedValue
+    );
+    return category ? category.id : null;
+  }
+
+  // "¥¥", "moderate", "2" (rank) or a yen amount ("3000", "3000円"), with an optional comparison
+  resolvePriceOperand(operator, operand) {
+    const ranks = this.priceRanges.map((range, index) => ({ range, rank: index + 1 }));
+    const parts = operand.split(',').map(part => part.trim()).filter(Boolean);
+
+    // Yen amount, e.g. price:<=3000
+    const yenMatch = parts.length === 1 && parts[0].match(/^(\d{3,})円?$/);
+    if (yenMatch) {
+      const amount = Number(yenMatch[1]);
+      return ranks
+        .filter(({ range }) => {
+          if (operator === '<=' || operator === '<') return range.min <= amount;
+          if (operator === '>=' || operator === '>') return range.max >= amount;
+          return range.min <= amount && amount <= range.max;
+        })
+        .map(({ range }) => range.id);
+    }
+
+    const partRanks = parts.map(part => {
+      const found = ranks.find(({ range, rank }) =>
+        range.id === part.toLowerCase() || range.symbol === part || String(rank) === part
+      );
+      return found ? found.rank : null;
+    });
+    if (partRanks.length === 0 || partRanks.some(rank => rank === null)) return null;
+
+    if (operator && operator !== '=' && partRanks.length === 1) {
+      const [target] = partRanks;
+      const compare = {
+        '<=': rank => rank <= target,
+        '<': rank => rank < target,
+        '>=': rank => rank >= target,
+        '>': rank => rank > target
+      }[operator];
+      return ranks.filter(({ rank }) => compare(rank)).map(({ range }) => range.id);
+    }
+
+    return ranks.filter(({ rank }) => partRanks.includes(rank)).map(({ range }) => range.id);
+  }
+
+  // Inverse of parseSearchQuery: free text + filters -> search box text
+  serializeSearchQuery(text = '', filters = {}) {
+    const quote = value => (/[\s　]/.test(value) ? `"${value}"` : value);
+    const tokens = text.trim() ? [text.trim()] : [];
+
+    if (filters.categories && filters.categories.length > 0) {
+      tokens.push(`category:${filters.categories.join(',')}`);
+    }
+
+    if (filters.priceRanges && filters.priceRanges.length > 0) {
+      tokens.push(`price:${this.serializePriceRanges(filters.priceRanges)}`);
+    }
+
+    if (filters.minRating !== undefined && filters.minRating !== null) {
+      tokens.push(`rating:>=${filters.minRating}`);
+    }
+
+    if (filters.openNow) {
+      tokens.push('open:now');
+    }
+
+    if (filters.openAt && typeof filters.openAt === 'string' && /^\d{1,2}:\d{2}$/.test(filters.openAt)) {
+      tokens.push(`open:${filters.openAt}`);
+    }
+
+    if (filters.ageRestriction) {
+      tokens.push(`age:${filters.ageRestriction.replace('_plus', '+')}`);
+    }
+
+    (filters.tags || []).forEach(tag => tokens.push(`tag:${quote(tag)}`));
+
+    if (filters.uncrowded) {
+      tokens.push('crowd:low');
+    }
+
+    if (typeof filters.menuMaxPrice === 'number') {
+      tokens.push(`menu:<=${filters.menuMaxPrice}`);
+    }
+
+    return tokens.join(' ');
+  }
+
+  serializePriceRanges(priceRangeIds) {
+    const ranks = this.priceRanges
+      .map((range, index) => ({ range, rank: index + 1 }))
+      .filter(({ range }) => priceRangeIds.includes(range.id))
+      .map(({ rank }) => rank);
+    const symbolFor = rank => this.priceRanges[rank - 1].symbol;
+    const isContiguous = ranks.every((rank, index) => index === 0 || rank === ranks[index - 1] + 1);
+
+    if (ranks.length > 1 && isContiguous && ranks[0] === 1) {
+      return `<=${symbolFor(ranks[ranks.length - 1])}`;
+    }
+    if (ranks.length > 1 && isContiguous && ranks[ranks.length - 1] === this.priceRanges.length) {
+      return `>=${symbolFor(ranks[0])}`;
+    }
+    return ranks.map(symbolFor).join(',');
+  }
+
+  // Location used for distance sorting/filtering, as { lat, lng } or null
+  async resolveUserLocation(filters = {}, options = {}) {
+    if (filters.userLocation) {
+      return filters.userLocation;
+    }
+
+    if (options.useLocation === false || !this.searchConfig.enableLocationSearch) {
+      return null;
+    }
+
+    try {
+      let location = MapService.getLastKnownLocation();
+      const age = location?.timestamp ? Date.now() - new Date(location.timestamp).getTime() : Infinity;
+
+      // A stale fix is used as-is while a fresh one is fetched in the background;
+      // only a search with no fix at all waits, and never longer than locationTimeout
+      if (!location) {
+        location = await this.refreshUserLocation();
+      } else if (age > this.searchConfig.locationMaxAge) {
+        this.refreshUserLocation();
+      }
+
+      if (!location) return null;
+
+      return { lat: location.latitude, lng: location.longitude };
+    } catch (error) {
+      console.error('Failed to resolve user location:', error);
+      return null;
+    }
+  }
+
+  // Fetch a fresh fix (concurrent callers share one request). Resolves to the location, or null on failure/timeout.
+  refreshUserLocation() {
+    if (!this.locationRequest) {
+      this.locationRequest = MapService.getCurrentLocation()
+        .then(result => (result.success ? result.location : null))
+        .catch(error => {
+          console.error('Failed to refresh user location:', error);
+          return null;
+        })
+        .finally(() => {
+          this.locationRequest = null;
+        });
+    }
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.searchConfig.locationTimeout);
+    });
+    return Promise.race([this.locationRequest, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Resolve an area or station name ("渋谷", "渋谷駅", "しぶや", "shibuya") from the bundled dataset.
+  // Areas win over stations of the same name unless the input ends with 駅.
+  resolvePlace(name) {
+    const input = normalizeText(name);
+    if (!input) return null;
+
+    const wantsStation = /駅$/.test(input);
+    const target = input.replace(/駅$/, '');
+    const targets = [target, romajiToKana(target)].filter(Boolean);
+
+    const places = [
+      ...TOKYO_AREAS.map(area => ({ ...area, type: 'area' })),
+      ...TOKYO_STATIONS.map(station => ({ ...station, type: 'station' }))
+    ];
+    if (wantsStation) {
+      places.sort((a, b) => (a.type === 'station' ? 0 : 1) - (b.type === 'station' ? 0 : 1));
+    }
+
+    const placeKeys = place => [place.name, place.kana, ...(place.aliases || [])].map(key => normalizeText(key));
+
+    const place = places.find(candidate => placeKeys(candidate).some(key => targets.includes(key))) ||
+      places.find(candidate => placeKeys(candidate).some(key => targets.some(t => key.startsWith(t))));
+
+    return place || null;
+  }
+
+  getPlaces() {
+    return {
+      areas: TOKYO_AREAS,
+      stations: TOKYO_STATIONS
+    };
+  }
+
+  estimateWalkMinutes(distanceMeters) {
+    const { walkingSpeed, walkingDetourFactor } = this.searchConfig;
+    return Math.max(1, Math.ceil((distanceMeters * walkingDetourFactor) / walkingSpeed));
+  }
+
+  // Venues within options.walkMinutes on foot from an area or station (a name or a resolved place)
+  async searchVenuesNearPlace(placeOrName, query = '', filters = {}, options = {}) {
+    const place = typeof placeOrName === 'string' ? this.resolvePlace(placeOrName) : placeOrName;
+    if (!place) {
+      throw new Error(`「${placeOrName}」に一致するエリア・駅が見つかりません`);
+    }
+
+    const minutes = options.walkMinutes || this.searchConfig.defaultWalkMinutes;
+    const { walkingSpeed, walkingDetourFactor } = this.searchConfig;
+    const maxDistanceMeters = (minutes * walkingSpeed) / walkingDetourFactor;
+
+    const result = await this.searchVenues(query, {
+      ...filters,
+      userLocation: { lat: place.lat, lng: place.lng },
+      maxDistance: maxDistanceMeters / 1000 // km, as used by applyFilters
+    }, {
+      sortBy: 'distance',
+      ...options
+    });
+
+    return {
+      ...result,
+      results: result.results.map(venue => ({
+        ...venue,
+        walkMinutes: typeof venue.distance === 'number' ? this.estimateWalkMinutes(venue.distance) : null
+      })),
+      place,
+      walkMinutes: minutes
+    };
+  }
+
+  // Venues comparable to the given one, scored 0-100 over category, price range, tags, amenities,
+  // dress code, distance and the tags reviewers use. The venue itself and closed venues are excluded.
+  // options.at: time used for the open check (default now); options.includeClosed keeps closed venues.
+  getSimilarVenues(venueOrId, options = {}) {
+    const source = typeof venueOrId === 'object' ? venueOrId : this.venues.get(venueOrId);
+    if (!source) return [];
+
+    const { limit = 10, minScore = 25, at = new Date(), includeClosed = false } = options;
+    const sourceReviewTags = this.getReviewTagSet(source.id);
+
+    return Array.from(this.venues.values())
+      .filter(venue => String(venue.id) !== String(source.id))
+      .filter(venue => includeClosed || !this.isVenueClosed(venue, at))
+      .map(venue => {
+        const similarity = this.calculateSimilarityScore(source, venue, sourceReviewTags);
+        return { ...venue, distanceFromVenue: similarity.distance, similarity };
+      })
+      .filter(venue => venue.similarity.score >= minScore)
+      .sort((a, b) => b.similarity.score - a.similarity.score || b.rating - a.rating)
+      .slice(0, limit);
+  }
+
+  // Closed = outside its opening hours at `at` (when known) or flagged closed by a legacy is_open column
+  isVenueClosed(venue, at = new Date()) {
+    if (venue.openingHours) {
+      const status = getOpenStatus(venue.openingHours, at);
+      if (status.known) return !status.isOpen;
+    }
+    return venue.isOpen === false;
+  }
+
+  getReviewTagSet(venueId) {
+    return new Set(ReviewService.getPopularTags(venueId, 10).map(({ tag }) => normalizeText(tag)));
+  }
+
+  // Returns { score, reasons: [{ type, label, points }], distance (meters or null) }
+  calculateSimilarityScore(source, venue, sourceReviewTags = this.getReviewTagSet(source.id)) {
+    const reasons = [];
+    const addReason = (type, label, ratio) => {
+      const points = Math.round(SIMILARITY_WEIGHTS[type] * ratio * 10) / 10;
+      if (points > 0) reasons.push({ type, label, points });
+    };
+
+    if (source.category && source.category === venue.category) {
+      const category = this.venueCategories.find(c => c.id === venue.category);
+      addReason('category', `同じジャンル（${category ? category.name : venue.category}）`, 1);
+    }
+
+    const sourcePrice = this.getPriceNumericValue(source.priceRange);
+    const venuePrice = this.getPriceNumericValue(venue.priceRange);
+    if (sourcePrice && venuePrice) {
+      const ratio = 1 - Math.abs(sourcePrice - venuePrice) / 3;
+      addReason('priceRange', sourcePrice === venuePrice ? '同じ価格帯' : '近い価格帯', ratio);
+    }
+
+    const sharedTags = this.sharedTerms(source.tags, venue.tags);
+    if (sharedTags.shared.length > 0) {
+      addReason('tags', `共通のタグ: ${sharedTags.shared.slice(0, 3).join('・')}`, sharedTags.ratio);
+    }
+
+    const reviewTags = this.getReviewTagSet(venue.id);
+    const sharedReviewTags = Array.from(reviewTags).filter(tag => sourceReviewTags.has(tag));
+    if (sharedReviewTags.length > 0) {
+      const union = new Set([...sourceReviewTags, ...reviewTags]).size;
+      addReason('reviewTags', 'レビューでの評判が似ている', sharedReviewTags.length / union);
+    }
+
+    const sharedAmenities = this.sharedTerms(source.amenities, venue.amenities);
+    if (sharedAmenities.shared.length > 0) {
+      addReason('amenities', `共通の設備: ${sharedAmenities.shared.slice(0, 3).join('・')}`, sharedAmenities.ratio);
+    }
+
+    if (source.dressCode && source.dressCode === venue.dressCode) {
+      addReason('dressCode', '同じドレスコード', 1);
+    }
+
+    let distance = null;
+    if (source.coordinates && venue.coordinates) {
+      distance = Math.round(this.calculateDistance(
+        source.coordinates.lat,
+        source.coordinates.lng,
+        venue.coordinates.lat,
+        venue.coordinates.lng
+      ) * 1000);
+      const decay = Math.exp(-distance / this.searchConfig.similarityDistanceDecay);
+      addReason('distance', distance < 1000 ? `${distance}m先` : `${(distance / 1000).toFixed(1)}km先`, decay);
+    }
+
+    return {
+      score: Math.round(reasons.reduce((sum, reason) => sum + reason.points, 0) * 10) / 10,
+      reasons: reasons.sort((a, b) => b.points - a.points),
+      distance
+    };
+  }
+
+  // Jaccard overlap of two term lists (compared after normalization); `shared` keeps the display form
+  sharedTerms(a = [], b = []) {
+    const keysA = new Set((a || []).map(normalizeText));
+    const keysB = new Set((b || []).map(normalizeText));
+    const shared = (a || []).filter(term => keysB.has(normalizeText(term)));
+    const union = new Set([...keysA, ...keysB]).size;
+
+    return { shared, ratio: union > 0 ? new Set(shared.map(normalizeText)).size / union : 0 };
+  }
+
+  withDistance(venue, userLocation) {
+    if (!venue.coordinates) return venue;
+
+    const distanceKm = this.calculateDistance(
+      userLocation.lat,
+      userLocation.lng,
+      venue.coordinates.lat,
+      venue.coordinates.lng
+    );
+
+    return { ...venue, distance: Math.round(distanceKm * 1000) };
+  }
+
+  // 0..proximityWeight boost that decays exponentially with distance
+  calculateProximityScore(venue) {
+    if (typeof venue.distance !== 'number') return 0;
+
+    const decay = Math.exp(-venue.distance / this.searchConfig.proximityDecayDistance);
+    return this.searchConfig.proximityWeight * decay;
+  }
+
+  performTextSearch(venues, query) {
+    const matches = this.searchIndex.search(this.getQueryTermVariants(query), {
+      fuzzy: this.searchConfig.enableFuzzySearch,
+      requireAll: !this.searchConfig.enableFuzzySearch
+    });
+
+    return venues.filter(venue => matches.has(venue.id));
+  }
+
+  // Whether a single venue matches a query + filter set (used to re-evaluate saved searches)
+  // options.ignoreFilters: filter keys to drop after parsing (e.g. time-dependent openNow)
+  matchesSearch(venue, query = '', filters = {}, options = {}) {
+    if (!venue) return false;
+
+    const parsedQuery = this.parseSearchQuery(query, filters);
+    const { text } = parsedQuery;
+    const parsedFilters = { ...filters, ...parsedQuery.filters };
+    (options.ignoreFilters || []).forEach(key => delete parsedFilters[key]);
+
+    if (text !== '') {
+      const fuzzy = this.searchConfig.enableFuzzySearch;
+      const termMatches = this.getQueryTermVariants(text).map(variants =>
+        this.searchIndex.scoreDocument(venue.id, [variants], { fuzzy }) > 0
+      );
+      const matched = fuzzy ? termMatches.some(Boolean) : termMatches.every(Boolean);
+      if (!matched) return false;
+    }
+
+    return this.applyFilters([venue], this.withMenuTerms(parsedFilters, text)).length > 0;
+  }
+
+  // The menu price filter checks the items named in the free text ("テキーラ 500円以下"),
+  // so the text's term variants ride along with the filters while they're applied
+  withMenuTerms(filters, text) {
+    if (filters.menuMaxPrice === undefined || !text) return filters;
+    return { ...filters, menuTermVariants: this.getQueryTermVariants(text) };
+  }
+
+  // Normalized query terms, each with its romaji -> kana variant and dictionary synonyms
+  getQueryTermVariants(query) {
+    const termVariants = splitSearchTerms(query).map(term => getTermVariants(term));
+    return this.searchConfig.enableSynonyms ? this.synonyms.expandTermVariants(termVariants) : termVariants;
+  }
+
+  // Synonym dictionary. The stored copy replaces the bundled defaults once it has been edited or imported.
+  async loadSynonyms() {
+    try {
+      const stored = await AsyncStorage.getItem('search_synonyms');
+      this.synonyms = new SynonymDictionary(stored ? JSON.parse(stored) : DEFAULT_SYNONYMS);
+    } catch (error) {
+      console.error('Failed to load synonyms:', error);
+      this.synonyms = new SynonymDictionary(DEFAULT_SYNONYMS);
+    }
+  }
+
+  async saveSynonyms() {
+    try {
+      await AsyncStorage.setItem('search_synonyms', JSON.stringify(this.synonyms.toJSON()));
+    } catch (error) {
+      console.error('Failed to save synonyms:', error);
+    }
+  }
+
+  // Rankings depend on the dictionary, so every edit drops the cached ones
+  async updateSynonyms(update) {
+    try {
+      update(this.synonyms);
+      this.invalidateSearchCache();
+      await this.saveSynonyms();
+      this.emit('synonymsChanged', this.synonyms.toJSON());
+      return { success: true, synonyms: this.synonyms.toJSON() };
+    } catch (error) {
+      console.error('Failed to update synonyms:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  exportSynonyms() {
+    return JSON.stringify(this.synonyms.toJSON(), null, 2);
+  }
+
+  // json: exported string or parsed object. options.merge keeps existing entries (imported groups are unioned).
+  async importSynonyms(json, options = {}) {
+    try {
+      const data = typeof json === 'string' ? JSON.parse(json) : json;
+      SynonymDictionary.validate(data);
+
+      return await this.updateSynonyms(synonyms => {
+        if (!options.merge) {
+          synonyms.load(data);
+          return;
+        }
+        (data.groups || []).forEach(group => synonyms.addGroup(group));
+        Object.entries(data.aliases || {}).forEach(([from, targets]) => {
+          synonyms.addAlias(from, Array.isArray(targets) ? targets : [targets]);
+        });
+      });
+    } catch (error) {
+      console.error('Failed to import synonyms:', error);
+      return {
+        success: false,
+        error: error instanceof SyntaxError ? '同義語辞書の JSON を読み込めません' : error.message
+      };
+    }
+  }
+
+  addSynonymGroup(terms) {
+    return this.updateSynonyms(synonyms => {
+      SynonymDictionary.validate({ groups: [terms] });
+      synonyms.addGroup(terms);
+    });
+  }
+
+  removeSynonym(term) {
+    return this.updateSynonyms(synonyms => synonyms.removeTerm(term));
+  }
+
+  addSynonymAlias(from, targets) {
+    const targetList = Array.isArray(targets) ? targets : [targets];
+    return this.updateSynonyms(synonyms => {
+      SynonymDictionary.validate({ aliases: { [from]: targetList } });
+      synonyms.addAlias(from, targetList);
+    });
+  }
+
+  removeSynonymAlias(from) {
+    return this.updateSynonyms(synonyms => synonyms.removeAlias(from));
+  }
+
+  async resetSynonyms() {
+    try {
+      await AsyncStorage.removeItem('search_synonyms');
+      this.synonyms = new SynonymDictionary(DEFAULT_SYNONYMS);
+      this.invalidateSearchCache();
+      this.emit('synonymsChanged', this.synonyms.toJSON());
+      return { success: true, synonyms: this.synonyms.toJSON() };
+    } catch (error) {
+      console.error('Failed to reset synonyms:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   applyFilters(venues, filters) {
@@ -315,8 +1087,11 @@ class VenueSearchService {
         }
       }
 
-      // Distance filter
+      // Distance filter - venues without coordinates can't be placed, so they fall outside any radius
       if (filters.maxDistance !== undefined && filters.userLocation) {
+        if (!venue.coordinates) {
+          return false;
+        }
         const distance = this.calculateDistance(
           filters.userLocation.lat,
           filters.userLocation.lng,
@@ -335,6 +1110,28 @@ class VenueSearchService {
         }
       }
 
+      // Open at a given time ("23:30", "26:00" or a Date / ISO string)
+      if (filters.openAt) {
+        const openAt = resolveTokyoTime(filters.openAt);
+        if (!openAt || !this.isVenueOpen(venue, openAt)) {
+          return false;
+        }
+      }
+
+      // Uncrowded filter - only venues with a reliable live "low" crowd status
+      if (filters.uncrowded === true) {
+        if (!this.isVenueUncrowded(venue)) {
+          return false;
+        }
+      }
+
+      // Menu price filter - an item (one named in the query, if the menu has any) at or under the price
+      if (typeof filters.menuMaxPrice === 'number') {
+        if (findMenuItemsWithin(venue.menu, filters.menuMaxPrice, filters.menuTermVariants).length === 0) {
+          return false;
+        }
+      }
+
       // Age restriction filter
       if (filters.ageRestriction) {
         if (venue.ageRestriction !== filters.ageRestriction) {
@@ -342,128 +1139,317 @@ class VenueSearchService {
         }
       }
 
+      // Tag filter - every requested tag must appear in the venue's tags or amenities
+      if (filters.tags && filters.tags.length > 0) {
+        const venueTags = [...(venue.tags || []), ...(venue.amenities || [])].map(tag => normalizeText(tag));
+        const hasAllTags = filters.tags.every(tag => {
+          const normalizedTag = normalizeText(tag);
+          return venueTags.some(venueTag => venueTag.includes(normalizedTag));
+        });
+        if (!hasAllTags) {
+          return false;
+        }
+      }
+
       return true;
     });
   }
 
-  sortResults(venues, sortBy, query = '') {
+  // ranking.profile: the user's personalization profile (relevance/nearby only)
+  // ranking.explain: copy each venue with a `ranking` breakdown of how it was placed
+  sortResults(venues, sortBy, query = '', ranking = {}) {
+    const sorted = this.sortVenues(venues, sortBy, query, ranking.profile || null);
+    if (!ranking.explain) {
+      return sorted.map(({ venue }) => venue);
+    }
+
+    return sorted.map(({ venue, breakdown }, index) => ({
+      ...venue,
+      ranking: {
+        position: index + 1,
+        sortBy,
+        score: breakdown ? Math.round(breakdown.score * 10) / 10 : null,
+        components: breakdown ? breakdown.components : []
+      }
+    }));
+  }
+
+  // Returns [{ venue, breakdown }]; breakdown is only set for score-based sorts
+  sortVenues(venues, sortBy, query, profile) {
     const sortedVenues = [...venues];
+    const byScore = (scoreVenue) => {
+      const entries = sortedVenues.map(venue => ({ venue, breakdown: scoreVenue(venue) }));
+      return entries.sort((a, b) => b.breakdown.score - a.breakdown.score);
+    };
+    const plain = (list) => list.map(venue => ({ venue, breakdown: null }));
 
     switch (sortBy) {
       case 'relevance':
-        return sortedVenues.sort((a, b) => {
-          const scoreA = this.calculateRelevanceScore(a, query);
-          const scoreB = this.calculateRelevanceScore(b, query);
-          return scoreB - scoreA;
-        });
+        return byScore(venue => this.getRelevanceBreakdown(venue, query, profile));
 
       case 'rating':
-        return sortedVenues.sort((a, b) => b.rating - a.rating);
+        return plain(sortedVenues.sort((a, b) => b.rating - a.rating));
 
       case 'distance':
-        // Would need user location for proper distance sorting
-        return sortedVenues;
+        // Venues without a known distance go last
+        return plain(sortedVenues.sort((a, b) => {
+          const distanceA = typeof a.distance === 'number' ? a.distance : Infinity;
+          const distanceB = typeof b.distance === 'number' ? b.distance : Infinity;
+          return distanceA - distanceB;
+        }));
+
+      case 'nearby':
+        // Blended relevance + proximity ranking
+        return byScore(venue => {
+          const breakdown = this.getRelevanceBreakdown(venue, query, profile, { ratingScale: 10 });
+          const proximity = this.calculateProximityScore(venue);
+          return {
+            score: breakdown.score + proximity,
+            components: [...breakdown.components, { type: 'proximity', label: '近さ', points: Math.round(proximity * 10) / 10 }]
+          };
+        });
 
       case 'name':
-        return sortedVenues.sort((a, b) => a.name.localeCompare(b.name));
+        return plain(sortedVenues.sort((a, b) => a.name.localeCompare(b.name)));
 
       case 'price_low':
-        return sortedVenues.sort((a, b) => {
+        return plain(sortedVenues.sort((a, b) => {
           const priceA = this.getPriceNumericValue(a.priceRange);
           const priceB = this.getPriceNumericValue(b.priceRange);
           return priceA - priceB;
-        });
+        }));
 
       case 'price_high':
-        return sortedVenues.sort((a, b) => {
+        return plain(sortedVenues.sort((a, b) => {
           const priceA = this.getPriceNumericValue(a.priceRange);
           const priceB = this.getPriceNumericValue(b.priceRange);
           return priceB - priceA;
-        });
+        }));
 
       case 'newest':
-        return sortedVenues.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return plain(sortedVenues.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
 
       default:
-        return sortedVenues;
+        return plain(sortedVenues);
     }
   }
 
-  calculateRelevanceScore(venue, query) {
-    if (!query) return venue.rating;
+  calculateRelevanceScore(venue, query, profile = null) {
+    return this.getRelevanceBreakdown(venue, query, profile).score;
+  }
 
-    let score = 0;
-    const queryLower = query.toLowerCase();
+  // Score components behind calculateRelevanceScore.
+  // Without a query the score is the bare rating; once a personal boost is added the rating is
+  // scaled to rating * 10 so both are on the same scale (options.ratingScale forces the scale).
+  getRelevanceBreakdown(venue, query, profile = null, options = {}) {
+    const components = [];
 
-    // Name match (highest weight)
-    if (venue.name.toLowerCase().includes(queryLower)) {
-      score += 100;
+    if (query) {
+      // Field-weighted text score from the index (name > category > tags > description > address)
+      const textScore = this.searchIndex.scoreDocument(venue.id, this.getQueryTermVariants(query), {
+        fuzzy: this.searchConfig.enableFuzzySearch
+      });
+      components.push({ type: 'text', label: 'キーワード一致', points: Math.round(textScore * 10) / 10 });
     }
 
-    // Category match
-    if (venue.category.toLowerCase().includes(queryLower)) {
-      score += 50;
+    const ratingScale = options.ratingScale || (query || profile ? 10 : 1);
+    components.push({ type: 'rating', label: '評価', points: (venue.rating || 0) * ratingScale });
+
+    if (profile) {
+      const { boost, reasons } = PersonalizationService.scoreVenue(venue, profile);
+      if (reasons.length > 0) {
+        components.push({
+          type: 'personal',
+          label: 'あなたの好み',
+          points: Math.round(boost * 10) / 10,
+          reasons: reasons.map(reason => ({ ...reason, label: this.describePreference(reason) }))
+        });
+      }
     }
 
-    // Tags match
-    venue.tags.forEach(tag => {
-      if (tag.toLowerCase().includes(queryLower)) {
-        score += 30;
-      }
-    });
+    return {
+      score: components.reduce((sum, component) => sum + component.points, 0),
+      components
+    };
+  }
 
-    // Description match
-    if (venue.description.toLowerCase().includes(queryLower)) {
-      score += 20;
+  // The active personalization profile for a search, or null when it's off / has too little data
+  getPersonalProfile(userId, personalize = true) {
+    if (personalize === false || !userId || !PersonalizationService.isEnabled(userId)) {
+      return null;
     }
 
-    // Address match
-    if (venue.address.toLowerCase().includes(queryLower)) {
-      score += 10;
+    const profile = PersonalizationService.getProfile(userId, {
+      getVenue: venueId => this.venues.get(venueId),
+      history: this.searchHistory.filter(search => search.userId === userId)
+    });
+    return profile.active ? profile : null;
+  }
+
+  describePreference(reason) {
+    switch (reason.type) {
+      case 'category': {
+        const category = this.venueCategories.find(c => c.id === reason.value);
+        return `よく選ぶジャンル: ${category ? category.name : reason.value}`;
+      }
+      case 'priceRange': {
+        const priceRange = this.priceRanges.find(p => p.id === reason.value);
+        return `よく選ぶ価格帯: ${priceRange ? priceRange.name : reason.value}`;
+      }
+      case 'tag':
+        return `好みのタグ: ${reason.value}`;
+      case 'area':
+        return `よく行くエリア: ${reason.value}`;
+      default:
+        return String(reason.value);
     }
+  }
 
-    // Add rating as base score
-    score += venue.rating * 10;
+  // Why a venue sits where it does for this search (explain mode for a single venue)
+  async explainRanking(venueId, query = '', filters = {}, options = {}) {
+    const userLocation = await this.resolveUserLocation(filters, options);
+    const { snapshot } = this.getRankedSnapshot(query, filters, { ...options, explain: true }, userLocation);
+    const venue = snapshot.results.find(result => result.id === venueId);
 
-    return score;
+    if (!venue) {
+      return { found: false, total: snapshot.results.length };
+    }
+
+    return {
+      found: true,
+      total: snapshot.results.length,
+      personalized: venue.ranking.components.some(component => component.type === 'personal'),
+      ...venue.ranking
+    };
   }
 
-  async getSearchSuggestions(query) {
+  // Prefix autocomplete over venue names, tags, amenities, areas/stations, categories and past queries.
+  // Ranked by type, how often the text was searched, rating and popularity.
+  async getSearchSuggestions(query, options = {}) {
     try {
-      if (!query || query.length < 2) {
+      if (!this.searchConfig.enableAutoComplete || !query || query.trim() === '') {
         return [];
       }
 
-      const suggestions = [];
-      const queryLower = query.toLowerCase();
+      const userId = options.userId || 'anonymous';
+      const limit = options.limit || 10;
+
+      // The trie scores every prefix match and keeps only the top `limit`, so nothing is cut before ranking
+      return this.autocomplete.lookup(query, {
+        limit,
+        filter: entry => entry.type !== 'history' || entry.userId === userId,
+        score: (entry, prefix) => this.scoreSuggestion(entry, prefix)
+      }).map(({ entry, prefix, score }) => ({
+        ...entry.payload,
+        type: entry.type,
+        text: entry.text,
+        highlight: findHighlightRange(entry.text, prefix),
+        score
+      }));
+    } catch (error) {
+      console.error('Failed to get search suggestions:', error);
+      return [];
+    }
+  }
 
-      // Venue name suggestions
-      Array.from(this.venues.values()).forEach(venue => {
-        if (venue.name.toLowerCase().includes(queryLower)) {
-          suggestions.push({
-            type: 'venue',
-            text: venue.name,
-            venue: venue
-          });
-        }
+  scoreSuggestion(entry, prefix) {
+    const frequency = entry.type === 'history'
+      ? entry.frequency
+      : this.queryFrequency.get(normalizeText(entry.text)) || 0;
+    const exactBonus = normalizeText(entry.text) === prefix ? 10 : 0;
+
+    return SUGGESTION_TYPE_WEIGHTS[entry.type] +
+      10 * Math.log2(1 + frequency) +
+      4 * (entry.rating || 0) +
+      2 * Math.log2(1 + (entry.popularity || 0)) +
+      exactBonus;
+  }
+
+  loadStaticSuggestions() {
+    this.autocomplete.replaceType('category', this.venueCategories.map(category => ({
+      id: `category:${category.id}`,
+      type: 'category',
+      text: category.name,
+      readings: [category.id],
+      payload: { category }
+    })));
+
+    this.autocomplete.replaceType('area', TOKYO_AREAS.map(area => ({
+      id: `area:${area.id}`,
+      type: 'area',
+      text: area.name,
+      readings: [area.kana, ...area.aliases],
+      payload: { place: { ...area, type: 'area' } }
+    })));
+
+    this.autocomplete.replaceType('station', TOKYO_STATIONS.map(station => ({
+      id: `station:${station.id}`,
+      type: 'station',
+      text: `${station.name}駅`,
+      readings: [station.name, station.kana],
+      payload: { place: { ...station, type: 'station' } }
+    })));
+  }
+
+  // Venue names plus tags/amenities aggregated across venues (average rating, venue count)
+  refreshVenueSuggestions(venueList) {
+    this.autocomplete.replaceType('venue', venueList.map(toVenueSuggestion));
+    this.refreshTagSuggestions(venueList);
+  }
+
+  refreshTagSuggestions(venueList) {
+    const aggregate = (type, getValues) => {
+      const groups = new Map();
+      venueList.forEach(venue => {
+        new Set(getValues(venue) || []).forEach(value => {
+          const key = normalizeText(value);
+          if (!key) return;
+          const group = groups.get(key) || { text: value, count: 0, ratingTotal: 0 };
+          group.count++;
+          group.ratingTotal += venue.rating || 0;
+          groups.set(key, group);
+        });
       });
 
-      // Category suggestions
-      this.venueCategories.forEach(category => {
-        if (category.name.toLowerCase().includes(queryLower)) {
-          suggestions.push({
-            type: 'category',
-            text: category.name,
-            category: category
-          });
-        }
+      return Array.from(groups.entries()).map(([key, group]) => ({
+        id: `${type}:${key}`,
+        type,
+        text: group.text,
+        rating: group.ratingTotal / group.count,
+        popularity: group.count,
+        payload: {}
+      }));
+    };
+
+    this.autocomplete.replaceType('tag', aggregate('tag', venue => venue.tags));
+    this.autocomplete.replaceType('amenity', aggregate('amenity', venue => venue.amenities));
+  }
+
+  // Past queries (free text only, operators stripped) and their frequencies
+  rebuildHistorySuggestions() {
+    this.queryFrequency.clear();
+    const historyEntries = new Map();
+
+    this.searchHistory.forEach(search => {
+      const text = this.parseSearchQuery(search.query || '').text;
+      const key = normalizeText(text);
+      if (!key) return;
+
+      this.queryFrequency.set(key, (this.queryFrequency.get(key) || 0) + 1);
+
+      const id = `history:${search.userId}:${key}`;
+      const existing = historyEntries.get(id);
+      historyEntries.set(id, {
+        id,
+        type: 'history',
+        text: existing ? existing.text : text,
+        userId: search.userId,
+        frequency: (existing ? existing.frequency : 0) + 1,
+        payload: {}
       });
+    });
 
-      return suggestions.slice(0, 10);
-    } catch (error) {
-      console.error('Failed to get search suggestions:', error);
-      return [];
-    }
+    this.autocomplete.replaceType('history', Array.from(historyEntries.values()));
   }
 
   async getSearchHistory(userId = 'anonymous') {
@@ -494,6 +1480,7 @@ class VenueSearchService {
       
       // Keep only recent searches
       this.searchHistory = this.searchHistory.slice(0, this.searchConfig.maxSearchHistory * 2);
+      this.rebuildHistorySuggestions();
       
       await this.saveSearchHistory();
     } catch (error) {
@@ -501,6 +1488,15 @@ class VenueSearchService {
     }
   }
 
+  // position is the 1-based rank of the tapped venue in the result list
+  recordResultClick(searchId, venue, position) {
+    return SearchAnalyticsService.recordResultClick(searchId, venue.id, position);
+  }
+
+  getSearchAnalytics(options = {}) {
+    return SearchAnalyticsService.getSearchAnalytics(options);
+  }
+
   calculateDistance(lat1, lng1, lat2, lng2) {
     const R = 6371; // Earth's radius in km
     const dLat = (lat2 - lat1) * Math.PI / 180;
@@ -512,78 +1508,86 @@ class VenueSearchService {
     return R * c;
   }
 
-  calculateSimilarity(str1, str2) {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-    
-    if (longer.length === 0) return 1.0;
-    
-    const editDistance = this.calculateEditDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+  // Evaluated in Asia/Tokyo; handles overnight spans, multiple sessions, holidays and overrides
+  isVenueOpen(venue, at = new Date()) {
+    return this.getVenueOpenStatus(venue, at).isOpen;
   }
 
-  calculateEditDistance(str1, str2) {
-    const matrix = [];
-    
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-    
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
-    }
-    
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
-    
-    return matrix[str2.length][str1.length];
+  getVenueOpenStatus(venue, at = new Date()) {
+    return getOpenStatus(venue.openingHours, at);
   }
 
-  isVenueOpen(venue) {
-    const now = new Date();
-    const currentDay = now.toLocaleDateString('en-US', { weekday: 'lowercase' });
-    const currentTime = now.toTimeString().slice(0, 5);
-    
-    const todayHours = venue.openingHours[currentDay];
-    if (!todayHours || todayHours.closed) return false;
-    
-    return currentTime >= todayHours.open && currentTime <= todayHours.close;
+  // Based on the last statuses VenueStatusService fetched (subscribe to it to keep them fresh)
+  isVenueUncrowded(venue) {
+    return isUncrowded(VenueStatusService.getCachedStatus(venue.id));
+  }
+
+  async getVenuesOpenAt(time, query = '', filters = {}, options = {}) {
+    return await this.searchVenues(query, { ...filters, openAt: time }, options);
   }
 
+  // Position of the price range in priceRanges, cheapest first (0 when unknown)
   getPriceNumericValue(priceRange) {
-    const priceMap = {
-      'budget': 1,
-      'moderate': 2,
-      'expensive': 3,
-      'luxury': 4
-    };
-    return priceMap[priceRange] || 0;
+    return this.priceRanges.findIndex(range => range.id === priceRange) + 1;
+  }
+
+  generateCacheKey(query, filters, options, userLocation = null) {
+    // Round the location to ~100m so small movements still hit the cache
+    const locationKey = userLocation
+      ? `${userLocation.lat.toFixed(3)},${userLocation.lng.toFixed(3)}`
+      : 'none';
+    return `${query}_${JSON.stringify(filters)}_${JSON.stringify(options)}_${locationKey}`;
   }
 
-  generateCacheKey(query, filters, options) {
-    return `${query}_${JSON.stringify(filters)}_${JSON.stringify(options)}`;
+  async addVenue(venueData) {
+    try {
+      if (!venueData || !venueData.name) {
+        throw new Error('Venue name is required');
+      }
+
+      // The repository validates against the canonical schema and reports per-field errors
+      const [venue] = await VenueRepository.upsert(venueData, { author: AuthService.getCurrentAuthor() });
+
+      this.emit('venueAdded', venue);
+
+      return { success: true, venue };
+    } catch (error) {
+      console.error('Failed to add venue:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  async saveVenues() {
+  // Partial update (e.g. { openingHours } or { priceRange }); the repository records a field-level diff
+  // attributed to the signed-in user, see VenueHistoryService for the timeline and rollback.
+  async updateVenue(venueId, updates) {
     try {
-      const venueList = Array.from(this.venues.values());
-      await AsyncStorage.setItem('venues', JSON.stringify(venueList));
+      const existing = await VenueRepository.get(venueId);
+      if (!existing) {
+        throw new Error(`Venue not found: ${venueId}`);
+      }
+
+      const [venue] = await VenueRepository.upsert(
+        { ...existing, ...updates, id: existing.id },
+        { author: AuthService.getCurrentAuthor() }
+      );
+
+      this.emit('venueUpdated', venue);
+
+      return { success: true, venue };
     } catch (error) {
-      console.error('Failed to save venues:', error);
+      console.error('Failed to update venue:', error);
+      return { success: false, error: error.message };
     }
   }
 
+  refreshVenueIndex() {
+    const venueList = Array.from(this.venues.values());
+    // Re-index only venues whose updatedAt changed, drop removed ones
+    this.searchIndex.sync(venueList);
+    this.refreshVenueSuggestions(venueList);
+    this.invalidateSearchCache();
+  }
+
   async saveSearchHistory() {
     try {
       await AsyncStorage.setItem('search_history', JSON.stringify(this.searchHistory));
@@ -608,11 +1612,41 @@ class VenueSearchService {
     return this.priceRanges;
   }
 
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+
   async cleanup() {
     try {
+      if (this.unsubscribeVenueChanges) {
+        this.unsubscribeVenueChanges();
+        this.unsubscribeVenueChanges = null;
+      }
+      this.listeners = [];
       this.venues.clear();
       this.searchHistory = [];
       this.searchCache.clear();
+      this.searchIndex.clear();
+      this.autocomplete.clear();
+      this.queryFrequency.clear();
       this.initialized = false;
     } catch (error) {
       console.error('Failed to cleanup VenueSearchService:', error);
@@ -0,0 +1,271 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AuthService from './AuthService';
+import VenueRepository, { getVenueRepositoryConfig } from './VenueRepository';
+import { canEditVenue } from '../utils/venue-claims';
+import {
+  REPORT_INTERVAL,
+  aggregateVenueStatus,
+  aggregateVenueStatuses,
+  createStatusReport,
+  isReportLive,
+  updateReliability,
+  validateStatusReport,
+} from '../utils/venue-status';
+
+// 店舗の混雑度・待ち時間（まとめ方は utils/venue-status.js）
+// 店舗リポジトリが http のときは API サーバー（/venues/status）から取得・報告し、
+// それ以外は報告と報告者の信頼度を端末内（AsyncStorage）に保存してこの端末で集計する
+// subscribe している間は POLL_INTERVAL（1分）ごとに最新の状況を取り直す（報告が古くなると重みが下がるため端末内でも再集計する）
+const POLL_INTERVAL = 60 * 1000;
+
+class VenueStatusService {
+  constructor() {
+    this.initialized = false;
+    this.config = getVenueRepositoryConfig();
+    this.statuses = {};
+    this.reports = [];
+    this.reliabilities = {};
+    this.version = 0;
+    this.pollTimer = null;
+    this.subscribers = [];
+    this.listeners = [];
+    this.storageKeys = {
+      reports: '@nightlife_navigator:venue_status_reports',
+      reliabilities: '@nightlife_navigator:venue_status_reliabilities',
+    };
+  }
+
+  static getInstance() {
+    if (!VenueStatusService.instance) {
+      VenueStatusService.instance = new VenueStatusService();
+    }
+    return VenueStatusService.instance;
+  }
+
+  isRemote() {
+    return this.config.backend === 'http';
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      if (!this.isRemote()) {
+        const [reports, reliabilities] = await Promise.all([
+          AsyncStorage.getItem(this.storageKeys.reports),
+          AsyncStorage.getItem(this.storageKeys.reliabilities),
+        ]);
+        this.reports = (reports ? JSON.parse(reports) : []).filter(report => isReportLive(report));
+        this.reliabilities = reliabilities ? JSON.parse(reliabilities) : {};
+      }
+      this.initialized = true;
+      await this.refresh();
+    } catch (error) {
+      console.error('Failed to initialize VenueStatusService:', error);
+      this.reports = [];
+      this.reliabilities = {};
+    }
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.config.apiBaseUrl.replace(/\/$/, '')}${path}`, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        Accept: 'application/json',
+        ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      },
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data?.success) {
+      throw new Error(data?.error || `混雑状況APIの呼び出しに失敗しました（${response.status}）`);
+    }
+    return data;
+  }
+
+  async saveReports() {
+    await AsyncStorage.setItem(this.storageKeys.reports, JSON.stringify(this.reports));
+  }
+
+  async saveReliabilities() {
+    await AsyncStorage.setItem(this.storageKeys.reliabilities, JSON.stringify(this.reliabilities));
+  }
+
+  setStatuses(statuses) {
+    this.statuses = statuses;
+    this.version++;
+    this.emit('statusesUpdated', { statuses, version: this.version });
+  }
+
+  // 全店舗の状況を取り直す
+  async refresh() {
+    try {
+      if (this.isRemote()) {
+        const { statuses } = await this.request('/venues/status');
+        this.setStatuses(statuses || {});
+      } else {
+        this.reports = this.reports.filter(report => isReportLive(report));
+        this.setStatuses(aggregateVenueStatuses(this.reports, this.reliabilities));
+      }
+      return { success: true, statuses: this.statuses };
+    } catch (error) {
+      console.error('Failed to refresh venue statuses:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 最後に取得した状況（なければ null）。検索の絞り込みや一覧のバッジ用
+  getCachedStatus(venueId) {
+    return this.statuses[String(venueId)] || null;
+  }
+
+  getVersion() {
+    return this.version;
+  }
+
+  async getStatus(venueId) {
+    try {
+      await this.initialize();
+
+      if (this.isRemote()) {
+        const { status } = await this.request(`/venues/status?venueId=${encodeURIComponent(venueId)}`);
+        this.updateCachedStatus(venueId, status);
+        return { success: true, status };
+      }
+
+      const status = aggregateVenueStatus(
+        this.reports.filter(report => report.venueId === String(venueId)),
+        this.reliabilities
+      );
+      return { success: true, status };
+    } catch (error) {
+      console.error('Failed to get venue status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  updateCachedStatus(venueId, status) {
+    const statuses = { ...this.statuses };
+    if (status) {
+      statuses[String(venueId)] = status;
+    } else {
+      delete statuses[String(venueId)];
+    }
+    this.setStatuses(statuses);
+  }
+
+  // 混雑度（'low' | 'medium' | 'high' | 'full'）と待ち時間（分, 省略可）を報告する
+  // その店舗のオーナーと管理者の報告はオーナーの更新として扱う
+  async reportStatus(venueId, { crowdLevel, waitMinutes } = {}) {
+    try {
+      await this.initialize();
+      const user = AuthService.getCurrentUser();
+      if (!user) {
+        throw new Error('混雑状況の報告にはログインが必要です');
+      }
+      const input = validateStatusReport({ crowdLevel, waitMinutes });
+
+      if (this.isRemote()) {
+        const { status } = await this.request('/venues/status', {
+          method: 'POST',
+          body: JSON.stringify({ venueId, ...input }),
+        });
+        this.updateCachedStatus(venueId, status);
+        return { success: true, status };
+      }
+
+      await VenueRepository.initialize();
+      const venue = await VenueRepository.get(venueId);
+      if (!venue) {
+        throw new Error('店舗が見つかりません');
+      }
+
+      const isOwner = canEditVenue(venue, user);
+      const now = Date.now();
+      const report = createStatusReport({
+        venueId: venue.id,
+        reporterId: user.id,
+        source: isOwner ? 'owner' : 'user',
+        ...input,
+        now,
+      });
+
+      // 同じ人の直前の報告は置き換える
+      this.reports = this.reports.filter(other =>
+        isReportLive(other, now) &&
+        !(other.venueId === report.venueId && other.reporterId === report.reporterId &&
+          now - new Date(other.reportedAt).getTime() < REPORT_INTERVAL)
+      );
+
+      // 利用者の信頼度は、他の人の報告のまとめと比べて更新する
+      if (!isOwner) {
+        const others = this.reports.filter(other => other.venueId === report.venueId);
+        const consensus = aggregateVenueStatus(others, this.reliabilities, now);
+        this.reliabilities = {
+          ...this.reliabilities,
+          [report.reporterId]: updateReliability(this.reliabilities[report.reporterId], report, consensus),
+        };
+        await this.saveReliabilities();
+      }
+
+      this.reports.push(report);
+      await this.saveReports();
+
+      const status = aggregateVenueStatus(
+        this.reports.filter(other => other.venueId === report.venueId),
+        this.reliabilities,
+        now
+      );
+      this.updateCachedStatus(venue.id, status);
+      return { success: true, status };
+    } catch (error) {
+      console.error('Failed to report venue status:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 状況の更新を受け取る（listener({ statuses, version })）。戻り値で購読をやめる
+  // 購読している間は POLL_INTERVAL ごとに取り直す
+  subscribe(listener) {
+    this.subscribers.push(listener);
+    this.addEventListener('statusesUpdated', listener);
+    this.initialize().then(() => listener({ statuses: this.statuses, version: this.version }));
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.refresh(), POLL_INTERVAL);
+    }
+
+    return () => {
+      this.subscribers = this.subscribers.filter(subscriber => subscriber !== listener);
+      this.removeEventListener('statusesUpdated', listener);
+      if (this.subscribers.length === 0 && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+    };
+  }
+
+  addEventListener(eventType, callback) {
+    this.listeners.push({ eventType, callback });
+  }
+
+  removeEventListener(eventType, callback) {
+    this.listeners = this.listeners.filter(
+      listener => listener.eventType !== eventType || listener.callback !== callback
+    );
+  }
+
+  emit(eventType, data) {
+    this.listeners
+      .filter(listener => listener.eventType === eventType)
+      .forEach(listener => {
+        try {
+          listener.callback(data);
+        } catch (error) {
+          console.error(`Error in event listener for ${eventType}:`, error);
+        }
+      });
+  }
+}
+
+export default VenueStatusService.getInstance();
@@ -0,0 +1,119 @@
+/**
+ * PersonalizationService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PersonalizationService from '../PersonalizationService';
+import FavoritesService from '../FavoritesService';
+import ReviewService from '../ReviewService';
+
+const loungeFavorite = {
+  id: 'venue_3',
+  category: 'lounge',
+  priceRange: 'expensive',
+  tags: ['シーシャ', '夜景'],
+  coordinates: { lat: 35.6938, lng: 139.7016 },
+  rating: 4.0,
+};
+
+const clubVenue = {
+  id: 'venue_1',
+  category: 'club',
+  priceRange: 'expensive',
+  tags: ['DJ'],
+  address: '東京都渋谷区道玄坂2-10-7',
+};
+
+describe('PersonalizationService', () => {
+  let favorites;
+  let reviews;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await PersonalizationService.cleanup();
+    await AsyncStorage.clear();
+
+    favorites = [];
+    reviews = [];
+    jest.spyOn(FavoritesService, 'getFavorites').mockImplementation(() => favorites);
+    jest.spyOn(ReviewService, 'getReviewsByUser').mockImplementation(() => reviews);
+
+    await PersonalizationService.initialize();
+  });
+
+  describe('settings', () => {
+    it('should be off until the user turns it on', async () => {
+      expect(PersonalizationService.isEnabled('user_1')).toBe(false);
+
+      await PersonalizationService.setEnabled('user_1', true);
+      await PersonalizationService.loadSettings();
+      expect(PersonalizationService.isEnabled('user_1')).toBe(true);
+      expect(PersonalizationService.isEnabled('user_2')).toBe(false);
+    });
+  });
+
+  describe('buildProfile', () => {
+    it('should stay inactive with too few signals', () => {
+      favorites = [loungeFavorite];
+      expect(PersonalizationService.buildProfile('user_1').active).toBe(false);
+    });
+
+    it('should learn from favorites and the search history', () => {
+      favorites = [loungeFavorite];
+      const history = [{ query: '新宿 ラウンジ', filters: { categories: ['lounge'] } }];
+
+      const profile = PersonalizationService.buildProfile('user_1', { history });
+      expect(profile.active).toBe(true);
+      expect(profile.sources).toEqual({ favorites: 1, reviews: 0, searches: 1 });
+      expect(profile.affinities.category).toEqual({ lounge: 1 });
+      expect(profile.affinities.area).toEqual({ kabukicho: 1, shinjuku: 0.3 });
+    });
+
+    it('should count low ratings against a venue\'s traits', () => {
+      favorites = [loungeFavorite];
+      reviews = [{ venueId: 'venue_1', rating: 1 }];
+
+      const profile = PersonalizationService.buildProfile('user_1', {
+        getVenue: venueId => (venueId === 'venue_1' ? clubVenue : null),
+      });
+      expect(profile.affinities.category).toEqual({ lounge: 1, club: -1 });
+      expect(profile.affinities.area.shibuya).toBe(-1);
+    });
+  });
+
+  describe('getVenueArea', () => {
+    it('should use the nearest area, then the address', () => {
+      expect(PersonalizationService.getVenueArea(loungeFavorite).id).toBe('kabukicho');
+      expect(PersonalizationService.getVenueArea(clubVenue).id).toBe('shibuya');
+      expect(PersonalizationService.getVenueArea({ address: '大阪府' })).toBeNull();
+    });
+  });
+
+  describe('scoreVenue', () => {
+    it('should explain the boost by preference', () => {
+      favorites = [loungeFavorite, { ...loungeFavorite, id: 'venue_4' }];
+      const profile = PersonalizationService.buildProfile('user_1');
+
+      const { boost, reasons } = PersonalizationService.scoreVenue(loungeFavorite, profile);
+      expect(reasons.map(reason => reason.type)).toEqual(['category', 'tag', 'area', 'priceRange']);
+      expect(boost).toBe(15 + 10 + 10 + 8);
+    });
+
+    it('should not boost without an active profile', () => {
+      expect(PersonalizationService.scoreVenue(loungeFavorite, { active: false })).toEqual({ boost: 0, reasons: [] });
+    });
+  });
+
+  describe('getProfile', () => {
+    it('should rebuild the profile when favorites change', () => {
+      favorites = [loungeFavorite, clubVenue];
+      const first = PersonalizationService.getProfile('user_1');
+      expect(PersonalizationService.getProfile('user_1')).toBe(first);
+
+      FavoritesService.emit('favoritesChanged', []);
+      const rebuilt = PersonalizationService.getProfile('user_1');
+      expect(rebuilt).not.toBe(first);
+      expect(rebuilt.version).toBeGreaterThan(first.version);
+    });
+  });
+});
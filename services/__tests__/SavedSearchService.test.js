@@ -0,0 +1,189 @@
+/**
+ * SavedSearchService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SavedSearchService from '../SavedSearchService';
+import VenueSearchService from '../VenueSearchService';
+import NotificationService from '../NotificationService';
+import AuthService from '../AuthService';
+import VenueRepository from '../VenueRepository';
+
+const shishaBar = {
+  id: 'venue_new',
+  name: 'シーシャバー 煙',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1-1',
+  priceRange: 'moderate',
+  tags: ['シーシャ'],
+};
+
+// 保存直後の店舗は lastEvaluatedAt より後に追加された扱いにする
+const later = () => new Date(Date.now() + 1000).toISOString();
+
+describe('SavedSearchService', () => {
+  let notify;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await SavedSearchService.cleanup();
+    await VenueSearchService.cleanup();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+
+    jest.spyOn(AuthService, 'getCurrentUser').mockReturnValue({ id: 'user_1' });
+    notify = jest.spyOn(NotificationService, 'createNewVenueNotification').mockResolvedValue({ success: true });
+
+    await SavedSearchService.initialize();
+    await SavedSearchService.evaluationQueue;
+  });
+
+  describe('saveSearch', () => {
+    it('should store the query and filters without the location', async () => {
+      const result = await SavedSearchService.saveSearch({
+        query: 'シーシャ',
+        filters: { categories: ['bar'], userLocation: { lat: 35.6, lng: 139.7 } },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.savedSearch).toMatchObject({ userId: 'user_1', name: 'シーシャ', filters: { categories: ['bar'] } });
+      expect(SavedSearchService.getSavedSearches()).toHaveLength(1);
+    });
+
+    it('should reject searches without any conditions', async () => {
+      const result = await SavedSearchService.saveSearch({ query: ' ', filters: { categories: [], openNow: false } });
+      expect(result).toEqual({ success: false, error: '保存する検索条件がありません' });
+    });
+
+    it('should limit the number of saved searches per user', async () => {
+      SavedSearchService.maxSavedSearchesPerUser = 1;
+      try {
+        await SavedSearchService.saveSearch({ query: 'バー' });
+        const result = await SavedSearchService.saveSearch({ query: 'クラブ' });
+        expect(result.success).toBe(false);
+      } finally {
+        SavedSearchService.maxSavedSearchesPerUser = 20;
+      }
+    });
+  });
+
+  describe('evaluateVenue', () => {
+    // 検索インデックスに登録だけして、評価はテストから直接呼ぶ
+    beforeEach(async () => {
+      VenueSearchService.removeEventListener('venuesChanged', SavedSearchService.handleVenuesChanged);
+      await VenueSearchService.addVenue(shishaBar);
+    });
+
+    it('should notify once for a new matching venue', async () => {
+      const { savedSearch } = await SavedSearchService.saveSearch({ query: 'シーシャ', filters: { categories: ['bar'] } });
+
+      await SavedSearchService.evaluateVenue(shishaBar);
+      await SavedSearchService.evaluateVenue(shishaBar);
+
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'venue_new', area: shishaBar.address }),
+        { savedSearchId: savedSearch.id, savedSearchName: 'シーシャ' }
+      );
+      expect(SavedSearchService.getSavedSearchById(savedSearch.id).notifiedVenueIds).toEqual(['venue_new']);
+    });
+
+    it('should not notify for venues outside the filters', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ', filters: { categories: ['club'] } });
+
+      await SavedSearchService.evaluateVenue(shishaBar);
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should ignore time-dependent filters', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ open:now' });
+
+      await SavedSearchService.evaluateVenue(shishaBar);
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not notify twice when evaluations overlap', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+
+      await Promise.all([
+        SavedSearchService.evaluateVenue(shishaBar),
+        SavedSearchService.evaluateVenue(shishaBar),
+      ]);
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only look at the current user\'s saved searches', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ' }, 'user_2');
+
+      await SavedSearchService.evaluateVenue(shishaBar);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('venuesChanged', () => {
+    const flush = async () => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await SavedSearchService.evaluationQueue;
+    };
+
+    it('should evaluate venues added to the search service', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+
+      await VenueSearchService.addVenue(shishaBar);
+      await flush();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should evaluate venues written straight to the repository', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+
+      await VenueRepository.upsert(shishaBar);
+      await flush();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should notify when an update makes a venue match', async () => {
+      const { venue } = await VenueSearchService.addVenue({ ...shishaBar, name: 'バー 煙', tags: [] });
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+      await flush();
+      expect(notify).not.toHaveBeenCalled();
+
+      await VenueRepository.upsert({ ...venue, tags: ['シーシャ'] });
+      await flush();
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore removals', async () => {
+      const { venue } = await VenueSearchService.addVenue(shishaBar);
+      await flush();
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+
+      await VenueRepository.remove(venue.id);
+      await flush();
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluateSavedSearches', () => {
+    it('should catch up on venues added since the last evaluation', async () => {
+      await SavedSearchService.saveSearch({ query: 'シーシャ' });
+      VenueSearchService.removeEventListener('venuesChanged', SavedSearchService.handleVenuesChanged);
+
+      await VenueSearchService.addVenue({ ...shishaBar, createdAt: later() });
+      await SavedSearchService.evaluateSavedSearches();
+      await SavedSearchService.evaluateSavedSearches();
+
+      expect(notify).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip venues that existed before the search was saved', async () => {
+      await SavedSearchService.saveSearch({ query: 'ラウンジ' });
+
+      await SavedSearchService.evaluateSavedSearches();
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * SearchAnalyticsService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SearchAnalyticsService from '../SearchAnalyticsService';
+
+describe('SearchAnalyticsService', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: new Date('2025-01-10T12:00:00Z') });
+    await SearchAnalyticsService.clearAnalytics();
+    await SearchAnalyticsService.setEnabled(true);
+    await AsyncStorage.clear();
+  });
+
+  afterEach(async () => {
+    await SearchAnalyticsService.cleanup();
+    jest.useRealTimers();
+  });
+
+  // 入力途中の検索としてまとめられないよう時間を空けて記録する
+  const search = (query, resultCount = 3, extra = {}) => {
+    jest.advanceTimersByTime(SearchAnalyticsService.config.refinementWindow + 1);
+    return SearchAnalyticsService.recordSearch({ query, resultCount, latency: 20, ...extra });
+  };
+
+  describe('recordSearch', () => {
+    it('should mask emails and phone numbers', () => {
+      search('連絡 taro@example.com 090-1234-5678');
+      expect(SearchAnalyticsService.events[0].query).toBe('連絡 [email] [number]');
+    });
+
+    it('should drop the location and empty filters', () => {
+      search('バー', 3, {
+        filters: { userLocation: { lat: 35.6, lng: 139.7 }, categories: ['bar'], tags: [], openNow: false },
+      });
+      expect(SearchAnalyticsService.events[0].filters).toEqual({ categories: ['bar'] });
+    });
+
+    it('should collapse searches typed in quick succession', () => {
+      SearchAnalyticsService.recordSearch({ query: 'shi', resultCount: 5 });
+      jest.advanceTimersByTime(500);
+      SearchAnalyticsService.recordSearch({ query: 'shibuya', resultCount: 1 });
+
+      expect(SearchAnalyticsService.events.map(event => event.query)).toEqual(['shibuya']);
+    });
+
+    it('should keep a search once one of its results was tapped', () => {
+      const searchId = SearchAnalyticsService.recordSearch({ query: 'shi', resultCount: 5 });
+      SearchAnalyticsService.recordResultClick(searchId, 'venue_1', 1);
+      SearchAnalyticsService.recordSearch({ query: 'shibuya', resultCount: 1 });
+
+      expect(SearchAnalyticsService.events).toHaveLength(2);
+    });
+
+    it('should not record anything while disabled', async () => {
+      search('バー');
+      await SearchAnalyticsService.setEnabled(false);
+
+      expect(search('クラブ')).toBeNull();
+      expect(SearchAnalyticsService.events).toEqual([]);
+    });
+
+    it('should save in batches', async () => {
+      search('バー');
+      expect(await AsyncStorage.getItem(SearchAnalyticsService.storageKey)).toBeNull();
+
+      await jest.advanceTimersByTimeAsync(SearchAnalyticsService.config.saveDelay);
+      const stored = JSON.parse(await AsyncStorage.getItem(SearchAnalyticsService.storageKey));
+      expect(stored.map(event => event.query)).toEqual(['バー']);
+    });
+
+    it('should drop events past the retention period', () => {
+      search('古い検索');
+      jest.advanceTimersByTime(SearchAnalyticsService.config.retentionDays * 24 * 60 * 60 * 1000);
+      search('新しい検索');
+
+      expect(SearchAnalyticsService.events.map(event => event.query)).toEqual(['新しい検索']);
+    });
+  });
+
+  describe('recordResultClick', () => {
+    it('should ignore unknown searches', () => {
+      expect(SearchAnalyticsService.recordResultClick('missing', 'venue_1', 1)).toBe(false);
+      expect(SearchAnalyticsService.recordResultClick(null, 'venue_1', 1)).toBe(false);
+    });
+  });
+
+  describe('getSearchAnalytics', () => {
+    it('should report top and zero-result queries', () => {
+      search('バー');
+      search('ばー');
+      search('サウナ', 0);
+
+      const analytics = SearchAnalyticsService.getSearchAnalytics();
+      expect(analytics.totalSearches).toBe(3);
+      expect(analytics.topQueries.map(({ query, count }) => ({ query, count }))).toEqual([
+        { query: 'ばー', count: 2 },
+        { query: 'サウナ', count: 1 },
+      ]);
+      expect(analytics.zeroResultQueries.map(({ query, count }) => ({ query, count }))).toEqual([
+        { query: 'サウナ', count: 1 },
+      ]);
+      expect(analytics.zeroResultRate).toBe(0.333);
+    });
+
+    it('should report click-through by position', () => {
+      const first = search('バー', 2);
+      search('クラブ', 1);
+      SearchAnalyticsService.recordResultClick(first, 'venue_2', 2);
+
+      const analytics = SearchAnalyticsService.getSearchAnalytics();
+      expect(analytics.clickThroughRate).toBe(0.5);
+      expect(analytics.clickThroughByPosition).toEqual([
+        { position: 1, impressions: 2, clicks: 0, rate: 0 },
+        { position: 2, impressions: 1, clicks: 1, rate: 1 },
+      ]);
+    });
+
+    it('should only count events since the given date', () => {
+      search('バー');
+      const since = new Date(Date.now() + 1);
+      search('クラブ');
+
+      expect(SearchAnalyticsService.getSearchAnalytics({ since }).totalSearches).toBe(1);
+    });
+  });
+});
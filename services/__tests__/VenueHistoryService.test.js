@@ -0,0 +1,96 @@
+/**
+ * VenueHistoryService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueHistoryService from '../VenueHistoryService';
+import VenueRepository from '../VenueRepository';
+import AuthService from '../AuthService';
+
+const venueInput = {
+  name: 'ネオンバー',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1',
+  priceRange: 'moderate',
+};
+
+const admin = { id: 'admin_1', name: '管理者', role: 'admin' };
+const owner = { id: 'owner_1', name: 'オーナー', role: 'venue_owner' };
+
+describe('VenueHistoryService', () => {
+  let author;
+  let venue;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗と履歴をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+
+    author = admin;
+    jest.spyOn(AuthService, 'isAuthenticated').mockImplementation(() => author !== null);
+    jest.spyOn(AuthService, 'getCurrentAuthor').mockImplementation(() => author);
+
+    [venue] = await VenueRepository.upsert(venueInput, { author: owner });
+    await VenueRepository.upsert({ ...venue, priceRange: 'luxury' }, { author: admin });
+  });
+
+  describe('getTimeline', () => {
+    it('should list versions newest first with labels', async () => {
+      const { success, timeline } = await VenueHistoryService.getTimeline(venue.id);
+
+      expect(success).toBe(true);
+      expect(timeline.map(entry => entry.version)).toEqual([2, 1]);
+      expect(timeline[0]).toMatchObject({
+        typeLabel: '編集',
+        summary: '価格帯を編集',
+        authorName: '管理者',
+        isLatest: true,
+        changes: [{ field: 'priceRange', label: '価格帯', before: 'moderate', after: 'luxury' }],
+      });
+      expect(timeline[1].isLatest).toBe(false);
+    });
+  });
+
+  describe('revertToVersion', () => {
+    it('should restore the version and record the revert', async () => {
+      const listener = jest.fn();
+      VenueHistoryService.addEventListener('venueReverted', listener);
+
+      const result = await VenueHistoryService.revertToVersion(venue.id, 1);
+      VenueHistoryService.removeEventListener('venueReverted', listener);
+
+      expect(result.success).toBe(true);
+      expect(result.venue.priceRange).toBe('moderate');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ venueId: venue.id, version: 1 }));
+
+      const history = await VenueRepository.getHistory(venue.id);
+      expect(history[history.length - 1]).toMatchObject({ type: 'revert', revertedTo: 1, author: { id: 'admin_1' } });
+    });
+
+    it('should bring back a removed venue', async () => {
+      await VenueRepository.remove(venue.id, { author: admin });
+
+      const result = await VenueHistoryService.revertToVersion(venue.id, 2);
+      expect(result.venue).toMatchObject({ id: venue.id, priceRange: 'luxury' });
+      expect(await VenueRepository.get(venue.id)).not.toBeNull();
+    });
+
+    it('should only let admins revert', async () => {
+      author = owner;
+      const result = await VenueHistoryService.revertToVersion(venue.id, 1);
+
+      expect(result).toEqual({ success: false, error: '以前の版に戻せるのは管理者だけです' });
+      expect((await VenueRepository.get(venue.id)).priceRange).toBe('luxury');
+    });
+
+    it('should require a login', async () => {
+      author = null;
+      expect((await VenueHistoryService.revertToVersion(venue.id, 1)).error).toBe('以前の版に戻すにはログインが必要です');
+    });
+
+    it('should report unknown versions', async () => {
+      expect((await VenueHistoryService.revertToVersion(venue.id, 9)).error).toBe('版 9 の履歴がありません');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * VenueMergeService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueMergeService from '../VenueMergeService';
+import VenueRepository from '../VenueRepository';
+import AuthService from '../AuthService';
+import FavoritesService from '../FavoritesService';
+import ReviewService from '../ReviewService';
+
+const gekko = {
+  name: '月光 BAR',
+  category: 'bar',
+  address: '東京都新宿区西新宿9丁目9番9号',
+  coordinates: { lat: 35.7001, lng: 139.6001 },
+  phone: '03-9999-0000',
+  reviewCount: 10,
+  rating: 4,
+};
+
+const gekkoCopy = {
+  name: '月光BAR',
+  category: 'bar',
+  address: '新宿区西新宿9-9-9',
+  coordinates: { lat: 35.7002, lng: 139.6001 },
+  phone: '+81 3-9999-0000',
+  tags: ['ウイスキー'],
+};
+
+const admin = { id: 'admin_1', name: '管理者', role: 'admin' };
+
+describe('VenueMergeService', () => {
+  let author;
+  let survivor;
+  let duplicate;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+    VenueMergeService.initialized = false;
+
+    author = admin;
+    jest.spyOn(AuthService, 'isAuthenticated').mockImplementation(() => author !== null);
+    jest.spyOn(AuthService, 'getCurrentAuthor').mockImplementation(() => author);
+    jest.spyOn(FavoritesService, 'repointFavorite').mockResolvedValue(true);
+    jest.spyOn(ReviewService, 'repointReviews').mockResolvedValue({ success: true, moved: 2, removed: 0 });
+
+    [survivor, duplicate] = await VenueRepository.upsert([gekko, gekkoCopy]);
+  });
+
+  describe('findMergeProposals', () => {
+    it('should propose keeping the venue with more reviews', async () => {
+      const { success, proposals } = await VenueMergeService.findMergeProposals();
+
+      expect(success).toBe(true);
+      expect(proposals).toHaveLength(1);
+      expect(proposals[0]).toMatchObject({ survivorId: survivor.id, duplicateId: duplicate.id, confidence: 'high' });
+    });
+
+    it('should leave out dismissed pairs', async () => {
+      const { proposals } = await VenueMergeService.findMergeProposals();
+      await VenueMergeService.dismissProposal(proposals[0].key);
+
+      VenueMergeService.initialized = false;
+      expect((await VenueMergeService.findMergeProposals()).proposals).toEqual([]);
+    });
+  });
+
+  describe('mergeVenues', () => {
+    it('should merge the venues and repoint local favorites and reviews', async () => {
+      const listener = jest.fn();
+      VenueMergeService.addEventListener('venuesMerged', listener);
+
+      const result = await VenueMergeService.mergeVenues(survivor.id, duplicate.id);
+      VenueMergeService.removeEventListener('venuesMerged', listener);
+
+      expect(result.success).toBe(true);
+      expect(result.venue).toMatchObject({ id: survivor.id, tags: ['ウイスキー'] });
+      expect(result.moved).toMatchObject({ localFavorites: 1, localReviews: 2 });
+      expect(FavoritesService.repointFavorite).toHaveBeenCalledWith(duplicate.id, result.venue);
+      expect(ReviewService.repointReviews).toHaveBeenCalledWith(duplicate.id, survivor.id);
+      expect(await VenueRepository.get(duplicate.id)).toBeNull();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ survivorId: survivor.id, duplicateId: duplicate.id }));
+    });
+
+    it('should only let admins merge', async () => {
+      author = { id: 'owner_1', name: 'オーナー', role: 'venue_owner' };
+
+      const result = await VenueMergeService.mergeVenues(survivor.id, duplicate.id);
+      expect(result).toEqual({ success: false, error: '店舗を統合できるのは管理者だけです' });
+      expect(await VenueRepository.get(duplicate.id)).not.toBeNull();
+    });
+
+    it('should require a login', async () => {
+      author = null;
+
+      const result = await VenueMergeService.mergeVenues(survivor.id, duplicate.id);
+      expect(result).toEqual({ success: false, error: '店舗の統合にはログインが必要です' });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * VenueOwnerService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueOwnerService from '../VenueOwnerService';
+import VenueRepository from '../VenueRepository';
+import AuthService from '../AuthService';
+
+const respond = (body, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+// fetch に渡した URL・メソッド・body
+const lastRequest = () => {
+  const [url, options] = global.fetch.mock.calls[global.fetch.mock.calls.length - 1];
+  return { url, method: options.method || 'GET', body: options.body ? JSON.parse(options.body) : null, options };
+};
+
+describe('VenueOwnerService', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+
+    user = { id: 3, displayName: 'オーナー', role: 'user' };
+    jest.spyOn(AuthService, 'getCurrentUser').mockImplementation(() => user);
+    jest.spyOn(AuthService, 'updateProfile').mockResolvedValue({ success: true });
+    global.fetch = jest.fn(() => respond({ success: true }));
+    VenueOwnerService.config.baseUrl = 'https://example.com/api/';
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('getClaimOptions', () => {
+    it('should list masked destinations without calling the API', async () => {
+      const [venue] = await VenueRepository.upsert({
+        name: 'ネオンバー',
+        category: 'bar',
+        address: '東京都渋谷区',
+        phone: '03-1234-5678',
+      });
+
+      const result = await VenueOwnerService.getClaimOptions(venue.id);
+      expect(result).toEqual({
+        success: true,
+        channels: [{ channel: 'phone', label: 'SMS', masked: '******5678' }],
+        claimable: true,
+      });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requestClaim', () => {
+    it('should ask the server to send the code', async () => {
+      global.fetch.mockImplementation(() => respond({
+        success: true,
+        claimId: 12,
+        channel: 'phone',
+        masked: '******5678',
+        expiresAt: '2025-01-10T12:10:00Z',
+      }));
+
+      const result = await VenueOwnerService.requestClaim('1', 'phone');
+      expect(result).toEqual({ success: true, claimId: 12, channel: 'phone', masked: '******5678', expiresAt: '2025-01-10T12:10:00Z' });
+      expect(lastRequest()).toMatchObject({
+        url: 'https://example.com/api/venues/1/claim',
+        method: 'POST',
+        body: { channel: 'phone' },
+        options: { credentials: 'include' },
+      });
+    });
+
+    it('should pass on the server error', async () => {
+      global.fetch.mockImplementation(() => respond({ success: false, error: 'この店舗にはすでにオーナーが登録されています' }, 409));
+
+      const result = await VenueOwnerService.requestClaim('1', 'phone');
+      expect(result).toEqual({ success: false, error: 'この店舗にはすでにオーナーが登録されています' });
+    });
+
+    it('should require the API', async () => {
+      VenueOwnerService.config.baseUrl = '';
+
+      const result = await VenueOwnerService.requestClaim('1', 'phone');
+      expect(result.success).toBe(false);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyClaim', () => {
+    it('should send the code and update the local role', async () => {
+      const venue = { id: '1', name: 'ネオンバー', ownerId: '3' };
+      global.fetch.mockImplementation(() => respond({ success: true, venue }));
+
+      const result = await VenueOwnerService.verifyClaim(12, ' 123456 ');
+      expect(result).toEqual({ success: true, venue });
+      expect(lastRequest()).toMatchObject({ url: 'https://example.com/api/venues/claims/12', body: { code: '123456' } });
+      expect(AuthService.updateProfile).toHaveBeenCalledWith({ role: 'venue_owner' });
+    });
+
+    it('should require a login', async () => {
+      user = null;
+
+      const result = await VenueOwnerService.verifyClaim(12, '123456');
+      expect(result).toEqual({ success: false, error: 'ログインが必要です' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('edits', () => {
+    it('should submit edits for moderation', async () => {
+      const edit = { id: 5, status: 'pending', summary: '説明の編集' };
+      global.fetch.mockImplementation(() => respond({ success: true, edit }));
+
+      const result = await VenueOwnerService.submitEdit('1', { description: '改装しました' }, '改装に合わせて');
+      expect(result).toEqual({ success: true, edit });
+      expect(lastRequest()).toMatchObject({
+        url: 'https://example.com/api/venues/1/edits',
+        method: 'POST',
+        body: { updates: { description: '改装しました' }, note: '改装に合わせて' },
+      });
+    });
+
+    it('should review and withdraw edits by id', async () => {
+      await VenueOwnerService.approveEdit(5, '確認しました');
+      expect(lastRequest()).toMatchObject({
+        url: 'https://example.com/api/venues/edits/5',
+        method: 'POST',
+        body: { action: 'approve', comment: '確認しました' },
+      });
+
+      await VenueOwnerService.rejectEdit(6, '写真が店舗と異なるため');
+      expect(lastRequest().body).toEqual({ action: 'reject', comment: '写真が店舗と異なるため' });
+
+      await VenueOwnerService.withdrawEdit(7);
+      expect(lastRequest()).toMatchObject({ url: 'https://example.com/api/venues/edits/7', method: 'DELETE' });
+    });
+
+    it('should ask for a reason before rejecting', async () => {
+      const result = await VenueOwnerService.rejectEdit(6, ' ');
+      expect(result).toEqual({ success: false, error: '却下の理由を入力してください' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should load the moderation queue', async () => {
+      global.fetch.mockImplementation(() => respond({ success: true, queue: [{ id: 5, conflicts: [] }] }));
+
+      const result = await VenueOwnerService.getModerationQueue();
+      expect(result).toEqual({ success: true, queue: [{ id: 5, conflicts: [] }] });
+      expect(lastRequest()).toMatchObject({ url: 'https://example.com/api/venues/edits?status=pending', method: 'GET' });
+    });
+  });
+});
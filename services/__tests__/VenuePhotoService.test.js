@@ -0,0 +1,110 @@
+/**
+ * VenuePhotoService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenuePhotoService from '../VenuePhotoService';
+import VenueRepository from '../VenueRepository';
+import AuthService from '../AuthService';
+
+const owner = { id: 7, displayName: 'オーナー', role: 'venue_owner' };
+const admin = { id: 1, displayName: '管理者', role: 'admin' };
+const visitor = { id: 8, displayName: 'お客さん', role: 'user' };
+
+const photoFile = { uri: 'file:///photos/counter.jpg', name: 'counter.jpg', type: 'image/jpeg', size: 2048 };
+
+const photoIds = photos => photos.map(photo => photo.id);
+
+describe('VenuePhotoService', () => {
+  let user;
+  let venue;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+
+    user = owner;
+    jest.spyOn(AuthService, 'getCurrentUser').mockImplementation(() => user);
+    jest.spyOn(AuthService, 'getCurrentAuthor').mockImplementation(() => (
+      user ? { id: user.id, name: user.displayName, role: user.role } : null
+    ));
+
+    [venue] = await VenueRepository.upsert({
+      name: '灯台バル',
+      category: 'bar',
+      address: '東京都港区海岸9丁目',
+      ownerId: '7',
+      images: [
+        { id: 'p1', url: 'p1.jpg' },
+        { id: 'p2', url: 'p2.jpg' },
+        { id: 'p3', url: 'p3.jpg' },
+      ],
+    });
+  });
+
+  describe('uploadPhoto', () => {
+    it('should let any logged-in user add a photo at the end', async () => {
+      user = visitor;
+
+      const result = await VenuePhotoService.uploadPhoto(venue.id, photoFile, ' カウンター ');
+      expect(result.success).toBe(true);
+      expect(result.photo).toMatchObject({ url: photoFile.uri, thumbnailUrl: photoFile.uri, caption: 'カウンター' });
+      expect(photoIds(result.photos)).toEqual(['p1', 'p2', 'p3', result.photo.id]);
+    });
+
+    it('should reject unsupported files', async () => {
+      const result = await VenuePhotoService.uploadPhoto(venue.id, { ...photoFile, name: 'menu.pdf', type: 'application/pdf' });
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('対応していないファイル形式');
+    });
+
+    it('should require a login', async () => {
+      user = null;
+
+      const result = await VenuePhotoService.uploadPhoto(venue.id, photoFile);
+      expect(result).toEqual({ success: false, error: '写真の登録・管理にはログインが必要です' });
+    });
+  });
+
+  describe('managing photos', () => {
+    it('should let the owner reorder, set the cover and delete', async () => {
+      const listener = jest.fn();
+      VenuePhotoService.addEventListener('photosChanged', listener);
+
+      expect(photoIds((await VenuePhotoService.reorderPhotos(venue.id, ['p2', 'p3', 'p1'])).photos)).toEqual(['p2', 'p3', 'p1']);
+      expect(photoIds((await VenuePhotoService.setCover(venue.id, 'p1')).photos)).toEqual(['p1', 'p2', 'p3']);
+      expect(photoIds((await VenuePhotoService.deletePhoto(venue.id, 'p2')).photos)).toEqual(['p1', 'p3']);
+      VenuePhotoService.removeEventListener('photosChanged', listener);
+
+      expect(photoIds((await VenueRepository.get(venue.id)).images)).toEqual(['p1', 'p3']);
+      expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    it('should let admins manage any venue', async () => {
+      user = admin;
+
+      const result = await VenuePhotoService.setCover(venue.id, 'p3');
+      expect(photoIds(result.photos)).toEqual(['p3', 'p1', 'p2']);
+    });
+
+    it('should refuse other users', async () => {
+      user = visitor;
+      const error = '写真を管理できるのはこの店舗のオーナーと管理者だけです';
+
+      expect(await VenuePhotoService.reorderPhotos(venue.id, ['p2', 'p3', 'p1'])).toEqual({ success: false, error });
+      expect(await VenuePhotoService.setCover(venue.id, 'p3')).toEqual({ success: false, error });
+      expect(await VenuePhotoService.updateCaption(venue.id, 'p1', '外観')).toEqual({ success: false, error });
+      expect(await VenuePhotoService.deletePhoto(venue.id, 'p1')).toEqual({ success: false, error });
+      expect(photoIds((await VenueRepository.get(venue.id)).images)).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    it('should require a login', async () => {
+      user = null;
+
+      const result = await VenuePhotoService.deletePhoto(venue.id, 'p1');
+      expect(result).toEqual({ success: false, error: '写真の登録・管理にはログインが必要です' });
+    });
+  });
+});
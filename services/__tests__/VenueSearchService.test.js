@@ -0,0 +1,529 @@
+/**
+ * VenueSearchService Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueSearchService from '../VenueSearchService';
+import VenueRepository from '../VenueRepository';
+import MapService from '../MapService';
+import SearchAnalyticsService from '../SearchAnalyticsService';
+import PersonalizationService from '../PersonalizationService';
+import ReviewService from '../ReviewService';
+
+// 初期データは渋谷・六本木・新宿の3店舗に絞って検証する
+jest.mock('../../constants/SampleVenues', () => {
+  const { SAMPLE_VENUES } = jest.requireActual('../../constants/SampleVenues');
+  return { SAMPLE_VENUES: SAMPLE_VENUES.slice(0, 3) };
+});
+
+const idsOf = searchResult => searchResult.results.map(venue => venue.id);
+
+// 渋谷駅の付近
+const shibuya = { lat: 35.658, lng: 139.7016 };
+
+describe('VenueSearchService', () => {
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await VenueSearchService.cleanup();
+    await AsyncStorage.clear();
+    // 店舗リポジトリは前のテストの店舗をメモリに持っているので、空の保存データから読み直す
+    await VenueRepository.load();
+    await VenueSearchService.initialize();
+  });
+
+  describe('searchVenues', () => {
+    it('should match across katakana, hiragana and romaji', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('ばーん'))).toEqual(['venue_2']);
+      expect(idsOf(await VenueSearchService.searchVenues('roppongi'))).toEqual(['venue_2']);
+    });
+
+    it('should match kanji place names by their reading', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('しんじゅく'))).toEqual(['venue_3']);
+    });
+
+    it('should match full-width input', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('ＶＩＳＩＯＮ'))).toEqual(['venue_1']);
+    });
+
+    it('should return every venue for an empty query', async () => {
+      const result = await VenueSearchService.searchVenues('');
+      expect(result.total).toBe(3);
+    });
+
+    it('should apply category, price and rating filters', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('', { categories: ['bar'] }))).toEqual(['venue_2']);
+      expect(idsOf(await VenueSearchService.searchVenues('', { priceRanges: ['luxury'] }))).toEqual(['venue_2']);
+      expect(idsOf(await VenueSearchService.searchVenues('', { minRating: 4.1 }, { sortBy: 'rating' })))
+        .toEqual(['venue_2', 'venue_1']);
+    });
+
+    it('should sort by price using the order of the price ranges', async () => {
+      const result = await VenueSearchService.searchVenues('', {}, { sortBy: 'price_high' });
+      expect(result.results[0].priceRange).toBe('luxury');
+      expect(VenueSearchService.getPriceNumericValue('budget')).toBe(1);
+      expect(VenueSearchService.getPriceNumericValue('unknown')).toBe(0);
+    });
+
+    it('should rank name matches above description matches', async () => {
+      const result = await VenueSearchService.searchVenues('バー');
+      expect(result.results[0].id).toBe('venue_2');
+    });
+
+    it('should record the query in the search history', async () => {
+      await VenueSearchService.searchVenues('カクテル', {}, { userId: 'user_1' });
+
+      const history = await VenueSearchService.getSearchHistory('user_1');
+      expect(history.map(entry => entry.query)).toEqual(['カクテル']);
+    });
+  });
+
+  describe('getSearchSuggestions', () => {
+    it('should suggest venue names, tags and categories by reading', async () => {
+      const suggestions = await VenueSearchService.getSearchSuggestions('らうんじ');
+      expect(suggestions.map(suggestion => suggestion.type)).toEqual(['venue', 'tag', 'category']);
+      expect(suggestions[0].venue.id).toBe('venue_3');
+    });
+
+    it('should suggest areas and stations', async () => {
+      const suggestions = await VenueSearchService.getSearchSuggestions('roppo');
+      expect(suggestions.map(suggestion => suggestion.text)).toEqual(expect.arrayContaining(['六本木', '六本木駅']));
+    });
+
+    it('should suggest the user\'s own past queries', async () => {
+      await VenueSearchService.searchVenues('ラウンジ 夜景', {}, { userId: 'user_1' });
+
+      const suggestions = await VenueSearchService.getSearchSuggestions('らうんじ', { userId: 'user_1' });
+      expect(suggestions.map(suggestion => suggestion.type)).toEqual(['venue', 'history', 'tag', 'category']);
+
+      const others = await VenueSearchService.getSearchSuggestions('らうんじ', { userId: 'user_2' });
+      expect(others.some(suggestion => suggestion.type === 'history')).toBe(false);
+    });
+
+    it('should rank frequent queries higher', async () => {
+      const historyScore = async () => {
+        const suggestions = await VenueSearchService.getSearchSuggestions('らうんじ', { userId: 'user_1' });
+        return suggestions.find(suggestion => suggestion.type === 'history').score;
+      };
+
+      await VenueSearchService.searchVenues('ラウンジ 夜景', {}, { userId: 'user_1' });
+      const once = await historyScore();
+      // キャッシュから返した検索は履歴に残らない
+      VenueSearchService.searchCache.clear();
+      await VenueSearchService.searchVenues('ラウンジ 夜景', {}, { userId: 'user_1' });
+      expect(await historyScore()).toBeGreaterThan(once);
+    });
+
+    it('should return nothing for an empty query', async () => {
+      expect(await VenueSearchService.getSearchSuggestions(' ')).toEqual([]);
+    });
+  });
+
+  describe('synonyms', () => {
+    it('should expand queries with the synonym dictionary', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('hookah'))).toEqual(['venue_3']);
+    });
+
+    it('should apply dictionary edits to new searches', async () => {
+      expect(idsOf(await VenueSearchService.searchVenues('煙'))).toEqual([]);
+
+      const result = await VenueSearchService.addSynonymGroup(['煙', 'シーシャ']);
+      expect(result.success).toBe(true);
+      expect(idsOf(await VenueSearchService.searchVenues('煙'))).toEqual(['venue_3']);
+    });
+
+    it('should keep edits across restarts until reset', async () => {
+      await VenueSearchService.addSynonymAlias('夜遊び', ['クラブ']);
+      await VenueSearchService.loadSynonyms();
+      expect(VenueSearchService.synonyms.toJSON().aliases).toMatchObject({ 夜遊び: ['クラブ'] });
+
+      await VenueSearchService.resetSynonyms();
+      await VenueSearchService.loadSynonyms();
+      expect(VenueSearchService.synonyms.toJSON().aliases).not.toHaveProperty('夜遊び');
+    });
+
+    it('should report invalid imports without changing the dictionary', async () => {
+      const before = VenueSearchService.exportSynonyms();
+
+      expect(await VenueSearchService.importSynonyms('{')).toEqual({
+        success: false,
+        error: '同義語辞書の JSON を読み込めません',
+      });
+      expect((await VenueSearchService.importSynonyms({ groups: 'バー' })).success).toBe(false);
+      expect(VenueSearchService.exportSynonyms()).toBe(before);
+    });
+
+    it('should merge imported groups when asked', async () => {
+      await VenueSearchService.importSynonyms({ groups: [['バー', 'ショットバー']] }, { merge: true });
+
+      const { groups } = VenueSearchService.synonyms.toJSON();
+      expect(groups).toContainEqual(['バー', 'bar', 'ショットバー']);
+      expect(groups.length).toBeGreaterThan(1);
+    });
+  });
+
+  describe('query syntax', () => {
+    it('should split field operators out of the free text', () => {
+      const parsed = VenueSearchService.parseSearchQuery('バー 渋谷 open:now price:<=¥¥ rating:>=4 tag:"生 演奏"');
+
+      expect(parsed.text).toBe('バー 渋谷');
+      expect(parsed.filters).toEqual({
+        openNow: true,
+        priceRanges: ['budget', 'moderate'],
+        minRating: 4,
+        tags: ['生 演奏'],
+      });
+      expect(parsed.errors).toEqual([]);
+    });
+
+    it('should accept Japanese and full-width field names', () => {
+      const parsed = VenueSearchService.parseSearchQuery('ジャンル:ラウンジ 年齢：20歳以上 価格:3000円');
+      expect(parsed.filters).toEqual({ categories: ['lounge'], ageRestriction: '20_plus', priceRanges: ['moderate'] });
+    });
+
+    it('should replace syntax-owned filters and keep the others', () => {
+      const parsed = VenueSearchService.parseSearchQuery('category:club', { categories: ['bar'], maxDistance: 2 });
+      expect(parsed.filters).toEqual({ categories: ['club'], maxDistance: 2 });
+    });
+
+    it('should report operators it cannot parse', () => {
+      const parsed = VenueSearchService.parseSearchQuery('category:sauna rating:<=3 open:later');
+      expect(parsed.errors.map(error => error.token)).toEqual(['category:sauna', 'rating:<=3', 'open:later']);
+      expect(parsed.filters).toEqual({});
+    });
+
+    it('should keep unknown fields as free text', () => {
+      expect(VenueSearchService.parseSearchQuery('http://example.com').text).toBe('http://example.com');
+    });
+
+    it('should round-trip through serializeSearchQuery', () => {
+      const filters = {
+        categories: ['bar', 'pub'],
+        priceRanges: ['expensive', 'luxury'],
+        minRating: 4.5,
+        openAt: '23:00',
+        ageRestriction: '20_plus',
+        tags: ['生 演奏', 'シーシャ'],
+      };
+
+      const serialized = VenueSearchService.serializeSearchQuery('六本木', filters);
+      expect(serialized).toBe('六本木 category:bar,pub price:>=¥¥¥ rating:>=4.5 open:23:00 age:20+ tag:"生 演奏" tag:シーシャ');
+
+      const parsed = VenueSearchService.parseSearchQuery(serialized);
+      expect(parsed.text).toBe('六本木');
+      expect(parsed.filters).toEqual(filters);
+    });
+
+    it('should serialize non-contiguous price ranges as a list', () => {
+      expect(VenueSearchService.serializePriceRanges(['budget', 'expensive'])).toBe('¥,¥¥¥');
+    });
+
+    it('should apply parsed operators when searching', async () => {
+      const result = await VenueSearchService.searchVenues('category:bar');
+
+      expect(idsOf(result)).toEqual(['venue_2']);
+      expect(result.text).toBe('');
+      expect(result.filters).toEqual({ categories: ['bar'] });
+    });
+  });
+
+  describe('pagination', () => {
+    const byRating = { sortBy: 'rating', limit: 2 };
+
+    it('should page through the ranking with cursors', async () => {
+      const first = await VenueSearchService.searchVenues('', {}, byRating);
+      expect(idsOf(first)).toEqual(['venue_2', 'venue_1']);
+      expect(first.hasMore).toBe(true);
+
+      const second = await VenueSearchService.searchVenues('', {}, { ...byRating, cursor: first.nextCursor });
+      expect(idsOf(second)).toEqual(['venue_3']);
+      expect(second).toMatchObject({ page: 2, hasMore: false, nextCursor: null });
+    });
+
+    it('should keep the ranking stable while paging', async () => {
+      const first = await VenueSearchService.searchVenues('', {}, byRating);
+      await VenueSearchService.addVenue({ name: '新店', category: 'bar', address: '東京都港区六本木7-1-1', rating: 5 });
+
+      // 追加後はランキングを作り直すが、前のページの最後の店舗の次から続ける
+      const second = await VenueSearchService.searchVenues('', {}, { ...byRating, cursor: first.nextCursor });
+      expect(idsOf(second)).toEqual(['venue_3']);
+    });
+
+    it('should reuse the cached ranking unless asked to refresh', async () => {
+      const spy = jest.spyOn(VenueSearchService, 'sortResults');
+
+      await VenueSearchService.searchVenues('', {}, byRating);
+      await VenueSearchService.searchVenues('', {}, { ...byRating, page: 2 });
+      expect(spy).toHaveBeenCalledTimes(1);
+
+      await VenueSearchService.searchVenues('', {}, { ...byRating, refresh: true });
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should still accept page numbers', async () => {
+      const result = await VenueSearchService.searchVenues('', {}, { ...byRating, page: 2 });
+      expect(idsOf(result)).toEqual(['venue_3']);
+    });
+
+    it('should reject malformed cursors', async () => {
+      await expect(VenueSearchService.searchVenues('', {}, { ...byRating, cursor: 'broken' }))
+        .rejects.toThrow('Invalid search cursor');
+    });
+  });
+
+  describe('analytics', () => {
+    it('should log user-initiated first pages only', async () => {
+      const record = jest.spyOn(SearchAnalyticsService, 'recordSearch').mockReturnValue('search_1');
+
+      await VenueSearchService.searchVenues('バー');
+      const first = await VenueSearchService.searchVenues('', {}, { recordAnalytics: true, limit: 2 });
+      const second = await VenueSearchService.searchVenues('', {}, { recordAnalytics: true, limit: 2, cursor: first.nextCursor });
+
+      expect(record).toHaveBeenCalledTimes(1);
+      expect(record).toHaveBeenCalledWith(expect.objectContaining({ query: '', resultCount: 3 }));
+      expect(first.searchId).toBe('search_1');
+      expect(second.searchId).toBeNull();
+    });
+  });
+
+  describe('facets', () => {
+    it('should count every category and price range', async () => {
+      const { facets } = await VenueSearchService.searchVenues('');
+
+      expect(facets.categories).toMatchObject({ club: 1, bar: 1, lounge: 1, karaoke: 0 });
+      expect(facets.priceRanges).toEqual({ budget: 0, moderate: 0, expensive: 2, luxury: 1 });
+      expect(facets.ratings).toEqual({ 3: 3, 3.5: 3, 4: 3, 4.5: 1 });
+      expect(facets.ageRestrictions).toEqual({ '20_plus': 3 });
+    });
+
+    it('should count a facet without its own filter', async () => {
+      const { facets } = await VenueSearchService.searchVenues('', { categories: ['bar'], priceRanges: ['expensive'] });
+
+      // 価格で絞ったうえでのカテゴリ件数、カテゴリで絞ったうえでの価格件数
+      expect(facets.categories).toMatchObject({ club: 1, bar: 0, lounge: 1 });
+      expect(facets.priceRanges).toMatchObject({ expensive: 0, luxury: 1 });
+    });
+
+    it('should count tags on the filtered results', async () => {
+      const { facets } = await VenueSearchService.searchVenues('', { categories: ['lounge'] });
+      expect(facets.tags.map(({ tag }) => tag)).toEqual(['シーシャ', 'ラウンジ', '新宿', '夜景']);
+      expect(facets.tags.every(({ count }) => count === 1)).toBe(true);
+    });
+
+    it('should count facets for operators typed in the query', async () => {
+      const { facets } = await VenueSearchService.searchVenues('rating:>=4.5');
+      expect(facets.categories).toMatchObject({ club: 0, bar: 1, lounge: 0 });
+      expect(facets.ratings[4]).toBe(3);
+    });
+  });
+
+  describe('personalization', () => {
+    const clubFan = { id: 'user_1' };
+
+    beforeEach(() => {
+      jest.spyOn(PersonalizationService, 'isEnabled').mockImplementation(userId => userId === clubFan.id);
+      jest.spyOn(PersonalizationService, 'getProfile').mockReturnValue({
+        version: 1,
+        active: true,
+        affinities: { category: { club: 1 }, priceRange: {}, tag: {}, area: {} },
+      });
+    });
+
+    it('should boost venues matching the user\'s preferences', async () => {
+      const personalized = await VenueSearchService.searchVenues('', {}, { userId: clubFan.id });
+      expect(personalized.results[0].id).toBe('venue_1');
+
+      const anonymous = await VenueSearchService.searchVenues('', {}, { userId: 'user_2' });
+      expect(anonymous.results[0].id).toBe('venue_2');
+    });
+
+    it('should skip personalization when asked', async () => {
+      const result = await VenueSearchService.searchVenues('', {}, { userId: clubFan.id, personalize: false });
+      expect(result.results[0].id).toBe('venue_2');
+    });
+
+    it('should explain the ranking on request', async () => {
+      const result = await VenueSearchService.searchVenues('', {}, { userId: clubFan.id, explain: true });
+      const { ranking } = result.results[0];
+
+      expect(ranking).toMatchObject({ position: 1, sortBy: 'relevance', score: 42 + 15 });
+      expect(ranking.components.map(component => component.type)).toEqual(['rating', 'personal']);
+      expect(ranking.components[1].reasons[0].label).toBe('よく選ぶジャンル: クラブ');
+    });
+
+    it('should leave results untouched without explain', async () => {
+      const result = await VenueSearchService.searchVenues('', {}, { userId: clubFan.id });
+      expect(result.results[0]).not.toHaveProperty('ranking');
+    });
+
+    it('should explain a single venue', async () => {
+      const explanation = await VenueSearchService.explainRanking('venue_3', '', {}, { userId: clubFan.id });
+      expect(explanation).toMatchObject({ found: true, total: 3, personalized: false, position: 3 });
+
+      expect(await VenueSearchService.explainRanking('missing')).toEqual({ found: false, total: 3 });
+    });
+  });
+
+  describe('getSimilarVenues', () => {
+    // venue_2（六本木のバー）の近くにある似た店
+    const cocktailBar = {
+      id: 'venue_similar',
+      name: 'カクテルバー 月',
+      category: 'bar',
+      address: '東京都港区六本木6-1-1',
+      priceRange: 'luxury',
+      tags: ['バー', 'カクテル', '六本木'],
+      amenities: ['個室'],
+      dressCode: 'business_casual',
+      coordinates: { lat: 35.6630, lng: 139.7325 },
+      rating: 4.0,
+    };
+
+    beforeEach(async () => {
+      jest.spyOn(ReviewService, 'getPopularTags').mockReturnValue([]);
+      await VenueSearchService.addVenue(cocktailBar);
+    });
+
+    it('should rank comparable venues first and explain why', () => {
+      const similar = VenueSearchService.getSimilarVenues('venue_2');
+
+      expect(similar[0].id).toBe('venue_similar');
+      expect(similar[0].similarity.reasons.map(reason => reason.type)).toEqual(
+        expect.arrayContaining(['category', 'priceRange', 'tags', 'amenities', 'dressCode', 'distance'])
+      );
+      expect(similar[0].distanceFromVenue).toBeLessThan(100);
+      expect(similar.some(venue => venue.id === 'venue_2')).toBe(false);
+    });
+
+    it('should leave out venues below the minimum score', () => {
+      const similar = VenueSearchService.getSimilarVenues('venue_2', { minScore: 60 });
+      expect(similar.map(venue => venue.id)).toEqual(['venue_similar']);
+    });
+
+    it('should leave out venues closed at the given time', async () => {
+      await VenueSearchService.addVenue({ ...cocktailBar, openingHours: { tuesday: { closed: true } } });
+      const tuesday = new Date('2025-01-07T21:00:00+09:00');
+
+      expect(VenueSearchService.getSimilarVenues('venue_2', { at: tuesday }).map(venue => venue.id))
+        .not.toContain('venue_similar');
+      expect(VenueSearchService.getSimilarVenues('venue_2', { at: tuesday, includeClosed: true })[0].id)
+        .toBe('venue_similar');
+    });
+
+    it('should count tags that reviewers share', () => {
+      ReviewService.getPopularTags.mockImplementation(venueId => (
+        ['venue_2', 'venue_similar'].includes(venueId) ? [{ tag: 'デート', count: 3 }] : []
+      ));
+
+      const [top] = VenueSearchService.getSimilarVenues('venue_2');
+      expect(top.similarity.reasons.find(reason => reason.type === 'reviewTags').points).toBe(10);
+    });
+
+    it('should return nothing for unknown venues', () => {
+      expect(VenueSearchService.getSimilarVenues('missing')).toEqual([]);
+    });
+  });
+
+  describe('distance', () => {
+    it('should attach distances and sort by them', async () => {
+      const result = await VenueSearchService.searchVenues('', { userLocation: shibuya }, { sortBy: 'distance' });
+
+      expect(idsOf(result)).toEqual(['venue_1', 'venue_2', 'venue_3']);
+      expect(result.results[0].distance).toBeLessThan(500);
+      expect(result.userLocation).toEqual(shibuya);
+    });
+
+    it('should filter by the maximum distance in kilometers', async () => {
+      const result = await VenueSearchService.searchVenues('', { userLocation: shibuya, maxDistance: 1 });
+      expect(idsOf(result)).toEqual(['venue_1']);
+    });
+
+    it('should blend relevance with proximity for nearby ranking', async () => {
+      const nearRoppongi = { lat: 35.6627, lng: 139.732 };
+      const result = await VenueSearchService.searchVenues('', { userLocation: nearRoppongi }, { sortBy: 'nearby' });
+      expect(result.results[0].id).toBe('venue_2');
+    });
+
+    it('should skip the device location when asked', async () => {
+      const spy = jest.spyOn(MapService, 'getLastKnownLocation');
+      const result = await VenueSearchService.searchVenues('', {}, { useLocation: false });
+
+      expect(spy).not.toHaveBeenCalled();
+      expect(result.userLocation).toBeNull();
+    });
+  });
+
+  describe('places', () => {
+    it('should resolve areas and stations by name, reading or romaji', () => {
+      expect(VenueSearchService.resolvePlace('渋谷')).toMatchObject({ id: 'shibuya', type: 'area' });
+      expect(VenueSearchService.resolvePlace('渋谷駅')).toMatchObject({ id: 'shibuya-sta', type: 'station' });
+      expect(VenueSearchService.resolvePlace('roppongi')).toMatchObject({ id: 'roppongi' });
+      expect(VenueSearchService.resolvePlace('二丁目')).toMatchObject({ id: 'shinjuku-nichome' });
+      expect(VenueSearchService.resolvePlace('大阪')).toBeNull();
+    });
+
+    it('should find venues within walking distance of a place', async () => {
+      const result = await VenueSearchService.searchVenuesNearPlace('六本木駅', '', {}, { walkMinutes: 5 });
+
+      expect(idsOf(result)).toEqual(['venue_2']);
+      expect(result.results[0].walkMinutes).toBeLessThanOrEqual(5);
+      expect(result.place.id).toBe('roppongi-sta');
+    });
+
+    it('should reject unknown places', async () => {
+      await expect(VenueSearchService.searchVenuesNearPlace('大阪')).rejects.toThrow('大阪');
+    });
+  });
+
+  describe('resolveUserLocation', () => {
+    const fix = (latitude, ageMs) => ({
+      latitude,
+      longitude: 139.7,
+      timestamp: new Date(Date.now() - ageMs).toISOString(),
+    });
+
+    it('should use a stale fix right away and refresh it in the background', async () => {
+      jest.spyOn(MapService, 'getLastKnownLocation').mockReturnValue(fix(35.6, 10 * 60 * 1000));
+      const refresh = jest.spyOn(MapService, 'getCurrentLocation').mockReturnValue(new Promise(() => {}));
+
+      await expect(VenueSearchService.resolveUserLocation()).resolves.toEqual({ lat: 35.6, lng: 139.7 });
+      expect(refresh).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not refresh a recent fix', async () => {
+      jest.spyOn(MapService, 'getLastKnownLocation').mockReturnValue(fix(35.6, 1000));
+      const refresh = jest.spyOn(MapService, 'getCurrentLocation');
+
+      await VenueSearchService.resolveUserLocation();
+      expect(refresh).not.toHaveBeenCalled();
+    });
+
+    it('should wait for a first fix only up to the timeout', async () => {
+      jest.useFakeTimers();
+      try {
+        jest.spyOn(MapService, 'getLastKnownLocation').mockReturnValue(null);
+        jest.spyOn(MapService, 'getCurrentLocation').mockReturnValue(new Promise(() => {}));
+
+        const pending = VenueSearchService.resolveUserLocation();
+        await jest.advanceTimersByTimeAsync(VenueSearchService.searchConfig.locationTimeout);
+        await expect(pending).resolves.toBeNull();
+      } finally {
+        jest.useRealTimers();
+        VenueSearchService.locationRequest = null;
+      }
+    });
+
+    it('should share one request between concurrent callers', async () => {
+      jest.spyOn(MapService, 'getLastKnownLocation').mockReturnValue(null);
+      const refresh = jest.spyOn(MapService, 'getCurrentLocation')
+        .mockResolvedValue({ success: true, location: fix(35.7, 0) });
+
+      const locations = await Promise.all([
+        VenueSearchService.resolveUserLocation(),
+        VenueSearchService.resolveUserLocation(),
+      ]);
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(locations).toEqual([{ lat: 35.7, lng: 139.7 }, { lat: 35.7, lng: 139.7 }]);
+    });
+  });
+});
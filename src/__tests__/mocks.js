@@ -35,6 +35,12 @@ jest.mock('expo-location', () => ({
   ),
 }));
 
+// Mock Expo Constants（app.json の extra は既定値を使う）
+jest.mock('expo-constants', () => ({
+  __esModule: true,
+  default: { expoConfig: { extra: {} } },
+}));
+
 // Mock React Navigation
 jest.mock('@react-navigation/native', () => {
   const actualNav = jest.requireActual('@react-navigation/native');
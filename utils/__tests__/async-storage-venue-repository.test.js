@@ -0,0 +1,180 @@
+/**
+ * async-storage-venue-repository Tests
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import AsyncStorageVenueRepository from '../async-storage-venue-repository';
+
+const baseVenue = {
+  name: 'バー 夜風',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1-1',
+  coordinates: { lat: 35.658, lng: 139.701 },
+};
+
+describe('AsyncStorageVenueRepository', () => {
+  let repository;
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    repository = new AsyncStorageVenueRepository({ seedSampleVenues: false });
+    await repository.initialize();
+  });
+
+  describe('upsert', () => {
+    it('should keep the first createdAt and persist the venues', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      const [updated] = await repository.upsert({ ...venue, name: 'バー 夜風 本店', createdAt: null });
+
+      expect(updated.createdAt).toBe(venue.createdAt);
+
+      const reloaded = new AsyncStorageVenueRepository({ seedSampleVenues: false });
+      await reloaded.initialize();
+      expect((await reloaded.get(venue.id)).name).toBe('バー 夜風 本店');
+      expect((await reloaded.getChanges(0)).cursor).toBe(2);
+    });
+
+    it('should skip invalid stored venues when loading', async () => {
+      await AsyncStorage.setItem('venues', JSON.stringify([{ id: 'broken', name: '' }]));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const reloaded = new AsyncStorageVenueRepository({ seedSampleVenues: false });
+      await reloaded.initialize();
+      expect(await reloaded.list()).toEqual([]);
+    });
+  });
+
+  describe('save', () => {
+    it('should coalesce writes made while a write is in flight', async () => {
+      // モックの multiSet は他のテストの呼び出しも数えているので数え直す
+      const multiSet = jest.spyOn(AsyncStorage, 'multiSet');
+      multiSet.mockClear();
+
+      await Promise.all([
+        repository.upsert({ ...baseVenue, name: 'A' }),
+        repository.upsert({ ...baseVenue, name: 'B' }),
+        repository.upsert({ ...baseVenue, name: 'C' }),
+      ]);
+
+      expect(multiSet).toHaveBeenCalledTimes(2);
+      const stored = JSON.parse(await AsyncStorage.getItem('venues'));
+      expect(stored.map(venue => venue.name).sort()).toEqual(['A', 'B', 'C']);
+    });
+
+    it('should write the keys again after a failed write', async () => {
+      jest.spyOn(AsyncStorage, 'multiSet').mockRejectedValueOnce(new Error('disk full'));
+
+      await expect(repository.upsert(baseVenue)).rejects.toThrow('disk full');
+      expect(repository.dirtyKeys).toEqual(new Set(['history', 'venues', 'changes']));
+
+      await repository.save();
+      expect(JSON.parse(await AsyncStorage.getItem('venues'))).toHaveLength(1);
+    });
+  });
+
+  describe('history', () => {
+    it('should record the author and the changed fields', async () => {
+      const [venue] = await repository.upsert(baseVenue, { author: { id: 1, name: '管理者', role: 'admin' } });
+      await repository.upsert({ ...venue, name: 'バー 夜風 本店' });
+      await repository.upsert({ ...venue, name: 'バー 夜風 本店' });
+      await repository.remove(venue.id);
+
+      const history = await repository.getHistory(venue.id);
+      expect(history.map(entry => entry.type)).toEqual(['create', 'update', 'remove']);
+      expect(history[0].author).toEqual({ id: '1', name: '管理者', role: 'admin' });
+      expect(history[1].changes).toEqual([{ field: 'name', before: 'バー 夜風', after: 'バー 夜風 本店' }]);
+    });
+
+    it('should not write the history when a save changes nothing', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      const multiSet = jest.spyOn(AsyncStorage, 'multiSet');
+      multiSet.mockClear();
+
+      await repository.upsert(venue);
+      expect(multiSet.mock.calls[0][0].map(([key]) => key)).toEqual(['venues', '@nightlife_navigator:venue_changes']);
+      expect(await repository.getHistory(venue.id)).toHaveLength(1);
+    });
+
+    it('should cap the versions kept per venue', async () => {
+      repository.config.maxHistoryPerVenue = 3;
+      let [venue] = await repository.upsert(baseVenue);
+      for (const capacity of [10, 20, 30, 40]) {
+        [venue] = await repository.upsert({ ...venue, capacity });
+      }
+
+      const history = await repository.getHistory(venue.id);
+      expect(history.map(entry => entry.version)).toEqual([3, 4, 5]);
+      expect((await repository.getVersion(venue.id, 3)).capacity).toBe(20);
+      await expect(repository.getVersion(venue.id, 2)).rejects.toThrow('版 2 の履歴がありません');
+    });
+
+    it('should revert to a version as a new version', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      await repository.upsert({ ...venue, name: 'バー 夜風 本店' });
+
+      const reverted = await repository.revert(venue.id, 1);
+      expect(reverted).toMatchObject({ id: venue.id, name: 'バー 夜風', createdAt: venue.createdAt });
+      expect((await repository.getHistory(venue.id)).pop()).toMatchObject({ version: 3, type: 'revert', revertedTo: 1 });
+    });
+  });
+
+  describe('getChanges', () => {
+    it('should return changes after the cursor with the current venue', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      const { cursor } = await repository.getChanges(0);
+      await repository.upsert({ ...venue, name: 'バー 夜風 本店' });
+      await repository.remove(venue.id);
+
+      const result = await repository.getChanges(cursor);
+      expect(result.cursor).toBe(3);
+      expect(result.reset).toBe(false);
+      expect(result.changes.map(({ sequence, type, venue: current }) => ({ sequence, type, current }))).toEqual([
+        { sequence: 2, type: 'upsert', current: null },
+        { sequence: 3, type: 'remove', current: null },
+      ]);
+    });
+
+    it('should ask for a full reload once changes past the cursor were trimmed', async () => {
+      const venues = Array.from({ length: 501 }, (_, index) => ({ ...baseVenue, name: `店 ${index}` }));
+      await repository.upsert(venues);
+
+      expect(repository.changes).toHaveLength(500);
+      expect((await repository.getChanges(0)).reset).toBe(true);
+
+      const result = await repository.getChanges(1);
+      expect(result.reset).toBe(false);
+      expect(result.changes).toHaveLength(500);
+    });
+
+    it('should ask for a full reload when the cursor is ahead of the feed', async () => {
+      await repository.upsert(baseVenue);
+      expect((await repository.getChanges(5)).reset).toBe(true);
+    });
+  });
+
+  describe('queryByBounds', () => {
+    it('should filter by bounds and category', async () => {
+      await repository.upsert([baseVenue, { ...baseVenue, name: 'クラブ', category: 'club' }]);
+      const bounds = { north: 35.66, south: 35.65, east: 139.71, west: 139.69 };
+
+      expect(await repository.queryByBounds(bounds)).toHaveLength(2);
+      expect((await repository.queryByBounds(bounds, { category: 'club' })).map(venue => venue.name)).toEqual(['クラブ']);
+      await expect(repository.queryByBounds({ north: 0, south: 1, east: 0, west: 0 })).rejects.toThrow('north >= south');
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should notify listeners after the change is saved', async () => {
+      const listener = jest.fn();
+      const unsubscribe = repository.subscribe(listener);
+
+      const [venue] = await repository.upsert(baseVenue);
+      unsubscribe();
+      await repository.remove(venue.id);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'upsert', venueId: venue.id, venue }));
+    });
+  });
+});
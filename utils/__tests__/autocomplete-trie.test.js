@@ -0,0 +1,113 @@
+/**
+ * AutocompleteTrie Tests
+ */
+
+import AutocompleteTrie, { findHighlightRange } from '../autocomplete-trie';
+
+const textsOf = results => results.map(result => result.entry.text);
+
+describe('AutocompleteTrie', () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new AutocompleteTrie();
+    trie.upsert({ id: 'venue:1', type: 'venue', text: 'ネオンバー' });
+    trie.upsert({ id: 'venue:2', type: 'venue', text: '渋谷 VISION', readings: ['しぶや ビジョン'] });
+    trie.upsert({ id: 'tag:dj', type: 'tag', text: 'DJ' });
+  });
+
+  describe('lookup', () => {
+    it('should match prefixes across kana forms', () => {
+      expect(textsOf(trie.lookup('ねお'))).toEqual(['ネオンバー']);
+    });
+
+    it('should match romaji input against kana keys', () => {
+      const [result] = trie.lookup('neo');
+      expect(result.entry.id).toBe('venue:1');
+      expect(result.prefix).toBe('ねお');
+    });
+
+    it('should match later words and readings', () => {
+      expect(textsOf(trie.lookup('vis'))).toEqual(['渋谷 VISION']);
+      expect(textsOf(trie.lookup('ビジョ'))).toEqual(['渋谷 VISION']);
+    });
+
+    it('should return nothing for empty or unknown input', () => {
+      expect(trie.lookup('')).toEqual([]);
+      expect(trie.lookup('zzz')).toEqual([]);
+    });
+
+    it('should skip entries rejected by the filter', () => {
+      expect(trie.lookup('d', { filter: entry => entry.type !== 'tag' })).toEqual([]);
+    });
+
+    it('should rank by score and then by shorter text', () => {
+      trie.upsert({ id: 'tag:dining', type: 'tag', text: 'Dining Bar' });
+      trie.upsert({ id: 'tag:darts', type: 'tag', text: 'Darts' });
+
+      const score = entry => (entry.id === 'tag:dining' ? 1 : 0);
+      expect(textsOf(trie.lookup('d', { score }))).toEqual(['Dining Bar', 'DJ', 'Darts']);
+    });
+
+    it('should keep the best entries from large subtrees', () => {
+      for (let i = 0; i < 2000; i++) {
+        trie.upsert({ id: `venue:bar${i}`, type: 'venue', text: `bar ${i}`, rank: i });
+      }
+
+      const results = trie.lookup('bar', { score: entry => entry.rank || 0, limit: 3 });
+      expect(textsOf(results)).toEqual(['bar 1999', 'bar 1998', 'bar 1997']);
+    });
+  });
+
+  describe('upsert / remove', () => {
+    it('should replace an entry with the same id', () => {
+      trie.upsert({ id: 'venue:1', type: 'venue', text: 'ルーフトップ' });
+
+      expect(trie.lookup('ねお')).toEqual([]);
+      expect(textsOf(trie.lookup('るー'))).toEqual(['ルーフトップ']);
+      expect(trie.size).toBe(3);
+    });
+
+    it('should remove every key of an entry', () => {
+      expect(trie.remove('venue:2')).toBe(true);
+      expect(trie.lookup('vis')).toEqual([]);
+      expect(trie.lookup('しぶ')).toEqual([]);
+      expect(trie.remove('venue:2')).toBe(false);
+    });
+
+    it('should keep other entries sharing a prefix', () => {
+      trie.upsert({ id: 'venue:3', type: 'venue', text: 'ネオン横丁' });
+      trie.remove('venue:1');
+
+      expect(textsOf(trie.lookup('ねおん'))).toEqual(['ネオン横丁']);
+    });
+  });
+
+  describe('replaceType / clear', () => {
+    it('should replace only entries of the given type', () => {
+      trie.replaceType('tag', [{ id: 'tag:techno', type: 'tag', text: 'テクノ' }]);
+
+      expect(trie.lookup('dj')).toEqual([]);
+      expect(textsOf(trie.lookup('てく'))).toEqual(['テクノ']);
+      expect(trie.size).toBe(3);
+    });
+
+    it('should drop every entry on clear', () => {
+      trie.clear();
+      expect(trie.size).toBe(0);
+      expect(trie.lookup('ねお')).toEqual([]);
+    });
+  });
+});
+
+describe('findHighlightRange', () => {
+  it('should find the normalized prefix at the start of a word', () => {
+    expect(findHighlightRange('渋谷 VISION', 'vis')).toEqual([3, 6]);
+    expect(findHighlightRange('ネオンバー', 'ねお')).toEqual([0, 2]);
+  });
+
+  it('should not match inside a word', () => {
+    expect(findHighlightRange('ネオンバー', 'ばー')).toBeNull();
+    expect(findHighlightRange('', 'a')).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * http-venue-repository Tests
+ */
+
+import HttpVenueRepository from '../http-venue-repository';
+
+const rawVenue = {
+  id: 1,
+  name: 'バー 夜風',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1-1',
+  latitude: 35.658,
+  longitude: 139.701,
+  price_range: 'moderate',
+};
+
+const respond = (body, status = 200) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+describe('HttpVenueRepository', () => {
+  let repository;
+  let fetchMock;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    repository = new HttpVenueRepository({ baseUrl: 'https://example.com/api/', pageSize: 2, pollInterval: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.fetch;
+  });
+
+  describe('initialize', () => {
+    it('should require a base URL', async () => {
+      await expect(new HttpVenueRepository().initialize()).rejects.toThrow('baseUrl');
+    });
+  });
+
+  describe('request', () => {
+    it('should send the login cookie and normalize venues', async () => {
+      fetchMock.mockReturnValue(respond({ venue: rawVenue }));
+
+      const venue = await repository.get(1);
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://example.com/api/venues/1',
+        expect.objectContaining({ credentials: 'include' })
+      );
+      expect(venue).toMatchObject({ id: '1', priceRange: 'moderate', coordinates: { lat: 35.658, lng: 139.701 } });
+    });
+
+    it('should treat 404 as missing and report other errors', async () => {
+      fetchMock.mockReturnValueOnce(respond({}, 404)).mockReturnValueOnce(respond({}, 403));
+
+      expect(await repository.get(2)).toBeNull();
+      await expect(repository.remove(2)).rejects.toThrow('403');
+    });
+  });
+
+  describe('list', () => {
+    it('should read every page', async () => {
+      fetchMock
+        .mockReturnValueOnce(respond({ venues: [rawVenue, { ...rawVenue, id: 2 }], hasMore: true }))
+        .mockReturnValueOnce(respond({ venues: [{ ...rawVenue, id: 3 }], hasMore: false }));
+
+      const venues = await repository.list();
+      expect(venues.map(venue => venue.id)).toEqual(['1', '2', '3']);
+      expect(fetchMock.mock.calls[1][0]).toBe('https://example.com/api/venues?limit=2&offset=2');
+    });
+  });
+
+  describe('queryByBounds', () => {
+    it('should pass the bounds and category as query parameters', async () => {
+      fetchMock.mockReturnValue(respond({ venues: [rawVenue] }));
+
+      await repository.queryByBounds({ north: 36, south: 35, east: 140, west: 139 }, { category: 'bar' });
+      expect(fetchMock.mock.calls[0][0]).toBe(
+        'https://example.com/api/venues?north=36&south=35&east=140&west=139&category=bar'
+      );
+    });
+  });
+
+  describe('upsert', () => {
+    it('should post validated venues and emit the saved ones', async () => {
+      fetchMock.mockReturnValue(respond({ venues: [rawVenue] }));
+      const listener = jest.fn();
+      repository.listeners.push(listener);
+
+      const [venue] = await repository.upsert({ name: 'バー 夜風', category: 'bar', address: '東京都渋谷区道玄坂1-1-1' });
+      const [, options] = fetchMock.mock.calls[0];
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body).venues[0].name).toBe('バー 夜風');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'upsert', venueId: '1', venue }));
+    });
+
+    it('should not call the API for invalid venues', async () => {
+      await expect(repository.upsert({ name: '' })).rejects.toThrow();
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should poll the change feed from the current cursor', async () => {
+      jest.useFakeTimers();
+      fetchMock
+        .mockReturnValueOnce(respond({ changes: [], cursor: 7 }))
+        .mockReturnValueOnce(respond({
+          changes: [{ sequence: 8, type: 'upsert', venueId: 1, venue: rawVenue, changedAt: '2025-01-10T12:00:00Z' }],
+          cursor: 8,
+        }));
+      const listener = jest.fn();
+
+      const unsubscribe = repository.subscribe(listener);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(fetchMock.mock.calls[1][0]).toBe('https://example.com/api/venues/changes?since=7');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ sequence: 8, venueId: '1' }));
+      expect(repository.cursor).toBe(8);
+
+      unsubscribe();
+      expect(repository.pollTimer).toBeNull();
+    });
+
+    it('should pass a reset on when the feed cannot be followed', async () => {
+      fetchMock.mockReturnValue(respond({ changes: [], cursor: 600, reset: true }));
+      const listener = jest.fn();
+      repository.listeners.push(listener);
+
+      await repository.poll();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'reset', sequence: 600 }));
+    });
+  });
+});
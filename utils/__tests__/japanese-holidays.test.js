@@ -0,0 +1,89 @@
+/**
+ * Japanese Holidays Tests
+ */
+
+import {
+  getHolidayName,
+  getHolidaysBetween,
+  getJapaneseHolidays,
+  getWeekdayOfDateKey,
+  isHolidayEve,
+  isJapaneseHoliday,
+  shiftDateKey,
+  toDateKey,
+} from '../japanese-holidays';
+
+describe('japanese-holidays', () => {
+  describe('date keys', () => {
+    it('should pad months and days', () => {
+      expect(toDateKey(2025, 1, 6)).toBe('2025-01-06');
+    });
+
+    it('should shift across month and year boundaries', () => {
+      expect(shiftDateKey('2024-12-31', 1)).toBe('2025-01-01');
+      expect(shiftDateKey('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('should return the weekday', () => {
+      expect(getWeekdayOfDateKey('2025-01-06')).toBe(1);
+      expect(getWeekdayOfDateKey('2025-01-05')).toBe(0);
+    });
+  });
+
+  describe('getJapaneseHolidays', () => {
+    it('should place happy monday holidays', () => {
+      expect(getHolidayName('2025-01-13')).toBe('成人の日');
+      expect(getHolidayName('2025-07-21')).toBe('海の日');
+      expect(getHolidayName('2025-10-13')).toBe('スポーツの日');
+    });
+
+    it('should compute the equinoxes', () => {
+      expect(getHolidayName('2025-03-20')).toBe('春分の日');
+      expect(getHolidayName('2025-09-23')).toBe('秋分の日');
+    });
+
+    it('should add substitute holidays after Sunday holidays', () => {
+      expect(getHolidayName('2025-02-24')).toBe('振替休日');
+      // 5/4（日）の振替は連休の後の 5/6
+      expect(getHolidayName('2025-05-06')).toBe('振替休日');
+    });
+
+    it('should add citizens holidays between two holidays', () => {
+      expect(getHolidayName('2026-09-22')).toBe('国民の休日');
+    });
+
+    it('should respect the first year of a holiday', () => {
+      expect(getHolidayName('2019-02-23')).toBeNull();
+      expect(getHolidayName('2015-08-11')).toBeNull();
+      expect(getHolidayName('2016-08-11')).toBe('山の日');
+    });
+
+    it('should apply the 2020 Olympic moves', () => {
+      expect(getHolidayName('2020-07-23')).toBe('海の日');
+      expect(getHolidayName('2020-07-24')).toBe('スポーツの日');
+      expect(getHolidayName('2020-10-12')).toBeNull();
+    });
+
+    it('should cache each year', () => {
+      expect(getJapaneseHolidays(2025)).toBe(getJapaneseHolidays(2025));
+    });
+  });
+
+  describe('isJapaneseHoliday / isHolidayEve', () => {
+    it('should check the day and the day after', () => {
+      expect(isJapaneseHoliday('2025-01-01')).toBe(true);
+      expect(isJapaneseHoliday('2025-01-02')).toBe(false);
+      expect(isHolidayEve('2024-12-31')).toBe(true);
+      expect(isHolidayEve('2025-01-01')).toBe(false);
+    });
+  });
+
+  describe('getHolidaysBetween', () => {
+    it('should list holidays in order across years', () => {
+      expect(getHolidaysBetween('2024-12-01', '2025-01-13')).toEqual([
+        { dateKey: '2025-01-01', name: '元日' },
+        { dateKey: '2025-01-13', name: '成人の日' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Opening Hours Tests
+ */
+
+import {
+  describeDaySchedule,
+  describeOpenStatus,
+  findException,
+  formatMinutes,
+  getExceptionRange,
+  getNextOpening,
+  getOpenStatus,
+  getTokyoDateTime,
+  getUpcomingExceptions,
+  isOpenAt,
+  normalizeSessions,
+  parseTime,
+  resolveDaySchedule,
+  resolveTokyoTime,
+  tokyoDateTimeToDate,
+} from '../opening-hours';
+
+const tokyo = value => new Date(`${value}+09:00`);
+
+// 2025-01-06 は月曜、2025-01-13 は成人の日（月曜）
+const lateNightHours = {
+  monday: { open: '23:00', close: '05:00', lastOrder: '04:30' },
+  friday: { sessions: [{ open: '12:00', close: '15:00' }, { open: '18:00', close: '23:00' }] },
+};
+
+describe('opening-hours', () => {
+  describe('parseTime', () => {
+    it('should parse times past midnight', () => {
+      expect(parseTime('09:30')).toBe(570);
+      expect(parseTime('26:00')).toBe(1560);
+    });
+
+    it('should reject malformed times', () => {
+      expect(parseTime('9時')).toBeNull();
+      expect(parseTime('12:60')).toBeNull();
+      expect(parseTime('48:00')).toBeNull();
+      expect(parseTime(null)).toBeNull();
+    });
+  });
+
+  describe('formatMinutes', () => {
+    it('should mark times on the next day', () => {
+      expect(formatMinutes(570)).toBe('09:30');
+      expect(formatMinutes(1560)).toBe('翌02:00');
+    });
+  });
+
+  describe('normalizeSessions', () => {
+    it('should move closing times before opening to the next day', () => {
+      expect(normalizeSessions(lateNightHours.monday)).toEqual([{ start: 1380, end: 1740, lastOrder: 1710 }]);
+    });
+
+    it('should accept session arrays and sort them', () => {
+      const sessions = normalizeSessions([{ open: '18:00', close: '23:00' }, { open: '12:00', close: '15:00' }]);
+      expect(sessions.map(session => session.start)).toEqual([720, 1080]);
+    });
+
+    it('should return no sessions for closed days', () => {
+      expect(normalizeSessions({ closed: true })).toEqual([]);
+      expect(normalizeSessions(null)).toEqual([]);
+    });
+  });
+
+  describe('getTokyoDateTime', () => {
+    it('should use Tokyo time regardless of the UTC date', () => {
+      expect(getTokyoDateTime(new Date('2025-01-06T15:30:00Z'))).toEqual({
+        dateKey: '2025-01-07',
+        weekday: 2,
+        minutes: 30,
+      });
+    });
+
+    it('should round trip through tokyoDateTimeToDate', () => {
+      expect(tokyoDateTimeToDate('2025-01-06', 1560).toISOString()).toBe('2025-01-06T17:00:00.000Z');
+    });
+  });
+
+  describe('exceptions', () => {
+    it('should resolve seasonal periods and single days', () => {
+      expect(getExceptionRange({ period: 'obon' })).toEqual({ from: '08-13', to: '08-16', yearly: true });
+      expect(getExceptionRange({ from: '2025-10-31' })).toEqual({ from: '2025-10-31', to: '2025-10-31', yearly: false });
+      expect(getExceptionRange({ from: 'someday' })).toBeNull();
+    });
+
+    it('should match yearly ranges across the new year', () => {
+      const yearEnd = { period: 'yearEnd', closed: true };
+      expect(findException([yearEnd], '2026-01-02')).toBe(yearEnd);
+      expect(findException([yearEnd], '2026-01-04')).toBeNull();
+    });
+
+    it('should prefer the shorter of overlapping exceptions', () => {
+      const obon = { period: 'obon', closed: true };
+      const party = { from: '2025-08-15', open: '20:00', close: '29:00' };
+      expect(findException([party, obon], '2025-08-15')).toBe(party);
+      expect(findException([party, obon], '2025-08-14')).toBe(obon);
+    });
+  });
+
+  describe('resolveDaySchedule', () => {
+    it('should apply overrides before exceptions', () => {
+      const override = { closed: true, reason: '貸切' };
+      const hours = { ...lateNightHours, overrides: { '2025-08-15': override }, exceptions: [{ period: 'obon', closed: true }] };
+      expect(resolveDaySchedule(hours, '2025-08-15')).toMatchObject({ schedule: override, source: 'override', reason: '貸切' });
+    });
+
+    it('should fall back to the period label as the exception reason', () => {
+      const hours = { ...lateNightHours, exceptions: [{ period: 'obon', closed: true }] };
+      expect(resolveDaySchedule(hours, '2025-08-15')).toMatchObject({ source: 'exception', reason: 'お盆' });
+    });
+
+    it('should use the holiday and holiday eve schedules', () => {
+      const hours = { ...lateNightHours, holiday: { closed: true }, holidayEve: { open: '20:00', close: '05:00' } };
+      expect(resolveDaySchedule(hours, '2025-01-13')).toMatchObject({ source: 'holiday', holidayName: '成人の日' });
+      expect(resolveDaySchedule(hours, '2025-01-12')).toMatchObject({ source: 'holidayEve', nextHolidayName: '成人の日' });
+    });
+
+    it('should use the weekday schedule on holidays without a holiday schedule', () => {
+      expect(resolveDaySchedule(lateNightHours, '2025-01-13')).toMatchObject({
+        schedule: lateNightHours.monday,
+        source: 'weekly',
+        holidayName: '成人の日',
+      });
+    });
+  });
+
+  describe('getOpenStatus', () => {
+    it('should report sessions continuing past midnight', () => {
+      const status = getOpenStatus(lateNightHours, tokyo('2025-01-07T02:00:00'));
+      expect(status).toMatchObject({ isOpen: true, businessDate: '2025-01-06', acceptingOrders: true });
+      expect(status.closesAt).toEqual(tokyo('2025-01-07T05:00:00'));
+    });
+
+    it('should stop accepting orders after the last order', () => {
+      expect(getOpenStatus(lateNightHours, tokyo('2025-01-07T04:45:00')).acceptingOrders).toBe(false);
+    });
+
+    it('should report the next opening when closed', () => {
+      const status = getOpenStatus(lateNightHours, tokyo('2025-01-07T06:00:00'));
+      expect(status.isOpen).toBe(false);
+      expect(status.opensAt).toEqual(tokyo('2025-01-10T12:00:00'));
+    });
+
+    it('should report closures with their reason', () => {
+      const hours = { ...lateNightHours, exceptions: [{ period: 'obon', closed: true, reason: 'お盆休み' }] };
+      const status = getOpenStatus(hours, tokyo('2025-08-15T19:00:00'));
+      expect(status).toMatchObject({ isOpen: false, closedToday: true, reason: 'お盆休み' });
+      expect(describeOpenStatus(status)).toBe('臨時休業（お盆休み）');
+    });
+
+    it('should describe special openings', () => {
+      const hours = { ...lateNightHours, overrides: { '2025-01-07': { open: '20:00', close: '26:00', reason: '新年会' } } };
+      expect(describeOpenStatus(getOpenStatus(hours, tokyo('2025-01-07T21:00:00')))).toBe('特別営業中（新年会）');
+      expect(describeOpenStatus(getOpenStatus(lateNightHours, tokyo('2025-01-06T23:30:00')))).toBe('営業中');
+    });
+
+    it('should report unknown hours', () => {
+      expect(getOpenStatus(null)).toEqual({ isOpen: false, known: false });
+      expect(describeOpenStatus(getOpenStatus(null))).toBeNull();
+      expect(isOpenAt(undefined)).toBe(false);
+    });
+  });
+
+  describe('getNextOpening', () => {
+    it('should look ahead to the next week', () => {
+      const next = getNextOpening({ monday: lateNightHours.monday }, tokyo('2025-01-07T12:00:00'));
+      expect(next.businessDate).toBe('2025-01-13');
+      expect(next.opensAt).toEqual(tokyo('2025-01-13T23:00:00'));
+    });
+
+    it('should return null when the venue never opens', () => {
+      expect(getNextOpening({ monday: { closed: true } }, tokyo('2025-01-07T12:00:00'))).toBeNull();
+    });
+  });
+
+  describe('getUpcomingExceptions', () => {
+    it('should group consecutive days of the same exception', () => {
+      const hours = {
+        ...lateNightHours,
+        exceptions: [{ period: 'obon', closed: true, reason: 'お盆休み' }],
+        overrides: { '2025-08-20': { open: '18:00', close: '21:00' } },
+      };
+      const upcoming = getUpcomingExceptions(hours, tokyo('2025-08-10T12:00:00'), 14);
+      expect(upcoming.map(({ from, to, reason, closed }) => ({ from, to, reason, closed }))).toEqual([
+        { from: '2025-08-13', to: '2025-08-16', reason: 'お盆休み', closed: true },
+        { from: '2025-08-20', to: '2025-08-20', reason: null, closed: false },
+      ]);
+    });
+
+    it('should return nothing without overrides or exceptions', () => {
+      expect(getUpcomingExceptions(lateNightHours)).toEqual([]);
+    });
+  });
+
+  describe('resolveTokyoTime', () => {
+    it('should resolve a clock time to its next occurrence', () => {
+      const now = tokyo('2025-01-06T23:00:00');
+      expect(resolveTokyoTime('23:30', now)).toEqual(tokyo('2025-01-06T23:30:00'));
+      expect(resolveTokyoTime('22:00', now)).toEqual(tokyo('2025-01-07T22:00:00'));
+    });
+
+    it('should count times past 24:00 from the current business day', () => {
+      const now = tokyo('2025-01-07T01:00:00');
+      expect(resolveTokyoTime('26:00', now)).toEqual(tokyo('2025-01-07T02:00:00'));
+      expect(resolveTokyoTime('24:30', now)).toEqual(tokyo('2025-01-08T00:30:00'));
+      expect(resolveTokyoTime('02:00', now)).toEqual(tokyo('2025-01-07T02:00:00'));
+    });
+
+    it('should pass dates through', () => {
+      const date = new Date('2025-01-06T00:00:00Z');
+      expect(resolveTokyoTime(date)).toBe(date);
+      expect(resolveTokyoTime('2025-01-06T00:00:00Z')).toEqual(date);
+      expect(resolveTokyoTime('not a time')).toBeNull();
+    });
+  });
+
+  describe('describeDaySchedule', () => {
+    it('should describe sessions with their last order', () => {
+      expect(describeDaySchedule(lateNightHours.monday)).toBe('23:00 - 翌05:00 (L.O. 翌04:30)');
+      expect(describeDaySchedule(lateNightHours.friday)).toBe('12:00 - 15:00 / 18:00 - 23:00');
+      expect(describeDaySchedule({ closed: true })).toBe('定休日');
+    });
+  });
+});
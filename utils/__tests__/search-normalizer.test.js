@@ -0,0 +1,98 @@
+/**
+ * search-normalizer Tests
+ */
+
+import {
+  appendReadings,
+  getTermVariants,
+  katakanaToHiragana,
+  normalizeText,
+  romajiPrefixToKana,
+  romajiToKana,
+  splitSearchTerms,
+} from '../search-normalizer';
+
+describe('search-normalizer', () => {
+  describe('normalizeText', () => {
+    it('should fold katakana, full-width and half-width forms to the same key', () => {
+      expect(normalizeText('バー')).toBe(normalizeText('ばー'));
+      expect(normalizeText('ﾊﾞｰ')).toBe(normalizeText('バー'));
+      expect(normalizeText('ＤＪ　Ｂａｒ')).toBe('dj bar');
+    });
+
+    it('should fold long vowels', () => {
+      expect(normalizeText('とうきょう')).toBe(normalizeText('ときょ'));
+    });
+
+    it('should return an empty string for null and undefined', () => {
+      expect(normalizeText(null)).toBe('');
+      expect(normalizeText(undefined)).toBe('');
+    });
+  });
+
+  describe('katakanaToHiragana', () => {
+    it('should convert katakana and keep other characters', () => {
+      expect(katakanaToHiragana('シブヤ Bar')).toBe('しぶや Bar');
+    });
+  });
+
+  describe('romajiToKana', () => {
+    it('should convert Hepburn romaji', () => {
+      expect(romajiToKana('shibuya')).toBe('しぶや');
+      expect(romajiToKana('shinjuku')).toBe('しんじゅく');
+    });
+
+    it('should handle sokuon and syllabic n', () => {
+      expect(romajiToKana('roppongi')).toBe('ろっぽんぎ');
+      expect(romajiToKana("kan'i")).toBe('かんい');
+      expect(romajiToKana('shimbashi')).toBe('しんばし');
+    });
+
+    it('should return null for text that is not romaji', () => {
+      expect(romajiToKana('渋谷')).toBeNull();
+      expect(romajiToKana('xq')).toBeNull();
+    });
+  });
+
+  describe('romajiPrefixToKana', () => {
+    it('should expand a trailing consonant to the kana it can start', () => {
+      const candidates = romajiPrefixToKana('shib');
+      expect(candidates).toEqual(expect.arrayContaining(['しば', 'しぶ']));
+    });
+
+    it('should treat a trailing n as both ん and the n-row', () => {
+      const candidates = romajiPrefixToKana('shin');
+      expect(candidates).toEqual(expect.arrayContaining(['しん', 'しな']));
+    });
+
+    it('should return no candidates for non-romaji input', () => {
+      expect(romajiPrefixToKana('しぶ')).toEqual([]);
+    });
+  });
+
+  describe('appendReadings', () => {
+    it('should append the reading of known kanji place names', () => {
+      expect(appendReadings('渋谷のバー')).toBe(`渋谷のバー ${normalizeText('しぶや')}`);
+    });
+
+    it('should leave other text unchanged', () => {
+      expect(appendReadings('bar')).toBe('bar');
+    });
+  });
+
+  describe('splitSearchTerms', () => {
+    it('should split on half-width and full-width spaces', () => {
+      expect(splitSearchTerms(' 渋谷　クラブ  DJ ')).toEqual(['渋谷', 'くらぶ', 'dj']);
+    });
+  });
+
+  describe('getTermVariants', () => {
+    it('should add the kana form of a romaji term', () => {
+      expect(getTermVariants('ginza')).toEqual(['ginza', 'ぎんざ']);
+    });
+
+    it('should return only the term itself when it is not romaji', () => {
+      expect(getTermVariants('ぎんざ')).toEqual(['ぎんざ']);
+    });
+  });
+});
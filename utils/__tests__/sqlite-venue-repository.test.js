@@ -0,0 +1,367 @@
+/**
+ * sqlite-venue-repository Tests
+ */
+
+import { SqliteVenueRepository } from '../sqlite-venue-repository.ts';
+
+// Deno の SQLite は Node では動かないため、リポジトリが使う文だけを受け付ける表で代用する
+const mockDb = {
+  venues: new Map(),
+  tags: [],
+  changes: [],
+  history: [],
+  // 統合で付け替える表（venue_id と user_id だけを持つ。images は写真の列も持つ）
+  related: {},
+  reset() {
+    this.venues.clear();
+    this.tags = [];
+    this.changes = [];
+    this.history = [];
+    this.related = { favorites: [], reviews: [], checkins: [], images: [] };
+  },
+  exec() {},
+  prepare(sql) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    const db = this;
+    const columnsOf = pattern => text.match(pattern)[1].split(', ').map(column => column.replace(' = ?', ''));
+
+    if (text.startsWith('SELECT id FROM venues WHERE id = ?')) {
+      return { get: id => (db.venues.has(id) ? { id } : undefined) };
+    }
+    if (text.startsWith('SELECT id FROM venues ORDER BY id')) {
+      return { all: () => Array.from(db.venues.keys()).sort((a, b) => a - b).map(id => ({ id })) };
+    }
+    if (text.startsWith('UPDATE images SET venue_id = ?, description = ?, sort_order = ?')) {
+      return {
+        run: (venueId, description, sortOrder, id) => {
+          const image = db.related.images.find(row => row.id === id && (row.venue_id === venueId || row.venue_id === null));
+          if (!image) return 0;
+          Object.assign(image, { venue_id: venueId, description, sort_order: sortOrder });
+          return 1;
+        },
+      };
+    }
+    if (text.startsWith('INSERT INTO images')) {
+      return {
+        run: (filename, filePath, url, thumbnailUrl, venueId, description, sortOrder) => {
+          const id = Math.max(0, ...db.related.images.map(row => row.id)) + 1;
+          db.related.images.push({ id, venue_id: venueId, url, thumbnail_url: thumbnailUrl, description, sort_order: sortOrder });
+          return { lastInsertRowId: id };
+        },
+      };
+    }
+    if (text.startsWith("DELETE FROM images WHERE venue_id = ? AND category = 'venue'")) {
+      return {
+        run: (venueId, ...keptIds) => {
+          db.related.images = db.related.images.filter(row => row.venue_id !== venueId || keptIds.includes(row.id));
+        },
+      };
+    }
+    if (/^UPDATE (OR IGNORE )?\w+ SET venue_id/.test(text)) {
+      const [, ignore, table] = text.match(/^UPDATE (OR IGNORE )?(\w+) SET/);
+      return {
+        run: (to, from) => {
+          const rows = db.related[table];
+          const moving = rows.filter(row => row.venue_id === from);
+          // UNIQUE (venue_id, user_id) に当たる行は OR IGNORE で元の店舗に残る
+          const movable = moving.filter(row => !ignore || !rows.some(other => other.venue_id === to && other.user_id === row.user_id));
+          movable.forEach(row => { row.venue_id = to; });
+          return movable.length;
+        },
+      };
+    }
+    if (text.startsWith('UPDATE venues SET')) {
+      const columns = columnsOf(/SET (.*) WHERE/);
+      return {
+        run: (...params) => {
+          const id = params.pop();
+          columns.forEach((column, index) => { db.venues.get(id)[column] = params[index]; });
+        },
+      };
+    }
+    if (text.startsWith('INSERT INTO venues')) {
+      const columns = columnsOf(/INSERT INTO venues \((.*?)\)/);
+      return {
+        run: (...params) => {
+          const id = Math.max(0, ...db.venues.keys()) + 1;
+          db.venues.set(id, Object.fromEntries(columns.map((column, index) => [column, params[index]])));
+          return { lastInsertRowId: id };
+        },
+      };
+    }
+    if (text.startsWith('DELETE FROM venues WHERE id = ?')) {
+      return { run: id => Number(db.venues.delete(id)) };
+    }
+    if (text.startsWith('DELETE FROM venue_tags')) {
+      return { run: id => { db.tags = db.tags.filter(tag => tag.venue_id !== id); } };
+    }
+    if (/^DELETE FROM (favorites|reviews|checkins|images) WHERE venue_id = \?/.test(text)) {
+      const table = text.split(' ')[2];
+      return { run: id => { db.related[table] = db.related[table].filter(row => row.venue_id !== id); } };
+    }
+    if (text.startsWith('SELECT COUNT(*) as count, AVG(rating) as rating FROM reviews')) {
+      return {
+        get: venueId => {
+          const ratings = db.related.reviews.filter(row => row.venue_id === venueId).map(row => row.rating);
+          return {
+            count: ratings.length,
+            rating: ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null,
+          };
+        },
+      };
+    }
+    if (text.startsWith('INSERT INTO venue_tags')) {
+      return { run: (venueId, tag) => { db.tags.push({ venue_id: venueId, tag }); } };
+    }
+    if (text.startsWith('INSERT INTO venue_changes')) {
+      const changeType = text.match(/'(\w+)'/)[1];
+      return {
+        run: venueId => {
+          db.changes.push({
+            sequence: db.changes.length + 1,
+            venue_id: venueId,
+            change_type: changeType,
+            changed_at: '2025-01-10 12:00:00',
+          });
+        },
+      };
+    }
+    if (text.includes('FROM venue_changes WHERE sequence > ?')) {
+      return { all: (since, limit) => db.changes.filter(change => change.sequence > since).slice(0, limit) };
+    }
+    if (text.startsWith('SELECT MAX(version) as version FROM venue_history')) {
+      return {
+        get: venueId => ({
+          version: Math.max(0, ...db.history.filter(entry => entry.venue_id === venueId).map(entry => entry.version)) || null,
+        }),
+      };
+    }
+    if (text.startsWith('INSERT INTO venue_history')) {
+      const columns = columnsOf(/INSERT INTO venue_history \((.*?)\)/);
+      return {
+        run: (...params) => {
+          db.history.push({
+            ...Object.fromEntries(columns.map((column, index) => [column, params[index]])),
+            changed_at: '2025-01-10 12:00:00',
+          });
+        },
+      };
+    }
+    if (text.includes('FROM venue_history WHERE venue_id = ?')) {
+      return {
+        all: venueId => db.history
+          .filter(entry => entry.venue_id === venueId)
+          .sort((a, b) => a.version - b.version),
+      };
+    }
+    if (text.startsWith('SELECT MAX(sequence)')) {
+      return { get: () => ({ sequence: db.changes.length > 0 ? db.changes[db.changes.length - 1].sequence : null }) };
+    }
+    throw new Error(`Unexpected SQL: ${text}`);
+  },
+};
+
+jest.mock('../database.ts', () => {
+  const { normalizeVenue, toDatabaseRow } = jest.requireActual('../venue-schema.js');
+  return {
+    getDatabase: () => mockDb,
+    transaction: callback => callback(mockDb),
+    venueToRow: toDatabaseRow,
+    getVenue: id => {
+      const row = mockDb.venues.get(Number(id));
+      if (!row) return null;
+      const tags = mockDb.tags.filter(tag => tag.venue_id === Number(id)).map(tag => tag.tag);
+      const images = mockDb.related.images
+        .filter(image => image.venue_id === Number(id))
+        .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id)
+        .map(({ id: imageId, url, thumbnail_url, description }) => ({ id: imageId, url, thumbnail_url, description }));
+      return normalizeVenue({ ...row, id: Number(id), tags, images });
+    },
+  };
+});
+
+const baseVenue = {
+  name: 'バー 夜風',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1-1',
+  coordinates: { lat: 35.658, lng: 139.701 },
+  tags: ['カクテル'],
+};
+
+describe('SqliteVenueRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    mockDb.reset();
+    repository = new SqliteVenueRepository();
+  });
+
+  describe('upsert', () => {
+    it('should insert new venues with database ids', async () => {
+      const [venue] = await repository.upsert({ ...baseVenue, id: 'venue_local' });
+
+      expect(venue.id).toBe('1');
+      expect(venue.tags).toEqual(['カクテル']);
+      expect(await repository.list()).toHaveLength(1);
+    });
+
+    it('should stamp updates with a millisecond timestamp', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      const [updated] = await repository.upsert({ ...venue, tags: ['ワイン'] });
+
+      expect(updated.updatedAt).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+      expect(mockDb.venues.get(1).updated_at).toBe(updated.updatedAt);
+      expect(updated.tags).toEqual(['ワイン']);
+    });
+
+    it('should save photos in order and drop removed ones', async () => {
+      const [venue] = await repository.upsert({ ...baseVenue, images: ['a.jpg', { url: 'b.jpg', caption: '店内' }] });
+      expect(venue.images).toEqual([
+        { id: '1', url: 'a.jpg', thumbnailUrl: null, caption: null },
+        { id: '2', url: 'b.jpg', thumbnailUrl: null, caption: '店内' },
+      ]);
+
+      const [updated] = await repository.upsert({ ...venue, images: [venue.images[1]] });
+      expect(updated.images.map(image => image.id)).toEqual(['2']);
+      expect(mockDb.related.images).toHaveLength(1);
+    });
+
+    it('should reject invalid venues without writing', async () => {
+      await expect(repository.upsert({ name: '' })).rejects.toThrow();
+      expect(mockDb.changes).toEqual([]);
+    });
+  });
+
+  describe('remove', () => {
+    it('should only record removals of existing venues', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+
+      expect(await repository.remove('venue_local')).toBe(false);
+      expect(await repository.remove(venue.id)).toBe(true);
+      expect(await repository.remove(venue.id)).toBe(false);
+      expect(mockDb.changes.map(change => change.change_type)).toEqual(['upsert', 'remove']);
+    });
+  });
+
+  describe('history', () => {
+    const author = { id: 1, name: '管理者', role: 'admin' };
+
+    it('should record each write with its author', async () => {
+      const [venue] = await repository.upsert(baseVenue, { author });
+      await repository.upsert({ ...venue, phone: '03-1111-2222' });
+      await repository.remove(venue.id, { author });
+
+      const history = await repository.getHistory(venue.id);
+      expect(history.map(entry => entry.type)).toEqual(['create', 'update', 'remove']);
+      expect(history[0].author).toEqual({ id: '1', name: '管理者', role: 'admin' });
+      expect(history[1]).toMatchObject({ author: null, changes: [{ field: 'phone', before: null, after: '03-1111-2222' }] });
+      expect(history[1].changedAt).toBe('2025-01-10T12:00:00Z');
+    });
+
+    it('should bring a removed venue back under its id', async () => {
+      const [venue] = await repository.upsert(baseVenue, { author });
+      await repository.remove(venue.id, { author });
+
+      const reverted = await repository.revert(venue.id, 1, { author });
+      expect(reverted).toMatchObject({ id: venue.id, name: 'バー 夜風' });
+      expect((await repository.getHistory(venue.id)).pop()).toMatchObject({ version: 3, type: 'revert', revertedTo: 1 });
+    });
+  });
+
+  describe('merge', () => {
+    const author = { id: 1, name: '管理者', role: 'admin' };
+
+    it('should move related rows to the survivor and remove the duplicate', async () => {
+      const [survivor, duplicate] = await repository.upsert([
+        baseVenue,
+        { ...baseVenue, name: 'BAR 夜風', phone: '03-1111-2222', tags: ['ワイン'] },
+      ]);
+      mockDb.related.favorites.push({ venue_id: 1, user_id: 10 }, { venue_id: 2, user_id: 10 }, { venue_id: 2, user_id: 11 });
+      mockDb.related.checkins.push({ venue_id: 2, user_id: 10 });
+
+      const { venue, moved } = await repository.merge(survivor.id, duplicate.id, { author });
+      expect(venue).toMatchObject({ id: survivor.id, phone: '03-1111-2222', tags: ['カクテル', 'ワイン'] });
+      expect(moved).toEqual({ favorites: 1, reviews: 0, checkins: 1, images: 0 });
+      expect(mockDb.related.favorites).toEqual([{ venue_id: 1, user_id: 10 }, { venue_id: 1, user_id: 11 }]);
+      expect(await repository.get(duplicate.id)).toBeNull();
+      expect((await repository.getHistory(duplicate.id)).pop()).toMatchObject({ type: 'remove' });
+    });
+
+    it('should recount the rating from the reviews left after repointing', async () => {
+      const [survivor, duplicate] = await repository.upsert([
+        { ...baseVenue, rating: 4, reviewCount: 2 },
+        { ...baseVenue, name: 'BAR 夜風', rating: 3.5, reviewCount: 2 },
+      ]);
+      mockDb.related.reviews.push(
+        { venue_id: 1, user_id: 10, rating: 4 },
+        { venue_id: 1, user_id: 11, rating: 4 },
+        { venue_id: 2, user_id: 10, rating: 2 },
+        { venue_id: 2, user_id: 12, rating: 5 }
+      );
+
+      const { venue, moved } = await repository.merge(survivor.id, duplicate.id, { author });
+      expect(moved.reviews).toBe(1);
+      expect(venue).toMatchObject({ reviewCount: 3, rating: 4.33 });
+    });
+
+    it('should keep the merged rating when there are no reviews', async () => {
+      const [survivor, duplicate] = await repository.upsert([
+        { ...baseVenue, rating: 4, reviewCount: 3 },
+        { ...baseVenue, name: 'BAR 夜風', rating: 3, reviewCount: 1 },
+      ]);
+
+      const { venue } = await repository.merge(survivor.id, duplicate.id, { author });
+      expect(venue).toMatchObject({ reviewCount: 4, rating: 3.75 });
+    });
+
+    it('should reject merging a venue into itself', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      await expect(repository.merge(venue.id, venue.id)).rejects.toThrow('統合する2つの店舗が見つかりません');
+    });
+  });
+
+  describe('getChanges', () => {
+    it('should return changes after the cursor with the current venue', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      const { cursor } = await repository.getChanges(0);
+      await repository.remove(venue.id);
+
+      const result = await repository.getChanges(cursor);
+      expect(result).toEqual({
+        changes: [{ sequence: 2, type: 'remove', venueId: venue.id, venue: null, changedAt: '2025-01-10T12:00:00Z' }],
+        cursor: 2,
+        reset: false,
+      });
+      expect(await repository.getChanges(2)).toEqual({ changes: [], cursor: 2, reset: false });
+    });
+
+    it('should ask for a full reload past 500 changes', async () => {
+      const [venue] = await repository.upsert(baseVenue);
+      for (let i = 0; i < 500; i++) {
+        mockDb.prepare("INSERT INTO venue_changes (venue_id, change_type) VALUES (?, 'upsert')").run(Number(venue.id));
+      }
+
+      expect(await repository.getChanges(0)).toEqual({ changes: [], cursor: 501, reset: true });
+      expect((await repository.getChanges(1)).changes).toHaveLength(500);
+    });
+
+    it('should ask for a full reload when the cursor is ahead of the feed', async () => {
+      await repository.upsert(baseVenue);
+      expect(await repository.getChanges(10)).toEqual({ changes: [], cursor: 1, reset: true });
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should notify listeners of saved venues', async () => {
+      const listener = jest.fn();
+      const unsubscribe = repository.subscribe(listener);
+
+      const [venue] = await repository.upsert(baseVenue);
+      unsubscribe();
+      await repository.remove(venue.id);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'upsert', venueId: venue.id }));
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * synonym-dictionary Tests
+ */
+
+import SynonymDictionary from '../synonym-dictionary';
+import { DEFAULT_SYNONYMS } from '../../constants/SearchSynonyms';
+import { normalizeText } from '../search-normalizer';
+
+const key = normalizeText;
+
+describe('synonym-dictionary', () => {
+  describe('validate', () => {
+    it('should accept the bundled defaults', () => {
+      expect(SynonymDictionary.validate(DEFAULT_SYNONYMS)).toBe(true);
+    });
+
+    it('should reject malformed data', () => {
+      expect(() => SynonymDictionary.validate([])).toThrow('{ groups, aliases }');
+      expect(() => SynonymDictionary.validate({ groups: [['バー', '']] })).toThrow('groups[0]');
+      expect(() => SynonymDictionary.validate({ groups: [['バー', 'ばー']] })).toThrow('2つ以上');
+      expect(() => SynonymDictionary.validate({ aliases: { ハブ: [] } })).toThrow('aliases["ハブ"]');
+    });
+  });
+
+  describe('groups', () => {
+    it('should expand every member of a group both ways', () => {
+      const dictionary = new SynonymDictionary({ groups: [['シーシャ', 'shisha', '水タバコ']] });
+
+      expect(dictionary.getSynonyms(key('shisha'))).toEqual([key('シーシャ'), key('水タバコ')]);
+      expect(dictionary.getSynonyms(key('しーしゃ'))).toEqual([key('shisha'), key('水タバコ')]);
+    });
+
+    it('should merge groups that share a term', () => {
+      const dictionary = new SynonymDictionary({ groups: [['バー', 'bar']] });
+      dictionary.addGroup(['bar', 'ショットバー']);
+
+      expect(dictionary.toJSON().groups).toEqual([['バー', 'bar', 'ショットバー']]);
+    });
+
+    it('should drop groups left with a single term', () => {
+      const dictionary = new SynonymDictionary({ groups: [['バー', 'bar']] });
+      dictionary.removeTerm('BAR');
+
+      expect(dictionary.size).toBe(0);
+      expect(dictionary.getSynonyms(key('バー'))).toEqual([]);
+    });
+  });
+
+  describe('aliases', () => {
+    it('should expand in one direction only', () => {
+      const dictionary = new SynonymDictionary({ aliases: { ハブ: ['パブ'] } });
+
+      expect(dictionary.getSynonyms(key('ハブ'))).toEqual([key('パブ')]);
+      expect(dictionary.getSynonyms(key('パブ'))).toEqual([]);
+    });
+
+    it('should add targets to an existing alias and remove it by any spelling', () => {
+      const dictionary = new SynonymDictionary({ aliases: { ハブ: ['パブ'] } });
+      dictionary.addAlias('はぶ', ['英国風パブ', 'ハブ']);
+
+      expect(dictionary.toJSON().aliases).toEqual({ ハブ: ['パブ', '英国風パブ'] });
+      expect(dictionary.removeAlias('ﾊﾌﾞ')).toBe(true);
+      expect(dictionary.removeAlias('ハブ')).toBe(false);
+    });
+  });
+
+  describe('expandTermVariants', () => {
+    it('should add synonyms to each term', () => {
+      const dictionary = new SynonymDictionary({ groups: [['カクテル', 'cocktail']] });
+
+      expect(dictionary.expandTermVariants([[key('cocktail')], [key('渋谷')]])).toEqual([
+        [key('cocktail'), key('カクテル')],
+        [key('渋谷')],
+      ]);
+    });
+
+    it('should match multi-word synonyms across terms', () => {
+      const dictionary = new SynonymDictionary({ groups: [['クラフトビール', 'craft beer']] });
+
+      expect(dictionary.expandTermVariants([['craft'], ['beer'], ['渋谷']])).toEqual([
+        ['craft beer', key('クラフトビール')],
+        ['渋谷'],
+      ]);
+    });
+
+    it('should not chain expansions', () => {
+      const dictionary = new SynonymDictionary({ groups: [['ハブ', 'HUB']], aliases: { hub: ['パブ'] } });
+      const [variants] = dictionary.expandTermVariants([[key('ハブ')]]);
+
+      expect(variants).toEqual([key('ハブ'), key('HUB')]);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should round-trip through load', () => {
+      const dictionary = new SynonymDictionary(DEFAULT_SYNONYMS);
+      const reloaded = new SynonymDictionary(JSON.parse(JSON.stringify(dictionary)));
+
+      expect(reloaded.toJSON()).toEqual(dictionary.toJSON());
+      expect(reloaded.size).toBe(dictionary.size);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * venue-claims Tests
+ */
+
+import {
+  CLAIM_CODE_LENGTH,
+  MAX_CLAIM_ATTEMPTS,
+  VenueClaimError,
+  applyOwnerEdit,
+  assertClaimVerifiable,
+  buildOwnerEdit,
+  canEditVenue,
+  findEditConflicts,
+  generateVerificationCode,
+  getClaimChannels,
+  getFailedClaimStatus,
+  resolveClaimChannel,
+  summarizeOwnerEdit,
+} from '../venue-claims';
+import { normalizeVenue } from '../venue-schema';
+
+const venue = normalizeVenue({
+  id: 1,
+  name: 'ネオンバー',
+  category: 'bar',
+  address: '東京都渋谷区',
+  phone: '03-1234-5678',
+  email: 'shop@example.com',
+  description: '落ち着いたバー',
+});
+
+const owned = { ...venue, ownerId: '7' };
+
+// 投げられた例外（なければ null）
+const catchError = callback => {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe('venue-claims', () => {
+  describe('getClaimChannels', () => {
+    it('should mask the registered phone number and email', () => {
+      expect(getClaimChannels(venue).map(({ channel, label, masked }) => ({ channel, label, masked }))).toEqual([
+        { channel: 'phone', label: 'SMS', masked: '******5678' },
+        { channel: 'email', label: 'メール', masked: 's***@example.com' },
+      ]);
+    });
+  });
+
+  describe('resolveClaimChannel', () => {
+    it('should return the chosen destination', () => {
+      expect(resolveClaimChannel(venue, 3, 'email').destination).toBe('shop@example.com');
+    });
+
+    it('should refuse venues that already have an owner', () => {
+      expect(catchError(() => resolveClaimChannel(owned, 7, 'phone'))).toMatchObject({
+        message: 'すでにこの店舗のオーナーです',
+        status: 409,
+      });
+      expect(catchError(() => resolveClaimChannel(owned, 3, 'phone')).message).toBe('この店舗にはすでにオーナーが登録されています');
+    });
+
+    it('should refuse missing venues and channels', () => {
+      expect(catchError(() => resolveClaimChannel(null, 3, 'phone'))).toMatchObject({ status: 404 });
+      expect(catchError(() => resolveClaimChannel({ ...venue, email: null }, 3, 'email'))).toBeInstanceOf(VenueClaimError);
+    });
+  });
+
+  describe('generateVerificationCode', () => {
+    it('should return digits only', () => {
+      expect(generateVerificationCode()).toMatch(new RegExp(`^\\d{${CLAIM_CODE_LENGTH}}$`));
+    });
+
+    it('should refuse to fall back to a predictable random source', () => {
+      const { crypto } = globalThis;
+      Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+      try {
+        expect(() => generateVerificationCode()).toThrow('暗号用の乱数');
+      } finally {
+        Object.defineProperty(globalThis, 'crypto', { value: crypto, configurable: true });
+      }
+    });
+  });
+
+  describe('assertClaimVerifiable', () => {
+    const claim = { status: 'pending', attempts: 0, expiresAt: '2025-01-10T12:10:00Z' };
+    const now = new Date('2025-01-10T12:00:00Z').getTime();
+
+    it('should pass pending claims within the time limit', () => {
+      expect(() => assertClaimVerifiable(claim, now)).not.toThrow();
+    });
+
+    it('should reject expired, verified and exhausted claims', () => {
+      expect(() => assertClaimVerifiable(claim, now + 11 * 60 * 1000)).toThrow('有効期限');
+      expect(() => assertClaimVerifiable({ ...claim, status: 'verified' }, now)).toThrow('確認済み');
+      expect(() => assertClaimVerifiable({ ...claim, attempts: MAX_CLAIM_ATTEMPTS }, now)).toThrow('上限');
+      expect(catchError(() => assertClaimVerifiable(null, now))).toMatchObject({ status: 404 });
+    });
+
+    it('should fail the claim on the last attempt', () => {
+      expect(getFailedClaimStatus(MAX_CLAIM_ATTEMPTS - 1)).toBe('pending');
+      expect(getFailedClaimStatus(MAX_CLAIM_ATTEMPTS)).toBe('failed');
+    });
+  });
+
+  describe('canEditVenue', () => {
+    it('should allow admins and the owner only', () => {
+      expect(canEditVenue(owned, { id: 7, role: 'venue_owner' })).toBe(true);
+      expect(canEditVenue(owned, { id: 8, role: 'venue_owner' })).toBe(false);
+      expect(canEditVenue(venue, { id: 1, role: 'admin' })).toBe(true);
+      expect(canEditVenue(venue, null)).toBe(false);
+    });
+  });
+
+  describe('owner edits', () => {
+    it('should only accept the owner editable fields', () => {
+      const error = catchError(() => buildOwnerEdit(owned, { description: '改装しました', ownerId: '8', name: '別の店' }));
+
+      expect(error).toBeInstanceOf(VenueClaimError);
+      expect(error.message).toBe('オーナー・店名はオーナーからは編集できません');
+    });
+
+    it('should record the changed fields and apply them', () => {
+      const changes = buildOwnerEdit(owned, { description: '改装しました', amenities: ['Wi-Fi'] });
+
+      expect(changes).toEqual([
+        { field: 'description', before: '落ち着いたバー', after: '改装しました' },
+        { field: 'amenities', before: [], after: ['Wi-Fi'] },
+      ]);
+      expect(summarizeOwnerEdit({ changes })).toBe('説明・設備の編集');
+      expect(applyOwnerEdit(owned, changes)).toMatchObject({ description: '改装しました', amenities: ['Wi-Fi'], ownerId: '7' });
+    });
+
+    it('should reject edits without changes', () => {
+      expect(() => buildOwnerEdit(owned, { description: '落ち着いたバー' })).toThrow('変更がありません');
+    });
+
+    it('should report fields changed since the edit was submitted', () => {
+      const changes = buildOwnerEdit(owned, { description: '改装しました', amenities: ['Wi-Fi'] });
+
+      expect(findEditConflicts({ ...owned, description: '管理者が直した説明' }, changes)).toEqual(['description']);
+      expect(findEditConflicts(owned, changes)).toEqual([]);
+    });
+  });
+});
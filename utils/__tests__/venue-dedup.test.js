@@ -0,0 +1,135 @@
+/**
+ * Venue Dedup Tests
+ */
+
+import {
+  addressSimilarity,
+  chooseSurvivor,
+  distanceMeters,
+  findDuplicateCandidates,
+  getPairKey,
+  mergeVenueRecords,
+  nameSimilarity,
+  phoneKey,
+  scoreVenuePair,
+} from '../venue-dedup';
+import { normalizeVenue } from '../venue-schema';
+
+const createVenue = (id, overrides = {}) => normalizeVenue({
+  id,
+  name: `Venue ${id}`,
+  category: 'club',
+  address: '東京都渋谷区',
+  ...overrides,
+});
+
+const vision = createVenue('1', {
+  name: '渋谷 VISION',
+  address: '東京都渋谷区道玄坂2丁目10番12号',
+  coordinates: { lat: 35.6585, lng: 139.698 },
+  phone: '03-1234-5678',
+  rating: 4,
+  reviewCount: 10,
+  tags: ['テクノ'],
+});
+
+const visionCopy = createVenue('2', {
+  name: 'VISION 渋谷',
+  address: '渋谷区道玄坂2-10-12',
+  coordinates: { lat: 35.6586, lng: 139.698 },
+  phone: '+81 3-1234-5678',
+  website: 'https://example.com',
+  rating: 3,
+  reviewCount: 2,
+  tags: ['DJ', 'テクノ'],
+});
+
+const barOne = createVenue('3', { name: 'Bar 1', category: 'bar', coordinates: { lat: 35.69, lng: 139.7 } });
+const barTwo = createVenue('4', { name: 'Bar 2', category: 'bar', coordinates: { lat: 35.6901, lng: 139.7 } });
+
+describe('venue-dedup', () => {
+  describe('distanceMeters', () => {
+    it('should compute the great-circle distance', () => {
+      expect(distanceMeters({ lat: 35.6585, lng: 139.698 }, { lat: 35.6585, lng: 139.698 })).toBe(0);
+      expect(distanceMeters(vision.coordinates, visionCopy.coordinates)).toBeCloseTo(11.1, 0);
+    });
+  });
+
+  describe('phoneKey', () => {
+    it('should keep digits and convert the country code', () => {
+      expect(phoneKey('03-1234-5678')).toBe('0312345678');
+      expect(phoneKey('+81 3-1234-5678')).toBe('0312345678');
+      expect(phoneKey('０３(1234)5678')).toBe('0312345678');
+      expect(phoneKey(null)).toBe('');
+    });
+  });
+
+  describe('similarity', () => {
+    it('should ignore word order in names', () => {
+      expect(nameSimilarity('渋谷 VISION', 'vision 渋谷')).toBe(1);
+    });
+
+    it('should treat names that differ only by number as different', () => {
+      expect(nameSimilarity('Bar 1', 'Bar 2')).toBeLessThanOrEqual(0.5);
+    });
+
+    it('should fold address notation', () => {
+      expect(addressSimilarity('東京都渋谷区道玄坂2丁目10番12号', '渋谷区道玄坂2-10-12')).toBe(1);
+      expect(addressSimilarity('渋谷区道玄坂2-10-12 3F', '渋谷区道玄坂2-10-12')).toBe(0.9);
+    });
+  });
+
+  describe('scoreVenuePair', () => {
+    it('should score matching venues highly with reasons', () => {
+      const { score, signals, reasons } = scoreVenuePair(vision, visionCopy);
+
+      expect(score).toBeGreaterThanOrEqual(0.85);
+      expect(signals).toMatchObject({ name: 1, phone: 1, address: 1, distance: 11 });
+      expect(reasons).toEqual(expect.arrayContaining(['店名が一致', '電話番号が一致', '住所が一致']));
+    });
+  });
+
+  describe('findDuplicateCandidates', () => {
+    it('should propose likely duplicates and skip numbered branches', () => {
+      const candidates = findDuplicateCandidates([vision, visionCopy, barOne, barTwo]);
+
+      expect(candidates).toHaveLength(1);
+      expect(candidates[0]).toMatchObject({
+        key: '1|2',
+        confidence: 'high',
+        survivorId: '1',
+        duplicateId: '2',
+      });
+      expect(candidates[0].preview.website).toBe('https://example.com');
+    });
+
+    it('should leave out dismissed pairs', () => {
+      expect(findDuplicateCandidates([vision, visionCopy], { dismissed: [getPairKey('2', '1')] })).toEqual([]);
+    });
+  });
+
+  describe('chooseSurvivor', () => {
+    it('should prefer more reviews and then the older venue', () => {
+      expect(chooseSurvivor(visionCopy, vision)).toBe(vision);
+
+      const older = createVenue('5', { createdAt: '2023-01-01T00:00:00Z' });
+      const newer = createVenue('6', { createdAt: '2024-01-01T00:00:00Z' });
+      expect(chooseSurvivor(newer, older)).toBe(older);
+    });
+  });
+
+  describe('mergeVenueRecords', () => {
+    it('should fill empty fields and combine lists and reviews', () => {
+      const merged = mergeVenueRecords(vision, visionCopy);
+
+      expect(merged).toMatchObject({
+        id: '1',
+        name: '渋谷 VISION',
+        website: 'https://example.com',
+        tags: ['テクノ', 'DJ'],
+        reviewCount: 12,
+        rating: 3.83,
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Venue Export Tests
+ */
+
+import { describeOpeningHours, exportVenues, toCsv, toGeoJson, toKml } from '../venue-export';
+import { planVenueImport } from '../venue-import';
+import { normalizeVenue } from '../venue-schema';
+
+const venue = normalizeVenue({
+  id: 'v1',
+  name: 'Bar "Neon", Shibuya',
+  nameKana: 'ばー ねおん',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1',
+  coordinates: { lat: 35.658, lng: 139.698 },
+  phone: '03-1111-2222',
+  description: '=HYPERLINK("http://example.com")\n2行目',
+  priceRange: 'moderate',
+  rating: 4.5,
+  reviewCount: 10,
+  openingHours: {
+    monday: { open: '18:00', close: '02:00', lastOrder: '01:30' },
+    exceptions: [{ period: 'obon', closed: true, reason: 'お盆休み' }],
+  },
+  tags: ['-ナイト', 'DJ/ライブ'],
+  amenities: ['Wi-Fi'],
+  ageRestriction: '20_plus',
+  capacity: 40,
+  menu: { sections: [{ kind: 'drink', items: [{ name: 'ハイボール', price: 600 }] }], charge: 500 },
+});
+
+const EXPORTED_FIELDS = [
+  'id', 'name', 'nameKana', 'category', 'address', 'coordinates', 'phone', 'description', 'priceRange',
+  'rating', 'reviewCount', 'openingHours', 'tags', 'amenities', 'ageRestriction', 'capacity', 'menu',
+];
+
+const pick = (source, fields) => fields.reduce((result, field) => ({ ...result, [field]: source[field] }), {});
+
+describe('venue-export', () => {
+  describe('toCsv', () => {
+    it('should write a BOM, CRLF line endings and the header row', () => {
+      const content = toCsv([venue], { headers: 'ja' });
+
+      expect(content.startsWith('\uFEFFid,店名,読み,カテゴリ,')).toBe(true);
+      expect(content.endsWith('\r\n')).toBe(true);
+    });
+
+    it('should guard cells that start like a formula', () => {
+      const content = toCsv([venue]);
+
+      expect(content).toContain('"\'=HYPERLINK(""http://example.com"")\n2行目"');
+      expect(content).toContain(",'-ナイト、DJ/ライブ,");
+      expect(content).toContain(',139.698,');
+    });
+
+    it('should round trip through the import', async () => {
+      const report = await planVenueImport(toCsv([venue]));
+
+      expect(report.rows[0].status).toBe('valid');
+      expect(pick(report.rows[0].venue, EXPORTED_FIELDS)).toEqual(pick(venue, EXPORTED_FIELDS));
+    });
+
+    it('should reject anything but an array', () => {
+      expect(() => toCsv(null)).toThrow('書き出す店舗の一覧がありません');
+    });
+  });
+
+  describe('toGeoJson', () => {
+    it('should write points and keep structured properties', () => {
+      const data = JSON.parse(toGeoJson([venue, { ...venue, id: 'v2', coordinates: null }]));
+
+      expect(data.features[0].geometry).toEqual({ type: 'Point', coordinates: [139.698, 35.658] });
+      expect(data.features[0].properties.tags).toEqual(venue.tags);
+      expect(data.features[1].geometry).toBeNull();
+    });
+
+    it('should round trip through the import', async () => {
+      const report = await planVenueImport(toGeoJson([venue]));
+      expect(pick(report.rows[0].venue, EXPORTED_FIELDS)).toEqual(pick(venue, EXPORTED_FIELDS));
+    });
+  });
+
+  describe('toKml', () => {
+    it('should escape text and group placemarks by category', () => {
+      const kml = toKml([venue], { title: 'A & B' });
+
+      expect(kml).toContain('<name>A &amp; B</name>');
+      expect(kml).toContain('<name>バー</name>');
+      expect(kml).toContain('<name>Bar &quot;Neon&quot;, Shibuya</name>');
+      expect(kml).toContain('<coordinates>139.698,35.658</coordinates>');
+    });
+  });
+
+  describe('describeOpeningHours', () => {
+    it('should list weekdays and exceptions', () => {
+      expect(describeOpeningHours(venue.openingHours)).toEqual([
+        '月曜日: 18:00 - 翌02:00 (L.O. 翌01:30)',
+        '毎年 08-13〜08-16: 休業（お盆休み）',
+      ]);
+    });
+  });
+
+  describe('exportVenues', () => {
+    it('should name the file and skip venues without coordinates in KML', () => {
+      const result = exportVenues([venue, { ...venue, id: 'v2', coordinates: null }], 'kml', {
+        date: new Date('2025-01-06T00:00:00Z'),
+      });
+
+      expect(result).toMatchObject({ fileName: 'venues-20250106.kml', count: 1, skipped: ['v2'] });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => exportVenues([venue], 'xlsx')).toThrow('書き出せる形式は');
+    });
+  });
+});
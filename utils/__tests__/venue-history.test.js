@@ -0,0 +1,147 @@
+/**
+ * Venue History Tests
+ */
+
+import {
+  compactHistory,
+  createHistoryEntry,
+  diffVenues,
+  getVersionSnapshot,
+  normalizeAuthor,
+  summarizeHistoryEntry,
+} from '../venue-history';
+import { normalizeVenue } from '../venue-schema';
+
+const venue = normalizeVenue({
+  id: 'v1',
+  name: 'ネオンバー',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1',
+  priceRange: 'moderate',
+  tags: ['カクテル'],
+});
+
+// 版 1 から順に before → after の変更を履歴にする
+const buildHistory = states => states.slice(1).map((after, index) => createHistoryEntry({
+  venueId: 'v1',
+  version: index + 1,
+  before: states[index],
+  after,
+  changedAt: `2025-01-0${index + 1}T00:00:00.000Z`,
+}));
+
+describe('venue-history', () => {
+  describe('diffVenues', () => {
+    it('should list only the fields that changed', () => {
+      const changes = diffVenues(venue, { ...venue, priceRange: 'expensive', tags: ['カクテル', '夜景'] });
+
+      expect(changes).toEqual([
+        { field: 'priceRange', before: 'moderate', after: 'expensive' },
+        { field: 'tags', before: ['カクテル'], after: ['カクテル', '夜景'] },
+      ]);
+    });
+
+    it('should treat null, undefined and empty lists as the same', () => {
+      expect(diffVenues({ ...venue, images: [] }, { ...venue, images: undefined, phone: undefined })).toEqual([]);
+    });
+
+    it('should ignore the id and timestamps', () => {
+      expect(diffVenues(venue, { ...venue, id: 'v2', updatedAt: '2025-01-01T00:00:00.000Z' })).toEqual([]);
+    });
+
+    it('should list the fields with values on create and remove', () => {
+      expect(diffVenues(null, venue).map(change => change.field))
+        .toEqual(['name', 'category', 'address', 'rating', 'reviewCount', 'priceRange', 'tags']);
+      expect(diffVenues(venue, null).every(change => change.after === null)).toBe(true);
+    });
+  });
+
+  describe('createHistoryEntry', () => {
+    it('should type the entry by what happened', () => {
+      const edited = { ...venue, name: 'ネオンバー 本店' };
+
+      expect(createHistoryEntry({ venueId: 'v1', version: 1, before: null, after: venue }).type).toBe('create');
+      expect(createHistoryEntry({ venueId: 'v1', version: 2, before: venue, after: edited }).type).toBe('update');
+      expect(createHistoryEntry({ venueId: 'v1', version: 3, before: edited, after: null }).type).toBe('remove');
+      expect(createHistoryEntry({ venueId: 'v1', version: 4, before: edited, after: venue, revertedTo: 1 }))
+        .toMatchObject({ type: 'revert', revertedTo: 1 });
+    });
+
+    it('should skip writes that change nothing', () => {
+      expect(createHistoryEntry({ venueId: 'v1', version: 2, before: venue, after: { ...venue } })).toBeNull();
+    });
+  });
+
+  describe('normalizeAuthor', () => {
+    it('should keep the id, name and role', () => {
+      expect(normalizeAuthor({ id: 7, displayName: '管理者', role: 'admin' })).toEqual({ id: '7', name: '管理者', role: 'admin' });
+      expect(normalizeAuthor({ role: 'admin' })).toBeNull();
+      expect(normalizeAuthor(null)).toBeNull();
+    });
+  });
+
+  describe('getVersionSnapshot', () => {
+    const edited = { ...venue, priceRange: 'expensive' };
+    const history = buildHistory([null, venue, edited, null, venue]);
+
+    it('should rebuild the venue as of each version', () => {
+      expect(getVersionSnapshot(history, 1)).toMatchObject({ id: 'v1', priceRange: 'moderate' });
+      expect(getVersionSnapshot(history, 2)).toMatchObject({ id: 'v1', priceRange: 'expensive' });
+      expect(getVersionSnapshot(history, 4)).toMatchObject({ name: 'ネオンバー', priceRange: 'moderate' });
+    });
+
+    it('should return null for a version where the venue was removed', () => {
+      expect(getVersionSnapshot(history, 3)).toBeNull();
+    });
+
+    it('should reject unknown versions', () => {
+      expect(() => getVersionSnapshot(history, 9)).toThrow('版 9 の履歴がありません');
+    });
+  });
+
+  describe('compactHistory', () => {
+    const states = [null, venue, ...['expensive', 'luxury', 'budget', 'moderate'].map(priceRange => ({ ...venue, priceRange }))];
+    const history = buildHistory(states);
+
+    it('should keep short histories as they are', () => {
+      expect(compactHistory(history, 10)).toBe(history);
+    });
+
+    it('should fold older versions into the oldest kept version', () => {
+      const compacted = compactHistory(history, 3);
+
+      expect(compacted.map(entry => entry.version)).toEqual([3, 4, 5]);
+      expect(compacted[0]).toMatchObject({ compacted: true, type: 'update' });
+      // 版 3 の時点の全項目を持つ
+      expect(getVersionSnapshot([compacted[0]], 3)).toEqual(getVersionSnapshot(history, 3));
+      expect(summarizeHistoryEntry(compacted[0])).toBe('版 3 以前の履歴（この版の内容）');
+    });
+
+    it('should still rebuild every kept version', () => {
+      const compacted = compactHistory(history, 3);
+
+      [3, 4, 5].forEach(version => {
+        expect(getVersionSnapshot(compacted, version)).toEqual(getVersionSnapshot(history, version));
+      });
+      expect(() => getVersionSnapshot(compacted, 2)).toThrow();
+    });
+
+    it('should keep a removal as the oldest version without earlier state', () => {
+      const removed = buildHistory([null, venue, { ...venue, priceRange: 'luxury' }, null, venue]);
+      const compacted = compactHistory(removed, 2);
+
+      expect(compacted[0]).toMatchObject({ version: 3, type: 'remove', compacted: true });
+      expect(getVersionSnapshot(compacted, 4)).toEqual(getVersionSnapshot(removed, 4));
+    });
+  });
+
+  describe('summarizeHistoryEntry', () => {
+    it('should describe each kind of change', () => {
+      const [created, updated] = buildHistory([null, venue, { ...venue, priceRange: 'luxury', tags: [] }]);
+
+      expect(summarizeHistoryEntry(created)).toBe('店舗を作成');
+      expect(summarizeHistoryEntry(updated)).toBe('価格帯・タグを編集');
+      expect(summarizeHistoryEntry({ ...updated, type: 'revert', revertedTo: 1 })).toBe('版 1 に戻す（価格帯・タグ）');
+    });
+  });
+});
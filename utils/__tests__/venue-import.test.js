@@ -0,0 +1,147 @@
+/**
+ * Venue Import Tests
+ */
+
+import {
+  detectImportFormat,
+  formatImportReport,
+  getImportableVenues,
+  parseCsv,
+  planVenueImport,
+} from '../venue-import';
+import { normalizeVenue } from '../venue-schema';
+
+const csv = lines => lines.join('\n');
+
+const existingVenue = normalizeVenue({
+  id: 'v1',
+  name: 'ネオンバー',
+  category: 'bar',
+  address: '東京都渋谷区道玄坂1-1',
+  phone: '03-1111-2222',
+  description: '夜景の見えるバー',
+  tags: ['カクテル'],
+  coordinates: { lat: 35.658, lng: 139.698 },
+});
+
+describe('venue-import', () => {
+  describe('parseCsv', () => {
+    it('should handle quotes, escaped quotes and newlines in cells', () => {
+      const rows = parseCsv('name,description\r\n"Bar, Tokyo","1行目\n""2行目"""\n');
+      expect(rows).toEqual([['name', 'description'], ['Bar, Tokyo', '1行目\n"2行目"']]);
+    });
+
+    it('should strip the BOM and skip blank lines', () => {
+      expect(parseCsv('\uFEFFname\n\n,\nBar')).toEqual([['name'], ['Bar']]);
+    });
+
+    it('should reject unclosed quotes', () => {
+      expect(() => parseCsv('name\n"Bar')).toThrow('引用符');
+    });
+  });
+
+  describe('detectImportFormat', () => {
+    it('should detect the format from the file name or content', () => {
+      expect(detectImportFormat('', 'venues.geojson')).toBe('geojson');
+      expect(detectImportFormat('{"type":"FeatureCollection"}')).toBe('geojson');
+      expect(detectImportFormat('name,address')).toBe('csv');
+    });
+  });
+
+  describe('planVenueImport', () => {
+    it('should validate rows and map Japanese column names', async () => {
+      const report = await planVenueImport(csv([
+        '店名,カテゴリ,住所,緯度,経度,タグ',
+        '立ち飲み処,パブ,東京都新宿区,35.69,139.70,日本酒、DJ/ライブ',
+        ',バー,東京都港区,,,',
+      ]));
+
+      expect(report.summary).toMatchObject({ total: 2, valid: 1, invalid: 1 });
+      expect(report.rows[0].venue).toMatchObject({
+        id: null,
+        category: 'pub',
+        coordinates: { lat: 35.69, lng: 139.7 },
+        tags: ['日本酒', 'DJ/ライブ'],
+      });
+      expect(report.rows[1].errors.map(error => error.field)).toContain('name');
+    });
+
+    it('should report duplicates of registered venues and earlier rows', async () => {
+      const report = await planVenueImport(csv([
+        'name,category,address,phone',
+        '別の店,bar,東京都港区,03-1111-2222',
+        '新しい店,bar,東京都目黒区,',
+        '新しい店,bar,東京都目黒区,',
+      ]), { existingVenues: [existingVenue] });
+
+      expect(report.rows.map(row => row.status)).toEqual(['duplicate', 'valid', 'duplicate']);
+      expect(report.rows[0].duplicateOf).toMatchObject({ source: 'existing', id: 'v1', reason: '同じ電話番号' });
+      expect(report.rows[2].duplicateOf).toMatchObject({ source: 'file', row: 3 });
+    });
+
+    it('should update registered venues with only the columns in the row', async () => {
+      const report = await planVenueImport(csv([
+        'id,name,description,tags',
+        'v1,ネオンバー,,カクテル、夜景',
+      ]), { existingVenues: [existingVenue] });
+      const [row] = report.rows;
+
+      expect(row.status).toBe('valid');
+      expect(row.update).toEqual({ id: 'v1', fields: ['tags'] });
+      expect(row.venue).toMatchObject({ id: 'v1', description: '夜景の見えるバー', address: existingVenue.address });
+      expect(report.summary.updates).toBe(1);
+      expect(formatImportReport(report)).toContain('うち登録済みの更新 1 件');
+    });
+
+    it('should strip the formula guard added by the export', async () => {
+      const report = await planVenueImport(csv([
+        'name,category,address,description',
+        "'=SUM,bar,東京都港区,'@home",
+      ]));
+
+      expect(report.rows[0].venue).toMatchObject({ name: '=SUM', description: '@home' });
+    });
+
+    it('should fill coordinates from the geocoder', async () => {
+      const geocode = jest.fn().mockResolvedValue({ lat: 35.6, lng: 139.7 });
+      const report = await planVenueImport(csv(['name,category,address', 'Bar,bar,東京都港区']), { geocode });
+
+      expect(geocode).toHaveBeenCalledWith('東京都港区');
+      expect(report.rows[0]).toMatchObject({ geocoded: true, venue: { coordinates: { lat: 35.6, lng: 139.7 } } });
+    });
+
+    it('should read GeoJSON points', async () => {
+      const geojson = JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+          { type: 'Feature', geometry: { type: 'Point', coordinates: [139.7, 35.6] }, properties: { name: 'Bar', category: 'bar', address: '東京都港区', color: 'red' } },
+          { type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { name: 'Club', category: 'club', address: '東京都港区' } },
+        ],
+      });
+      const report = await planVenueImport(geojson);
+
+      expect(report.format).toBe('geojson');
+      expect(report.unknownColumns).toEqual(['color']);
+      expect(report.rows[0].venue.coordinates).toEqual({ lat: 35.6, lng: 139.7 });
+      expect(report.rows[1].warnings[0]).toContain('LineString');
+    });
+
+    it('should reject malformed GeoJSON and CSV without a name column', async () => {
+      await expect(planVenueImport('{broken', { format: 'geojson' })).rejects.toThrow('GeoJSON を読み込めません');
+      await expect(planVenueImport('address\n東京都')).rejects.toThrow('店名');
+    });
+  });
+
+  describe('getImportableVenues', () => {
+    it('should include duplicates only when asked', async () => {
+      const report = await planVenueImport(csv([
+        'name,category,address',
+        'Bar,bar,東京都港区',
+        'Bar,bar,東京都港区',
+      ]));
+
+      expect(getImportableVenues(report)).toHaveLength(1);
+      expect(getImportableVenues(report, { includeDuplicates: true })).toHaveLength(2);
+    });
+  });
+});
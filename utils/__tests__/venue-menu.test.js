@@ -0,0 +1,141 @@
+/**
+ * Venue Menu Tests
+ */
+
+import {
+  describeHappyHour,
+  describeSpendEstimate,
+  estimatePerPersonSpend,
+  findMenuItemsWithin,
+  formatYen,
+  getEstimatedPriceRange,
+  getItemPrice,
+  getMenuSearchTexts,
+  isHappyHour,
+  parseMaxPriceToken,
+} from '../venue-menu';
+import { normalizeMenu } from '../venue-schema';
+import { getTermVariants, splitSearchTerms } from '../search-normalizer';
+
+const tokyo = value => new Date(`${value}+09:00`);
+
+// 2025-01-10 は金曜
+const menu = normalizeMenu({
+  sections: [
+    {
+      kind: 'drink',
+      items: [
+        { name: 'ハイボール', price: 500, happyHourPrice: 300 },
+        { name: 'テキーラ', price: 700 },
+        { name: 'カクテル', price: 900 },
+      ],
+    },
+    { kind: 'food', items: [{ name: 'ナッツ', price: 800 }, { name: 'ピザ', price: 1000 }] },
+    { kind: 'bottle', items: [{ name: 'シャンパン', price: 30000 }, { name: '本日のワイン', price: '時価' }] },
+  ],
+  happyHour: { from: '22:00', to: '01:00', days: ['friday'] },
+  charge: 500,
+});
+
+describe('venue-menu', () => {
+  describe('isHappyHour', () => {
+    it('should apply an overnight happy hour to the day it starts', () => {
+      expect(isHappyHour(menu, tokyo('2025-01-10T22:30:00'))).toBe(true);
+      expect(isHappyHour(menu, tokyo('2025-01-11T00:30:00'))).toBe(true);
+      expect(isHappyHour(menu, tokyo('2025-01-10T00:30:00'))).toBe(false);
+      expect(isHappyHour(menu, tokyo('2025-01-11T01:00:00'))).toBe(false);
+    });
+
+    it('should apply every day without days and handle daytime ranges', () => {
+      const daily = { happyHour: { from: '17:00', to: '19:00', days: null } };
+      expect(isHappyHour(daily, tokyo('2025-01-07T18:00:00'))).toBe(true);
+      expect(isHappyHour(daily, tokyo('2025-01-07T19:00:00'))).toBe(false);
+    });
+
+    it('should treat times past 24:00 as the next day', () => {
+      const lateNight = { happyHour: { from: '23:00', to: '26:00', days: null } };
+      expect(isHappyHour(lateNight, tokyo('2025-01-07T01:30:00'))).toBe(true);
+    });
+
+    it('should return false without a happy hour', () => {
+      expect(isHappyHour(null)).toBe(false);
+      expect(isHappyHour({ happyHour: { from: '夕方', to: '19:00' } })).toBe(false);
+    });
+  });
+
+  describe('getItemPrice', () => {
+    it('should use the happy hour price only during the happy hour', () => {
+      const [highball, tequila] = menu.sections[0].items;
+
+      expect(getItemPrice(highball, menu, tokyo('2025-01-10T23:00:00'))).toBe(300);
+      expect(getItemPrice(highball, menu, tokyo('2025-01-10T20:00:00'))).toBe(500);
+      expect(getItemPrice(tequila, menu, tokyo('2025-01-10T23:00:00'))).toBe(700);
+    });
+  });
+
+  describe('spend estimate', () => {
+    it('should add the charge and the median drink and food prices', () => {
+      const estimate = estimatePerPersonSpend(menu);
+
+      expect(estimate).toEqual({
+        total: 2800,
+        charge: 500,
+        drinks: { count: 2, unitPrice: 700 },
+        food: { count: 1, unitPrice: 900 },
+      });
+      expect(getEstimatedPriceRange(estimate)).toBe('moderate');
+      expect(describeSpendEstimate(estimate)).toBe('チャージ 500円 + ドリンク 2杯（1杯 700円） + フード 1品（900円）');
+    });
+
+    it('should return null without priced drinks', () => {
+      const foodOnly = normalizeMenu([{ kind: 'food', items: [{ name: 'ピザ', price: 1000 }] }]);
+
+      expect(estimatePerPersonSpend(foodOnly)).toBeNull();
+      expect(getEstimatedPriceRange(null)).toBeNull();
+      expect(describeSpendEstimate(null)).toBeNull();
+    });
+
+    it('should put estimates above every range in the top range', () => {
+      expect(getEstimatedPriceRange({ total: 50000 })).toBe('luxury');
+    });
+  });
+
+  describe('parseMaxPriceToken', () => {
+    it('should read price limits with and without an item name', () => {
+      expect(parseMaxPriceToken('テキーラ500円以下')).toEqual({ text: 'テキーラ', maxPrice: 500 });
+      expect(parseMaxPriceToken('〜1,000円')).toEqual({ text: '', maxPrice: 1000 });
+      expect(parseMaxPriceToken('￥８００まで')).toEqual({ text: '', maxPrice: 800 });
+    });
+
+    it('should return null for other words', () => {
+      expect(parseMaxPriceToken('500円')).toBeNull();
+      expect(parseMaxPriceToken('テキーラ')).toBeNull();
+    });
+  });
+
+  describe('findMenuItemsWithin', () => {
+    it('should look in the matching items first and skip market prices', () => {
+      const tequila = splitSearchTerms('テキーラ').map(getTermVariants);
+
+      expect(findMenuItemsWithin(menu, 700, tequila).map(item => item.name)).toEqual(['テキーラ']);
+      expect(findMenuItemsWithin(menu, 600).map(item => item.name)).toEqual(['ハイボール']);
+      expect(findMenuItemsWithin(menu, 600, splitSearchTerms('ワイン').map(getTermVariants))).toEqual([]);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should format yen and market prices', () => {
+      expect(formatYen(30000)).toBe('30,000円');
+      expect(formatYen(null)).toBe('時価');
+    });
+
+    it('should describe the happy hour with day labels', () => {
+      expect(describeHappyHour(menu.happyHour, { friday: '金' })).toBe('22:00〜01:00（金）');
+      expect(describeHappyHour(menu.happyHour)).toBe('22:00〜01:00');
+    });
+
+    it('should list item names for the search index', () => {
+      expect(getMenuSearchTexts(menu)).toContain('本日のワイン');
+    });
+  });
+});
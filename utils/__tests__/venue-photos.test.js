@@ -0,0 +1,86 @@
+/**
+ * venue-photos Tests
+ */
+
+import {
+  MAX_VENUE_PHOTOS,
+  assertCanAddPhoto,
+  detectImageType,
+  getCoverPhoto,
+  movePhoto,
+  normalizeCaption,
+  removePhoto,
+  reorderPhotos,
+  setCoverPhoto,
+  setPhotoCaption,
+  validatePhotoUpload,
+} from '../venue-photos';
+
+const images = [
+  { id: 'a', url: 'a.jpg', thumbnailUrl: 'a_thumb.jpg', caption: null },
+  { id: 'b', url: 'b.jpg', thumbnailUrl: 'b_thumb.jpg', caption: '店内' },
+  { id: 'c', url: 'c.jpg', thumbnailUrl: 'c_thumb.jpg', caption: null },
+];
+
+const ids = photos => photos.map(photo => photo.id);
+
+const pngBytes = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d];
+
+describe('venue-photos', () => {
+  describe('validatePhotoUpload', () => {
+    it('should accept supported images', () => {
+      expect(validatePhotoUpload({ name: 'shop.PNG', type: 'image/png', size: 2048, bytes: pngBytes })).toEqual({
+        extension: 'png',
+        mimeType: 'image/png',
+      });
+      expect(validatePhotoUpload({ name: 'shop.jpg', type: 'image/jpg', size: 2048 }).mimeType).toBe('image/jpeg');
+    });
+
+    it('should reject unsupported, mismatched and oversized files', () => {
+      expect(() => validatePhotoUpload({ name: 'menu.pdf', type: 'application/pdf', size: 2048 })).toThrow('対応していないファイル形式');
+      expect(() => validatePhotoUpload({ name: 'shop.png', type: 'image/jpeg', size: 2048 })).toThrow('一致しません');
+      expect(() => validatePhotoUpload({ name: 'shop.png', type: 'image/png', size: 0 })).toThrow('ファイルが空です');
+      expect(() => validatePhotoUpload({ name: 'shop.png', size: 11 * 1024 * 1024 })).toThrow('10MBまで');
+    });
+
+    it('should check the file contents when given', () => {
+      expect(detectImageType(pngBytes)).toBe('png');
+      expect(() => validatePhotoUpload({ name: 'shop.jpg', size: 2048, bytes: pngBytes })).toThrow('画像ファイルとして読み込めません');
+    });
+  });
+
+  describe('ordering', () => {
+    it('should treat the first photo as the cover', () => {
+      expect(getCoverPhoto({ images })).toBe(images[0]);
+      expect(getCoverPhoto({ images: [] })).toBeNull();
+      expect(ids(setCoverPhoto(images, 'c'))).toEqual(['c', 'a', 'b']);
+    });
+
+    it('should move a photo within the bounds', () => {
+      expect(ids(movePhoto(images, 'a', 1))).toEqual(['b', 'a', 'c']);
+      expect(ids(movePhoto(images, 'a', 10))).toEqual(['b', 'c', 'a']);
+      expect(() => movePhoto(images, 'x', 0)).toThrow('写真が見つかりません');
+    });
+
+    it('should reorder with every photo exactly once', () => {
+      expect(ids(reorderPhotos(images, ['b', 'c', 'a']))).toEqual(['b', 'c', 'a']);
+      expect(() => reorderPhotos(images, ['b', 'c'])).toThrow('すべての写真を1回ずつ');
+      expect(() => reorderPhotos(images, ['b', 'b', 'a'])).toThrow('すべての写真を1回ずつ');
+    });
+  });
+
+  describe('captions and removal', () => {
+    it('should trim captions and limit their length', () => {
+      expect(normalizeCaption('  カウンター席 ')).toBe('カウンター席');
+      expect(normalizeCaption(' ')).toBeNull();
+      expect(() => normalizeCaption('あ'.repeat(101))).toThrow('100文字以内');
+      expect(setPhotoCaption(images, 'b', '')[1].caption).toBeNull();
+    });
+
+    it('should remove a photo and limit the number of photos', () => {
+      expect(ids(removePhoto(images, 'a'))).toEqual(['b', 'c']);
+      expect(() => assertCanAddPhoto(images)).not.toThrow();
+      expect(() => assertCanAddPhoto(new Array(MAX_VENUE_PHOTOS).fill(images[0]))).toThrow(`${MAX_VENUE_PHOTOS}枚まで`);
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Venue Schema Tests
+ */
+
+import {
+  formatHoursText,
+  normalizeMenu,
+  normalizeOpeningHours,
+  normalizePriceRange,
+  normalizeVenue,
+  toCanonicalVenue,
+  toDatabaseRow,
+  validateVenue,
+} from '../venue-schema';
+
+const createRawVenue = (overrides = {}) => ({
+  id: 1,
+  name: ' ネオンバー ',
+  category: 'Bar',
+  address: '東京都渋谷区',
+  ...overrides,
+});
+
+describe('venue-schema', () => {
+  describe('normalizeVenue', () => {
+    it('should convert database rows to the canonical form', () => {
+      const venue = normalizeVenue(createRawVenue({
+        price_range: 2,
+        review_count: '12',
+        latitude: '35.66',
+        longitude: '139.70',
+        amenities: '["Wi-Fi","喫煙可","Wi-Fi"]',
+        tags: 'バー,カクテル',
+        is_open: 0,
+        owner_id: 7,
+        created_at: '2024-01-01 12:00:00',
+      }));
+
+      expect(venue).toMatchObject({
+        id: '1',
+        name: 'ネオンバー',
+        category: 'bar',
+        coordinates: { lat: 35.66, lng: 139.7 },
+        priceRange: 'moderate',
+        reviewCount: 12,
+        amenities: ['Wi-Fi', '喫煙可'],
+        tags: ['バー', 'カクテル'],
+        isOpen: false,
+        ownerId: '7',
+        createdAt: '2024-01-01T12:00:00.000Z',
+      });
+    });
+
+    it('should fill defaults for missing fields', () => {
+      const venue = normalizeVenue({ name: 'Bar' });
+
+      expect(venue).toMatchObject({
+        id: null,
+        coordinates: null,
+        rating: 0,
+        reviewCount: 0,
+        tags: [],
+        images: [],
+        openingHours: null,
+        isOpen: null,
+        menu: null,
+      });
+    });
+
+    it('should give images ids and keep transient fields', () => {
+      const venue = normalizeVenue(createRawVenue({ images: ['a.jpg', { url: 'b.jpg', caption: '外観' }], distance: 120 }));
+
+      expect(venue.images).toEqual([
+        { id: '1_image_1', url: 'a.jpg', thumbnailUrl: null, caption: null },
+        { id: '1_image_2', url: 'b.jpg', thumbnailUrl: null, caption: '外観' },
+      ]);
+      expect(venue.distance).toBe(120);
+    });
+
+    it('should throw without data', () => {
+      expect(() => normalizeVenue(null)).toThrow('店舗データがありません');
+    });
+  });
+
+  describe('normalizePriceRange', () => {
+    it('should accept ids, symbols and levels', () => {
+      expect(normalizePriceRange('luxury')).toBe('luxury');
+      expect(normalizePriceRange('￥￥')).toBe('moderate');
+      expect(normalizePriceRange(5)).toBe('luxury');
+      expect(normalizePriceRange(0)).toBeNull();
+      expect(normalizePriceRange('')).toBeNull();
+    });
+  });
+
+  describe('normalizeOpeningHours', () => {
+    it('should expand a daily range to every weekday', () => {
+      const hours = normalizeOpeningHours('8:00 - 2:00');
+
+      expect(Object.keys(hours)).toHaveLength(7);
+      expect(hours.friday).toEqual({ open: '08:00', close: '02:00' });
+    });
+
+    it('should parse JSON and drop unknown keys', () => {
+      const hours = normalizeOpeningHours('{"monday":{"closed":true},"note":"x"}');
+      expect(hours).toEqual({ monday: { closed: true } });
+    });
+
+    it('should return null for unreadable values', () => {
+      expect(normalizeOpeningHours('{broken')).toBeNull();
+      expect(normalizeOpeningHours('夜から')).toBeNull();
+      expect(normalizeOpeningHours([])).toBeNull();
+      expect(normalizeOpeningHours({ note: 'x' })).toBeNull();
+    });
+  });
+
+  describe('normalizeMenu', () => {
+    it('should normalize sections, prices and the happy hour', () => {
+      const menu = normalizeMenu({
+        sections: [
+          { kind: 'ドリンク', items: [{ name: 'ハイボール', price: '¥600', happy_hour_price: '400円' }, { name: '' }] },
+          { kind: 'food', items: [] },
+        ],
+        happyHour: '17:00-19:00',
+        cover_charge: 500,
+      });
+
+      expect(menu).toEqual({
+        sections: [{
+          id: 'section_1',
+          name: 'ドリンク',
+          kind: 'drink',
+          items: [{ id: 'section_1_1', name: 'ハイボール', price: 600, size: null, happyHourPrice: 400 }],
+        }],
+        happyHour: { from: '17:00', to: '19:00', days: null },
+        charge: 500,
+      });
+    });
+
+    it('should treat market prices as null', () => {
+      const menu = normalizeMenu([{ items: [{ name: '本日の鮮魚', price: '時価' }] }]);
+      expect(menu.sections[0].items[0].price).toBeNull();
+    });
+
+    it('should return null for empty or unreadable menus', () => {
+      expect(normalizeMenu('{broken')).toBeNull();
+      expect(normalizeMenu({ sections: [] })).toBeNull();
+      expect(normalizeMenu(42)).toBeNull();
+    });
+  });
+
+  describe('validateVenue', () => {
+    it('should accept a normalized venue', () => {
+      expect(validateVenue(normalizeVenue(createRawVenue()))).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should report each invalid field', () => {
+      const venue = normalizeVenue(createRawVenue({
+        name: '',
+        category: 'cafe',
+        rating: 6,
+        email: 'not-an-email',
+        coordinates: { lat: 120, lng: 0 },
+      }));
+      const fields = validateVenue(venue).errors.map(error => error.field);
+
+      expect(fields).toEqual(['name', 'category', 'coordinates', 'email', 'rating']);
+    });
+
+    it('should check opening hours exceptions and menus', () => {
+      const venue = normalizeVenue(createRawVenue({
+        openingHours: { exceptions: [{ from: '8/13' }] },
+        menu: { sections: [{ kind: 'snack', items: [{ name: 'ナッツ', price: 300 }] }] },
+      }));
+      const fields = validateVenue(venue).errors.map(error => error.field);
+
+      expect(fields).toEqual(['openingHours', 'menu']);
+    });
+  });
+
+  describe('toCanonicalVenue', () => {
+    it('should throw with the field errors attached', () => {
+      let thrown;
+      try {
+        toCanonicalVenue(createRawVenue({ address: '' }));
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown.message).toContain('address は必須です');
+      expect(thrown.errors).toEqual([{ field: 'address', message: 'address は必須です' }]);
+    });
+  });
+
+  describe('formatHoursText / toDatabaseRow', () => {
+    it('should write daily hours as text and round trip them', () => {
+      const hours = normalizeOpeningHours('18:00-02:00');
+
+      expect(formatHoursText(hours)).toBe('18:00-02:00');
+      expect(toDatabaseRow(normalizeVenue(createRawVenue({ hours: '18:00-02:00' }))).hours).toBe('18:00-02:00');
+      expect(normalizeOpeningHours(formatHoursText(hours))).toEqual(hours);
+    });
+
+    it('should write other hours as JSON', () => {
+      const hours = { monday: { open: '18:00', close: '02:00', lastOrder: '01:30' } };
+      expect(normalizeOpeningHours(formatHoursText(hours))).toEqual(hours);
+    });
+
+    it('should map fields to database columns', () => {
+      const row = toDatabaseRow(normalizeVenue(createRawVenue({
+        lat: 35.6,
+        lng: 139.7,
+        email: 'Info@Example.com',
+        is_open: 1,
+        owner_id: '3',
+      })));
+
+      expect(row).toMatchObject({
+        name: 'ネオンバー',
+        latitude: 35.6,
+        longitude: 139.7,
+        email: 'info@example.com',
+        is_open: 1,
+        owner_id: 3,
+        menu: null,
+      });
+    });
+
+    it('should write amenities as a JSON array and read them back', () => {
+      const venue = normalizeVenue(createRawVenue({ amenities: ['Wi-Fi', 'カード可, 電子マネー可'] }));
+      const { amenities } = toDatabaseRow(venue);
+
+      expect(amenities).toBe('["Wi-Fi","カード可, 電子マネー可"]');
+      expect(normalizeVenue(createRawVenue({ amenities })).amenities).toEqual(venue.amenities);
+      expect(toDatabaseRow(normalizeVenue(createRawVenue())).amenities).toBeNull();
+    });
+
+    it('should keep an unknown open flag unknown', () => {
+      const venue = normalizeVenue(createRawVenue());
+
+      expect(venue.isOpen).toBeNull();
+      expect(toDatabaseRow(venue).is_open).toBeNull();
+      expect(normalizeVenue(createRawVenue({ is_open: null })).isOpen).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * VenueSearchIndex Tests
+ */
+
+import VenueSearchIndex, { boundedEditDistance, getMaxTypos } from '../venue-search-index';
+import { getTermVariants, splitSearchTerms } from '../search-normalizer';
+
+const termsOf = query => splitSearchTerms(query).map(getTermVariants);
+
+const createVenue = (id, overrides = {}) => ({
+  id,
+  name: `Venue ${id}`,
+  category: 'bar',
+  tags: [],
+  amenities: [],
+  description: '',
+  address: '東京都渋谷区',
+  updatedAt: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+describe('VenueSearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new VenueSearchIndex();
+    index.upsert(createVenue('v1', { name: 'ネオンバー', tags: ['カクテル'], description: '夜景の見えるバー' }));
+    index.upsert(createVenue('v2', { name: 'Club Vision', category: 'club', tags: ['DJ', 'テクノ'] }));
+    index.upsert(createVenue('v3', { name: '立ち飲み処', description: 'カクテルもある', address: '東京都新宿区' }));
+  });
+
+  describe('search', () => {
+    it('should match across katakana and hiragana', () => {
+      const results = index.search(termsOf('ねおん'));
+      expect(Array.from(results.keys())).toEqual(['v1']);
+    });
+
+    it('should match romaji against kana text', () => {
+      expect(index.search(termsOf('shinjuku')).has('v3')).toBe(true);
+    });
+
+    it('should score name matches above description matches', () => {
+      const results = index.search(termsOf('カクテル'));
+      expect(results.get('v1')).toBeGreaterThan(results.get('v3'));
+    });
+
+    it('should tolerate typos in longer words', () => {
+      expect(index.search(termsOf('visiom')).has('v2')).toBe(true);
+      expect(index.search(termsOf('visiom'), { fuzzy: false }).has('v2')).toBe(false);
+    });
+
+    it('should require every term when requireAll is set', () => {
+      const any = index.search(termsOf('カクテル dj'));
+      const all = index.search(termsOf('カクテル dj'), { requireAll: true });
+      expect(any.size).toBe(3);
+      expect(all.size).toBe(0);
+    });
+  });
+
+  describe('upsert / remove / sync', () => {
+    it('should skip venues whose updatedAt has not changed', () => {
+      expect(index.upsert(createVenue('v1', { name: 'Renamed' }))).toBe(false);
+      expect(index.upsert(createVenue('v1', { name: 'Renamed', updatedAt: '2024-02-01T00:00:00.000Z' }))).toBe(true);
+      expect(index.search(termsOf('renamed')).has('v1')).toBe(true);
+      expect(index.search(termsOf('ねおん')).has('v1')).toBe(false);
+    });
+
+    it('should drop removed venues from every posting', () => {
+      expect(index.remove('v2')).toBe(true);
+      expect(index.search(termsOf('vision')).size).toBe(0);
+      expect(index.size).toBe(2);
+    });
+
+    it('should re-index changed venues and remove missing ones on sync', () => {
+      const changed = index.sync([
+        createVenue('v1', { name: 'ネオンバー', tags: ['カクテル'], description: '夜景の見えるバー' }),
+        createVenue('v4', { name: 'Jazz Lounge' }),
+      ]);
+      expect(changed).toBe(3);
+      expect(Array.from(index.documents.keys()).sort()).toEqual(['v1', 'v4']);
+    });
+  });
+
+  describe('scoreDocument', () => {
+    it('should score a single venue like search does', () => {
+      const terms = termsOf('カクテル');
+      expect(index.scoreDocument('v1', terms)).toBe(index.search(terms).get('v1'));
+      expect(index.scoreDocument('missing', terms)).toBe(0);
+    });
+  });
+});
+
+describe('getMaxTypos', () => {
+  it('should allow more typos for longer words', () => {
+    expect(getMaxTypos(3)).toBe(0);
+    expect(getMaxTypos(5)).toBe(1);
+    expect(getMaxTypos(8)).toBe(2);
+  });
+});
+
+describe('boundedEditDistance', () => {
+  it('should compute the edit distance within the bound', () => {
+    expect(boundedEditDistance('kitten', 'sitting', 3)).toBe(3);
+    expect(boundedEditDistance('bar', 'bar', 1)).toBe(0);
+  });
+
+  it('should stop at max + 1 when the distance exceeds the bound', () => {
+    expect(boundedEditDistance('kitten', 'sitting', 1)).toBe(2);
+    expect(boundedEditDistance('a', 'abcd', 1)).toBe(2);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * venue-status Tests
+ */
+
+import {
+  REPORT_TTL,
+  VenueStatusError,
+  aggregateVenueStatus,
+  aggregateVenueStatuses,
+  createStatusReport,
+  describeVenueStatus,
+  getReportWeight,
+  isReportLive,
+  isUncrowded,
+  updateReliability,
+  validateStatusReport,
+} from '../venue-status';
+
+const now = new Date('2025-01-10T12:00:00Z').getTime();
+const minutes = value => value * 60 * 1000;
+
+const report = (overrides = {}, reportedMinutesAgo = 0) => createStatusReport({
+  venueId: '1',
+  reporterId: 'user_1',
+  source: 'user',
+  crowdLevel: 'medium',
+  waitMinutes: null,
+  now: now - minutes(reportedMinutesAgo),
+  ...overrides,
+});
+
+describe('venue-status', () => {
+  describe('validateStatusReport', () => {
+    it('should normalize the wait time', () => {
+      expect(validateStatusReport({ crowdLevel: 'high', waitMinutes: '15' })).toEqual({ crowdLevel: 'high', waitMinutes: 15 });
+      expect(validateStatusReport({ crowdLevel: 'low', waitMinutes: '' })).toEqual({ crowdLevel: 'low', waitMinutes: null });
+    });
+
+    it('should throw typed errors for invalid input', () => {
+      expect(() => validateStatusReport({ crowdLevel: 'packed' })).toThrow(VenueStatusError);
+      expect(() => validateStatusReport({ crowdLevel: 'low', waitMinutes: 241 })).toThrow('0〜240');
+      expect(() => validateStatusReport({ crowdLevel: 'low', waitMinutes: 1.5 })).toThrow(VenueStatusError);
+    });
+  });
+
+  describe('expiry', () => {
+    it('should keep owner updates longer than user reports', () => {
+      expect(report().expiresAt).toBe(new Date(now + REPORT_TTL.user).toISOString());
+      expect(report({ source: 'owner' }).expiresAt).toBe(new Date(now + REPORT_TTL.owner).toISOString());
+    });
+
+    it('should drop expired reports from the status', () => {
+      const expired = report({ crowdLevel: 'full' }, 31);
+
+      expect(isReportLive(expired, now)).toBe(false);
+      expect(aggregateVenueStatus([expired], {}, now)).toBeNull();
+      expect(aggregateVenueStatus([expired, report({ crowdLevel: 'low' })], {}, now)).toMatchObject({
+        crowdLevel: 'low',
+        reportCount: 1,
+      });
+    });
+  });
+
+  describe('weighting', () => {
+    it('should halve the weight every ten minutes and double it for owners', () => {
+      expect(getReportWeight(report(), 0.5, now)).toBe(0.5);
+      expect(getReportWeight(report({}, 10), 0.5, now)).toBe(0.25);
+      expect(getReportWeight(report({ source: 'owner' }), 1, now)).toBe(2);
+    });
+
+    it('should average crowd levels and wait times by weight', () => {
+      const status = aggregateVenueStatus([
+        report({ source: 'owner', reporterId: 'owner_1', crowdLevel: 'low', waitMinutes: 0 }),
+        report({ crowdLevel: 'full', waitMinutes: 50 }),
+      ], {}, now);
+
+      // 重み: オーナー 2、利用者 0.5 → (0 × 2 + 3 × 0.5) / 2.5
+      expect(status).toMatchObject({
+        crowdScore: 0.6,
+        crowdLevel: 'medium',
+        waitMinutes: 10,
+        confidence: 0.92,
+        reportCount: 2,
+        ownerReported: true,
+      });
+    });
+
+    it('should weigh reporters by their reliability', () => {
+      const reports = [
+        report({ reporterId: 'trusted', crowdLevel: 'full' }),
+        report({ reporterId: 'new', crowdLevel: 'low' }),
+      ];
+
+      expect(aggregateVenueStatus(reports, { trusted: 1 }, now).crowdScore).toBe(2);
+      expect(aggregateVenueStatus(reports, { trusted: 0.1 }, now).crowdScore).toBe(0.5);
+    });
+
+    it('should group statuses by venue', () => {
+      const statuses = aggregateVenueStatuses([report(), report({ venueId: '2', crowdLevel: 'low' })], {}, now);
+      expect(Object.keys(statuses)).toEqual(['1', '2']);
+      expect(statuses['2'].crowdLevel).toBe('low');
+    });
+  });
+
+  describe('updateReliability', () => {
+    const consensus = { crowdScore: 0, confidence: 0.9 };
+
+    it('should move toward agreement with the other reports', () => {
+      expect(updateReliability(undefined, report({ crowdLevel: 'medium' }), consensus)).toBe(0.6);
+      expect(updateReliability(undefined, report({ crowdLevel: 'full' }), consensus)).toBe(0.4);
+      expect(updateReliability(0.1, report({ crowdLevel: 'full' }), consensus)).toBe(0.1);
+    });
+
+    it('should not change without a confident consensus', () => {
+      expect(updateReliability(0.7, report({ crowdLevel: 'full' }), null)).toBe(0.7);
+      expect(updateReliability(0.7, report({ crowdLevel: 'full' }), { crowdScore: 0, confidence: 0.2 })).toBe(0.7);
+    });
+  });
+
+  describe('describeVenueStatus', () => {
+    it('should describe confident statuses only', () => {
+      const fresh = aggregateVenueStatus([report({ crowdLevel: 'high', waitMinutes: 15 })], {}, now);
+      const stale = aggregateVenueStatus([report({ crowdLevel: 'low' }, 20)], {}, now);
+
+      expect(describeVenueStatus(fresh)).toBe('🟠 混雑・待ち 15分');
+      expect(describeVenueStatus(stale)).toBeNull();
+      expect(isUncrowded(stale)).toBe(false);
+      expect(isUncrowded(aggregateVenueStatus([report({ crowdLevel: 'low' })], {}, now))).toBe(true);
+    });
+  });
+});
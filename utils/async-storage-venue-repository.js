@@ -0,0 +1,233 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import VenueRepository from './venue-repository';
+import { normalizeVenue, validateVenue } from './venue-schema';
+import { compactHistory, createHistoryEntry } from './venue-history';
+import { SAMPLE_VENUES } from '../constants/SampleVenues';
+
+// 端末内（AsyncStorage）の店舗リポジトリ
+// 店舗は従来どおり 'venues' キーに配列で保存し、変更履歴は直近 maxChanges 件だけ別キーに持つ
+// 変更履歴には店舗の中身を持たず、getChanges で現在の内容を付けて返す
+// 編集履歴（項目ごとの差分）は店舗ごとに直近 maxHistoryPerVenue 件まで。古い版は残す中で最も古い版に畳み込む
+// 書き込みは変わったキーだけ。書き込み中に続いた変更は次の1回にまとめて書く
+class AsyncStorageVenueRepository extends VenueRepository {
+  constructor(options = {}) {
+    super();
+    this.venues = new Map();
+    this.changes = [];
+    this.sequence = 0;
+    this.history = {};
+    this.initializing = null;
+    this.dirtyKeys = new Set();
+    this.writing = null; // 書き込み中の Promise
+    this.pendingSave = null; // 書き込み中に予約した次の書き込み
+    this.storageKeys = {
+      venues: 'venues',
+      changes: '@nightlife_navigator:venue_changes',
+      history: '@nightlife_navigator:venue_history',
+    };
+    this.config = {
+      seedSampleVenues: true, // 空のときにサンプル店舗を入れる
+      maxChanges: 500,
+      maxHistoryPerVenue: 50,
+      ...options,
+    };
+  }
+
+  // 検索と地図から同時に呼ばれても読み込み・サンプル投入は1回だけ
+  initialize() {
+    if (!this.initializing) {
+      this.initializing = this.load().catch(error => {
+        this.initializing = null;
+        throw error;
+      });
+    }
+    return this.initializing;
+  }
+
+  async load() {
+    await this.loadVenues();
+    await this.loadChanges();
+    await this.loadHistory();
+
+    if (this.venues.size === 0 && this.config.seedSampleVenues) {
+      await this.upsert(SAMPLE_VENUES);
+      console.log('Sample venues stored');
+    }
+  }
+
+  async loadVenues() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKeys.venues);
+      const venueList = stored ? JSON.parse(stored) : [];
+
+      this.venues.clear();
+      // 正規形より前に保存された店舗も読み込み時に変換し、使えないものは捨てる
+      venueList.forEach(raw => {
+        const venue = normalizeVenue(raw);
+        const { valid, errors } = validateVenue(venue);
+        if (valid) {
+          this.venues.set(venue.id, venue);
+        } else {
+          console.warn(`Skipping invalid stored venue ${raw.id}:`, errors);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load venues:', error);
+      this.venues.clear();
+    }
+  }
+
+  async loadChanges() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKeys.changes);
+      const { sequence = 0, changes = [] } = stored ? JSON.parse(stored) : {};
+      this.sequence = sequence;
+      this.changes = changes;
+    } catch (error) {
+      console.error('Failed to load venue changes:', error);
+      this.sequence = 0;
+      this.changes = [];
+    }
+  }
+
+  async loadHistory() {
+    try {
+      const stored = await AsyncStorage.getItem(this.storageKeys.history);
+      this.history = stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('Failed to load venue history:', error);
+      this.history = {};
+    }
+  }
+
+  // 変わったキーを書き込む。書き込み中なら終わってから1回だけ書く（その間の変更はまとめて入る）
+  save() {
+    if (this.pendingSave) return this.pendingSave;
+    if (!this.writing) return this.write();
+
+    this.pendingSave = this.writing.catch(() => {}).then(() => {
+      this.pendingSave = null;
+      return this.write();
+    });
+    return this.pendingSave;
+  }
+
+  write() {
+    const serialize = {
+      venues: () => Array.from(this.venues.values()),
+      changes: () => ({ sequence: this.sequence, changes: this.changes }),
+      history: () => this.history,
+    };
+    const keys = Array.from(this.dirtyKeys);
+    this.dirtyKeys.clear();
+
+    this.writing = AsyncStorage.multiSet(
+      keys.map(key => [this.storageKeys[key], JSON.stringify(serialize[key]())])
+    ).catch(error => {
+      // 失敗したキーは次の書き込みでもう一度書く
+      keys.forEach(key => this.dirtyKeys.add(key));
+      throw error;
+    }).finally(() => {
+      this.writing = null;
+    });
+    return this.writing;
+  }
+
+  // 変更前後の差分を編集履歴に追加（差分がなければ何もしない）
+  recordHistory(venueId, before, after, options = {}) {
+    const entries = this.history[venueId] || [];
+    const entry = createHistoryEntry({
+      venueId,
+      version: entries.length > 0 ? entries[entries.length - 1].version + 1 : 1,
+      before,
+      after,
+      author: options.author,
+      revertedTo: options.revertedTo,
+    });
+
+    if (entry) {
+      this.history[venueId] = compactHistory([...entries, entry], this.config.maxHistoryPerVenue);
+      this.dirtyKeys.add('history');
+    }
+  }
+
+  recordChange(type, venueId, venue = null) {
+    const entry = {
+      sequence: ++this.sequence,
+      type,
+      venueId,
+      changedAt: new Date().toISOString(),
+    };
+
+    this.changes.push(entry);
+    if (this.changes.length > this.config.maxChanges) {
+      this.changes = this.changes.slice(-this.config.maxChanges);
+    }
+    this.dirtyKeys.add('venues');
+    this.dirtyKeys.add('changes');
+    return { ...entry, venue };
+  }
+
+  async get(id) {
+    return this.venues.get(String(id)) || null;
+  }
+
+  async list() {
+    return Array.from(this.venues.values());
+  }
+
+  async queryByBounds(bounds, options = {}) {
+    return this.filterByBounds(Array.from(this.venues.values()), bounds, options);
+  }
+
+  async upsert(venueOrVenues, options = {}) {
+    const venues = this.prepareVenues(venueOrVenues).map(venue => {
+      // 作成日時は最初に保存したときのものを残す
+      const existing = this.venues.get(venue.id);
+      return existing?.createdAt ? { ...venue, createdAt: existing.createdAt } : venue;
+    });
+
+    const changes = venues.map(venue => {
+      this.recordHistory(venue.id, this.venues.get(venue.id) || null, venue, options);
+      this.venues.set(venue.id, venue);
+      return this.recordChange('upsert', venue.id, venue);
+    });
+    await this.save();
+
+    changes.forEach(change => this.emitChange(change));
+    return venues;
+  }
+
+  async remove(id, options = {}) {
+    const venueId = String(id);
+    const existing = this.venues.get(venueId);
+    if (!existing) return false;
+
+    this.venues.delete(venueId);
+    this.recordHistory(venueId, existing, null, options);
+
+    const change = this.recordChange('remove', venueId);
+    await this.save();
+
+    this.emitChange(change);
+    return true;
+  }
+
+  async getHistory(id) {
+    return this.history[String(id)] || [];
+  }
+
+  async getChanges(since = 0) {
+    const oldest = this.changes[0];
+    return {
+      changes: this.changes
+        .filter(change => change.sequence > since)
+        .map(change => ({ ...change, venue: this.venues.get(change.venueId) || null })),
+      cursor: this.sequence,
+      // 履歴が切り詰められて since の直後の変更が残っていない、または保存データが消えて番号が戻った
+      reset: Boolean(oldest && since < oldest.sequence - 1) || since > this.sequence,
+    };
+  }
+}
+
+export default AsyncStorageVenueRepository;
@@ -0,0 +1,192 @@
+import { normalizeText, romajiPrefixToKana } from './search-normalizer';
+
+// 入力補完用の前方一致トライ
+// 候補（店舗名・タグ・エリア・過去の検索語など）を正規化したキーで登録し、前方一致で引く
+
+function createNode() {
+  return { children: new Map(), entryIds: new Set() };
+}
+
+// 表示文字列のうち、正規化後に prefix と一致する範囲 [start, end)（見つからなければ null）
+export function findHighlightRange(text, prefix) {
+  if (!text || !prefix) return null;
+
+  for (let start = 0; start < text.length; start++) {
+    // 語の途中からは始めない
+    if (start > 0 && !/[\s　・/]/.test(text[start - 1])) continue;
+
+    for (let end = start + 1; end <= text.length; end++) {
+      const normalized = normalizeText(text.slice(start, end));
+      if (normalized === prefix) return [start, end];
+      if (!prefix.startsWith(normalized)) break;
+    }
+  }
+
+  return null;
+}
+
+class AutocompleteTrie {
+  constructor() {
+    this.root = createNode();
+    this.entries = new Map(); // entryId -> { entry, keys }
+  }
+
+  // キーの登録: 全体と、空白区切りの各語の先頭から（「渋谷 VISION」は "vision" でも引ける）
+  getKeys(entry) {
+    const keys = new Set();
+
+    [entry.text, ...(entry.readings || [])].forEach(value => {
+      const normalized = normalizeText(value);
+      if (!normalized) return;
+
+      keys.add(normalized);
+      normalized.split(' ').forEach((word, index, words) => {
+        if (index > 0) {
+          keys.add(words.slice(index).join(' '));
+        }
+      });
+    });
+
+    return keys;
+  }
+
+  insertKey(key, entryId) {
+    let node = this.root;
+    node.entryIds.add(entryId);
+
+    for (const char of key) {
+      if (!node.children.has(char)) {
+        node.children.set(char, createNode());
+      }
+      node = node.children.get(char);
+      node.entryIds.add(entryId);
+    }
+  }
+
+  removeKey(key, entryId) {
+    const path = [this.root];
+    let node = this.root;
+
+    for (const char of key) {
+      node = node.children.get(char);
+      if (!node) return;
+      path.push(node);
+    }
+
+    // 同じ候補の別キーが同じ経路を通っている場合は残す
+    const { keys } = this.entries.get(entryId) || { keys: new Set() };
+    const chars = Array.from(key);
+    path.forEach((pathNode, depth) => {
+      const prefix = chars.slice(0, depth).join('');
+      const stillReachable = Array.from(keys).some(other => other !== key && other.startsWith(prefix));
+      if (!stillReachable) {
+        pathNode.entryIds.delete(entryId);
+      }
+    });
+
+    // 空になったノードを末端から削除
+    for (let depth = chars.length; depth > 0; depth--) {
+      if (path[depth].entryIds.size === 0 && path[depth].children.size === 0) {
+        path[depth - 1].children.delete(chars[depth - 1]);
+      } else {
+        break;
+      }
+    }
+  }
+
+  // 候補を追加・更新（entry.id が同じものは置き換え）
+  upsert(entry) {
+    if (this.entries.has(entry.id)) {
+      this.remove(entry.id);
+    }
+
+    const keys = this.getKeys(entry);
+    this.entries.set(entry.id, { entry, keys });
+    keys.forEach(key => this.insertKey(key, entry.id));
+  }
+
+  remove(entryId) {
+    const stored = this.entries.get(entryId);
+    if (!stored) return false;
+
+    Array.from(stored.keys).forEach(key => {
+      this.removeKey(key, entryId);
+      stored.keys.delete(key);
+    });
+    this.entries.delete(entryId);
+    return true;
+  }
+
+  // 種類ごとにまとめて入れ替え（店舗の再読み込み時など）
+  replaceType(type, entries) {
+    Array.from(this.entries.values())
+      .filter(({ entry }) => entry.type === type)
+      .forEach(({ entry }) => this.remove(entry.id));
+
+    entries.forEach(entry => this.upsert(entry));
+  }
+
+  clear() {
+    this.root = createNode();
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  findNode(prefix) {
+    let node = this.root;
+
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return null;
+    }
+
+    return node;
+  }
+
+  // 前方一致する候補を返す（ローマ字入力はかなでも照合）
+  // options.score(entry, prefix): 順位付けのスコア（高い順。同点は短い表示文字列が先）
+  // options.limit: 上位何件を返すか。部分木のすべての候補を採点しながら上位だけを残すため、
+  //                件数の多い短い入力でも順位の高い候補を取りこぼさない
+  // options.filter(entry): false の候補は除く
+  // 戻り値: [{ entry, prefix, score }] prefix は一致した正規化済みの入力
+  lookup(input, options = {}) {
+    const prefix = normalizeText(input);
+    if (!prefix) return [];
+
+    const { score = () => 0, limit = Infinity, filter = () => true } = options;
+    const prefixes = [prefix, ...romajiPrefixToKana(prefix).filter(kana => kana !== prefix)];
+
+    const seen = new Set();
+    const top = [];
+    const ranksBefore = (a, b) => a.score > b.score || (a.score === b.score && a.entry.text.length < b.entry.text.length);
+
+    prefixes.forEach(candidate => {
+      const node = this.findNode(candidate);
+      if (!node) return;
+
+      for (const entryId of node.entryIds) {
+        if (seen.has(entryId)) continue;
+        seen.add(entryId);
+
+        const { entry } = this.entries.get(entryId);
+        if (!filter(entry)) continue;
+
+        const match = { entry, prefix: candidate, score: score(entry, candidate) };
+        if (top.length >= limit && !ranksBefore(match, top[top.length - 1])) continue;
+
+        // 上位 limit 件を順位順に保つ
+        let index = top.length;
+        while (index > 0 && ranksBefore(match, top[index - 1])) index--;
+        top.splice(index, 0, match);
+        if (top.length > limit) top.pop();
+      }
+    });
+
+    return top;
+  }
+}
+
+export default AutocompleteTrie;
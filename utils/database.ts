@@ -1,4 +1,5 @@
 import { Database } from "https://deno.land/x/sqlite3@0.11.1/mod.ts";
+import { normalizeVenue, toDatabaseRow } from "./venue-schema.js";
 
 // データベースファイルの場所
 const DB_PATH = "./data/nightlife_navigator.db";
@@ -66,22 +67,117 @@ async function createTables(): Promise<void> {
       category TEXT NOT NULL,
       address TEXT NOT NULL,
       phone TEXT,
+      email TEXT,
       website TEXT,
       description TEXT,
       price_range TEXT CHECK (price_range IN ('budget', 'moderate', 'expensive', 'luxury')),
       latitude REAL,
       longitude REAL,
       hours TEXT,
+      amenities TEXT, -- JSON 配列
       is_open BOOLEAN DEFAULT TRUE,
       rating REAL DEFAULT 0.0,
       review_count INTEGER DEFAULT 0,
       owner_id INTEGER,
+      menu TEXT, -- メニューの JSON（utils/venue-menu.js）
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (owner_id) REFERENCES users (id)
     )
   `);
 
+  // 店舗の変更履歴テーブル（リポジトリの変更フィード用。削除された店舗の分も残すため外部キーは付けない）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_changes (
+      sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+      venue_id INTEGER NOT NULL,
+      change_type TEXT NOT NULL CHECK (change_type IN ('upsert', 'remove')),
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // 店舗の編集履歴テーブル（項目ごとの差分は JSON。削除された店舗の履歴も残すため外部キーは付けない）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      venue_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      change_type TEXT NOT NULL CHECK (change_type IN ('create', 'update', 'remove', 'revert')),
+      changes TEXT NOT NULL,
+      author_id TEXT,
+      author_name TEXT,
+      author_role TEXT,
+      reverted_to INTEGER,
+      changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (venue_id, version)
+    )
+  `);
+
+  // 店舗のオーナー申請テーブル（確認コードはハッシュだけを保存する）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_claims (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      venue_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      channel TEXT NOT NULL CHECK (channel IN ('phone', 'email')),
+      destination TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'expired', 'failed')),
+      expires_at DATETIME NOT NULL,
+      verified_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (venue_id) REFERENCES venues (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
+  // オーナーによる店舗の編集（審査待ちキュー。変更内容は JSON）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_edit_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      venue_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      changes TEXT NOT NULL,
+      note TEXT,
+      status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+      reviewer_id INTEGER,
+      review_comment TEXT,
+      reviewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (venue_id) REFERENCES venues (id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewer_id) REFERENCES users (id)
+    )
+  `);
+
+  // 店舗の混雑度・待ち時間の報告（期限切れの報告は集計に使わず、定期的に消す）
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_status_reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      venue_id INTEGER NOT NULL,
+      reporter_id INTEGER,
+      source TEXT NOT NULL CHECK (source IN ('owner', 'user')),
+      crowd_level TEXT NOT NULL CHECK (crowd_level IN ('low', 'medium', 'high', 'full')),
+      wait_minutes INTEGER,
+      reported_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (venue_id) REFERENCES venues (id) ON DELETE CASCADE,
+      FOREIGN KEY (reporter_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  // 混雑度を報告した利用者の信頼度
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS venue_status_reporters (
+      user_id INTEGER PRIMARY KEY,
+      reliability REAL NOT NULL,
+      report_count INTEGER DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )
+  `);
+
   // 店舗タグテーブル
   db.exec(`
     CREATE TABLE IF NOT EXISTS venue_tags (
@@ -138,6 +234,9 @@ async function createTables(): Promise<void> {
       user_id INTEGER,
       review_id INTEGER,
       description TEXT,
+      url TEXT,
+      thumbnail_url TEXT,
+      sort_order INTEGER NOT NULL DEFAULT 0,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (venue_id) REFERENCES venues (id) ON DELETE CASCADE,
       FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
@@ -243,12 +342,37 @@ async function createTables(): Promise<void> {
     )
   `);
 
+  // 既存のデータベースに後から追加した列
+  addMissingColumns();
+
   // インデックス作成
   createIndexes();
 
   console.log("Database tables created successfully");
 }
 
+// CREATE TABLE IF NOT EXISTS では既存のテーブルに列が増えないため、足りない列を追加する
+function addMissingColumns(): void {
+  if (!db) return;
+
+  const additions: { table: string; column: string; definition: string }[] = [
+    { table: "venues", column: "email", definition: "TEXT" },
+    { table: "venues", column: "amenities", definition: "TEXT" },
+    { table: "venues", column: "menu", definition: "TEXT" },
+    { table: "images", column: "url", definition: "TEXT" },
+    { table: "images", column: "thumbnail_url", definition: "TEXT" },
+    { table: "images", column: "sort_order", definition: "INTEGER NOT NULL DEFAULT 0" },
+  ];
+
+  for (const { table, column, definition } of additions) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all() as { name: string }[];
+    if (!columns.some((c) => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`Column added: ${table}.${column}`);
+    }
+  }
+}
+
 // インデックス作成
 function createIndexes(): void {
   if (!db) return;
@@ -262,6 +386,9 @@ function createIndexes(): void {
     db.exec(`CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews (user_id)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites (user_id)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_favorites_venue ON favorites (venue_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_venue_claims_venue ON venue_claims (venue_id, status)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_venue_edit_requests_status ON venue_edit_requests (status, created_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_venue_status_reports_venue ON venue_status_reports (venue_id, expires_at)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_images_venue ON images (venue_id)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_images_user ON images (user_id)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_checkins_venue ON checkins (venue_id)`);
@@ -425,6 +552,33 @@ export function transaction<T>(callback: (db: Database) => T): T {
   }
 }
 
+// 店舗を正規形（utils/venue-schema.js）で取得
+export function getVenue(id: number | string): ReturnType<typeof normalizeVenue> | null {
+  const database = getDatabase();
+  const row = database.prepare("SELECT * FROM venues WHERE id = ?").get(Number(id)) as
+    | Record<string, unknown>
+    | undefined;
+  if (!row) return null;
+
+  const tags = database.prepare("SELECT tag FROM venue_tags WHERE venue_id = ?").all(Number(id)) as { tag: string }[];
+  return normalizeVenue({ ...row, tags: tags.map((t) => t.tag), images: getVenueImageRows(Number(id)) });
+}
+
+// 店舗の写真（images テーブル, 並び順どおり・先頭がカバー写真）
+export function getVenueImageRows(venueId: number): { id: number; url: string; thumbnail_url: string | null; description: string | null }[] {
+  return getDatabase().prepare(`
+    SELECT id, COALESCE(url, file_path) as url, thumbnail_url, description
+    FROM images
+    WHERE venue_id = ? AND category = 'venue'
+    ORDER BY sort_order, id
+  `).all(venueId) as { id: number; url: string; thumbnail_url: string | null; description: string | null }[];
+}
+
+// 正規形の店舗を venues テーブルの列に変換（タグは venue_tags に保存する）
+export function venueToRow(venue: ReturnType<typeof normalizeVenue>): Record<string, unknown> {
+  return toDatabaseRow(venue);
+}
+
 // ヘルスチェック
 export function healthCheck(): { status: string; message: string } {
   try {
@@ -0,0 +1,225 @@
+import VenueRepository, { normalizeBounds } from './venue-repository';
+import { normalizeVenue } from './venue-schema';
+
+// API サーバーの店舗リポジトリ（サーバー側は routes/api/venues/ で、utils/sqlite-venue-repository.ts を使う）
+// 使うエンドポイント（baseUrl からの相対パス）:
+//   GET  /venues?limit=&offset=                         { venues, hasMore }
+//   GET  /venues?north=&south=&east=&west=&category=&limit=  { venues }
+//   GET  /venues/:id                                    { venue }（404 は存在しない）
+//   POST /venues                                        body { venues, author } → { venues }（id があれば更新）
+//   DELETE /venues/:id                                  body { author } → { removed }
+//   GET  /venues/changes?since=                         { changes, cursor, reset }
+//   GET  /venues/:id/history                            { history }
+//   POST /venues/:id/revert                             body { version, author } → { venue }（削除されていた版なら null）
+//   POST /venues/merge                                  body { survivorId, duplicateId, author } → { venue, moved }
+// 書き込みはログイン中のユーザー（Cookie）で行い、サーバーは body の author ではなくそのユーザーを変更者として記録する
+// 店舗の書き込み・削除・版の復元・統合は管理者だけで、それ以外は 403 になる
+// 応答の店舗はどの形式でも正規形に変換して返す
+// subscribe している間は pollInterval ごとに /venues/changes を確認する
+class HttpVenueRepository extends VenueRepository {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      baseUrl: '',
+      headers: {},
+      timeout: 15000,
+      pageSize: 100,
+      pollInterval: 30000,
+      ...options,
+    };
+    this.cursor = 0;
+    this.pollTimer = null;
+  }
+
+  async initialize() {
+    if (!this.config.baseUrl) {
+      throw new Error('店舗APIの baseUrl が設定されていません');
+    }
+  }
+
+  async request(path, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(`${this.config.baseUrl.replace(/\/$/, '')}${path}`, {
+        ...options,
+        credentials: 'include',
+        headers: {
+          Accept: 'application/json',
+          ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+          ...this.config.headers,
+        },
+        signal: controller.signal,
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`店舗APIの呼び出しに失敗しました（${response.status}）`);
+      }
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('店舗APIの応答がありません（タイムアウト）');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  toQuery(params) {
+    return Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+      .join('&');
+  }
+
+  async get(id) {
+    const data = await this.request(`/venues/${encodeURIComponent(id)}`);
+    return data?.venue ? normalizeVenue(data.venue) : null;
+  }
+
+  async list() {
+    const venues = [];
+    let offset = 0;
+
+    // hasMore が false になるまでページ単位で取得
+    for (;;) {
+      const data = await this.request(`/venues?${this.toQuery({ limit: this.config.pageSize, offset })}`);
+      const page = data?.venues || [];
+      venues.push(...page.map(normalizeVenue));
+      offset += page.length;
+
+      if (!data?.hasMore || page.length === 0) break;
+    }
+
+    return venues;
+  }
+
+  async queryByBounds(bounds, options = {}) {
+    const { north, south, east, west } = normalizeBounds(bounds);
+    const query = this.toQuery({ north, south, east, west, category: options.category, limit: options.limit });
+    const data = await this.request(`/venues?${query}`);
+    return (data?.venues || []).map(normalizeVenue);
+  }
+
+  async upsert(venueOrVenues, options = {}) {
+    const data = await this.request('/venues', {
+      method: 'POST',
+      body: JSON.stringify({ venues: this.prepareVenues(venueOrVenues), author: options.author || null }),
+    });
+    const venues = (data?.venues || []).map(normalizeVenue);
+
+    venues.forEach(venue => {
+      this.emitChange({ sequence: null, type: 'upsert', venueId: venue.id, venue, changedAt: venue.updatedAt });
+    });
+    return venues;
+  }
+
+  async remove(id, options = {}) {
+    const data = await this.request(`/venues/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      body: JSON.stringify({ author: options.author || null }),
+    });
+    const removed = Boolean(data?.removed);
+
+    if (removed) {
+      this.emitChange({ sequence: null, type: 'remove', venueId: String(id), venue: null, changedAt: new Date().toISOString() });
+    }
+    return removed;
+  }
+
+  async getChanges(since = 0) {
+    const data = await this.request(`/venues/changes?${this.toQuery({ since })}`);
+    return {
+      changes: (data?.changes || []).map(change => ({
+        ...change,
+        venueId: String(change.venueId),
+        venue: change.venue ? normalizeVenue(change.venue) : null,
+      })),
+      cursor: data?.cursor ?? since,
+      reset: Boolean(data?.reset),
+    };
+  }
+
+  async getHistory(id) {
+    const data = await this.request(`/venues/${encodeURIComponent(id)}/history`);
+    return data?.history || [];
+  }
+
+  // 版の復元はサーバーで行う（履歴と店舗を同じトランザクションで更新するため）
+  async revert(id, version, options = {}) {
+    const data = await this.request(`/venues/${encodeURIComponent(id)}/revert`, {
+      method: 'POST',
+      body: JSON.stringify({ version: Number(version), author: options.author || null }),
+    });
+    if (!data) {
+      throw new Error(`店舗 ${id} の版 ${version} が見つかりません`);
+    }
+
+    const venue = data.venue ? normalizeVenue(data.venue) : null;
+    this.emitChange({
+      sequence: null,
+      type: venue ? 'upsert' : 'remove',
+      venueId: String(id),
+      venue,
+      changedAt: venue?.updatedAt || new Date().toISOString(),
+    });
+    return venue;
+  }
+
+  // 統合（関連データの付け替え）はサーバーで行う
+  async merge(survivorId, duplicateId, options = {}) {
+    const data = await this.request('/venues/merge', {
+      method: 'POST',
+      body: JSON.stringify({ survivorId, duplicateId, author: options.author || null }),
+    });
+    if (!data?.venue) {
+      throw new Error('統合する2つの店舗が見つかりません');
+    }
+
+    const venue = normalizeVenue(data.venue);
+    this.emitChange({ sequence: null, type: 'upsert', venueId: venue.id, venue, changedAt: venue.updatedAt });
+    this.emitChange({ sequence: null, type: 'remove', venueId: String(duplicateId), venue: null, changedAt: venue.updatedAt });
+    return { venue, moved: data.moved || {} };
+  }
+
+  // 他の端末やサーバーでの変更を拾う
+  async poll() {
+    try {
+      const { changes, cursor, reset } = await this.getChanges(this.cursor);
+      this.cursor = cursor;
+
+      if (reset) {
+        this.emitChange({ sequence: cursor, type: 'reset', venueId: null, venue: null, changedAt: new Date().toISOString() });
+        return;
+      }
+      changes.forEach(change => this.emitChange(change));
+    } catch (error) {
+      console.error('Failed to poll venue changes:', error);
+    }
+  }
+
+  subscribe(listener) {
+    const unsubscribe = super.subscribe(listener);
+
+    if (!this.pollTimer) {
+      // 購読を始めた時点以降の変更だけを流す
+      this.getChanges(this.cursor)
+        .then(({ cursor }) => { this.cursor = cursor; })
+        .catch(error => console.error('Failed to read venue change cursor:', error));
+      this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    }
+
+    return () => {
+      unsubscribe();
+      if (this.listeners.length === 0 && this.pollTimer) {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+      }
+    };
+  }
+}
+
+export default HttpVenueRepository;
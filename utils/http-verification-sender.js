@@ -0,0 +1,51 @@
+import VerificationSender from './verification-sender.js';
+
+// SMS・メール送信の API（Webhook）を使う確認コードの送信
+// endpoint に POST する: body { channel, to, message } → 2xx で送信済み
+class HttpVerificationSender extends VerificationSender {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      endpoint: '',
+      headers: {},
+      timeout: 15000,
+      ...options,
+    };
+  }
+
+  async send({ channel, to, message }) {
+    this.validateMessage({ channel, to, message });
+    if (!this.config.endpoint) {
+      throw new Error('確認コード送信APIの endpoint が設定されていません');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+    try {
+      const response = await fetch(this.config.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.config.headers,
+        },
+        body: JSON.stringify({ channel, to, message }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`確認コードの送信に失敗しました（${response.status}）`);
+      }
+      return { channel, to, message, sentAt: new Date().toISOString() };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('確認コード送信APIの応答がありません（タイムアウト）');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+export default HttpVerificationSender;
@@ -0,0 +1,164 @@
+// 日本の国民の祝日（「国民の祝日に関する法律」に基づき年ごとに算出）
+// 春分・秋分は 1980〜2099 年の近似式を使用
+// 祝日ではないが多くの店が休業・特別営業する時期（お盆・年末年始など）は SEASONAL_PERIODS に持つ
+
+// 固定日の祝日 [月, 日, 名称, 開始年, 終了年]
+const FIXED_HOLIDAYS = [
+  [1, 1, '元日'],
+  [2, 11, '建国記念の日'],
+  [2, 23, '天皇誕生日', 2020],
+  [4, 29, '昭和の日'],
+  [5, 3, '憲法記念日'],
+  [5, 4, 'みどりの日'],
+  [5, 5, 'こどもの日'],
+  [8, 11, '山の日', 2016],
+  [11, 3, '文化の日'],
+  [11, 23, '勤労感謝の日'],
+];
+
+// ハッピーマンデー [月, 第n月曜, 名称]
+const HAPPY_MONDAY_HOLIDAYS = [
+  [1, 2, '成人の日'],
+  [7, 3, '海の日'],
+  [9, 3, '敬老の日'],
+  [10, 2, 'スポーツの日'],
+];
+
+// 東京オリンピック・パラリンピックに伴う移動（特措法）
+const SPECIAL_YEARS = {
+  2020: {
+    moved: { '海の日': [7, 23], 'スポーツの日': [7, 24], '山の日': [8, 10] },
+  },
+  2021: {
+    moved: { '海の日': [7, 22], 'スポーツの日': [7, 23], '山の日': [8, 8] },
+  },
+};
+
+// 毎年の休業・特別営業の時期（月日は 'MM-DD'。from > to は年をまたぐ）
+// 営業時間の exceptions で { period: 'obon' } のように参照する
+export const SEASONAL_PERIODS = {
+  yearEnd: { label: '年末年始', from: '12-29', to: '01-03' },
+  goldenWeek: { label: 'ゴールデンウィーク', from: '04-29', to: '05-05' },
+  obon: { label: 'お盆', from: '08-13', to: '08-16' },
+};
+
+const holidayCache = new Map();
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD' 形式の日付キー
+export function toDateKey(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// 日付キーを 1 日ずらす
+export function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return toDateKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+// 日付キーの曜日（0: 日曜〜6: 土曜）
+export function getWeekdayOfDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function getNthMonday(year, month, nth) {
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const firstMonday = 1 + ((8 - firstWeekday) % 7);
+  return firstMonday + (nth - 1) * 7;
+}
+
+function getVernalEquinoxDay(year) {
+  return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+function getAutumnalEquinoxDay(year) {
+  return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+// 指定年の祝日一覧（日付キー → 名称）
+export function getJapaneseHolidays(year) {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const holidays = new Map();
+  const special = SPECIAL_YEARS[year];
+  const add = (month, day, name) => {
+    const moved = special?.moved[name];
+    if (moved) {
+      holidays.set(toDateKey(year, moved[0], moved[1]), name);
+    } else {
+      holidays.set(toDateKey(year, month, day), name);
+    }
+  };
+
+  FIXED_HOLIDAYS.forEach(([month, day, name, since, until]) => {
+    if (since && year < since) return;
+    if (until && year > until) return;
+    add(month, day, name);
+  });
+
+  HAPPY_MONDAY_HOLIDAYS.forEach(([month, nth, name]) => {
+    add(month, getNthMonday(year, month, nth), name);
+  });
+
+  holidays.set(toDateKey(year, 3, getVernalEquinoxDay(year)), '春分の日');
+  holidays.set(toDateKey(year, 9, getAutumnalEquinoxDay(year)), '秋分の日');
+
+  // 国民の休日（祝日に挟まれた平日）
+  const sortedKeys = Array.from(holidays.keys()).sort();
+  sortedKeys.forEach(dateKey => {
+    const between = shiftDateKey(dateKey, 1);
+    const after = shiftDateKey(dateKey, 2);
+    if (!holidays.has(between) && holidays.has(after) && getWeekdayOfDateKey(between) !== 0) {
+      holidays.set(between, '国民の休日');
+    }
+  });
+
+  // 振替休日（日曜の祝日の後の最初の平日）
+  Array.from(holidays.keys()).sort().forEach(dateKey => {
+    if (getWeekdayOfDateKey(dateKey) !== 0) return;
+
+    let substitute = shiftDateKey(dateKey, 1);
+    while (holidays.has(substitute)) {
+      substitute = shiftDateKey(substitute, 1);
+    }
+    holidays.set(substitute, '振替休日');
+  });
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// 祝日名（祝日でなければ null）
+export function getHolidayName(dateKey) {
+  const year = Number(dateKey.slice(0, 4));
+  return getJapaneseHolidays(year).get(dateKey) || null;
+}
+
+export function isJapaneseHoliday(dateKey) {
+  return getHolidayName(dateKey) !== null;
+}
+
+// 祝前日（翌日が祝日）か
+export function isHolidayEve(dateKey) {
+  return isJapaneseHoliday(shiftDateKey(dateKey, 1));
+}
+
+// from〜to（両端を含む）の祝日 [{ dateKey, name }]
+export function getHolidaysBetween(fromKey, toKey) {
+  const holidays = [];
+  for (let year = Number(fromKey.slice(0, 4)); year <= Number(toKey.slice(0, 4)); year++) {
+    getJapaneseHolidays(year).forEach((name, dateKey) => {
+      if (dateKey >= fromKey && dateKey <= toKey) {
+        holidays.push({ dateKey, name });
+      }
+    });
+  }
+  return holidays.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+}
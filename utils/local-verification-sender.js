@@ -0,0 +1,38 @@
+import VerificationSender from './verification-sender.js';
+
+// 実際には送らない確認コードの送信（開発・デモ・テスト用の代用）
+// 送ったメッセージは送信箱（outbox）に残し、コンソールにも出す
+class LocalVerificationSender extends VerificationSender {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      log: true,
+      maxOutbox: 50,
+      ...options,
+    };
+    this.outbox = [];
+  }
+
+  async send({ channel, to, message }) {
+    this.validateMessage({ channel, to, message });
+
+    const sent = { channel, to, message, sentAt: new Date().toISOString() };
+    this.outbox = [sent, ...this.outbox].slice(0, this.config.maxOutbox);
+
+    if (this.config.log) {
+      console.log(`[確認コード送信（ローカル）] ${channel} ${to}: ${message}`);
+    }
+    return sent;
+  }
+
+  // 宛先に最後に送ったメッセージ
+  getLastMessage(to) {
+    return this.outbox.find(sent => sent.to === to) || null;
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+export default LocalVerificationSender;
@@ -0,0 +1,377 @@
+import {
+  SEASONAL_PERIODS,
+  toDateKey,
+  shiftDateKey,
+  getWeekdayOfDateKey,
+  getHolidayName,
+} from './japanese-holidays.js';
+
+// 営業時間エンジン
+// 端末のタイムゾーンに関係なく東京時間（JST, UTC+9・サマータイムなし）で判定する
+//
+// openingHours の形式:
+//   monday〜sunday: { open: '23:00', close: '05:00', lastOrder: '04:30' }
+//                   | { sessions: [{ open, close, lastOrder }, ...] } | [{ open, close }, ...]
+//                   | { closed: true }
+//   holiday:        祝日に適用するスケジュール（省略時は曜日のスケジュール）
+//   holidayEve:     祝前日（翌日が祝日）に適用するスケジュール（省略時は曜日のスケジュール）
+//   overrides:      { 'YYYY-MM-DD': スケジュール } 日付ごとの上書き
+//   exceptions:     [{ from, to, period, reason, ...スケジュール }] 期間ごとの休業・特別営業
+//                   from/to: 'YYYY-MM-DD'、または毎年の 'MM-DD'（to の省略時は from の1日だけ）
+//                   period:  from/to の代わりに SEASONAL_PERIODS の時期（'obon' など）
+//                   例: { period: 'obon', closed: true, reason: 'お盆休み' }
+//                       { from: '2025-10-31', open: '20:00', close: '29:00', reason: 'ハロウィン オールナイト' }
+// 時刻は "24:00" "26:00" のような 24 時以降の表記も使える（翌日扱い）
+
+const TOKYO_OFFSET_MINUTES = 9 * 60;
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_LOOKAHEAD_DAYS = 14;
+
+export const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 表示順（月曜始まり）
+export const WEEK_DAY_ORDER = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const DAY_LABELS = {
+  monday: '月曜日',
+  tuesday: '火曜日',
+  wednesday: '水曜日',
+  thursday: '木曜日',
+  friday: '金曜日',
+  saturday: '土曜日',
+  sunday: '日曜日',
+  holiday: '祝日',
+  holidayEve: '祝前日',
+};
+
+const MONTH_DAY_PATTERN = /^\d{2}-\d{2}$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 東京時間での日付キー・曜日・0時からの経過分
+export function getTokyoDateTime(date = new Date()) {
+  const tokyo = new Date(new Date(date).getTime() + TOKYO_OFFSET_MINUTES * 60 * 1000);
+
+  return {
+    dateKey: toDateKey(tokyo.getUTCFullYear(), tokyo.getUTCMonth() + 1, tokyo.getUTCDate()),
+    weekday: tokyo.getUTCDay(),
+    minutes: tokyo.getUTCHours() * 60 + tokyo.getUTCMinutes(),
+  };
+}
+
+// 東京時間の日付キー + 経過分 → Date
+export function tokyoDateTimeToDate(dateKey, minutes) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, 0, minutes - TOKYO_OFFSET_MINUTES));
+}
+
+// "HH:MM" → 0時からの経過分（"26:00" → 1560）
+export function parseTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes >= 60 || hours >= 48) return null;
+
+  return hours * 60 + minutes;
+}
+
+// 経過分 → "HH:MM"（24時以降は「翌HH:MM」）
+export function formatMinutes(minutes) {
+  const dayMinutes = minutes % MINUTES_PER_DAY;
+  const prefix = minutes >= MINUTES_PER_DAY ? '翌' : '';
+  return `${prefix}${pad(Math.floor(dayMinutes / 60))}:${pad(dayMinutes % 60)}`;
+}
+
+// 1日分のスケジュールを営業セッションの配列に正規化
+// 戻り値の start/end/lastOrder はその営業日の0時からの経過分（日をまたぐ場合は 1440 以上）
+export function normalizeSessions(daySchedule) {
+  if (!daySchedule || daySchedule.closed) return [];
+
+  let rawSessions;
+  if (Array.isArray(daySchedule)) {
+    rawSessions = daySchedule;
+  } else if (Array.isArray(daySchedule.sessions)) {
+    rawSessions = daySchedule.sessions;
+  } else {
+    rawSessions = [daySchedule];
+  }
+
+  return rawSessions
+    .map(session => {
+      const start = parseTime(session.open);
+      let end = parseTime(session.close);
+      if (start === null || end === null) return null;
+
+      // "23:00"〜"05:00" のように閉店が開店以前なら翌日
+      if (end <= start) {
+        end += MINUTES_PER_DAY;
+      }
+
+      let lastOrder = parseTime(session.lastOrder);
+      if (lastOrder !== null && lastOrder < start) {
+        lastOrder += MINUTES_PER_DAY;
+      }
+
+      return { start, end, lastOrder };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+// 例外の期間 { from, to }（'YYYY-MM-DD' か毎年の 'MM-DD'）。期間が読めなければ null
+export function getExceptionRange(exception) {
+  const period = exception?.period ? SEASONAL_PERIODS[exception.period] : null;
+  const from = period ? period.from : exception?.from;
+  const to = period ? period.to : exception?.to || from;
+
+  const yearly = MONTH_DAY_PATTERN.test(from) && MONTH_DAY_PATTERN.test(to);
+  const dated = DATE_KEY_PATTERN.test(from) && DATE_KEY_PATTERN.test(to);
+  if (!yearly && !dated) return null;
+
+  return { from, to, yearly };
+}
+
+function isDateInRange(range, dateKey) {
+  if (!range.yearly) {
+    return range.from <= dateKey && dateKey <= range.to;
+  }
+
+  const monthDay = dateKey.slice(5);
+  return range.from <= range.to
+    ? range.from <= monthDay && monthDay <= range.to
+    : monthDay >= range.from || monthDay <= range.to;
+}
+
+// 期間の日数（重なった例外は短いほうを優先する）
+function getRangeLength(range) {
+  const toTime = key => Date.parse(range.yearly ? `2001-${key}` : key);
+  const days = (toTime(range.to) - toTime(range.from)) / (MINUTES_PER_DAY * 60 * 1000);
+  return days >= 0 ? days + 1 : days + 366;
+}
+
+// dateKey に当たる例外。重なっていれば期間の短いもの、同じ長さなら後に書かれたもの
+export function findException(exceptions, dateKey) {
+  if (!Array.isArray(exceptions)) return null;
+
+  let found = null;
+  let foundLength = Infinity;
+  exceptions.forEach(exception => {
+    const range = getExceptionRange(exception);
+    if (!range || !isDateInRange(range, dateKey)) return;
+
+    const length = getRangeLength(range);
+    if (length <= foundLength) {
+      found = exception;
+      foundLength = length;
+    }
+  });
+  return found;
+}
+
+// 営業日（東京時間の日付キー）に適用されるスケジュールを解決
+// 優先順位: 日付の上書き → 期間の例外 → 祝日スケジュール → 祝前日スケジュール → 曜日スケジュール
+export function resolveDaySchedule(openingHours, dateKey) {
+  const holidayName = getHolidayName(dateKey);
+
+  if (!openingHours) {
+    return { schedule: null, source: 'unknown', holidayName };
+  }
+
+  const override = openingHours.overrides?.[dateKey];
+  if (override) {
+    return { schedule: override, source: 'override', holidayName, reason: override.reason || null };
+  }
+
+  const exception = findException(openingHours.exceptions, dateKey);
+  if (exception) {
+    const period = exception.period ? SEASONAL_PERIODS[exception.period] : null;
+    return {
+      schedule: exception,
+      source: 'exception',
+      holidayName,
+      reason: exception.reason || (period ? period.label : null),
+    };
+  }
+
+  if (holidayName && openingHours.holiday) {
+    return { schedule: openingHours.holiday, source: 'holiday', holidayName };
+  }
+
+  const nextHolidayName = getHolidayName(shiftDateKey(dateKey, 1));
+  if (nextHolidayName && openingHours.holidayEve) {
+    return { schedule: openingHours.holidayEve, source: 'holidayEve', holidayName, nextHolidayName };
+  }
+
+  const dayKey = DAY_KEYS[getWeekdayOfDateKey(dateKey)];
+  return { schedule: openingHours[dayKey] || null, source: 'weekly', holidayName };
+}
+
+export function getSessionsForDate(openingHours, dateKey) {
+  const resolved = resolveDaySchedule(openingHours, dateKey);
+  return { ...resolved, sessions: normalizeSessions(resolved.schedule) };
+}
+
+// 次の開店日時（見つからなければ null）
+export function getNextOpening(openingHours, at = new Date()) {
+  if (!openingHours) return null;
+
+  const { dateKey } = getTokyoDateTime(at);
+  const atTime = new Date(at).getTime();
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const businessDate = shiftDateKey(dateKey, offset);
+    const { sessions } = getSessionsForDate(openingHours, businessDate);
+    const next = sessions.find(session => (
+      tokyoDateTimeToDate(businessDate, session.start).getTime() > atTime
+    ));
+
+    if (next) {
+      return {
+        businessDate,
+        session: next,
+        opensAt: tokyoDateTimeToDate(businessDate, next.start),
+      };
+    }
+  }
+
+  return null;
+}
+
+// 指定日時の営業状況
+export function getOpenStatus(openingHours, at = new Date()) {
+  if (!openingHours) {
+    return { isOpen: false, known: false };
+  }
+
+  const { dateKey, minutes } = getTokyoDateTime(at);
+
+  // 当日の営業と、前日から日をまたいで続いている営業の両方を確認
+  const candidates = [
+    { businessDate: dateKey, offset: minutes },
+    { businessDate: shiftDateKey(dateKey, -1), offset: minutes + MINUTES_PER_DAY },
+  ];
+
+  for (const { businessDate, offset } of candidates) {
+    const { sessions, source, holidayName, reason } = getSessionsForDate(openingHours, businessDate);
+    const session = sessions.find(s => s.start <= offset && offset < s.end);
+
+    if (session) {
+      return {
+        isOpen: true,
+        known: true,
+        businessDate,
+        source,
+        holidayName,
+        reason,
+        session,
+        closesAt: tokyoDateTimeToDate(businessDate, session.end),
+        lastOrderAt: session.lastOrder !== null ? tokyoDateTimeToDate(businessDate, session.lastOrder) : null,
+        acceptingOrders: session.lastOrder === null || offset < session.lastOrder,
+      };
+    }
+  }
+
+  // 臨時休業などで閉まっているなら、その理由も返す
+  const today = resolveDaySchedule(openingHours, dateKey);
+  const special = ['override', 'exception'].includes(today.source);
+
+  const next = getNextOpening(openingHours, at);
+  return {
+    isOpen: false,
+    known: true,
+    source: today.source,
+    reason: special ? today.reason : null,
+    closedToday: special && normalizeSessions(today.schedule).length === 0,
+    opensAt: next ? next.opensAt : null,
+    nextSession: next ? next.session : null,
+  };
+}
+
+// 一覧・地図のバッジ用の短い表示（"営業中" "臨時休業（お盆休み）" "特別営業中（カウントダウン）"）
+export function describeOpenStatus(status) {
+  if (!status || !status.known) return null;
+
+  const special = ['override', 'exception'].includes(status.source);
+  const reason = status.reason ? `（${status.reason}）` : '';
+  if (status.isOpen) {
+    return special ? `特別営業中${reason}` : '営業中';
+  }
+  return status.closedToday ? `臨時休業${reason}` : '営業時間外';
+}
+
+// from から days 日のうちに当たる休業・特別営業（overrides と exceptions）を日付順に
+// 戻り値: [{ from, to, reason, closed, schedule }]（同じ例外が続く日はまとめる）
+export function getUpcomingExceptions(openingHours, from = new Date(), days = 30) {
+  if (!openingHours || (!openingHours.overrides && !openingHours.exceptions)) return [];
+
+  const { dateKey: startKey } = getTokyoDateTime(from);
+  const upcoming = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const dateKey = shiftDateKey(startKey, offset);
+    const resolved = resolveDaySchedule(openingHours, dateKey);
+    if (!['override', 'exception'].includes(resolved.source)) continue;
+
+    const last = upcoming[upcoming.length - 1];
+    if (last && last.schedule === resolved.schedule && last.to === shiftDateKey(dateKey, -1)) {
+      last.to = dateKey;
+      continue;
+    }
+
+    upcoming.push({
+      from: dateKey,
+      to: dateKey,
+      reason: resolved.reason,
+      closed: normalizeSessions(resolved.schedule).length === 0,
+      schedule: resolved.schedule,
+    });
+  }
+
+  return upcoming;
+}
+
+export function isOpenAt(openingHours, at = new Date()) {
+  return getOpenStatus(openingHours, at).isOpen;
+}
+
+// 「22:00」「26:00」のような時刻指定を、今から見た次のその時刻（東京時間）の Date に変換
+// 24時以降の時刻は前日の営業日から数える（深夜1時に「26:00」なら同じ夜の2時）
+// Date や ISO 文字列はそのまま Date として扱う
+export function resolveTokyoTime(value, now = new Date()) {
+  if (value instanceof Date) return value;
+
+  const minutes = parseTime(value);
+  if (minutes === null) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const { dateKey } = getTokyoDateTime(now);
+  const nowTime = new Date(now).getTime();
+  const firstOffset = minutes >= MINUTES_PER_DAY ? -1 : 0;
+
+  for (let offset = firstOffset; ; offset++) {
+    const resolved = tokyoDateTimeToDate(shiftDateKey(dateKey, offset), minutes);
+    if (resolved.getTime() >= nowTime) return resolved;
+  }
+}
+
+// 表示用: 1日分のスケジュールを文字列に（"23:00 - 翌05:00 (L.O. 翌04:30)"）
+export function describeDaySchedule(daySchedule) {
+  const sessions = normalizeSessions(daySchedule);
+  if (sessions.length === 0) return '定休日';
+
+  return sessions
+    .map(session => {
+      const range = `${formatMinutes(session.start)} - ${formatMinutes(session.end)}`;
+      return session.lastOrder !== null ? `${range} (L.O. ${formatMinutes(session.lastOrder)})` : range;
+    })
+    .join(' / ');
+}
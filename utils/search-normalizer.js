@@ -0,0 +1,233 @@
+// 検索用の日本語テキスト正規化
+// ひらがな/カタカナ・全角/半角の揺れを吸収し、ヘボン式ローマ字をかなに変換する
+
+// ヘボン式（一部訓令式）ローマ字 → ひらがな
+const ROMAJI_TABLE = {
+  a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+  ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+  kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+  sa: 'さ', shi: 'し', si: 'し', su: 'す', se: 'せ', so: 'そ',
+  sha: 'しゃ', shu: 'しゅ', sho: 'しょ', she: 'しぇ',
+  sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+  ta: 'た', chi: 'ち', ti: 'ち', tsu: 'つ', tu: 'つ', te: 'て', to: 'と',
+  cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ', che: 'ちぇ',
+  tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+  na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+  nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+  ha: 'は', hi: 'ひ', fu: 'ふ', hu: 'ふ', he: 'へ', ho: 'ほ',
+  hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+  fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ',
+  ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+  mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+  ya: 'や', yu: 'ゆ', yo: 'よ',
+  ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+  rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+  wa: 'わ', wo: 'を',
+  ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+  gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+  za: 'ざ', ji: 'じ', zi: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+  ja: 'じゃ', ju: 'じゅ', jo: 'じょ', je: 'じぇ',
+  jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+  zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+  da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
+  ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+  bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+  pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+  pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+  va: 'ゔぁ', vi: 'ゔぃ', vu: 'ゔ', ve: 'ゔぇ', vo: 'ゔぉ',
+};
+
+const VOWELS = 'aeiou';
+
+// 漢字表記のエリア名・よく使われる語の読み（かな・ローマ字検索用）
+export const KANJI_READINGS = {
+  渋谷: 'しぶや',
+  新宿: 'しんじゅく',
+  六本木: 'ろっぽんぎ',
+  銀座: 'ぎんざ',
+  恵比寿: 'えびす',
+  表参道: 'おもてさんどう',
+  歌舞伎町: 'かぶきちょう',
+  道玄坂: 'どうげんざか',
+  池袋: 'いけぶくろ',
+  原宿: 'はらじゅく',
+  青山: 'あおやま',
+  西麻布: 'にしあざぶ',
+  麻布: 'あざぶ',
+  赤坂: 'あかさか',
+  中目黒: 'なかめぐろ',
+  目黒: 'めぐろ',
+  代官山: 'だいかんやま',
+  下北沢: 'しもきたざわ',
+  三軒茶屋: 'さんげんぢゃや',
+  上野: 'うえの',
+  浅草: 'あさくさ',
+  秋葉原: 'あきはばら',
+  新橋: 'しんばし',
+  有楽町: 'ゆうらくちょう',
+  品川: 'しながわ',
+  五反田: 'ごたんだ',
+  高円寺: 'こうえんじ',
+  吉祥寺: 'きちじょうじ',
+  神楽坂: 'かぐらざか',
+  東京: 'とうきょう',
+  港区: 'みなとく',
+  中央区: 'ちゅうおうく',
+  夜景: 'やけい',
+  個室: 'こしつ',
+  大人: 'おとな',
+};
+
+// カタカナ → ひらがな
+export function katakanaToHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, char =>
+    String.fromCharCode(char.charCodeAt(0) - 0x60)
+  );
+}
+
+// 長音の揺れを吸収（「とうきょう」と「ときょ」を同一視する）
+function foldLongVowels(text) {
+  return text.replace(/([おこそとのほもよろごぞどぼぽょ])う/g, '$1');
+}
+
+// 検索キーとして比較できる形に正規化
+// NFKC で全角英数・半角カナ・全角スペースを揃え、小文字化してひらがなに寄せる
+export function normalizeText(text) {
+  if (text === null || text === undefined) return '';
+
+  const normalized = String(text).normalize('NFKC').toLowerCase();
+  return foldLongVowels(katakanaToHiragana(normalized))
+    .replace(/[\s　]+/g, ' ')
+    .trim();
+}
+
+// ヘボン式ローマ字をひらがなに変換（変換できない文字が残る場合は null）
+export function romajiToKana(text) {
+  const input = String(text).normalize('NFKC').toLowerCase();
+  if (!/^[a-z'-]+$/.test(input)) return null;
+
+  let result = '';
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+    const next = input[i + 1];
+
+    if (char === '-') {
+      result += 'ー';
+      i++;
+      continue;
+    }
+
+    if (char === "'") {
+      i++;
+      continue;
+    }
+
+    // 撥音（n' / 子音の前の n / 語末の n / b・m・p の前の m）
+    if (char === 'n' && next === "'") {
+      result += 'ん';
+      i += 2;
+      continue;
+    }
+    if (char === 'n' && (!next || (!VOWELS.includes(next) && next !== 'y'))) {
+      result += 'ん';
+      i++;
+      continue;
+    }
+    if (char === 'm' && next && 'bmp'.includes(next)) {
+      result += 'ん';
+      i++;
+      continue;
+    }
+
+    // 促音（子音の重複 / tch）
+    if (next && char === next && !VOWELS.includes(char)) {
+      result += 'っ';
+      i++;
+      continue;
+    }
+    if (char === 't' && next === 'c' && input[i + 2] === 'h') {
+      result += 'っ';
+      i++;
+      continue;
+    }
+
+    let matched = false;
+    for (let length = 3; length > 0; length--) {
+      const kana = ROMAJI_TABLE[input.substr(i, length)];
+      if (kana) {
+        result += kana;
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) return null;
+  }
+
+  return foldLongVowels(result);
+}
+
+// 入力途中のローマ字をかなの前方一致候補に変換（"shib" → ["しば", "しび", "しぶ", ...]）
+// 末尾の子音は、その子音で始まるかなの候補に展開する
+export function romajiPrefixToKana(prefix) {
+  const input = String(prefix).normalize('NFKC').toLowerCase();
+  if (!/^[a-z'-]+$/.test(input)) return [];
+
+  const candidates = new Set();
+  const full = romajiToKana(input);
+  if (full) {
+    candidates.add(full);
+  }
+
+  // 末尾の 1〜3 文字を未確定として扱う（"n" は「ん」と「な行」の両方がありうる）
+  for (let end = input.length - 1; end >= Math.max(0, input.length - 3); end--) {
+    const head = end === 0 ? '' : romajiToKana(input.slice(0, end));
+    if (head === null) continue;
+
+    let tail = input.slice(end);
+    let sokuon = '';
+    if (tail.length > 1 && tail[0] === tail[1] && !VOWELS.includes(tail[0])) {
+      sokuon = 'っ';
+      tail = tail.slice(1);
+    }
+
+    Object.keys(ROMAJI_TABLE)
+      .filter(romaji => romaji.startsWith(tail) && romaji !== tail)
+      .forEach(romaji => {
+        candidates.add(head + sokuon + ROMAJI_TABLE[romaji][0]);
+      });
+  }
+
+  return Array.from(candidates);
+}
+
+// 漢字表記に対応する読みを付け足す（索引側で使用）
+export function appendReadings(text) {
+  const readings = Object.keys(KANJI_READINGS)
+    .filter(kanji => text.includes(kanji))
+    .map(kanji => normalizeText(KANJI_READINGS[kanji]));
+
+  return readings.length > 0 ? `${text} ${readings.join(' ')}` : text;
+}
+
+// 検索クエリを正規化した語に分割（全角スペースも区切りとして扱う）
+export function splitSearchTerms(query) {
+  return normalizeText(query)
+    .split(/[\s　]+/)
+    .filter(term => term.length > 0);
+}
+
+// 1語に対する照合候補（正規化済みの語と、ローマ字ならそのかな表記）
+export function getTermVariants(term) {
+  const variants = [term];
+  const kana = romajiToKana(term);
+
+  if (kana && !variants.includes(kana)) {
+    variants.push(kana);
+  }
+
+  return variants;
+}
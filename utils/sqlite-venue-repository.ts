@@ -0,0 +1,343 @@
+import { getDatabase, getVenue, transaction, venueToRow } from "./database.ts";
+import VenueRepository, { normalizeBounds } from "./venue-repository.js";
+import { createHistoryEntry } from "./venue-history.js";
+import { mergeVenueRecords } from "./venue-dedup.js";
+
+type Venue = NonNullable<ReturnType<typeof getVenue>>;
+
+type HistoryEntry = NonNullable<ReturnType<typeof createHistoryEntry>>;
+
+interface WriteOptions {
+  author?: { id?: string | number | null; name?: string | null; role?: string | null } | null;
+  revertedTo?: number | null;
+}
+
+interface VenueChange {
+  sequence: number;
+  type: "upsert" | "remove";
+  venueId: string;
+  venue: Venue | null;
+  changedAt: string;
+}
+
+// 変更フィードで一度に返す件数の上限
+const MAX_CHANGES = 500;
+
+// SQLite（venues / venue_tags / venue_changes テーブル）の店舗リポジトリ
+// 店舗IDは DB の整数。数値でない ID（端末で作られた "venue_..." など）の店舗は新規として追加する
+// 編集履歴は venue_history テーブルに、店舗の更新と同じトランザクションで記録する
+export class SqliteVenueRepository extends VenueRepository {
+  async get(id: number | string): Promise<Venue | null> {
+    return getVenue(id);
+  }
+
+  async list(): Promise<Venue[]> {
+    const rows = getDatabase().prepare("SELECT id FROM venues ORDER BY id").all() as { id: number }[];
+    return rows.map((row) => getVenue(row.id)).filter((venue): venue is Venue => venue !== null);
+  }
+
+  // 緯度経度のインデックス（idx_venues_location）で範囲を絞る
+  async queryByBounds(
+    bounds: Record<string, number>,
+    options: { category?: string; limit?: number } = {},
+  ): Promise<Venue[]> {
+    const { north, south, east, west } = normalizeBounds(bounds) as Record<"north" | "south" | "east" | "west", number>;
+    const conditions = ["latitude BETWEEN ? AND ?", "longitude BETWEEN ? AND ?"];
+    const params: (string | number)[] = [south, north, west, east];
+
+    if (options.category) {
+      conditions.push("category = ?");
+      params.push(options.category);
+    }
+
+    let sql = `SELECT id FROM venues WHERE ${conditions.join(" AND ")} ORDER BY id`;
+    if (options.limit) {
+      sql += " LIMIT ?";
+      params.push(options.limit);
+    }
+
+    const rows = getDatabase().prepare(sql).all(...params) as { id: number }[];
+    return rows.map((row) => getVenue(row.id)).filter((venue): venue is Venue => venue !== null);
+  }
+
+  async upsert(venueOrVenues: unknown, options: WriteOptions = {}): Promise<Venue[]> {
+    const prepared = this.prepareVenues(venueOrVenues) as Venue[];
+
+    const ids = transaction((db) => prepared.map((venue) => this.writeVenue(db, venue, options)));
+
+    const saved = ids.map((id) => getVenue(id)).filter((venue): venue is Venue => venue !== null);
+    saved.forEach((venue) => {
+      this.emitChange({ sequence: null, type: "upsert", venueId: venue.id, venue, changedAt: venue.updatedAt });
+    });
+    return saved;
+  }
+
+  async remove(id: number | string, options: WriteOptions = {}): Promise<boolean> {
+    if (!/^\d+$/.test(String(id))) return false;
+
+    const removed = transaction((db) => this.deleteVenue(db, Number(id), options));
+
+    if (removed) {
+      this.emitChange({
+        sequence: null,
+        type: "remove",
+        venueId: String(id),
+        venue: null,
+        changedAt: new Date().toISOString(),
+      });
+    }
+    return removed;
+  }
+
+  // 2店舗を統合する。duplicateId のお気に入り・レビュー・チェックイン・写真を survivorId に付け替えて削除する
+  // 同じユーザーが両方にお気に入り・レビューを付けていた場合は残す店舗の方を残す
+  async merge(
+    survivorId: number | string,
+    duplicateId: number | string,
+    options: WriteOptions = {},
+  ): Promise<{ venue: Venue; moved: Record<string, number> }> {
+    const survivor = getVenue(survivorId);
+    const duplicate = getVenue(duplicateId);
+    if (!survivor || !duplicate || survivor.id === duplicate.id) {
+      throw new Error("統合する2つの店舗が見つかりません");
+    }
+
+    const [merged] = this.prepareVenues(mergeVenueRecords(survivor, duplicate)) as Venue[];
+    const from = Number(duplicate.id);
+    const to = Number(survivor.id);
+
+    const moved = transaction((db) => {
+      const repoint = (table: string, unique: boolean) => {
+        const count = db.prepare(`UPDATE ${unique ? "OR IGNORE " : ""}${table} SET venue_id = ? WHERE venue_id = ?`)
+          .run(to, from) as unknown as number;
+        if (unique) {
+          db.prepare(`DELETE FROM ${table} WHERE venue_id = ?`).run(from);
+        }
+        return count;
+      };
+
+      // 写真は統合した店舗の images の並び順で保存するため、先に付け替える
+      const images = repoint("images", false);
+      this.writeVenue(db, merged, options);
+
+      const result = {
+        favorites: repoint("favorites", true),
+        reviews: repoint("reviews", true),
+        checkins: repoint("checkins", false),
+        images,
+      };
+
+      // 同じユーザーのレビューは片方しか残らないので、評価は付け替えた後のレビューから数え直す
+      // （レビューが1件もない店舗は取り込み元の評価をそのまま使う）
+      const reviews = db.prepare("SELECT COUNT(*) as count, AVG(rating) as rating FROM reviews WHERE venue_id = ?")
+        .get(to) as { count: number; rating: number | null };
+      if (reviews.count > 0) {
+        merged.reviewCount = reviews.count;
+        merged.rating = Math.round((reviews.rating ?? 0) * 100) / 100;
+      }
+
+      this.writeVenue(db, merged, options);
+      this.deleteVenue(db, from, options);
+      return result;
+    });
+
+    const venue = getVenue(to) as Venue;
+    this.emitChange({ sequence: null, type: "upsert", venueId: venue.id, venue, changedAt: venue.updatedAt });
+    this.emitChange({ sequence: null, type: "remove", venueId: duplicate.id, venue: null, changedAt: venue.updatedAt });
+    return { venue, moved };
+  }
+
+  // 1店舗の保存（venues・venue_tags・images・変更フィード・編集履歴）。トランザクションの中で呼ぶ
+  writeVenue(db: ReturnType<typeof getDatabase>, venue: Venue, options: WriteOptions): number {
+    const row = venueToRow(venue);
+    const numericId = /^\d+$/.test(String(venue.id)) ? Number(venue.id) : null;
+    const before = numericId !== null ? getVenue(numericId) : null;
+    const existingId = before ? numericId : null;
+
+    // 削除されていた版に戻すときは元の ID で追加し直す
+    if (!before && numericId !== null && options.revertedTo != null) {
+      row.id = numericId;
+    }
+    const columns = Object.keys(row);
+    const values = Object.values(row) as (string | number | null)[];
+    // CURRENT_TIMESTAMP は秒単位なので、同じ秒の更新も見分けられるようミリ秒まで記録する
+    const now = new Date().toISOString();
+
+    let venueId: number;
+    if (existingId !== null) {
+      db.prepare(`
+        UPDATE venues SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = ?
+        WHERE id = ?
+      `).run(...values, now, existingId);
+      venueId = existingId;
+    } else {
+      const result = db.prepare(`
+        INSERT INTO venues (${columns.join(", ")}, created_at, updated_at)
+        VALUES (${columns.map(() => "?").join(", ")}, ?, ?)
+      `).run(...values, now, now) as unknown as { lastInsertRowId: number };
+      venueId = result.lastInsertRowId;
+    }
+
+    // タグは丸ごと入れ替える
+    db.prepare("DELETE FROM venue_tags WHERE venue_id = ?").run(venueId);
+    const insertTag = db.prepare("INSERT INTO venue_tags (venue_id, tag) VALUES (?, ?)");
+    venue.tags.forEach((tag) => insertTag.run(venueId, tag));
+
+    this.writeImages(db, venueId, venue.images);
+
+    db.prepare("INSERT INTO venue_changes (venue_id, change_type) VALUES (?, 'upsert')").run(venueId);
+    this.recordHistory(venueId, before, getVenue(venueId), options);
+    return venueId;
+  }
+
+  // 写真を images テーブルにそろえる。トランザクションの中で呼ぶ
+  // この店舗（またはまだどの店舗にも付いていない）行は並び順と説明を更新し、それ以外の写真は URL だけの行として追加する
+  // images にない写真の行は削除する（ファイルは utils/venue-photo-store.ts が消す）
+  writeImages(db: ReturnType<typeof getDatabase>, venueId: number, images: Venue["images"]): void {
+    const update = db.prepare(`
+      UPDATE images SET venue_id = ?, description = ?, sort_order = ?
+      WHERE id = ? AND category = 'venue' AND (venue_id = ? OR venue_id IS NULL)
+    `);
+    const insert = db.prepare(`
+      INSERT INTO images (filename, file_path, url, thumbnail_url, category, venue_id, description, sort_order)
+      VALUES (?, ?, ?, ?, 'venue', ?, ?, ?)
+    `);
+
+    const keptIds = images.map((image, index) => {
+      if (/^\d+$/.test(image.id)) {
+        const changes = update.run(venueId, image.caption, index, Number(image.id), venueId) as unknown as number;
+        if (changes > 0) return Number(image.id);
+      }
+      const url = String(image.url);
+      const result = insert.run(
+        url.split("/").pop() || url,
+        url,
+        url,
+        image.thumbnailUrl,
+        venueId,
+        image.caption,
+        index,
+      ) as unknown as { lastInsertRowId: number };
+      return result.lastInsertRowId;
+    });
+
+    db.prepare(`
+      DELETE FROM images WHERE venue_id = ? AND category = 'venue'
+      ${keptIds.length > 0 ? `AND id NOT IN (${keptIds.map(() => "?").join(", ")})` : ""}
+    `).run(venueId, ...keptIds);
+  }
+
+  // 1店舗の削除。トランザクションの中で呼ぶ
+  deleteVenue(db: ReturnType<typeof getDatabase>, id: number, options: WriteOptions): boolean {
+    const before = getVenue(id);
+    const changes = db.prepare("DELETE FROM venues WHERE id = ?").run(id) as unknown as number;
+    if (changes > 0) {
+      db.prepare("INSERT INTO venue_changes (venue_id, change_type) VALUES (?, 'remove')").run(id);
+      this.recordHistory(id, before, null, options);
+    }
+    return changes > 0;
+  }
+
+  // 変更前後の差分を venue_history に追加（差分がなければ何もしない）。トランザクションの中で呼ぶ
+  recordHistory(venueId: number, before: Venue | null, after: Venue | null, options: WriteOptions): void {
+    const db = getDatabase();
+    const latest = db.prepare("SELECT MAX(version) as version FROM venue_history WHERE venue_id = ?").get(venueId) as {
+      version: number | null;
+    };
+
+    const entry = createHistoryEntry({
+      venueId,
+      version: (latest.version ?? 0) + 1,
+      before,
+      after,
+      author: options.author,
+      revertedTo: options.revertedTo,
+    });
+    if (!entry) return;
+
+    db.prepare(`
+      INSERT INTO venue_history (venue_id, version, change_type, changes, author_id, author_name, author_role, reverted_to)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      venueId,
+      entry.version,
+      entry.type,
+      JSON.stringify(entry.changes),
+      entry.author?.id ?? null,
+      entry.author?.name ?? null,
+      entry.author?.role ?? null,
+      entry.revertedTo,
+    );
+  }
+
+  async getHistory(id: number | string): Promise<HistoryEntry[]> {
+    if (!/^\d+$/.test(String(id))) return [];
+
+    const rows = getDatabase().prepare(`
+      SELECT version, change_type, changes, author_id, author_name, author_role, reverted_to, changed_at
+      FROM venue_history
+      WHERE venue_id = ?
+      ORDER BY version
+    `).all(Number(id)) as {
+      version: number;
+      change_type: HistoryEntry["type"];
+      changes: string;
+      author_id: string | null;
+      author_name: string | null;
+      author_role: string | null;
+      reverted_to: number | null;
+      changed_at: string;
+    }[];
+
+    return rows.map((row) => ({
+      version: row.version,
+      venueId: String(id),
+      type: row.change_type,
+      changes: JSON.parse(row.changes),
+      author: row.author_id !== null || row.author_name !== null
+        ? { id: row.author_id, name: row.author_name, role: row.author_role }
+        : null,
+      changedAt: `${row.changed_at.replace(" ", "T")}Z`,
+      revertedTo: row.reverted_to,
+    }));
+  }
+
+  async getChanges(since = 0): Promise<{ changes: VenueChange[]; cursor: number; reset: boolean }> {
+    const db = getDatabase();
+    const rows = db.prepare(`
+      SELECT sequence, venue_id, change_type, changed_at
+      FROM venue_changes
+      WHERE sequence > ?
+      ORDER BY sequence
+      LIMIT ?
+    `).all(since, MAX_CHANGES + 1) as {
+      sequence: number;
+      venue_id: number;
+      change_type: "upsert" | "remove";
+      changed_at: string;
+    }[];
+
+    const latest = db.prepare("SELECT MAX(sequence) as sequence FROM venue_changes").get() as {
+      sequence: number | null;
+    };
+
+    // 多すぎる変更は1件ずつ追わず、全件の読み直しを求める
+    if (rows.length > MAX_CHANGES || since > (latest.sequence ?? 0)) {
+      return { changes: [], cursor: latest.sequence ?? 0, reset: true };
+    }
+
+    return {
+      changes: rows.map((row) => ({
+        sequence: row.sequence,
+        type: row.change_type,
+        venueId: String(row.venue_id),
+        venue: row.change_type === "upsert" ? getVenue(row.venue_id) : null,
+        changedAt: `${row.changed_at.replace(" ", "T")}Z`,
+      })),
+      cursor: rows.length > 0 ? rows[rows.length - 1].sequence : since,
+      reset: false,
+    };
+  }
+}
+
+export const venueRepository = new SqliteVenueRepository();
@@ -0,0 +1,211 @@
+import { normalizeText } from './search-normalizer';
+import { SYNONYM_DICTIONARY_VERSION } from '../constants/SearchSynonyms';
+
+// 検索語の同義語・別名辞書
+// 語は normalizeText で正規化したキーで保持する（表記ゆれは正規化に任せる）
+//
+// JSON 形式:
+//   { version: 1, groups: [['ラウンジ', 'lounge'], ...], aliases: { ハブ: ['パブ'], ... } }
+// 展開は1段のみ（別名の展開先をさらに別名として展開はしない）
+
+// 複数語の同義語（"craft beer" など）を検索語の並びから探すときの最大語数
+const MAX_PHRASE_WORDS = 3;
+
+class SynonymDictionary {
+  constructor(data = null) {
+    this.groups = []; // [[表示用の語, ...], ...]
+    this.aliases = new Map(); // 表示用の語 -> [表示用の語, ...]
+    this.expansions = new Map(); // 正規化した語 -> Set<正規化した語>
+    this.maxPhraseWords = 1;
+
+    if (data) {
+      this.load(data);
+    }
+  }
+
+  // JSON の内容を検証（問題があれば日本語のメッセージで例外）
+  static validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('同義語辞書は { groups, aliases } 形式のオブジェクトで指定してください');
+    }
+
+    const groups = data.groups || [];
+    if (!Array.isArray(groups)) {
+      throw new Error('groups は語の配列の配列で指定してください');
+    }
+    groups.forEach((group, index) => {
+      if (!Array.isArray(group) || group.some(term => typeof term !== 'string' || !normalizeText(term))) {
+        throw new Error(`groups[${index}] は空でない文字列の配列で指定してください`);
+      }
+      if (new Set(group.map(normalizeText)).size < 2) {
+        throw new Error(`groups[${index}] には異なる語を2つ以上指定してください`);
+      }
+    });
+
+    const aliases = data.aliases || {};
+    if (typeof aliases !== 'object' || Array.isArray(aliases)) {
+      throw new Error('aliases は { 語: [展開先, ...] } 形式で指定してください');
+    }
+    Object.entries(aliases).forEach(([from, targets]) => {
+      const list = Array.isArray(targets) ? targets : [targets];
+      if (!normalizeText(from) || list.length === 0 ||
+          list.some(term => typeof term !== 'string' || !normalizeText(term))) {
+        throw new Error(`aliases["${from}"] の展開先は空でない文字列で指定してください`);
+      }
+    });
+
+    return true;
+  }
+
+  load(data) {
+    SynonymDictionary.validate(data);
+
+    this.groups = [];
+    this.aliases = new Map();
+    (data.groups || []).forEach(group => this.addGroup(group));
+    Object.entries(data.aliases || {}).forEach(([from, targets]) => {
+      this.addAlias(from, Array.isArray(targets) ? targets : [targets]);
+    });
+  }
+
+  // 双方向の同義語グループを追加（既存グループと語が重なる場合は統合）
+  addGroup(terms) {
+    const cleaned = terms.map(term => String(term).trim()).filter(term => normalizeText(term));
+    const keys = new Set(cleaned.map(normalizeText));
+
+    const overlapping = this.groups.filter(group => group.some(term => keys.has(normalizeText(term))));
+    const merged = [...overlapping.flat(), ...cleaned];
+
+    this.groups = [
+      ...this.groups.filter(group => !overlapping.includes(group)),
+      this.dedupeTerms(merged),
+    ];
+    this.rebuild();
+  }
+
+  // グループから語を削除（残りが1語になったグループは消える）
+  removeTerm(term) {
+    const key = normalizeText(term);
+
+    this.groups = this.groups
+      .map(group => group.filter(member => normalizeText(member) !== key))
+      .filter(group => group.length >= 2);
+    this.rebuild();
+  }
+
+  // 一方向の別名を追加（from で検索したときに targets でも照合）
+  addAlias(from, targets) {
+    const fromKey = normalizeText(from);
+    const existingFrom = Array.from(this.aliases.keys()).find(key => normalizeText(key) === fromKey);
+    const current = existingFrom ? this.aliases.get(existingFrom) : [];
+
+    this.aliases.set(existingFrom || String(from).trim(), this.dedupeTerms([
+      ...current,
+      ...targets.map(target => String(target).trim()),
+    ]).filter(target => normalizeText(target) !== fromKey));
+    this.rebuild();
+  }
+
+  removeAlias(from) {
+    const fromKey = normalizeText(from);
+    const key = Array.from(this.aliases.keys()).find(alias => normalizeText(alias) === fromKey);
+    if (key === undefined) return false;
+
+    this.aliases.delete(key);
+    this.rebuild();
+    return true;
+  }
+
+  dedupeTerms(terms) {
+    const seen = new Set();
+    return terms.filter(term => {
+      const key = normalizeText(term);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // 正規化済みの展開表を作り直す
+  rebuild() {
+    this.expansions = new Map();
+    this.maxPhraseWords = 1;
+
+    const link = (from, to) => {
+      if (from === to) return;
+      if (!this.expansions.has(from)) {
+        this.expansions.set(from, new Set());
+      }
+      this.expansions.get(from).add(to);
+      this.maxPhraseWords = Math.min(MAX_PHRASE_WORDS, Math.max(this.maxPhraseWords, from.split(' ').length));
+    };
+
+    this.groups.forEach(group => {
+      const keys = group.map(normalizeText);
+      keys.forEach(from => keys.forEach(to => link(from, to)));
+    });
+
+    this.aliases.forEach((targets, from) => {
+      const fromKey = normalizeText(from);
+      targets.forEach(target => link(fromKey, normalizeText(target)));
+    });
+  }
+
+  // 正規化済みの1語（または語句）の同義語（自身は含まない）
+  getSynonyms(normalizedTerm) {
+    return Array.from(this.expansions.get(normalizedTerm) || []);
+  }
+
+  // 検索語の並びを照合候補の配列に展開
+  // 入力: [['craft', ...表記候補], ['beer', ...]] → 複数語の同義語に一致する並びは1語にまとめる
+  expandTermVariants(termVariantsList) {
+    const expanded = [];
+    let index = 0;
+
+    while (index < termVariantsList.length) {
+      let consumed = 0;
+
+      // 長い語句から順に辞書と照合
+      for (let size = Math.min(this.maxPhraseWords, termVariantsList.length - index); size > 1; size--) {
+        const phrase = termVariantsList.slice(index, index + size).map(variants => variants[0]).join(' ');
+        const synonyms = this.getSynonyms(phrase);
+        if (synonyms.length > 0) {
+          expanded.push([phrase, ...synonyms]);
+          consumed = size;
+          break;
+        }
+      }
+
+      if (consumed === 0) {
+        const variants = termVariantsList[index];
+        const withSynonyms = new Set(variants);
+        variants.forEach(variant => {
+          this.getSynonyms(variant).forEach(synonym => withSynonyms.add(synonym));
+        });
+        expanded.push(Array.from(withSynonyms));
+        consumed = 1;
+      }
+
+      index += consumed;
+    }
+
+    return expanded;
+  }
+
+  toJSON() {
+    return {
+      version: SYNONYM_DICTIONARY_VERSION,
+      groups: this.groups.map(group => [...group]),
+      aliases: Array.from(this.aliases.entries()).reduce((aliases, [from, targets]) => {
+        aliases[from] = [...targets];
+        return aliases;
+      }, {}),
+    };
+  }
+
+  get size() {
+    return this.groups.length + this.aliases.size;
+  }
+}
+
+export default SynonymDictionary;
@@ -0,0 +1,177 @@
+import { normalizeVenue } from './venue-schema.js';
+import { diffVenues, HISTORY_FIELD_LABELS } from './venue-history.js';
+
+// 店舗のオーナー申請と、オーナーによる編集の審査
+// サーバー（utils/venue-owner-service.ts）とアプリ（services/VenueOwnerService.js）の共通の決まりごと。Deno からも読むため拡張子付きで参照する
+// 申請・確認・編集・審査はサーバーで行い、アプリは API（routes/api/venues/）を呼ぶ
+//
+// 流れ:
+//   1. 申請: 店舗に登録された電話番号かメールアドレスに確認コードを送る（utils/verification-sender.js）。コードはサーバーの外に出さない
+//   2. 確認: コードが合えば店舗の ownerId に申請者を設定し、ユーザーのロールを 'venue_owner' にする
+//   3. 編集: オーナーは OWNER_EDITABLE_FIELDS だけを編集でき、編集は審査待ち（pending）として積まれる
+//   4. 審査: 管理者が承認すると店舗に反映される。編集履歴の変更者は編集したオーナー
+//
+// 申請（claim）:   { id, venueId, userId, channel, destination, attempts, status, expiresAt, verifiedAt, createdAt }
+// 編集（edit）:    { id, venueId, userId, authorName, changes: [{ field, before, after }], note, status,
+//                    reviewerId, reviewComment, reviewedAt, createdAt }
+
+export const OWNER_EDITABLE_FIELDS = ['openingHours', 'images', 'description', 'amenities', 'menu'];
+
+export const CLAIM_CODE_LENGTH = 6;
+export const CLAIM_CODE_TTL = 10 * 60 * 1000;
+export const MAX_CLAIM_ATTEMPTS = 5;
+
+export const CLAIM_CHANNEL_LABELS = {
+  phone: 'SMS',
+  email: 'メール',
+};
+
+export const EDIT_STATUS_LABELS = {
+  pending: '審査待ち',
+  approved: '承認',
+  rejected: '却下',
+  withdrawn: '取り下げ',
+};
+
+const fieldLabel = field => HISTORY_FIELD_LABELS[field] || field;
+
+// 申請・編集の入力や権限による失敗。API はこの status で返し、それ以外の例外はサーバーのエラー（500）として扱う
+export class VenueClaimError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VenueClaimError';
+    this.status = status;
+  }
+}
+
+// 画面に出す宛先（"*******5678" / "s***@example.com"）
+export function maskDestination(channel, destination) {
+  if (channel === 'email') {
+    const [local, domain] = destination.split('@');
+    return `${local.slice(0, 1)}***@${domain}`;
+  }
+
+  const digits = destination.replace(/\D/g, '');
+  return `${'*'.repeat(Math.max(digits.length - 4, 0))}${digits.slice(-4)}`;
+}
+
+// 確認コードを送れる宛先（店舗に登録された電話番号・メールアドレス）
+export function getClaimChannels(venue) {
+  return [
+    venue.phone ? { channel: 'phone', destination: venue.phone } : null,
+    venue.email ? { channel: 'email', destination: venue.email } : null,
+  ]
+    .filter(Boolean)
+    .map(option => ({
+      ...option,
+      label: CLAIM_CHANNEL_LABELS[option.channel],
+      masked: maskDestination(option.channel, option.destination),
+    }));
+}
+
+// 申請できるか（できなければ例外）。戻り値は選んだ宛先
+export function resolveClaimChannel(venue, userId, channel) {
+  if (!venue) {
+    throw new VenueClaimError('店舗が見つかりません', 404);
+  }
+  if (venue.ownerId !== null && venue.ownerId === String(userId)) {
+    throw new VenueClaimError('すでにこの店舗のオーナーです', 409);
+  }
+  if (venue.ownerId !== null) {
+    throw new VenueClaimError('この店舗にはすでにオーナーが登録されています', 409);
+  }
+
+  const channels = getClaimChannels(venue);
+  if (channels.length === 0) {
+    throw new VenueClaimError('店舗に電話番号・メールアドレスが登録されていないため申請できません。運営にお問い合わせください');
+  }
+
+  const selected = channels.find(option => option.channel === channel);
+  if (!selected) {
+    throw new VenueClaimError(`この店舗には${CLAIM_CHANNEL_LABELS[channel] || channel}の宛先が登録されていません`);
+  }
+  return selected;
+}
+
+// 数字 CLAIM_CODE_LENGTH 桁。コードはサーバーだけで作り、推測されないよう暗号用の乱数しか使わない
+export function generateVerificationCode() {
+  if (!globalThis.crypto?.getRandomValues) {
+    throw new Error('暗号用の乱数が使えないため確認コードを作れません');
+  }
+
+  const values = new Uint32Array(CLAIM_CODE_LENGTH);
+  globalThis.crypto.getRandomValues(values);
+  return Array.from(values, value => value % 10).join('');
+}
+
+export function formatVerificationMessage(venue, code) {
+  const minutes = Math.round(CLAIM_CODE_TTL / 60000);
+  return `【Nightlife Navigator】「${venue.name}」のオーナー確認コード: ${code}（${minutes}分間有効）。` +
+    'お心当たりがない場合はこのメッセージを破棄してください。';
+}
+
+// コードを照合できる状態か（できなければ例外）。照合そのものは呼び出し側で行う
+export function assertClaimVerifiable(claim, now = Date.now()) {
+  if (!claim) {
+    throw new VenueClaimError('申請が見つかりません', 404);
+  }
+  if (claim.status === 'verified') {
+    throw new VenueClaimError('この申請はすでに確認済みです', 409);
+  }
+  if (claim.status !== 'pending' || new Date(claim.expiresAt).getTime() < now) {
+    throw new VenueClaimError('確認コードの有効期限が切れています。もう一度申請してください');
+  }
+  if (claim.attempts >= MAX_CLAIM_ATTEMPTS) {
+    throw new VenueClaimError('確認コードの入力回数が上限に達しました。もう一度申請してください');
+  }
+}
+
+// 照合に失敗したあとの申請の状態
+export function getFailedClaimStatus(attempts) {
+  return attempts >= MAX_CLAIM_ATTEMPTS ? 'failed' : 'pending';
+}
+
+// 管理者と、その店舗のオーナーだけが編集できる
+export function canEditVenue(venue, author) {
+  if (!venue || !author) return false;
+  if (author.role === 'admin') return true;
+  return venue.ownerId !== null && author.id !== null && venue.ownerId === String(author.id);
+}
+
+// オーナーの編集内容を差分（[{ field, before, after }]）にする。編集できない項目や変更がなければ例外
+export function buildOwnerEdit(venue, updates) {
+  const forbidden = Object.keys(updates).filter(field => !OWNER_EDITABLE_FIELDS.includes(field));
+  if (forbidden.length > 0) {
+    throw new VenueClaimError(`${forbidden.map(fieldLabel).join('・')}はオーナーからは編集できません`);
+  }
+
+  const edited = normalizeVenue({ ...venue, ...updates });
+  const changes = diffVenues(venue, edited).filter(change => OWNER_EDITABLE_FIELDS.includes(change.field));
+  if (changes.length === 0) {
+    throw new VenueClaimError('変更がありません');
+  }
+  return changes;
+}
+
+// 申請後に他の変更で値が変わった項目（承認するとその変更を上書きする）
+export function findEditConflicts(venue, changes) {
+  const current = diffVenues(
+    Object.fromEntries(changes.map(change => [change.field, change.before])),
+    venue
+  ).map(change => change.field);
+
+  return changes.map(change => change.field).filter(field => current.includes(field));
+}
+
+// 承認した編集を当てはめた店舗
+export function applyOwnerEdit(venue, changes) {
+  return normalizeVenue({
+    ...venue,
+    ...Object.fromEntries(changes.map(change => [change.field, change.after])),
+  });
+}
+
+// 一覧表示用の要約（"営業時間・説明の編集"）
+export function summarizeOwnerEdit(edit) {
+  return `${edit.changes.map(change => fieldLabel(change.field)).join('・')}の編集`;
+}
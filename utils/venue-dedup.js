@@ -0,0 +1,347 @@
+import { normalizeVenue } from './venue-schema.js';
+import { normalizeText } from './search-normalizer.js';
+
+// 重複店舗の検出と統合
+// 店名・電話番号・住所・座標の距離をそれぞれ 0〜1 で採点し、重み付きで合計した score で候補を並べる
+// アプリ（services/VenueMergeService.js）と Deno の CLI（scripts/dedupe-venues.ts）の両方から使う
+//
+// 統合の提案（proposal）:
+//   key:         2店舗の ID を並べたキー（却下した提案の記録に使う）
+//   venues:      [店舗A, 店舗B]
+//   score:       0〜1 / confidence: 'high' | 'medium'
+//   signals:     { name, phone, address, distance }（distance はメートル、比べられない項目は null）
+//   reasons:     判定理由の文字列
+//   survivorId:  残す店舗の ID（レビューの多い方・項目の埋まっている方・古い方）
+//   preview:     統合後の店舗（mergeVenueRecords）
+
+// 項目ごとの重み（比べられない項目は除いて割り戻す）
+const SIGNAL_WEIGHTS = {
+  name: 0.45,
+  distance: 0.25,
+  address: 0.15,
+  phone: 0.15,
+};
+
+// 距離の採点: この距離以内なら満点、MAX_DISTANCE 以上なら 0
+const SAME_PLACE_DISTANCE = 30;
+const MAX_DISTANCE = 500;
+
+export const CONFIDENCE_THRESHOLDS = {
+  high: 0.85,
+  medium: 0.65,
+};
+
+// 店名の類似度がこれ未満の組は、電話番号が同じでなければ候補にしない
+const MIN_NAME_SIMILARITY = 0.7;
+
+// 近くの店を候補にするための格子（約 200m。隣の格子まで見る）
+const GRID_SIZE = 0.002;
+// 多くの店舗が共有する語（"bar" など）では候補を作らない
+const MAX_TOKEN_BUCKET = 50;
+
+// 統合時に残す店舗の値が空なら、重複側の値で埋める項目
+const FILLABLE_FIELDS = [
+  'nameKana', 'coordinates', 'phone', 'email', 'website', 'description', 'priceRange', 'openingHours',
+  'isOpen', 'ageRestriction', 'dressCode', 'capacity', 'menu', 'ownerId',
+];
+
+export function distanceMeters(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// 電話番号の数字だけ（+81 は国内の 0 に）
+export function phoneKey(phone) {
+  if (!phone) return '';
+  const digits = String(phone).normalize('NFKC').replace(/\D/g, '');
+  return digits.startsWith('81') && digits.length >= 11 ? `0${digits.slice(2)}` : digits;
+}
+
+// 語順の違い（"渋谷 VISION" と "VISION 渋谷"）を吸収するため語に分ける
+function nameTokens(name) {
+  return normalizeText(name)
+    .split(/[\s・･\-_/|()（）「」『』&＆.,、。!！?？]+/)
+    .filter(Boolean);
+}
+
+// 語ごとの bigram（語順に影響されない）
+function bigrams(tokens) {
+  const grams = [];
+  tokens.forEach(token => {
+    if (token.length === 1) grams.push(token);
+    for (let i = 0; i < token.length - 1; i++) {
+      grams.push(token.slice(i, i + 2));
+    }
+  });
+  return grams;
+}
+
+function diceCoefficient(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const counts = new Map();
+  a.forEach(gram => counts.set(gram, (counts.get(gram) || 0) + 1));
+  let shared = 0;
+  b.forEach(gram => {
+    const count = counts.get(gram) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(gram, count - 1);
+    }
+  });
+  return (2 * shared) / (a.length + b.length);
+}
+
+// 住所の表記揺れ（全角/半角・"2丁目10番12号" と "2-10-12"・都道府県の有無）をそろえる
+function normalizeAddress(address) {
+  return normalizeText(address)
+    .replace(/^(東京都|北海道|(京都|大阪)府|.{2,3}県)/, '')
+    .replace(/(\d+)丁目/g, '$1-')
+    .replace(/(\d+)番地?/g, '$1-')
+    .replace(/(\d+)号/g, '$1')
+    .replace(/[ー−–—]/g, '-')
+    .replace(/\s+/g, '')
+    .replace(/-+$/, '');
+}
+
+// 採点に使う値（候補の組ごとに作り直さないよう店舗ごとに1回だけ作る）
+function getFeatures(venue) {
+  const tokens = nameTokens(venue.name);
+  const address = venue.address ? normalizeAddress(venue.address) : '';
+  return {
+    venue,
+    name: tokens.join(' '),
+    tokens: new Set(tokens),
+    nameGrams: bigrams(tokens),
+    phone: phoneKey(venue.phone),
+    address,
+    addressGrams: bigrams([address]),
+  };
+}
+
+function tokenNameSimilarity(a, b) {
+  if (a.tokens.size === 0 || b.tokens.size === 0) return 0;
+
+  const shared = [...a.tokens].filter(token => b.tokens.has(token)).length;
+  const jaccard = shared / (a.tokens.size + b.tokens.size - shared);
+  const similarity = Math.max(jaccard, diceCoefficient(a.nameGrams, b.nameGrams));
+
+  // "2号店" と "3号店"、"Bar 1" と "Bar 2" のように数字だけ違うのは別の店
+  const aNumbers = a.name.match(/\d+/g);
+  const bNumbers = b.name.match(/\d+/g);
+  if (aNumbers && bNumbers && aNumbers.join(',') !== bNumbers.join(',')) {
+    return Math.min(similarity, 0.5);
+  }
+  return similarity;
+}
+
+function featureAddressSimilarity(a, b) {
+  if (!a.address || !b.address) return 0;
+  if (a.address === b.address) return 1;
+  // 片方だけ建物名・階数まで書いてある
+  if (a.address.startsWith(b.address) || b.address.startsWith(a.address)) return 0.9;
+  return diceCoefficient(a.addressGrams, b.addressGrams);
+}
+
+export function nameSimilarity(a, b) {
+  return tokenNameSimilarity(getFeatures({ name: a }), getFeatures({ name: b }));
+}
+
+export function addressSimilarity(a, b) {
+  return featureAddressSimilarity(getFeatures({ address: a }), getFeatures({ address: b }));
+}
+
+function distanceScore(meters) {
+  if (meters <= SAME_PLACE_DISTANCE) return 1;
+  if (meters >= MAX_DISTANCE) return 0;
+  return 1 - (meters - SAME_PLACE_DISTANCE) / (MAX_DISTANCE - SAME_PLACE_DISTANCE);
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+function scoreFeatures(aFeatures, bFeatures) {
+  const a = aFeatures.venue;
+  const b = bFeatures.venue;
+  const signals = { name: null, phone: null, address: null, distance: null };
+  const scores = {};
+  const reasons = [];
+
+  scores.name = tokenNameSimilarity(aFeatures, bFeatures);
+  signals.name = round(scores.name);
+  if (scores.name >= 0.99) {
+    reasons.push('店名が一致');
+  } else if (scores.name >= 0.6) {
+    reasons.push(`店名が類似（${Math.round(scores.name * 100)}%）`);
+  }
+
+  if (aFeatures.phone && bFeatures.phone) {
+    scores.phone = aFeatures.phone === bFeatures.phone ? 1 : 0;
+    signals.phone = scores.phone;
+    if (scores.phone === 1) reasons.push('電話番号が一致');
+  }
+
+  if (aFeatures.address && bFeatures.address) {
+    scores.address = featureAddressSimilarity(aFeatures, bFeatures);
+    signals.address = round(scores.address);
+    if (scores.address >= 0.9) reasons.push('住所が一致');
+  }
+
+  if (a.coordinates && b.coordinates) {
+    const meters = distanceMeters(a.coordinates, b.coordinates);
+    scores.distance = distanceScore(meters);
+    signals.distance = Math.round(meters);
+    if (meters <= 100) reasons.push(`${Math.round(meters)}m 以内`);
+  }
+
+  const used = Object.keys(scores);
+  const totalWeight = used.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+  let score = used.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal] * scores[signal], 0) / totalWeight;
+
+  // 電話番号が同じで店名も近ければほぼ確実
+  if (scores.phone === 1 && scores.name >= 0.5) {
+    score = Math.max(score, 0.9);
+  }
+  // 同じビルの別の店・"Bar 1" と "Bar 2" のような店名の違う店は、電話番号が同じでなければ重複にしない
+  if (scores.name < MIN_NAME_SIMILARITY && scores.phone !== 1) {
+    score = Math.min(score, CONFIDENCE_THRESHOLDS.medium - 0.05);
+  }
+  if (a.category && b.category && a.category !== b.category) {
+    score *= 0.9;
+    reasons.push('カテゴリが異なる');
+  }
+
+  return { score: round(score), signals, reasons };
+}
+
+// 2店舗が同じ店である可能性の採点
+// 戻り値: { score, signals, reasons }
+export function scoreVenuePair(a, b) {
+  return scoreFeatures(getFeatures(a), getFeatures(b));
+}
+
+export function getPairKey(aId, bId) {
+  return [String(aId), String(bId)].sort().join('|');
+}
+
+function filledFieldCount(venue) {
+  return FILLABLE_FIELDS.filter(field => venue[field] !== null && venue[field] !== undefined).length +
+    venue.tags.length + venue.images.length;
+}
+
+// 残す店舗: レビューの多い方 → 項目の埋まっている方 → 先に登録された方
+export function chooseSurvivor(a, b) {
+  const ranked = [a, b].sort((x, y) =>
+    (y.reviewCount - x.reviewCount) ||
+    (filledFieldCount(y) - filledFieldCount(x)) ||
+    String(x.createdAt || '9999').localeCompare(String(y.createdAt || '9999')) ||
+    String(x.id).localeCompare(String(y.id), undefined, { numeric: true })
+  );
+  return ranked[0];
+}
+
+const unique = values => Array.from(new Set(values));
+
+// 統合後の店舗: 残す店舗の値を優先し、空の項目は重複側で埋める。タグ・設備・写真は両方を合わせる
+// 評価はレビュー数で重み付けした平均、レビュー数は合計
+export function mergeVenueRecords(survivorInput, duplicateInput) {
+  const survivor = normalizeVenue(survivorInput);
+  const duplicate = normalizeVenue(duplicateInput);
+  const merged = { ...survivor };
+
+  FILLABLE_FIELDS.forEach(field => {
+    if (merged[field] === null || merged[field] === undefined) {
+      merged[field] = duplicate[field];
+    }
+  });
+
+  merged.tags = unique([...survivor.tags, ...duplicate.tags]);
+  merged.amenities = unique([...survivor.amenities, ...duplicate.amenities]);
+  merged.images = [...survivor.images, ...duplicate.images]
+    .filter((image, index, images) => images.findIndex(other => other.url === image.url) === index);
+
+  const reviewCount = survivor.reviewCount + duplicate.reviewCount;
+  merged.reviewCount = reviewCount;
+  merged.rating = reviewCount > 0
+    ? round((survivor.rating * survivor.reviewCount + duplicate.rating * duplicate.reviewCount) / reviewCount)
+    : survivor.rating || duplicate.rating;
+
+  const createdAts = [survivor.createdAt, duplicate.createdAt].filter(Boolean).sort();
+  merged.createdAt = createdAts[0] || null;
+
+  return merged;
+}
+
+// 候補の組: 近く（同じ・隣の格子）にある店、同じ電話番号の店、店名の語を共有する店
+function candidatePairs(features) {
+  const buckets = new Map();
+  const addToBucket = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+
+  features.forEach(({ venue, phone, tokens }, index) => {
+    if (venue.coordinates) {
+      addToBucket(`cell:${Math.floor(venue.coordinates.lat / GRID_SIZE)}:${Math.floor(venue.coordinates.lng / GRID_SIZE)}`, index);
+    }
+    if (phone) addToBucket(`phone:${phone}`, index);
+    tokens.forEach(token => addToBucket(`name:${token}`, index));
+  });
+
+  const pairs = new Set();
+  const addPairs = (members, others = members) => {
+    members.forEach(i => others.forEach(j => {
+      if (i < j) pairs.add(`${i}:${j}`);
+      else if (j < i) pairs.add(`${j}:${i}`);
+    }));
+  };
+
+  buckets.forEach((members, key) => {
+    if (key.startsWith('cell:')) {
+      const [, lat, lng] = key.split(':').map(Number);
+      for (let dLat = -1; dLat <= 1; dLat++) {
+        for (let dLng = -1; dLng <= 1; dLng++) {
+          const neighbors = buckets.get(`cell:${lat + dLat}:${lng + dLng}`);
+          if (neighbors) addPairs(members, neighbors);
+        }
+      }
+    } else if (members.length <= MAX_TOKEN_BUCKET) {
+      addPairs(members);
+    }
+  });
+
+  return Array.from(pairs).map(pair => pair.split(':').map(Number));
+}
+
+// 重複の可能性がある店舗の組を score の高い順に
+// options.minScore: この score 未満は含めない（既定 CONFIDENCE_THRESHOLDS.medium）
+// options.dismissed: 重複ではないと却下した組の key（getPairKey）の配列か Set
+export function findDuplicateCandidates(venueList, options = {}) {
+  const { minScore = CONFIDENCE_THRESHOLDS.medium } = options;
+  const dismissed = new Set(options.dismissed || []);
+  const features = venueList.map(venue => getFeatures(normalizeVenue(venue)));
+
+  return candidatePairs(features)
+    .filter(([i, j]) => !dismissed.has(getPairKey(features[i].venue.id, features[j].venue.id)))
+    .map(([i, j]) => ({ a: features[i].venue, b: features[j].venue, ...scoreFeatures(features[i], features[j]) }))
+    .filter(pair => pair.score >= minScore)
+    .map(({ a, b, score, signals, reasons }) => {
+      const survivor = chooseSurvivor(a, b);
+      const duplicate = survivor === a ? b : a;
+      return {
+        key: getPairKey(a.id, b.id),
+        venues: [a, b],
+        score,
+        confidence: score >= CONFIDENCE_THRESHOLDS.high ? 'high' : 'medium',
+        signals,
+        reasons,
+        survivorId: survivor.id,
+        duplicateId: duplicate.id,
+        preview: mergeVenueRecords(survivor, duplicate),
+      };
+    })
+    .sort((x, y) => y.score - x.score);
+}
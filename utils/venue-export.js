@@ -0,0 +1,280 @@
+import { formatHoursText, getCategoryLabel, normalizeVenue, PRICE_RANGES, VENUE_CATEGORIES } from './venue-schema.js';
+import {
+  DAY_LABELS,
+  WEEK_DAY_ORDER,
+  describeDaySchedule,
+  getExceptionRange,
+  normalizeSessions,
+} from './opening-hours.js';
+import { estimatePerPersonSpend, formatYen } from './venue-menu.js';
+
+// 店舗一覧の書き出し（GeoJSON / KML / CSV）
+// 検索結果・お気に入り・全店舗など、どの店舗の配列からでも書き出せる
+// 列名・区切り・値の書き方は取り込み（utils/venue-import.js）と同じなので、GeoJSON と CSV はそのまま取り込み直せる
+// （タグ・設備の名前に "、" が入っていると取り込み直したときに分かれる）
+//
+// 営業時間とタグの書き方:
+//   CSV:     hours は毎日同じなら "18:00-02:00"、それ以外は openingHours の JSON。tags / amenities は "、" 区切り
+//            menu はメニューの JSON
+//            = + - @ タブ・CR で始まる文字列は ' を前に付ける（表計算ソフトで数式として実行させない）
+//   GeoJSON: hours は openingHours のオブジェクト、tags / amenities は配列のまま、menu はオブジェクトのまま
+//   KML:     説明文に曜日ごとの営業時間を書き、ExtendedData に CSV と同じ値を入れる
+
+// 書き出す項目と列名（en: 取り込みの英語の列名 / ja: 日本語の列名）
+export const EXPORT_COLUMNS = [
+  { field: 'id', en: 'id', ja: 'id' },
+  { field: 'name', en: 'name', ja: '店名' },
+  { field: 'nameKana', en: 'name_kana', ja: '読み' },
+  { field: 'category', en: 'category', ja: 'カテゴリ' },
+  { field: 'address', en: 'address', ja: '住所' },
+  { field: 'latitude', en: 'lat', ja: '緯度' },
+  { field: 'longitude', en: 'lng', ja: '経度' },
+  { field: 'phone', en: 'phone', ja: '電話番号' },
+  { field: 'email', en: 'email', ja: 'メールアドレス' },
+  { field: 'website', en: 'website', ja: 'ウェブサイト' },
+  { field: 'description', en: 'description', ja: '説明' },
+  { field: 'priceRange', en: 'price_range', ja: '価格帯' },
+  { field: 'rating', en: 'rating', ja: '評価' },
+  { field: 'reviewCount', en: 'review_count', ja: 'レビュー数' },
+  { field: 'openingHours', en: 'hours', ja: '営業時間' },
+  { field: 'tags', en: 'tags', ja: 'タグ' },
+  { field: 'amenities', en: 'amenities', ja: '設備' },
+  { field: 'ageRestriction', en: 'age_restriction', ja: '年齢制限' },
+  { field: 'dressCode', en: 'dress_code', ja: 'ドレスコード' },
+  { field: 'capacity', en: 'capacity', ja: '収容人数' },
+  { field: 'menu', en: 'menu', ja: 'メニュー' },
+];
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML（Google マイマップ）', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  csv: { label: 'CSV（Excel）', extension: 'csv', mimeType: 'text/csv' },
+};
+
+// CSV のセル内のタグ・設備の区切り（取り込みもこの文字だけで区切る）
+const LIST_JOINER = '、';
+
+// 表計算ソフトが数式として扱うセルの先頭（CSV インジェクション対策。取り込みは先頭の ' を外す）
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// 正規形の店舗の項目 → CSV・KML のセルの値（空は null）
+function toCellValue(venue, field) {
+  switch (field) {
+    case 'latitude':
+      return venue.coordinates ? venue.coordinates.lat : null;
+    case 'longitude':
+      return venue.coordinates ? venue.coordinates.lng : null;
+    case 'openingHours':
+      return formatHoursText(venue.openingHours);
+    case 'tags':
+    case 'amenities':
+      return venue[field].length > 0 ? venue[field].join(LIST_JOINER) : null;
+    case 'menu':
+      return venue.menu ? JSON.stringify(venue.menu) : null;
+    default:
+      return venue[field] ?? null;
+  }
+}
+
+// 正規形の店舗の項目 → GeoJSON の properties の値（営業時間・タグは構造のまま）
+function toPropertyValue(venue, field) {
+  switch (field) {
+    case 'openingHours':
+      return venue.openingHours;
+    case 'menu':
+      return venue.menu;
+    case 'tags':
+    case 'amenities':
+      return venue[field];
+    default:
+      return toCellValue(venue, field);
+  }
+}
+
+function toVenues(venues) {
+  if (!Array.isArray(venues)) {
+    throw new Error('書き出す店舗の一覧がありません');
+  }
+  return venues.map(normalizeVenue);
+}
+
+// RFC 4180 のセル（カンマ・引用符・改行・前後の空白を含む値は引用符で囲む）
+// 文字列が数式の先頭文字で始まれば ' を付ける（数値の負の緯度経度はそのまま）
+function escapeCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Excel で文字化けしないよう BOM 付き UTF-8・改行は CRLF
+// options.headers: 'en'（既定）| 'ja'
+export function toCsv(venues, options = {}) {
+  const language = options.headers === 'ja' ? 'ja' : 'en';
+  const lines = [
+    EXPORT_COLUMNS.map(column => escapeCsvCell(column[language])).join(','),
+    ...toVenues(venues).map(venue =>
+      EXPORT_COLUMNS.map(column => escapeCsvCell(toCellValue(venue, column.field))).join(',')
+    ),
+  ];
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// 座標のない店舗も geometry: null の Feature として残す（取り込み直すと座標なしとして報告される）
+export function toGeoJson(venues, options = {}) {
+  const features = toVenues(venues).map(venue => ({
+    type: 'Feature',
+    id: venue.id,
+    geometry: venue.coordinates
+      ? { type: 'Point', coordinates: [venue.coordinates.lng, venue.coordinates.lat] }
+      : null,
+    properties: EXPORT_COLUMNS
+      .filter(column => column.field !== 'latitude' && column.field !== 'longitude')
+      .reduce((properties, column) => {
+        properties[column.en] = toPropertyValue(venue, column.field);
+        return properties;
+      }, {}),
+  }));
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, options.indent ?? 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// 表示用の営業時間（"月曜日: 18:00 - 翌02:00" を1行ずつ。記載のない曜日は省く）
+export function describeOpeningHours(openingHours) {
+  if (!openingHours) return [];
+
+  const lines = [...WEEK_DAY_ORDER, 'holiday', 'holidayEve']
+    .filter(day => openingHours[day] !== undefined)
+    .map(day => `${DAY_LABELS[day]}: ${describeDaySchedule(openingHours[day])}`);
+
+  const overrides = Object.keys(openingHours.overrides || {}).sort();
+  overrides.forEach(dateKey => {
+    lines.push(`${dateKey}: ${describeDaySchedule(openingHours.overrides[dateKey])}`);
+  });
+
+  (openingHours.exceptions || []).forEach(exception => {
+    const range = getExceptionRange(exception);
+    if (!range) return;
+    const dates = range.from === range.to ? range.from : `${range.from}〜${range.to}`;
+    const reason = exception.reason ? `（${exception.reason}）` : '';
+    const schedule = normalizeSessions(exception).length === 0 ? '休業' : describeDaySchedule(exception);
+    lines.push(`${range.yearly ? '毎年 ' : ''}${dates}: ${schedule}${reason}`);
+  });
+
+  return lines;
+}
+
+function describeVenue(venue) {
+  const priceRange = PRICE_RANGES.find(range => range.id === venue.priceRange);
+  const estimate = estimatePerPersonSpend(venue.menu);
+  const lines = [
+    `カテゴリ: ${getCategoryLabel(venue.category)}`,
+    venue.description,
+    priceRange ? `価格帯: ${priceRange.symbol}（${priceRange.min}〜${priceRange.max}円）` : null,
+    estimate ? `予算の目安: 1人 ${formatYen(estimate.total)}` : null,
+    venue.phone ? `電話: ${venue.phone}` : null,
+    venue.email ? `メール: ${venue.email}` : null,
+    venue.website,
+    ...(venue.openingHours ? ['営業時間:', ...describeOpeningHours(venue.openingHours)] : []),
+    venue.tags.length > 0 ? `タグ: ${venue.tags.join(LIST_JOINER)}` : null,
+  ];
+  return lines.filter(Boolean).join('\n');
+}
+
+function toPlacemark(venue) {
+  const data = EXPORT_COLUMNS
+    .filter(column => !['name', 'address', 'latitude', 'longitude'].includes(column.field))
+    .map(column => [column.en, toCellValue(venue, column.field)])
+    .filter(([, value]) => value !== null)
+    .map(([name, value]) => `        <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`);
+
+  return [
+    '      <Placemark>',
+    `        <name>${escapeXml(venue.name)}</name>`,
+    `        <address>${escapeXml(venue.address)}</address>`,
+    `        <description>${escapeXml(describeVenue(venue))}</description>`,
+    '        <ExtendedData>',
+    ...data.map(line => `  ${line}`),
+    '        </ExtendedData>',
+    `        <Point><coordinates>${venue.coordinates.lng},${venue.coordinates.lat}</coordinates></Point>`,
+    '      </Placemark>',
+  ].join('\n');
+}
+
+// Google マイマップでカテゴリごとのレイヤーになるよう、カテゴリ別の Folder に分ける
+// 地図に置けない座標のない店舗は含めない
+// options.title: ドキュメント名
+export function toKml(venues, options = {}) {
+  const located = toVenues(venues).filter(venue => venue.coordinates);
+  const categoryIds = [
+    ...VENUE_CATEGORIES.map(category => category.id),
+    ...located.map(venue => venue.category),
+  ].filter((id, index, ids) => ids.indexOf(id) === index);
+
+  const folders = categoryIds
+    .map(categoryId => {
+      const placemarks = located.filter(venue => venue.category === categoryId);
+      if (placemarks.length === 0) return null;
+      return [
+        '    <Folder>',
+        `      <name>${escapeXml(getCategoryLabel(categoryId))}</name>`,
+        ...placemarks.map(toPlacemark),
+        '    </Folder>',
+      ].join('\n');
+    })
+    .filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(options.title || 'Nightlife Navigator')}</name>`,
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+function formatDateStamp(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// 形式を指定して書き出す
+// options.name: ファイル名の前半（既定 "venues"）/ options.title: KML のドキュメント名 / options.headers: CSV の列名
+// 戻り値: { format, fileName, mimeType, content, count, skipped }
+//   skipped: 書き出せなかった店舗の ID（KML の座標のない店舗）
+export function exportVenues(venues, format, options = {}) {
+  const definition = EXPORT_FORMATS[format];
+  if (!definition) {
+    throw new Error(`書き出せる形式は ${Object.keys(EXPORT_FORMATS).join(' / ')} です`);
+  }
+
+  const normalized = toVenues(venues);
+  const skipped = format === 'kml'
+    ? normalized.filter(venue => !venue.coordinates).map(venue => venue.id)
+    : [];
+
+  const content = {
+    geojson: () => toGeoJson(normalized, options),
+    kml: () => toKml(normalized, options),
+    csv: () => toCsv(normalized, options),
+  }[format]();
+
+  return {
+    format,
+    fileName: `${options.name || 'venues'}-${formatDateStamp(options.date || new Date())}.${definition.extension}`,
+    mimeType: definition.mimeType,
+    content,
+    count: normalized.length - skipped.length,
+    skipped,
+  };
+}
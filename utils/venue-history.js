@@ -0,0 +1,174 @@
+import { normalizeVenue } from './venue-schema.js';
+
+// 店舗の編集履歴（項目ごとの差分）
+// 店舗リポジトリ（AsyncStorage / SQLite）が変更のたびに1件ずつ記録する。Deno からも読むため拡張子付きで参照する
+//
+// 履歴（entry）:
+//   version:    店舗ごとの通し番号（1 から）
+//   venueId:    店舗ID
+//   type:       'create' | 'update' | 'remove' | 'revert'
+//   changes:    [{ field, before, after }] 変わった項目だけ（作成時は値のある項目、削除時は削除前の値）
+//   author:     { id, name, role } | null（null はシステム・CLI による変更）
+//   changedAt:  ISO 8601
+//   revertedTo: 以前の版に戻したときの戻した先の version（削除されていた版に戻すと type は 'remove'）
+//   compacted:  古い版をまとめた版なら true（changes はその版の時点の全項目。compactHistory を参照）
+//
+// ある版の店舗は、最も古い版から順に changes の after を当てはめて復元する（remove でいったん空に戻る）
+
+// 履歴を取る項目（ID・作成日時・更新日時は対象外）
+export const HISTORY_FIELDS = [
+  'name', 'nameKana', 'category', 'address', 'coordinates', 'phone', 'email', 'website',
+  'description', 'rating', 'reviewCount', 'priceRange', 'images', 'tags', 'amenities', 'openingHours',
+  'isOpen', 'ageRestriction', 'dressCode', 'capacity', 'menu', 'ownerId',
+];
+
+export const HISTORY_FIELD_LABELS = {
+  name: '店名',
+  nameKana: '読み',
+  category: 'カテゴリ',
+  address: '住所',
+  coordinates: '座標',
+  phone: '電話番号',
+  email: 'メールアドレス',
+  website: 'ウェブサイト',
+  description: '説明',
+  rating: '評価',
+  reviewCount: 'レビュー数',
+  priceRange: '価格帯',
+  images: '写真',
+  tags: 'タグ',
+  amenities: '設備',
+  openingHours: '営業時間',
+  isOpen: '営業中フラグ',
+  ageRestriction: '年齢制限',
+  dressCode: 'ドレスコード',
+  capacity: '収容人数',
+  menu: 'メニュー',
+  ownerId: 'オーナー',
+};
+
+export const HISTORY_TYPE_LABELS = {
+  create: '作成',
+  update: '編集',
+  remove: '削除',
+  revert: '復元',
+};
+
+const isEmptyValue = value =>
+  value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+
+const sameValue = (a, b) =>
+  (isEmptyValue(a) && isEmptyValue(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+// 変更前後の店舗（どちらも正規形、作成時の before・削除時の after は null）の差分
+export function diffVenues(before, after) {
+  return HISTORY_FIELDS
+    .map(field => ({
+      field,
+      before: before ? before[field] ?? null : null,
+      after: after ? after[field] ?? null : null,
+    }))
+    .filter(change => !sameValue(change.before, change.after));
+}
+
+// 履歴に残す変更者: { id, name, role }。ID も名前もなければシステムの変更として null
+export function normalizeAuthor(author) {
+  if (!author) return null;
+
+  const id = author.id === undefined || author.id === null ? null : String(author.id);
+  const name = author.name || author.displayName || null;
+  if (id === null && !name) return null;
+
+  return { id, name, role: author.role || null };
+}
+
+// 1件分の履歴。差分がなければ null（記録しない）
+/**
+ * @param {{ venueId: string | number, version: number, before: any, after: any,
+ *   author?: any, revertedTo?: number | null, changedAt?: string }} options
+ */
+export function createHistoryEntry({ venueId, version, before, after, author, revertedTo, changedAt }) {
+  const changes = diffVenues(before, after);
+  if (changes.length === 0) return null;
+
+  const reverting = revertedTo !== null && revertedTo !== undefined;
+  let type;
+  if (!after) {
+    type = 'remove';
+  } else if (reverting) {
+    type = 'revert';
+  } else {
+    type = before ? 'update' : 'create';
+  }
+
+  return {
+    version,
+    venueId: String(venueId),
+    type,
+    changes,
+    author: normalizeAuthor(author),
+    changedAt: changedAt || new Date().toISOString(),
+    revertedTo: reverting ? Number(revertedTo) : null,
+  };
+}
+
+// version の時点の店舗（正規形）。その時点で削除されていれば null
+export function getVersionSnapshot(history, version) {
+  const target = Number(version);
+  const entries = [...history].sort((a, b) => a.version - b.version);
+
+  if (!entries.some(entry => entry.version === target)) {
+    throw new Error(`版 ${version} の履歴がありません`);
+  }
+
+  let state = null;
+  for (const entry of entries) {
+    if (entry.version > target) break;
+
+    if (entry.type === 'remove') {
+      state = null;
+    } else {
+      state = { ...(state || {}) };
+      entry.changes.forEach(change => {
+        state[change.field] = change.after;
+      });
+    }
+  }
+
+  return state ? normalizeVenue({ ...state, id: entries[0].venueId }) : null;
+}
+
+// 件数を maxEntries 以下にする。はみ出した古い版は残す中で最も古い版に畳み込み、その版の全項目を持たせる
+// （畳み込んだ版より前には戻せなくなるが、残した版はどれも復元できる）
+export function compactHistory(history, maxEntries) {
+  if (history.length <= maxEntries) return history;
+
+  const entries = [...history].sort((a, b) => a.version - b.version);
+  const kept = entries.slice(entries.length - maxEntries);
+  const [oldest, ...rest] = kept;
+  const snapshot = getVersionSnapshot(entries, oldest.version);
+
+  // 削除の版なら差分（削除前の値）をそのまま残す。復元すると空になるので前の版は要らない
+  const changes = snapshot ? diffVenues(null, snapshot) : oldest.changes;
+  return [{ ...oldest, changes, compacted: true }, ...rest];
+}
+
+// 一覧表示用の要約（"営業時間・価格帯を編集"）
+export function summarizeHistoryEntry(entry) {
+  const fields = entry.changes.map(change => HISTORY_FIELD_LABELS[change.field] || change.field);
+
+  if (entry.compacted) {
+    return `版 ${entry.version} 以前の履歴（この版の内容）`;
+  }
+
+  switch (entry.type) {
+    case 'create':
+      return '店舗を作成';
+    case 'remove':
+      return '店舗を削除';
+    case 'revert':
+      return `版 ${entry.revertedTo} に戻す（${fields.join('・')}）`;
+    default:
+      return `${fields.join('・')}を編集`;
+  }
+}
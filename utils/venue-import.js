@@ -0,0 +1,378 @@
+import { VENUE_CATEGORIES, normalizeVenue, validateVenue } from './venue-schema.js';
+import { normalizeText } from './search-normalizer.js';
+import { diffVenues, HISTORY_FIELD_LABELS } from './venue-history.js';
+import { distanceMeters, phoneKey } from './venue-dedup.js';
+
+// 店舗一覧（CSV / GeoJSON）の取り込み
+// 1. parseVenueFile で行（列名 → 値）に分解
+// 2. planVenueImport で行ごとに正規形へ変換・検証し、重複を調べる（まだ保存しない）
+// 3. 報告を確認してから、状態が valid の行だけをリポジトリに保存する
+// id が登録済みの店舗と同じ行は、その店舗に行にある項目だけを上書きする（空のセル・ない列は今の値のまま）
+// アプリ（services/VenueImportService.js）と Deno の CLI（scripts/import-venues.ts）の両方から使う
+
+// 列名（小文字・空白除去で比較）→ 店舗の項目
+const COLUMN_ALIASES = {
+  id: 'id',
+  name: 'name',
+  店名: 'name',
+  店舗名: 'name',
+  namekana: 'nameKana',
+  name_kana: 'nameKana',
+  読み: 'nameKana',
+  category: 'category',
+  カテゴリ: 'category',
+  ジャンル: 'category',
+  address: 'address',
+  住所: 'address',
+  lat: 'latitude',
+  latitude: 'latitude',
+  緯度: 'latitude',
+  lng: 'longitude',
+  lon: 'longitude',
+  longitude: 'longitude',
+  経度: 'longitude',
+  phone: 'phone',
+  tel: 'phone',
+  電話: 'phone',
+  電話番号: 'phone',
+  email: 'email',
+  mail: 'email',
+  メール: 'email',
+  メールアドレス: 'email',
+  website: 'website',
+  url: 'website',
+  ウェブサイト: 'website',
+  description: 'description',
+  説明: 'description',
+  pricerange: 'priceRange',
+  price_range: 'priceRange',
+  価格帯: 'priceRange',
+  rating: 'rating',
+  評価: 'rating',
+  reviewcount: 'reviewCount',
+  review_count: 'reviewCount',
+  レビュー数: 'reviewCount',
+  hours: 'openingHours',
+  openinghours: 'openingHours',
+  opening_hours: 'openingHours',
+  営業時間: 'openingHours',
+  tags: 'tags',
+  タグ: 'tags',
+  amenities: 'amenities',
+  設備: 'amenities',
+  agerestriction: 'ageRestriction',
+  age_restriction: 'ageRestriction',
+  年齢制限: 'ageRestriction',
+  dresscode: 'dressCode',
+  dress_code: 'dressCode',
+  ドレスコード: 'dressCode',
+  capacity: 'capacity',
+  収容人数: 'capacity',
+  menu: 'menu',
+  メニュー: 'menu',
+};
+
+// タグ・設備の区切り（CSV のセル内）。書き出し（utils/venue-export.js）と同じ "、" だけで、"DJ/ライブ" などは1つのタグ
+const LIST_SEPARATOR = '、';
+
+// 書き出しが数式よけに付けた先頭の '（"'=SUM" → "=SUM"）
+const FORMULA_GUARD = /^'(?=[=+\-@\t\r])/;
+
+// 同じ店とみなす座標の距離（メートル）
+const DUPLICATE_DISTANCE = 50;
+
+export const IMPORT_FORMATS = ['csv', 'geojson'];
+
+// RFC 4180 形式の CSV（ダブルクォート・セル内改行・BOM 付き UTF-8 に対応）
+export function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV の引用符（"）が閉じられていません');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function resolveColumn(header) {
+  const key = String(header).trim().toLowerCase().replace(/\s+/g, '');
+  return COLUMN_ALIASES[key] || null;
+}
+
+// CSV の各行を { 項目: 値 } に。認識できない列は unknownColumns に返す
+function recordsFromCsv(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  const columns = headers.map(resolveColumn);
+
+  if (!columns.includes('name')) {
+    throw new Error('CSV の1行目に店名（name / 店名）の列が必要です');
+  }
+
+  return {
+    records: rows.map((cells, index) => ({
+      // 見出しが1行目なので、データはファイルの2行目から
+      row: index + 2,
+      values: columns.reduce((values, field, column) => {
+        if (field && cells[column] !== undefined && cells[column].trim() !== '') {
+          values[field] = cells[column].replace(FORMULA_GUARD, '').trim();
+        }
+        return values;
+      }, {}),
+    })),
+    unknownColumns: headers.filter((header, column) => !columns[column]),
+  };
+}
+
+// GeoJSON の FeatureCollection（Point のみ。座標は [経度, 緯度]）
+function recordsFromGeoJson(text) {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text.replace(/^\uFEFF/, '')) : text;
+  } catch {
+    throw new Error('GeoJSON を読み込めません（JSON の形式が正しくありません）');
+  }
+
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new Error('GeoJSON は FeatureCollection で指定してください');
+  }
+
+  const unknownColumns = new Set();
+  const records = data.features.map((feature, index) => {
+    const values = Object.entries(feature?.properties || {}).reduce((result, [key, value]) => {
+      const field = resolveColumn(key);
+      if (!field) {
+        unknownColumns.add(key);
+      } else if (value !== null && value !== '') {
+        result[field] = value;
+      }
+      return result;
+    }, {});
+
+    const geometry = feature?.geometry;
+    if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      [values.longitude, values.latitude] = geometry.coordinates;
+    }
+
+    return { row: index + 1, values, geometryType: geometry?.type || null };
+  });
+
+  return { records, unknownColumns: Array.from(unknownColumns) };
+}
+
+export function detectImportFormat(text, fileName = '') {
+  if (/\.(geo)?json$/i.test(fileName)) return 'geojson';
+  if (/\.csv$/i.test(fileName)) return 'csv';
+  return String(text).replace(/^\uFEFF/, '').trimStart().startsWith('{') ? 'geojson' : 'csv';
+}
+
+export function parseVenueFile(text, format = detectImportFormat(text)) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`取り込める形式は ${IMPORT_FORMATS.join(' / ')} です`);
+  }
+  return format === 'geojson' ? recordsFromGeoJson(text) : recordsFromCsv(text);
+}
+
+// セルの値を正規化できる形に（カテゴリの日本語名、区切り文字の一覧）
+function toVenueInput(values) {
+  const input = { ...values };
+
+  if (typeof input.category === 'string') {
+    const category = input.category.trim();
+    input.category = VENUE_CATEGORIES.find(c => c.name === category || c.id === category.toLowerCase())?.id || category;
+  }
+  ['tags', 'amenities'].forEach(field => {
+    if (typeof input[field] === 'string') {
+      input[field] = input[field].split(LIST_SEPARATOR);
+    }
+  });
+  if (typeof input.ageRestriction === 'string') {
+    // "20+" "20歳以上" も受け付ける
+    const age = input.ageRestriction.match(/^(\d+)/);
+    if (age) input.ageRestriction = `${age[1]}_plus`;
+  }
+
+  return input;
+}
+
+// 登録済みの店舗に行の項目を重ねる（座標の列があれば座標も置き換える）
+function mergeIntoExisting(existing, input) {
+  const merged = { ...existing, ...input, id: existing.id };
+  if (input.latitude !== undefined || input.longitude !== undefined) {
+    delete merged.coordinates;
+  }
+  return merged;
+}
+
+// 同じ店か: 同じ電話番号、または同じ店名で住所が同じか座標が近い
+function findDuplicateReason(venue, other) {
+  if (venue.id && other.id && venue.id === other.id) return '同じID';
+
+  const phone = phoneKey(venue.phone);
+  if (phone && phone === phoneKey(other.phone)) return '同じ電話番号';
+
+  if (normalizeText(venue.name) !== normalizeText(other.name)) return null;
+  if (venue.address && normalizeText(venue.address) === normalizeText(other.address)) return '同じ店名・住所';
+  if (venue.coordinates && other.coordinates &&
+      distanceMeters(venue.coordinates, other.coordinates) <= DUPLICATE_DISTANCE) {
+    return `同じ店名・${DUPLICATE_DISTANCE}m 以内`;
+  }
+  return null;
+}
+
+// 行ごとの検証と重複の報告（保存はしない）
+// options.existingVenues: 登録済みの店舗 / options.geocode: async (address) → { lat, lng } | null
+// 戻り値: { format, rows: [{ row, status, venue, errors, warnings, duplicateOf, update, geocoded }], summary, unknownColumns }
+//   status: 'valid'（保存できる）| 'invalid'（項目に誤り）| 'duplicate'（登録済み・ファイル内の店と重複）
+//   update: 登録済みの店舗を更新する行なら { id, fields }（fields は値の変わる項目）、新しい店舗なら null
+export async function planVenueImport(text, options = {}) {
+  const { format = detectImportFormat(text, options.fileName), existingVenues = [], geocode = null } = options;
+  const { records, unknownColumns } = parseVenueFile(text, format);
+
+  const accepted = [];
+  const rows = [];
+
+  for (const record of records) {
+    const warnings = [];
+    let geocoded = false;
+
+    if (record.geometryType && record.geometryType !== 'Point') {
+      warnings.push(`${record.geometryType} の図形は使えないため座標を無視しました`);
+    }
+
+    const input = toVenueInput(record.values);
+    const target = input.id ? existingVenues.find(other => String(other.id) === String(input.id)) || null : null;
+    // 取り込み前の一時的なID（検証用）。保存時にリポジトリが採番する
+    const venue = normalizeVenue(target
+      ? mergeIntoExisting(target, input)
+      : { ...input, id: input.id || `import_row_${record.row}` });
+
+    if (!venue.coordinates && venue.address && geocode) {
+      try {
+        const coordinates = await geocode(venue.address);
+        if (coordinates) {
+          venue.coordinates = coordinates;
+          geocoded = true;
+        } else {
+          warnings.push('住所から座標を取得できませんでした');
+        }
+      } catch (error) {
+        warnings.push(`住所から座標を取得できませんでした（${error.message}）`);
+      }
+    } else if (!venue.coordinates) {
+      warnings.push('座標がないため地図には表示されません');
+    }
+
+    const { errors } = validateVenue(venue);
+    const importedVenue = { ...venue, id: input.id ? venue.id : null };
+
+    let duplicateOf = null;
+    let update = null;
+    if (errors.length === 0) {
+      // ID が一致する登録済みの店は更新として扱う
+      const existing = existingVenues.find(other => other !== target && findDuplicateReason(importedVenue, other));
+      const inFile = accepted.find(other => findDuplicateReason(importedVenue, other.venue));
+
+      if (existing) {
+        duplicateOf = { source: 'existing', id: existing.id, name: existing.name, reason: findDuplicateReason(importedVenue, existing) };
+      } else if (inFile) {
+        duplicateOf = { source: 'file', row: inFile.row, name: inFile.venue.name, reason: findDuplicateReason(importedVenue, inFile.venue) };
+      } else if (target) {
+        const fields = diffVenues(target, importedVenue).map(change => change.field);
+        update = { id: target.id, fields };
+        warnings.push(fields.length > 0
+          ? `登録済みの店舗（${target.id}）を更新します: ${fields.map(field => HISTORY_FIELD_LABELS[field] || field).join('・')}`
+          : `登録済みの店舗（${target.id}）と同じ内容です`);
+      }
+    }
+
+    const status = errors.length > 0 ? 'invalid' : duplicateOf ? 'duplicate' : 'valid';
+    const result = { row: record.row, status, venue: importedVenue, errors, warnings, duplicateOf, update, geocoded };
+    if (status === 'valid') accepted.push(result);
+    rows.push(result);
+  }
+
+  return {
+    format,
+    rows,
+    unknownColumns,
+    summary: {
+      total: rows.length,
+      valid: rows.filter(row => row.status === 'valid').length,
+      invalid: rows.filter(row => row.status === 'invalid').length,
+      duplicates: rows.filter(row => row.status === 'duplicate').length,
+      updates: rows.filter(row => row.status === 'valid' && row.update).length,
+      geocoded: rows.filter(row => row.geocoded).length,
+    },
+  };
+}
+
+// 保存する店舗（options.includeDuplicates で重複と判定された行も含める）
+export function getImportableVenues(report, options = {}) {
+  const statuses = options.includeDuplicates ? ['valid', 'duplicate'] : ['valid'];
+  return report.rows
+    .filter(row => statuses.includes(row.status))
+    // id が null の店舗はリポジトリが採番する
+    .map(({ venue }) => venue);
+}
+
+// CLI・ログ向けの行ごとの報告
+export function formatImportReport(report) {
+  const lines = report.rows.map(row => {
+    const label = `${report.format === 'csv' ? '行' : 'Feature'} ${row.row}`;
+    const name = row.venue.name || '（店名なし）';
+    const details = [
+      ...row.errors.map(error => `  ✗ ${error.message}`),
+      ...(row.duplicateOf
+        ? [`  ⚠ 重複: ${row.duplicateOf.source === 'existing' ? `登録済み ${row.duplicateOf.id}` : `行 ${row.duplicateOf.row}`}「${row.duplicateOf.name}」（${row.duplicateOf.reason}）`]
+        : []),
+      ...row.warnings.map(warning => `  ・${warning}`),
+    ];
+    const mark = { valid: '✓', invalid: '✗', duplicate: '⚠' }[row.status];
+    return [`${mark} ${label}: ${name}${row.geocoded ? '（住所から座標を補完）' : ''}`, ...details].join('\n');
+  });
+
+  const { total, valid, invalid, duplicates, updates, geocoded } = report.summary;
+  lines.push('');
+  lines.push(`合計 ${total} 件: 取り込み可能 ${valid} 件（うち登録済みの更新 ${updates} 件）/ エラー ${invalid} 件 / 重複 ${duplicates} 件（座標補完 ${geocoded} 件）`);
+  if (report.unknownColumns.length > 0) {
+    lines.push(`使われなかった列: ${report.unknownColumns.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
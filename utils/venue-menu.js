@@ -0,0 +1,161 @@
+import { MENU_SECTION_KINDS, PRICE_RANGES } from './venue-schema.js';
+import { DAY_KEYS, getTokyoDateTime, parseTime } from './opening-hours.js';
+import { normalizeText } from './search-normalizer.js';
+
+// 店舗のメニューと価格（正規形は utils/venue-schema.js の normalizeMenu）
+// アプリ（検索・詳細画面）とサーバーで共通。Deno からも読むため拡張子付きで参照する
+//
+// メニュー: { sections: [{ id, name, kind, items }], happyHour: { from, to, days } | null, charge }
+//   品目:       { id, name, price, size, happyHourPrice }（price が null は時価）
+//   charge:     チャージ・お通し（1人あたり, 円）| null
+//   happyHour:  東京時間。to が from より前なら日付をまたぐ（days は始まる日の曜日）
+//
+// 1人あたりの予算の目安 = チャージ + ドリンク SPEND_ESTIMATE.drinks 杯 + フード SPEND_ESTIMATE.food 品
+// 1杯・1品の価格は区分ごとの価格の中央値（ハッピーアワー価格とボトルは使わない）
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const SPEND_ESTIMATE = {
+  drinks: 2,
+  food: 1,
+};
+
+// "500円以下" "500円まで" "〜500円" "¥500以下"（検索ボックスの価格の条件）
+const MAX_PRICE_PATTERN = /^(.*?)(?:[~〜]\s*[¥￥]?(\d[\d,]*)円?|[¥￥]?(\d[\d,]*)円?(?:以下|まで|以内))$/;
+
+export function formatYen(price) {
+  if (price === null || price === undefined) return '時価';
+  return `${Math.round(price).toLocaleString('ja-JP')}円`;
+}
+
+export function getMenuSectionKindLabel(kind) {
+  return MENU_SECTION_KINDS.find(option => option.id === kind)?.name || kind || '';
+}
+
+// 区分をまたいだ品目の一覧（{ ...item, sectionId, sectionName, kind }）
+export function getMenuItems(menu) {
+  if (!menu) return [];
+  return menu.sections.flatMap(section =>
+    section.items.map(item => ({ ...item, sectionId: section.id, sectionName: section.name, kind: section.kind }))
+  );
+}
+
+export function hasMenu(menu) {
+  return getMenuItems(menu).length > 0;
+}
+
+// 検索インデックスに入れる品目名
+export function getMenuSearchTexts(menu) {
+  return getMenuItems(menu).map(item => item.name);
+}
+
+// at（東京時間）がハッピーアワーか
+export function isHappyHour(menu, at = new Date()) {
+  const happyHour = menu?.happyHour;
+  if (!happyHour) return false;
+
+  const from = parseTime(happyHour.from);
+  const to = parseTime(happyHour.to);
+  if (from === null || to === null) return false;
+  // "26:00" のような24時以降の書き方も日付をまたぐ扱いにする
+  const start = from % MINUTES_PER_DAY;
+  const end = to % MINUTES_PER_DAY;
+
+  const { weekday, minutes } = getTokyoDateTime(at);
+  const appliesOn = dayIndex => !happyHour.days || happyHour.days.includes(DAY_KEYS[(dayIndex + 7) % 7]);
+
+  if (start < end) {
+    return appliesOn(weekday) && minutes >= start && minutes < end;
+  }
+  // 日付をまたぐ（22:00-01:00 の 0:30 は前日の分）
+  return (appliesOn(weekday) && minutes >= start) || (appliesOn(weekday - 1) && minutes < end);
+}
+
+// at の時点の価格（ハッピーアワー中でハッピーアワー価格があればそちら）
+export function getItemPrice(item, menu, at = new Date()) {
+  if (item.happyHourPrice !== null && isHappyHour(menu, at)) {
+    return item.happyHourPrice;
+  }
+  return item.price;
+}
+
+// "17:00〜19:00（月・火）"
+export function describeHappyHour(happyHour, dayLabels = null) {
+  if (!happyHour) return null;
+  const range = `${happyHour.from}〜${happyHour.to}`;
+  if (!happyHour.days || !dayLabels) return range;
+  return `${range}（${happyHour.days.map(day => dayLabels[day] || day).join('・')}）`;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function medianPrice(items, kind) {
+  return median(items.filter(item => item.kind === kind && item.price !== null).map(item => item.price));
+}
+
+// 1人あたりの予算の目安。価格の付いたドリンクがなければ null
+// 戻り値: { total, charge, drinks: { count, unitPrice }, food: { count, unitPrice } | null }
+export function estimatePerPersonSpend(menu, assumptions = SPEND_ESTIMATE) {
+  const items = getMenuItems(menu);
+  const drinkPrice = medianPrice(items, 'drink');
+  if (drinkPrice === null) return null;
+
+  const foodPrice = medianPrice(items, 'food');
+  const charge = menu.charge || 0;
+  const drinks = { count: assumptions.drinks, unitPrice: drinkPrice };
+  const food = foodPrice === null || assumptions.food === 0 ? null : { count: assumptions.food, unitPrice: foodPrice };
+
+  return {
+    total: charge + drinks.count * drinks.unitPrice + (food ? food.count * food.unitPrice : 0),
+    charge,
+    drinks,
+    food,
+  };
+}
+
+// 予算の目安が入る価格帯（PRICE_RANGES の id）
+export function getEstimatedPriceRange(estimate) {
+  if (!estimate) return null;
+  const range = PRICE_RANGES.find(option => estimate.total <= option.max) || PRICE_RANGES[PRICE_RANGES.length - 1];
+  return range.id;
+}
+
+// "チャージ 500円 + ドリンク 2杯（1杯 700円）+ フード 1品（800円）"
+export function describeSpendEstimate(estimate) {
+  if (!estimate) return null;
+  return [
+    estimate.charge > 0 ? `チャージ ${formatYen(estimate.charge)}` : null,
+    `ドリンク ${estimate.drinks.count}杯（1杯 ${formatYen(estimate.drinks.unitPrice)}）`,
+    estimate.food ? `フード ${estimate.food.count}品（${formatYen(estimate.food.unitPrice)}）` : null,
+  ].filter(Boolean).join(' + ');
+}
+
+// 検索語の1つに一致する品目。termVariants は語ごとの照合候補（正規化済み）の配列
+export function findMenuItemsByTerms(menu, termVariants) {
+  return getMenuItems(menu).filter(item => {
+    const name = normalizeText(item.name);
+    return termVariants.some(variants => variants.some(variant => name.includes(variant)));
+  });
+}
+
+// 価格の上限に合う品目（通常価格で比べ、時価の品目は含めない）
+// 検索語に一致する品目があればその中から、なければすべての品目から探す
+export function findMenuItemsWithin(menu, maxPrice, termVariants = []) {
+  const matched = termVariants.length > 0 ? findMenuItemsByTerms(menu, termVariants) : [];
+  const items = matched.length > 0 ? matched : getMenuItems(menu);
+  return items.filter(item => item.price !== null && item.price <= maxPrice);
+}
+
+// 検索ボックスの語が価格の上限なら { text, maxPrice }（"テキーラ500円以下" は text: "テキーラ"）、違えば null
+export function parseMaxPriceToken(token) {
+  const match = String(token).normalize('NFKC').match(MAX_PRICE_PATTERN);
+  if (!match) return null;
+
+  const maxPrice = Number((match[2] || match[3]).replace(/,/g, ''));
+  return Number.isFinite(maxPrice) ? { text: match[1].trim(), maxPrice } : null;
+}
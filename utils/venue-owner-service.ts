@@ -0,0 +1,319 @@
+import { getDatabase, getVenue } from "./database.ts";
+import { getUserById } from "./user-service.ts";
+import { venueRepository } from "./sqlite-venue-repository.ts";
+import LocalVerificationSender from "./local-verification-sender.js";
+import {
+  applyOwnerEdit,
+  assertClaimVerifiable,
+  buildOwnerEdit,
+  canEditVenue,
+  CLAIM_CODE_TTL,
+  EDIT_STATUS_LABELS,
+  findEditConflicts,
+  formatVerificationMessage,
+  generateVerificationCode,
+  getFailedClaimStatus,
+  MAX_CLAIM_ATTEMPTS,
+  resolveClaimChannel,
+  summarizeOwnerEdit,
+  VenueClaimError,
+} from "./venue-claims.js";
+
+// 店舗のオーナー申請と、オーナーによる編集の審査（SQLite の venue_claims / venue_edit_requests テーブル）
+// 決まりごとはアプリと共通（utils/venue-claims.js）。確認コードはハッシュだけを保存する
+// API は routes/api/venues/ の claim・claims・edits。入力や権限による失敗は VenueClaimError（status 付き）で投げる
+
+export interface VerificationMessage {
+  channel: "phone" | "email";
+  to: string;
+  message: string;
+}
+
+export interface VerificationSenderLike {
+  send(message: VerificationMessage): Promise<unknown>;
+}
+
+export interface ClaimRequestResult {
+  claimId: number;
+  channel: string;
+  masked: string;
+  expiresAt: string;
+}
+
+export interface OwnerEdit {
+  id: number;
+  venueId: string;
+  venueName: string | null;
+  userId: number;
+  authorName: string | null;
+  changes: { field: string; before: unknown; after: unknown }[];
+  note: string | null;
+  status: "pending" | "approved" | "rejected" | "withdrawn";
+  statusLabel: string;
+  summary: string;
+  reviewerId: number | null;
+  reviewComment: string | null;
+  reviewedAt: string | null;
+  createdAt: string;
+}
+
+// 確認コードの送信手段（既定は送らずにコンソールへ出すローカルの代用）
+let verificationSender: VerificationSenderLike = new LocalVerificationSender();
+
+export function setVerificationSender(sender: VerificationSenderLike): void {
+  verificationSender = sender;
+}
+
+// 確認コードのハッシュ（申請ごとに異なる値にするため店舗・ユーザー・作成時刻を混ぜる）
+async function hashVerificationCode(code: string, salt: string): Promise<string> {
+  const data = new TextEncoder().encode(`${salt}:${code}`);
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function requireUser(userId: number) {
+  const user = getUserById(userId);
+  if (!user) {
+    throw new VenueClaimError("ユーザーが見つかりません", 404);
+  }
+  return user;
+}
+
+function requireAdmin(userId: number) {
+  const user = requireUser(userId);
+  if (user.role !== "admin") {
+    throw new VenueClaimError("管理者のみ操作できます", 403);
+  }
+  return user;
+}
+
+function toAuthor(user: { id: number; name: string; role: string }) {
+  return { id: user.id, name: user.name, role: user.role };
+}
+
+function rowToEdit(row: any): OwnerEdit {
+  const venue = getVenue(row.venue_id);
+  const edit = {
+    id: row.id,
+    venueId: String(row.venue_id),
+    venueName: venue ? venue.name : null,
+    userId: row.user_id,
+    authorName: row.author_name ?? null,
+    changes: JSON.parse(row.changes),
+    note: row.note,
+    status: row.status,
+    reviewerId: row.reviewer_id,
+    reviewComment: row.review_comment,
+    reviewedAt: row.reviewed_at,
+    createdAt: row.created_at,
+  };
+  return {
+    ...edit,
+    statusLabel: EDIT_STATUS_LABELS[edit.status as keyof typeof EDIT_STATUS_LABELS] || edit.status,
+    summary: summarizeOwnerEdit(edit),
+  };
+}
+
+function getEditRow(editId: number): any {
+  return getDatabase().prepare(`
+    SELECT r.*, u.name as author_name
+    FROM venue_edit_requests r
+    LEFT JOIN users u ON u.id = r.user_id
+    WHERE r.id = ?
+  `).get(editId);
+}
+
+// オーナー申請。店舗に登録された電話番号（channel: 'phone'）かメールアドレス（'email'）に確認コードを送る
+export async function requestVenueClaim(
+  venueId: number | string,
+  userId: number,
+  channel: "phone" | "email",
+): Promise<ClaimRequestResult> {
+  const db = getDatabase();
+  requireUser(userId);
+  const venue = getVenue(venueId);
+  const { destination, masked } = resolveClaimChannel(venue, userId, channel);
+
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + CLAIM_CODE_TTL).toISOString();
+  const code = generateVerificationCode();
+  const codeHash = await hashVerificationCode(code, `${venue!.id}:${userId}:${createdAt.toISOString()}`);
+
+  await verificationSender.send({ channel, to: destination, message: formatVerificationMessage(venue, code) });
+
+  // 同じ店舗への以前の申請は無効にする
+  db.prepare(`
+    UPDATE venue_claims SET status = 'expired'
+    WHERE venue_id = ? AND user_id = ? AND status = 'pending'
+  `).run(Number(venue!.id), userId);
+
+  const result = db.prepare(`
+    INSERT INTO venue_claims (venue_id, user_id, channel, destination, code_hash, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    Number(venue!.id),
+    userId,
+    channel,
+    destination,
+    codeHash,
+    expiresAt,
+    createdAt.toISOString(),
+  ) as unknown as { lastInsertRowId: number };
+
+  console.log(`Venue claim requested: venue ${venue!.id} by user ${userId} (${channel})`);
+  return { claimId: result.lastInsertRowId, channel, masked, expiresAt };
+}
+
+// 確認コードの照合。合えば申請者を店舗のオーナーにして、ロールを venue_owner にする
+export async function verifyVenueClaim(claimId: number, userId: number, code: string) {
+  const db = getDatabase();
+  const user = requireUser(userId);
+  const row = db.prepare("SELECT * FROM venue_claims WHERE id = ? AND user_id = ?").get(claimId, userId) as any;
+  const claim = row
+    ? { status: row.status, attempts: row.attempts, expiresAt: row.expires_at, channel: row.channel }
+    : null;
+  assertClaimVerifiable(claim, Date.now());
+
+  const codeHash = await hashVerificationCode(String(code).trim(), `${row.venue_id}:${userId}:${row.created_at}`);
+  if (codeHash !== row.code_hash) {
+    const attempts = row.attempts + 1;
+    db.prepare("UPDATE venue_claims SET attempts = ?, status = ? WHERE id = ?")
+      .run(attempts, getFailedClaimStatus(attempts), claimId);
+
+    const remaining = MAX_CLAIM_ATTEMPTS - attempts;
+    throw new VenueClaimError(
+      remaining > 0
+        ? `確認コードが違います（あと ${remaining} 回）`
+        : "確認コードの入力回数が上限に達しました。もう一度申請してください",
+    );
+  }
+
+  // 申請中に他の人がオーナーになっていないか確かめてから設定する
+  const current = getVenue(row.venue_id);
+  resolveClaimChannel(current, userId, row.channel);
+
+  const [venue] = await venueRepository.upsert({ ...current, ownerId: String(userId) }, { author: toAuthor(user) });
+
+  db.prepare("UPDATE venue_claims SET status = 'verified', verified_at = CURRENT_TIMESTAMP WHERE id = ?").run(claimId);
+  if (user.role === "user") {
+    db.prepare("UPDATE users SET role = 'venue_owner', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(userId);
+  }
+
+  console.log(`Venue claimed: venue ${venue.id} by user ${userId}`);
+  return venue;
+}
+
+// オーナーの編集を審査待ちにする（営業時間・写真・説明・設備だけ）
+export function submitOwnerEdit(
+  venueId: number | string,
+  userId: number,
+  updates: Record<string, unknown>,
+  note = "",
+): OwnerEdit {
+  const db = getDatabase();
+  const user = requireUser(userId);
+  const venue = getVenue(venueId);
+  if (!venue) {
+    throw new VenueClaimError("店舗が見つかりません", 404);
+  }
+  if (!canEditVenue(venue, toAuthor(user))) {
+    throw new VenueClaimError("この店舗のオーナーではないため編集できません", 403);
+  }
+
+  const changes = buildOwnerEdit(venue, updates);
+  const result = db.prepare(`
+    INSERT INTO venue_edit_requests (venue_id, user_id, changes, note)
+    VALUES (?, ?, ?, ?)
+  `).run(Number(venue.id), userId, JSON.stringify(changes), note.trim() || null) as unknown as {
+    lastInsertRowId: number;
+  };
+
+  return rowToEdit(getEditRow(result.lastInsertRowId));
+}
+
+// 審査待ちの自分の編集を取り下げる
+export function withdrawOwnerEdit(editId: number, userId: number): boolean {
+  const changes = getDatabase().prepare(`
+    UPDATE venue_edit_requests SET status = 'withdrawn'
+    WHERE id = ? AND user_id = ? AND status = 'pending'
+  `).run(editId, userId) as unknown as number;
+  return changes > 0;
+}
+
+// ユーザーの編集（新しい順）
+export function getOwnerEdits(userId: number, limit = 50): OwnerEdit[] {
+  const rows = getDatabase().prepare(`
+    SELECT r.*, u.name as author_name
+    FROM venue_edit_requests r
+    LEFT JOIN users u ON u.id = r.user_id
+    WHERE r.user_id = ?
+    ORDER BY r.created_at DESC, r.id DESC
+    LIMIT ?
+  `).all(userId, limit);
+  return rows.map(rowToEdit);
+}
+
+// 審査待ちの編集（古い順）。conflicts は申請後に他の変更で値が変わった項目
+export function getPendingOwnerEdits(): (OwnerEdit & { conflicts: string[] })[] {
+  const rows = getDatabase().prepare(`
+    SELECT r.*, u.name as author_name
+    FROM venue_edit_requests r
+    LEFT JOIN users u ON u.id = r.user_id
+    WHERE r.status = 'pending'
+    ORDER BY r.created_at ASC, r.id ASC
+  `).all();
+
+  return rows.map((row) => {
+    const edit = rowToEdit(row);
+    const venue = getVenue(edit.venueId);
+    return { ...edit, conflicts: venue ? findEditConflicts(venue, edit.changes) : [] };
+  });
+}
+
+function requirePendingEdit(editId: number) {
+  const row = getEditRow(editId);
+  if (!row || row.status !== "pending") {
+    throw new VenueClaimError("審査待ちの編集が見つかりません", 404);
+  }
+  return row;
+}
+
+// 承認して店舗に反映する。編集履歴の変更者は編集したオーナー
+export async function approveOwnerEdit(editId: number, reviewerId: number, comment = "") {
+  requireAdmin(reviewerId);
+  const row = requirePendingEdit(editId);
+  const current = getVenue(row.venue_id);
+  if (!current) {
+    throw new VenueClaimError("店舗が見つかりません", 404);
+  }
+
+  const owner = getUserById(row.user_id);
+  const [venue] = await venueRepository.upsert(applyOwnerEdit(current, JSON.parse(row.changes)), {
+    author: owner ? toAuthor(owner) : { id: row.user_id, name: null, role: "venue_owner" },
+  });
+
+  getDatabase().prepare(`
+    UPDATE venue_edit_requests
+    SET status = 'approved', reviewer_id = ?, review_comment = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reviewerId, comment.trim() || null, editId);
+
+  console.log(`Owner edit approved: ${editId} (venue ${venue.id})`);
+  return venue;
+}
+
+export function rejectOwnerEdit(editId: number, reviewerId: number, comment: string): void {
+  requireAdmin(reviewerId);
+  requirePendingEdit(editId);
+  if (!comment || !comment.trim()) {
+    throw new VenueClaimError("却下の理由を入力してください");
+  }
+
+  getDatabase().prepare(`
+    UPDATE venue_edit_requests
+    SET status = 'rejected', reviewer_id = ?, review_comment = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reviewerId, comment.trim(), editId);
+
+  console.log(`Owner edit rejected: ${editId}`);
+}
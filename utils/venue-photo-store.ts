@@ -0,0 +1,231 @@
+import { Image } from "https://deno.land/x/imagescript@1.2.17/mod.ts";
+import { join } from "https://deno.land/std@0.216.0/path/mod.ts";
+import { getDatabase, getVenue } from "./database.ts";
+import { getConfig } from "./env.ts";
+import type { User } from "./auth.ts";
+import { venueRepository } from "./sqlite-venue-repository.ts";
+import { canEditVenue } from "./venue-claims.js";
+import {
+  assertCanAddPhoto,
+  movePhoto,
+  normalizeCaption,
+  removePhoto,
+  reorderPhotos,
+  setCoverPhoto,
+  setPhotoCaption,
+  THUMBNAIL_SIZE,
+  validatePhotoUpload,
+} from "./venue-photos.js";
+
+// 店舗の写真（images テーブルと AppConfig.uploadPath 以下のファイル）
+// 並び順・カバー写真・説明の変更と削除は店舗の images の更新として保存するため、変更フィードと編集履歴に残る
+// 写真の追加はログインしていれば誰でもでき、並べ替え・カバー写真・説明の変更はその店舗のオーナーと管理者、
+// 削除はそれに加えて写真を投稿した本人ができる
+//
+// ファイルの置き場所: {uploadPath}/venue/{filename}、サムネイルは {uploadPath}/venue/thumbnails/{filename}.jpg
+// 公開 URL は /uploads/venue/...（routes/uploads/[...path].ts が返す）
+
+type Venue = NonNullable<ReturnType<typeof getVenue>>;
+
+const UPLOAD_URL_PREFIX = "/uploads";
+const PHOTO_DIRECTORY = "venue";
+const THUMBNAIL_DIRECTORY = "thumbnails";
+const THUMBNAIL_QUALITY = 80;
+
+// 入力・権限による失敗。API はこの status で返し、それ以外の例外はサーバーのエラー（500）として扱う
+export class VenuePhotoError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "VenuePhotoError";
+    this.status = status;
+  }
+}
+
+// utils/venue-photos.js の検証（形式・サイズ・枚数・並び順・説明など）の失敗を VenuePhotoError にする
+function validated<T>(validate: () => T): T {
+  try {
+    return validate();
+  } catch (error) {
+    throw new VenuePhotoError(error instanceof Error ? error.message : String(error));
+  }
+}
+
+function requireVenue(venueId: number | string): Venue {
+  const venue = getVenue(venueId);
+  if (!venue) {
+    throw new VenuePhotoError("店舗が見つかりません", 404);
+  }
+  return venue;
+}
+
+function requireManager(venue: Venue, user: User): void {
+  if (!canEditVenue(venue, { id: user.id, role: user.role })) {
+    throw new VenuePhotoError("写真を管理できるのはこの店舗のオーナーと管理者だけです", 403);
+  }
+}
+
+function toAuthor(user: User) {
+  return { id: user.id, name: user.name, role: user.role };
+}
+
+// 公開 URL → アップロード先のファイルのパス（アップロード先の外を指す URL は null）
+// 不正なパーセントエンコード（"%E0%A4%A" など）も null
+export function resolveUploadPath(urlPath: string): string | null {
+  let decoded: string;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+
+  const relative = decoded.replace(new RegExp(`^${UPLOAD_URL_PREFIX}/`), "");
+  if (relative.split("/").some((part) => part === "" || part === "." || part === "..")) {
+    return null;
+  }
+  return join(getConfig().uploadPath, relative);
+}
+
+// 長辺 THUMBNAIL_SIZE の JPEG。読み込めない形式（GIF・WebP など）は null（元の写真をそのまま使う）
+async function createThumbnail(bytes: Uint8Array): Promise<Uint8Array | null> {
+  try {
+    const image = await Image.decode(bytes);
+    if (image.width > THUMBNAIL_SIZE || image.height > THUMBNAIL_SIZE) {
+      if (image.width >= image.height) {
+        image.resize(THUMBNAIL_SIZE, Image.RESIZE_AUTO);
+      } else {
+        image.resize(Image.RESIZE_AUTO, THUMBNAIL_SIZE);
+      }
+    }
+    return await image.encodeJPEG(THUMBNAIL_QUALITY);
+  } catch (error) {
+    console.warn("Failed to create thumbnail:", error.message);
+    return null;
+  }
+}
+
+async function removeFiles(urls: (string | null)[]): Promise<void> {
+  for (const url of urls) {
+    if (!url || !url.startsWith(`${UPLOAD_URL_PREFIX}/`)) continue;
+    const path = resolveUploadPath(url);
+    if (!path) continue;
+    try {
+      await Deno.remove(path);
+    } catch (error) {
+      if (!(error instanceof Deno.errors.NotFound)) {
+        console.warn("Failed to remove photo file:", error.message);
+      }
+    }
+  }
+}
+
+async function saveImages(venue: Venue, images: Venue["images"], user: User): Promise<Venue> {
+  const [saved] = await venueRepository.upsert({ ...venue, images }, { author: toAuthor(user) });
+  return saved;
+}
+
+// 写真を追加する（末尾に入る）。サイズと形式は AppConfig の maxFileSize / allowedExtensions で確かめる
+export async function uploadVenuePhoto(
+  venueId: number | string,
+  user: User,
+  file: File,
+  caption: unknown = null,
+): Promise<{ venue: Venue; photo: Venue["images"][number] }> {
+  const venue = requireVenue(venueId);
+  validated(() => assertCanAddPhoto(venue.images));
+
+  const config = getConfig();
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const { extension, mimeType } = validated(() =>
+    validatePhotoUpload(
+      { name: file.name, type: file.type, size: file.size, bytes },
+      { allowedExtensions: config.allowedExtensions, maxFileSize: config.maxFileSize },
+    )
+  );
+  const description = validated(() => normalizeCaption(caption));
+
+  const filename = `${venue.id}_${Date.now()}_${Math.random().toString(36).substr(2, 8)}.${extension}`;
+  const directory = join(config.uploadPath, PHOTO_DIRECTORY);
+  const filePath = join(directory, filename);
+  const url = `${UPLOAD_URL_PREFIX}/${PHOTO_DIRECTORY}/${filename}`;
+
+  await Deno.mkdir(join(directory, THUMBNAIL_DIRECTORY), { recursive: true });
+  await Deno.writeFile(filePath, bytes);
+
+  let thumbnailUrl = url;
+  const thumbnail = await createThumbnail(bytes);
+  if (thumbnail) {
+    const thumbnailName = `${filename.replace(/\.[^.]+$/, "")}.jpg`;
+    await Deno.writeFile(join(directory, THUMBNAIL_DIRECTORY, thumbnailName), thumbnail);
+    thumbnailUrl = `${UPLOAD_URL_PREFIX}/${PHOTO_DIRECTORY}/${THUMBNAIL_DIRECTORY}/${thumbnailName}`;
+  }
+
+  // まだ店舗に付いていない行として入れ、店舗の images に加えて保存したときに付く
+  let imageId: number;
+  try {
+    const result = getDatabase().prepare(`
+      INSERT INTO images (filename, original_name, file_path, file_size, mime_type, category, user_id, description, url, thumbnail_url)
+      VALUES (?, ?, ?, ?, ?, 'venue', ?, ?, ?, ?)
+    `).run(filename, file.name, filePath, file.size, mimeType, user.id, description, url, thumbnailUrl) as unknown as {
+      lastInsertRowId: number;
+    };
+    imageId = result.lastInsertRowId;
+
+    const saved = await saveImages(
+      venue,
+      [...venue.images, { id: String(imageId), url, thumbnailUrl, caption: description }],
+      user,
+    );
+    console.log(`Venue photo uploaded: ${filename} (venue ${venue.id})`);
+    return { venue: saved, photo: saved.images.find((image) => image.id === String(imageId))! };
+  } catch (error) {
+    await removeFiles([url, thumbnailUrl === url ? null : thumbnailUrl]);
+    throw error;
+  }
+}
+
+// 写真の並べ替え。orderedIds はすべての写真の ID（先頭がカバー写真）
+export async function reorderVenuePhotos(venueId: number | string, user: User, orderedIds: (string | number)[]) {
+  const venue = requireVenue(venueId);
+  requireManager(venue, user);
+  return await saveImages(venue, validated(() => reorderPhotos(venue.images, orderedIds)), user);
+}
+
+// 1枚を toIndex の位置へ動かす
+export async function moveVenuePhoto(venueId: number | string, user: User, photoId: string, toIndex: number) {
+  const venue = requireVenue(venueId);
+  requireManager(venue, user);
+  return await saveImages(venue, validated(() => movePhoto(venue.images, photoId, toIndex)), user);
+}
+
+export async function setVenueCoverPhoto(venueId: number | string, user: User, photoId: string) {
+  const venue = requireVenue(venueId);
+  requireManager(venue, user);
+  return await saveImages(venue, validated(() => setCoverPhoto(venue.images, photoId)), user);
+}
+
+export async function updateVenuePhotoCaption(venueId: number | string, user: User, photoId: string, caption: unknown) {
+  const venue = requireVenue(venueId);
+  requireManager(venue, user);
+  return await saveImages(venue, validated(() => setPhotoCaption(venue.images, photoId, caption)), user);
+}
+
+// 写真の削除（アップロードしたファイルとサムネイルも消す）
+export async function deleteVenuePhoto(venueId: number | string, user: User, photoId: string) {
+  const venue = requireVenue(venueId);
+  const row = getDatabase().prepare("SELECT user_id FROM images WHERE id = ? AND venue_id = ?")
+    .get(Number(photoId), Number(venue.id)) as { user_id: number | null } | undefined;
+  if (!(row && row.user_id === user.id)) {
+    requireManager(venue, user);
+  }
+
+  const photo = venue.images.find((image) => image.id === String(photoId));
+  const saved = await saveImages(venue, validated(() => removePhoto(venue.images, photoId)), user);
+  if (photo) {
+    await removeFiles([photo.url, photo.thumbnailUrl === photo.url ? null : photo.thumbnailUrl]);
+  }
+
+  console.log(`Venue photo deleted: ${photoId} (venue ${venue.id})`);
+  return saved;
+}
@@ -0,0 +1,149 @@
+// 店舗の写真（アップロードの検証・並び順・カバー写真）
+// アプリ（services/VenuePhotoService.js）とサーバー（utils/venue-photo-store.ts）で共通。Deno からも読むため他のモジュールには依存しない
+//
+// 写真は店舗の images（[{ id, url, thumbnailUrl, caption }]）に並び順どおりに入り、先頭がカバー写真
+// サーバーでは images テーブル（category = 'venue'）に sort_order 付きで保存する
+
+// utils/env.ts の既定値（ALLOWED_EXTENSIONS / MAX_FILE_SIZE）と同じ。アプリ内で保存するときに使う
+export const DEFAULT_PHOTO_LIMITS = {
+  allowedExtensions: ['jpg', 'jpeg', 'png', 'gif', 'webp'],
+  maxFileSize: 10 * 1024 * 1024,
+};
+
+export const PHOTO_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// サムネイルの長辺（px）
+export const THUMBNAIL_SIZE = 320;
+
+export const MAX_VENUE_PHOTOS = 30;
+export const MAX_CAPTION_LENGTH = 100;
+
+export function getFileExtension(filename) {
+  const match = String(filename || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : null;
+}
+
+// ファイルの先頭のバイト列から画像の形式を判定する（'jpeg' | 'png' | 'gif' | 'webp' | null）
+export function detectImageType(bytes) {
+  if (!bytes || bytes.length < 12) return null;
+
+  const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// "10MB" / "512KB"
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB`;
+  return `${Math.ceil(bytes / 1024)}KB`;
+}
+
+// アップロードする写真の検証。戻り値は { extension, mimeType }（不正なら例外）
+// file: { name, type, size, bytes }（bytes があれば中身の形式も確かめる）
+// limits: { allowedExtensions, maxFileSize }（サーバーでは AppConfig の値）
+export function validatePhotoUpload(file, limits = DEFAULT_PHOTO_LIMITS) {
+  if (!file || !file.name) {
+    throw new Error('画像ファイルが選択されていません');
+  }
+
+  const allowed = limits.allowedExtensions
+    .map(extension => extension.toLowerCase())
+    .filter(extension => PHOTO_MIME_TYPES[extension]);
+  const extension = getFileExtension(file.name);
+  if (!extension || !allowed.includes(extension)) {
+    throw new Error(`対応していないファイル形式です（${allowed.join(' / ')} のみ）`);
+  }
+
+  const mimeType = PHOTO_MIME_TYPES[extension];
+  if (file.type && file.type !== mimeType && !(file.type === 'image/jpg' && mimeType === 'image/jpeg')) {
+    throw new Error('ファイルの種類と拡張子が一致しません');
+  }
+
+  if (!file.size) {
+    throw new Error('ファイルが空です');
+  }
+  if (file.size > limits.maxFileSize) {
+    throw new Error(`ファイルサイズが大きすぎます（${formatFileSize(limits.maxFileSize)}まで）`);
+  }
+
+  if (file.bytes) {
+    const detected = detectImageType(file.bytes);
+    if (!detected || PHOTO_MIME_TYPES[detected] !== mimeType) {
+      throw new Error('画像ファイルとして読み込めません');
+    }
+  }
+
+  return { extension, mimeType };
+}
+
+// 写真の説明（空なら null）
+export function normalizeCaption(caption) {
+  if (caption === undefined || caption === null) return null;
+  const text = String(caption).trim();
+  if (text.length > MAX_CAPTION_LENGTH) {
+    throw new Error(`写真の説明は${MAX_CAPTION_LENGTH}文字以内で入力してください`);
+  }
+  return text || null;
+}
+
+function requirePhotoIndex(images, photoId) {
+  const index = images.findIndex(image => image.id === String(photoId));
+  if (index === -1) {
+    throw new Error('写真が見つかりません');
+  }
+  return index;
+}
+
+export function getCoverPhoto(venue) {
+  return venue?.images?.[0] || null;
+}
+
+// 写真を toIndex の位置へ動かした images
+export function movePhoto(images, photoId, toIndex) {
+  const from = requirePhotoIndex(images, photoId);
+  const to = Math.min(Math.max(toIndex, 0), images.length - 1);
+  const next = [...images];
+  const [photo] = next.splice(from, 1);
+  next.splice(to, 0, photo);
+  return next;
+}
+
+// カバー写真にする（先頭へ動かす）
+export function setCoverPhoto(images, photoId) {
+  return movePhoto(images, photoId, 0);
+}
+
+// 写真の ID を新しい順番に並べた images。すべての写真をちょうど1回ずつ指定する
+export function reorderPhotos(images, orderedIds) {
+  const ids = orderedIds.map(String);
+  if (ids.length !== images.length || new Set(ids).size !== ids.length) {
+    throw new Error('並び順にはすべての写真を1回ずつ指定してください');
+  }
+  return ids.map(id => images[requirePhotoIndex(images, id)]);
+}
+
+export function setPhotoCaption(images, photoId, caption) {
+  const index = requirePhotoIndex(images, photoId);
+  return images.map((image, i) => (i === index ? { ...image, caption: normalizeCaption(caption) } : image));
+}
+
+export function removePhoto(images, photoId) {
+  const index = requirePhotoIndex(images, photoId);
+  return images.filter((_, i) => i !== index);
+}
+
+// 写真を追加できるか（できなければ例外）
+export function assertCanAddPhoto(images) {
+  if (images.length >= MAX_VENUE_PHOTOS) {
+    throw new Error(`1店舗に登録できる写真は${MAX_VENUE_PHOTOS}枚までです`);
+  }
+}
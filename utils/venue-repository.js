@@ -0,0 +1,196 @@
+import { toCanonicalVenue } from './venue-schema.js';
+import { getVersionSnapshot } from './venue-history.js';
+import { mergeVenueRecords } from './venue-dedup.js';
+
+// 店舗データの読み書きの共通インターフェース
+// 実装は AsyncStorage（端末内）・HTTP（API）・SQLite（Deno サーバー, utils/sqlite-venue-repository.ts）の3つ
+// Deno からも読むため、拡張子付きで utils/venue-schema.js だけを参照する
+//
+//   initialize()
+//   get(id)                        正規形の店舗 | null
+//   list()                         全店舗
+//   queryByBounds(bounds, options) 範囲内の店舗（options.category / options.limit）
+//   upsert(venueOrVenues, options)  検証して保存した店舗の配列（updatedAt を更新）
+//   remove(id, options)            削除したか
+//   getChanges(since)              { changes, cursor, reset } since 以降の変更。reset が true なら全件を読み直す
+//   subscribe(listener)            変更のたびに listener(change) を呼ぶ。戻り値は購読解除の関数
+//   getHistory(id)                 店舗の編集履歴（version の昇順, utils/venue-history.js）
+//   getVersion(id, version)        その版の店舗 | null（削除されていた）
+//   revert(id, version, options)   その版の内容に戻す（新しい版として記録する）
+//   merge(survivorId, duplicateId, options)  2店舗を統合して survivorId を残す → { venue, moved }
+//
+// options.author: 変更者 { id, name, role }。編集履歴に残す（省略時はシステムの変更）
+//
+// 変更（change）: { sequence, type: 'upsert' | 'remove' | 'reset', venueId, venue, changedAt }
+//   reset は変更を追いきれなくなった合図で、受け取った側は list() で全件を読み直す
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// bounds: { north, south, east, west } または地図の region（{ latitude, longitude, latitudeDelta, longitudeDelta }）
+export function normalizeBounds(bounds) {
+  if (!bounds) return null;
+
+  const resolved = bounds.latitudeDelta !== undefined
+    ? {
+      north: bounds.latitude + bounds.latitudeDelta / 2,
+      south: bounds.latitude - bounds.latitudeDelta / 2,
+      east: bounds.longitude + bounds.longitudeDelta / 2,
+      west: bounds.longitude - bounds.longitudeDelta / 2,
+    }
+    : bounds;
+
+  const { north, south, east, west } = resolved;
+  if (![north, south, east, west].every(Number.isFinite) || north < south || east < west) {
+    throw new Error('範囲は { north, south, east, west }（north >= south, east >= west）で指定してください');
+  }
+
+  return { north, south, east, west };
+}
+
+// 地点から半径 radius メートルを含む範囲
+export function getBoundsAround(lat, lng, radius) {
+  const latDelta = radius / METERS_PER_DEGREE_LAT;
+  const lngDelta = radius / (METERS_PER_DEGREE_LAT * Math.cos((lat * Math.PI) / 180));
+
+  return {
+    north: lat + latDelta,
+    south: lat - latDelta,
+    east: lng + lngDelta,
+    west: lng - lngDelta,
+  };
+}
+
+export function isWithinBounds(venue, bounds) {
+  if (!venue.coordinates) return false;
+
+  const { lat, lng } = venue.coordinates;
+  return lat <= bounds.north && lat >= bounds.south && lng <= bounds.east && lng >= bounds.west;
+}
+
+class VenueRepository {
+  constructor() {
+    this.listeners = [];
+  }
+
+  async initialize() {}
+
+  /** @returns {Promise<any>} */
+  async get(id) {
+    throw new Error(`${this.constructor.name} は get を実装していません`);
+  }
+
+  /** @returns {Promise<any[]>} */
+  async list() {
+    throw new Error(`${this.constructor.name} は list を実装していません`);
+  }
+
+  /** @returns {Promise<any[]>} */
+  async queryByBounds(bounds, options = {}) {
+    throw new Error(`${this.constructor.name} は queryByBounds を実装していません`);
+  }
+
+  /** @returns {Promise<any[]>} */
+  async upsert(venueOrVenues, options = {}) {
+    throw new Error(`${this.constructor.name} は upsert を実装していません`);
+  }
+
+  /** @returns {Promise<boolean>} */
+  async remove(id, options = {}) {
+    throw new Error(`${this.constructor.name} は remove を実装していません`);
+  }
+
+  /** @returns {Promise<{ changes: any[], cursor: number, reset: boolean }>} */
+  async getChanges(since = 0) {
+    throw new Error(`${this.constructor.name} は getChanges を実装していません`);
+  }
+
+  /** @returns {Promise<any[]>} */
+  async getHistory(id) {
+    throw new Error(`${this.constructor.name} は getHistory を実装していません`);
+  }
+
+  async getVersion(id, version) {
+    return getVersionSnapshot(await this.getHistory(id), version);
+  }
+
+  // 版の内容で上書きする（削除されていた版なら削除する）。戻り値は戻した後の店舗 | null
+  async revert(id, version, options = {}) {
+    const snapshot = await this.getVersion(id, version);
+    const revertOptions = { ...options, revertedTo: Number(version) };
+
+    if (!snapshot) {
+      await this.remove(id, revertOptions);
+      return null;
+    }
+
+    const existing = await this.get(id);
+    const [venue] = await this.upsert(
+      { ...snapshot, id: String(id), createdAt: existing?.createdAt || snapshot.createdAt },
+      revertOptions
+    );
+    return venue;
+  }
+
+  // 統合後の店舗を保存して重複側を削除する。お気に入り・レビューなどの付け替えを持つ実装（SQLite）は上書きする
+  // 戻り値の moved は付け替えた件数（{ favorites, reviews, checkins, images }）
+  async merge(survivorId, duplicateId, options = {}) {
+    const survivor = await this.get(survivorId);
+    const duplicate = await this.get(duplicateId);
+    if (!survivor || !duplicate || survivor.id === duplicate.id) {
+      throw new Error('統合する2つの店舗が見つかりません');
+    }
+
+    const [venue] = await this.upsert(mergeVenueRecords(survivor, duplicate), options);
+    await this.remove(duplicate.id, options);
+    return { venue, moved: {} };
+  }
+
+  // 新しい店舗のID
+  generateId() {
+    return `venue_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // 保存前の共通処理: 正規化・検証して ID と更新日時を付ける（不正な店舗が1件でもあれば例外）
+  prepareVenues(venueOrVenues) {
+    const now = new Date().toISOString();
+    const input = Array.isArray(venueOrVenues) ? venueOrVenues : [venueOrVenues];
+
+    return input.map(venue => toCanonicalVenue({
+      ...venue,
+      id: venue.id || this.generateId(),
+      createdAt: venue.createdAt || now,
+      updatedAt: now,
+    }));
+  }
+
+  // 範囲・カテゴリ・件数での絞り込み（メモリ上で持つ実装向け）
+  filterByBounds(venues, bounds, options = {}) {
+    const { category = null, limit = null } = options;
+    const resolved = normalizeBounds(bounds);
+
+    const matched = venues
+      .filter(venue => isWithinBounds(venue, resolved))
+      .filter(venue => !category || venue.category === category);
+
+    return limit ? matched.slice(0, limit) : matched;
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(other => other !== listener);
+    };
+  }
+
+  emitChange(change) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('Error in venue change listener:', error);
+      }
+    });
+  }
+}
+
+export default VenueRepository;
@@ -0,0 +1,495 @@
+// 店舗データの共通モデル（正規形）と検証・変換
+// アプリ内のサービス・画面と Deno のサーバー（utils/database.ts）の両方から読むため、他のモジュールには依存しない
+//
+// 正規形の店舗:
+//   id:             文字列（DB の整数 ID も文字列にそろえる）
+//   name:           店名（必須）
+//   nameKana:       読み（任意）
+//   category:       VENUE_CATEGORIES の id
+//   address:        住所（必須）
+//   coordinates:    { lat, lng } | null
+//   phone, email, website, description: 文字列 | null
+//   rating:         0〜5
+//   reviewCount:    0 以上の整数
+//   priceRange:     PRICE_RANGES の id | null
+//   images:         [{ id, url, thumbnailUrl, caption }]（先頭がカバー写真, utils/venue-photos.js）
+//   tags, amenities: 文字列の配列
+//   openingHours:   utils/opening-hours.js の形式 | null
+//   isOpen:         手動の営業中フラグ。openingHours が不明なときだけ使う | null
+//   ageRestriction: '20_plus' のような「年齢_plus」 | null
+//   dressCode:      文字列 | null
+//   capacity:       人数 | null
+//   menu:           { sections: [{ id, name, kind, items: [{ id, name, price, size, happyHourPrice }] }],
+//                     happyHour: { from, to, days } | null, charge } | null（価格は円, utils/venue-menu.js）
+//   ownerId:        オーナーのユーザーID | null
+//   createdAt, updatedAt: ISO 8601 の文字列 | null
+//
+// 検索時に付く計算値（distance など TRANSIENT_FIELDS）は正規化しても残す。それ以外の項目は捨てる
+
+export const VENUE_CATEGORIES = [
+  { id: 'bar', name: 'バー', icon: '🍸' },
+  { id: 'club', name: 'クラブ', icon: '🎵' },
+  { id: 'lounge', name: 'ラウンジ', icon: '🛋️' },
+  { id: 'restaurant', name: 'レストラン', icon: '🍽️' },
+  { id: 'karaoke', name: 'カラオケ', icon: '🎤' },
+  { id: 'pub', name: 'パブ', icon: '🍺' },
+];
+
+// 1人あたりの予算（円）
+export const PRICE_RANGES = [
+  { id: 'budget', name: '¥', symbol: '¥', min: 0, max: 2000 },
+  { id: 'moderate', name: '¥¥', symbol: '¥¥', min: 2001, max: 4000 },
+  { id: 'expensive', name: '¥¥¥', symbol: '¥¥¥', min: 4001, max: 8000 },
+  { id: 'luxury', name: '¥¥¥¥', symbol: '¥¥¥¥', min: 8001, max: 20000 },
+];
+
+// メニューの区分（1人あたりの予算の目安はドリンクとフードの価格から出す）
+export const MENU_SECTION_KINDS = [
+  { id: 'drink', name: 'ドリンク' },
+  { id: 'bottle', name: 'ボトル' },
+  { id: 'food', name: 'フード' },
+  { id: 'other', name: 'その他' },
+];
+
+export const VENUE_CATEGORY_IDS = VENUE_CATEGORIES.map(category => category.id);
+export const PRICE_RANGE_IDS = PRICE_RANGES.map(priceRange => priceRange.id);
+export const MENU_SECTION_KIND_IDS = MENU_SECTION_KINDS.map(kind => kind.id);
+
+// 店舗そのものではなく、検索や表示のたびに計算される値
+export const TRANSIENT_FIELDS = ['distance', 'walkMinutes', 'distanceFromVenue', 'ranking', 'similarity'];
+
+const OPENING_HOURS_KEYS = [
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'holiday', 'holidayEve',
+  'overrides', 'exceptions',
+];
+const WEEK_DAYS = OPENING_HOURS_KEYS.slice(0, 7);
+
+const AGE_RESTRICTION_PATTERN = /^\d+_plus$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EXCEPTION_DATE_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+const HOURS_TEXT_PATTERN = /^(\d{1,2}:\d{2})\s*[-~〜]\s*(\d{1,2}:\d{2})$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+const firstDefined = (...values) => values.find(value => !isBlank(value));
+
+function toText(value) {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+function toNumber(value) {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toStringList(value) {
+  if (isBlank(value)) return [];
+  return Array.from(new Set(parseStringList(value).map(toText).filter(Boolean)));
+}
+
+// DB の列は JSON 配列の文字列、GROUP_CONCAT や CSV ではカンマ区切りの文字列で届く
+function parseStringList(value) {
+  if (Array.isArray(value)) return value;
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed;
+    } catch {
+      // JSON でなければカンマ区切りとして読む
+    }
+  }
+  return text.split(',');
+}
+
+function toTimestamp(value) {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) return value.toISOString();
+
+  // SQLite の CURRENT_TIMESTAMP は "YYYY-MM-DD HH:MM:SS"（UTC）
+  const text = String(value);
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function getCategoryLabel(categoryId) {
+  return VENUE_CATEGORIES.find(category => category.id === categoryId)?.name || categoryId || '';
+}
+
+// 価格帯: id、記号（"¥¥"）、数値（1〜4、5 以上は最上位）を受け付ける
+export function normalizePriceRange(value) {
+  if (isBlank(value)) return null;
+  if (PRICE_RANGE_IDS.includes(value)) return value;
+
+  const text = String(value).trim();
+  const bySymbol = PRICE_RANGES.find(priceRange => priceRange.symbol === text.replace(/￥/g, '¥'));
+  if (bySymbol) return bySymbol.id;
+
+  const level = toNumber(text);
+  if (level === null || level < 1) return null;
+  return PRICE_RANGE_IDS[Math.min(Math.round(level), PRICE_RANGE_IDS.length) - 1];
+}
+
+export function normalizeCoordinates(raw) {
+  const source = raw.coordinates || raw.location || raw;
+  const lat = toNumber(firstDefined(source.lat, source.latitude));
+  const lng = toNumber(firstDefined(source.lng, source.lon, source.longitude));
+  return lat === null || lng === null ? null : { lat, lng };
+}
+
+// 営業時間: openingHours 形式のオブジェクト、その JSON、または毎日同じ "18:00-02:00" のような文字列
+export function normalizeOpeningHours(value) {
+  if (isBlank(value)) return null;
+
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (text.startsWith('{')) {
+      try {
+        return normalizeOpeningHours(JSON.parse(text));
+      } catch {
+        return null;
+      }
+    }
+
+    const match = text.match(HOURS_TEXT_PATTERN);
+    if (!match) return null;
+    return WEEK_DAYS.reduce((hours, day) => {
+      hours[day] = { open: match[1].padStart(5, '0'), close: match[2].padStart(5, '0') };
+      return hours;
+    }, {});
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const hours = OPENING_HOURS_KEYS.reduce((result, key) => {
+    if (value[key] !== undefined) result[key] = value[key];
+    return result;
+  }, {});
+  return Object.keys(hours).length > 0 ? hours : null;
+}
+
+// 画像: URL の文字列、または { id, url, caption } のオブジェクト
+function normalizeImages(value, venueId) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map((image, index) => {
+      const source = typeof image === 'string' ? { url: image } : image || {};
+      return { source, index, url: toText(firstDefined(source.url, source.uri, source.file_path)) };
+    })
+    .filter(({ url }) => url)
+    .map(({ source, index, url }) => ({
+      id: String(firstDefined(source.id, `${venueId}_image_${index + 1}`)),
+      url,
+      thumbnailUrl: toText(firstDefined(source.thumbnailUrl, source.thumbnail_url)),
+      caption: toText(firstDefined(source.caption, source.description)),
+    }));
+}
+
+// 円の金額: 数値か "¥1,200" "800円" のような文字列（"時価" などは null）
+function toYen(value) {
+  if (typeof value === 'string') return toNumber(value.replace(/[¥￥,、円\s]/g, ''));
+  return toNumber(value);
+}
+
+function normalizeMenuSectionKind(value) {
+  const text = toText(value);
+  if (!text) return 'drink';
+  return MENU_SECTION_KINDS.find(kind => kind.name === text)?.id || text.toLowerCase();
+}
+
+// ハッピーアワー: { from, to, days }（days は曜日キーの配列、null は毎日）か "17:00-19:00"
+function normalizeHappyHour(value) {
+  if (isBlank(value)) return null;
+
+  const source = typeof value === 'string' ? value.trim().match(HOURS_TEXT_PATTERN) : null;
+  const from = toText(source ? source[1] : value.from);
+  const to = toText(source ? source[2] : value.to);
+  if (!from || !to) return null;
+
+  const days = !source && Array.isArray(value.days) && value.days.length > 0
+    ? value.days.map(day => String(day).toLowerCase())
+    : null;
+  return { from: from.padStart(5, '0'), to: to.padStart(5, '0'), days };
+}
+
+// メニュー: { sections, happyHour, charge } のオブジェクト、その JSON、または区分の配列
+// 名前のない品目と品目のない区分は捨てる。区分の名前を省くと区分の種類の名前になる
+export function normalizeMenu(value) {
+  if (isBlank(value)) return null;
+
+  if (typeof value === 'string') {
+    try {
+      return normalizeMenu(JSON.parse(value));
+    } catch {
+      return null;
+    }
+  }
+  if (typeof value !== 'object') return null;
+
+  const source = Array.isArray(value) ? { sections: value } : value;
+  const sections = (Array.isArray(source.sections) ? source.sections : [])
+    .filter(section => section && typeof section === 'object')
+    .map((section, sectionIndex) => {
+      const id = String(firstDefined(section.id, `section_${sectionIndex + 1}`));
+      const kind = normalizeMenuSectionKind(section.kind);
+      const items = (Array.isArray(section.items) ? section.items : [])
+        .filter(item => item && toText(item.name))
+        .map((item, itemIndex) => ({
+          id: String(firstDefined(item.id, `${id}_${itemIndex + 1}`)),
+          name: toText(item.name),
+          price: toYen(item.price),
+          size: toText(item.size),
+          happyHourPrice: toYen(firstDefined(item.happyHourPrice, item.happy_hour_price)),
+        }));
+
+      return {
+        id,
+        name: toText(section.name) || MENU_SECTION_KINDS.find(option => option.id === kind)?.name || kind,
+        kind,
+        items,
+      };
+    })
+    .filter(section => section.items.length > 0);
+
+  const happyHour = normalizeHappyHour(firstDefined(source.happyHour, source.happy_hour));
+  const charge = toYen(firstDefined(source.charge, source.coverCharge, source.cover_charge));
+  if (sections.length === 0 && happyHour === null && charge === null) return null;
+
+  return { sections, happyHour, charge };
+}
+
+function toFlag(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'boolean') return value;
+  return value === 1 || value === '1' || value === 'true';
+}
+
+// どの旧形式（検索サービス・地図のモック・詳細画面のサンプル・DB の行）からでも正規形に変換する
+// 旧形式ごとの違い:
+//   地図:   latitude/longitude、価格帯が 1〜5 の数値
+//   詳細:   hours（営業時間）、categoryLabel、画像オブジェクト
+//   DB:     price_range / review_count / owner_id / created_at など snake_case、hours は文字列、is_open は 0/1、amenities は JSON 配列の文字列（古いデータはカンマ区切り）
+export function normalizeVenue(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('店舗データがありません');
+  }
+
+  const id = isBlank(raw.id) ? null : String(raw.id);
+
+  const venue = {
+    id,
+    name: toText(raw.name),
+    nameKana: toText(firstDefined(raw.nameKana, raw.name_kana)),
+    category: toText(raw.category)?.toLowerCase() || null,
+    address: toText(raw.address),
+    coordinates: normalizeCoordinates(raw),
+    phone: toText(raw.phone),
+    email: toText(raw.email)?.toLowerCase() || null,
+    website: toText(raw.website),
+    description: toText(raw.description),
+    rating: toNumber(raw.rating) ?? 0,
+    reviewCount: toNumber(firstDefined(raw.reviewCount, raw.review_count)) ?? 0,
+    priceRange: normalizePriceRange(firstDefined(raw.priceRange, raw.price_range)),
+    images: normalizeImages(raw.images, id),
+    tags: toStringList(raw.tags),
+    amenities: toStringList(raw.amenities),
+    openingHours: normalizeOpeningHours(firstDefined(raw.openingHours, raw.opening_hours, raw.hours)),
+    isOpen: toFlag(firstDefined(raw.isOpen, raw.is_open)),
+    ageRestriction: toText(firstDefined(raw.ageRestriction, raw.age_restriction)),
+    dressCode: toText(firstDefined(raw.dressCode, raw.dress_code)),
+    capacity: toNumber(raw.capacity),
+    menu: normalizeMenu(raw.menu),
+    ownerId: isBlank(firstDefined(raw.ownerId, raw.owner_id)) ? null : String(firstDefined(raw.ownerId, raw.owner_id)),
+    createdAt: toTimestamp(firstDefined(raw.createdAt, raw.created_at)),
+    updatedAt: toTimestamp(firstDefined(raw.updatedAt, raw.updated_at)),
+  };
+
+  TRANSIENT_FIELDS.forEach(field => {
+    if (raw[field] !== undefined) venue[field] = raw[field];
+  });
+
+  return venue;
+}
+
+// 正規形の検証。戻り値: { valid, errors: [{ field, message }] }
+export function validateVenue(venue) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!venue || typeof venue !== 'object') {
+    return { valid: false, errors: [{ field: null, message: '店舗データがありません' }] };
+  }
+
+  ['id', 'name', 'address'].forEach(field => {
+    if (typeof venue[field] !== 'string' || !venue[field].trim()) {
+      fail(field, `${field} は必須です`);
+    }
+  });
+
+  if (!VENUE_CATEGORY_IDS.includes(venue.category)) {
+    fail('category', `category は ${VENUE_CATEGORY_IDS.join(' / ')} のいずれかで指定してください`);
+  }
+
+  if (venue.coordinates !== null) {
+    const { lat, lng } = venue.coordinates || {};
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+      fail('coordinates', 'coordinates は { lat: -90〜90, lng: -180〜180 } で指定してください');
+    }
+  }
+
+  if (venue.email !== null && !EMAIL_PATTERN.test(venue.email)) {
+    fail('email', 'email はメールアドレスの形式で指定してください');
+  }
+
+  if (!Number.isFinite(venue.rating) || venue.rating < 0 || venue.rating > 5) {
+    fail('rating', 'rating は 0〜5 の数値で指定してください');
+  }
+  if (!Number.isInteger(venue.reviewCount) || venue.reviewCount < 0) {
+    fail('reviewCount', 'reviewCount は 0 以上の整数で指定してください');
+  }
+  if (venue.priceRange !== null && !PRICE_RANGE_IDS.includes(venue.priceRange)) {
+    fail('priceRange', `priceRange は ${PRICE_RANGE_IDS.join(' / ')} のいずれかで指定してください`);
+  }
+
+  ['tags', 'amenities'].forEach(field => {
+    if (!Array.isArray(venue[field]) || venue[field].some(item => typeof item !== 'string')) {
+      fail(field, `${field} は文字列の配列で指定してください`);
+    }
+  });
+  if (!Array.isArray(venue.images) || venue.images.some(image => !image || typeof image.url !== 'string')) {
+    fail('images', 'images は { url } の配列で指定してください');
+  }
+
+  if (venue.openingHours !== null) {
+    const hours = venue.openingHours;
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours) ||
+        Object.keys(hours).some(key => !OPENING_HOURS_KEYS.includes(key))) {
+      fail('openingHours', `openingHours のキーは ${OPENING_HOURS_KEYS.join(' / ')} で指定してください`);
+    } else if (hours.exceptions !== undefined) {
+      const invalid = !Array.isArray(hours.exceptions) || hours.exceptions.some(exception =>
+        !exception || typeof exception !== 'object' ||
+        (exception.period ? typeof exception.period !== 'string'
+          : !EXCEPTION_DATE_PATTERN.test(exception.from) ||
+            (exception.to !== undefined && !EXCEPTION_DATE_PATTERN.test(exception.to)))
+      );
+      if (invalid) {
+        fail('openingHours', 'openingHours.exceptions は { from: "YYYY-MM-DD" | "MM-DD", to } か { period } の配列で指定してください');
+      }
+    }
+  }
+
+  if (venue.isOpen !== null && typeof venue.isOpen !== 'boolean') {
+    fail('isOpen', 'isOpen は true / false で指定してください');
+  }
+  if (venue.ageRestriction !== null && !AGE_RESTRICTION_PATTERN.test(venue.ageRestriction)) {
+    fail('ageRestriction', 'ageRestriction は "20_plus" のような形式で指定してください');
+  }
+  if (venue.capacity !== null && (!Number.isInteger(venue.capacity) || venue.capacity < 0)) {
+    fail('capacity', 'capacity は 0 以上の整数で指定してください');
+  }
+
+  if (venue.menu !== null) {
+    validateMenu(venue.menu).forEach(message => fail('menu', message));
+  }
+
+  ['createdAt', 'updatedAt'].forEach(field => {
+    if (venue[field] !== null && Number.isNaN(new Date(venue[field]).getTime())) {
+      fail(field, `${field} は日時の文字列で指定してください`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+const isYen = value => value === null || (Number.isInteger(value) && value >= 0);
+
+// 正規形のメニューの問題点（メッセージの配列）
+function validateMenu(menu) {
+  if (!menu || typeof menu !== 'object' || !Array.isArray(menu.sections)) {
+    return ['menu は { sections: [{ name, kind, items }] } で指定してください'];
+  }
+
+  const messages = [];
+  const items = menu.sections.flatMap(section => (Array.isArray(section.items) ? section.items : []));
+
+  if (menu.sections.some(section => !MENU_SECTION_KIND_IDS.includes(section.kind))) {
+    messages.push(`menu の区分の kind は ${MENU_SECTION_KIND_IDS.join(' / ')} のいずれかで指定してください`);
+  }
+  if (menu.sections.some(section => !Array.isArray(section.items)) ||
+      items.some(item => !item || typeof item.name !== 'string' || !item.name.trim())) {
+    messages.push('menu の品目は { name, price, size, happyHourPrice } の配列で指定してください');
+  }
+  if (items.some(item => item && (!isYen(item.price) || !isYen(item.happyHourPrice))) || !isYen(menu.charge)) {
+    messages.push('menu の価格・チャージは 0 以上の整数（円）で指定してください');
+  }
+
+  const happyHour = menu.happyHour;
+  if (happyHour !== null && (
+    !happyHour || !TIME_PATTERN.test(happyHour.from) || !TIME_PATTERN.test(happyHour.to) ||
+    (happyHour.days !== null && (!Array.isArray(happyHour.days) || happyHour.days.some(day => !WEEK_DAYS.includes(day))))
+  )) {
+    messages.push(`menu.happyHour は { from: "HH:MM", to: "HH:MM", days: [${WEEK_DAYS.join(' / ')}] | null } で指定してください`);
+  }
+
+  return messages;
+}
+
+// 正規化して検証し、問題があれば例外（error.errors に項目ごとの内容）
+export function toCanonicalVenue(raw) {
+  const venue = normalizeVenue(raw);
+  const { valid, errors } = validateVenue(venue);
+
+  if (!valid) {
+    const error = new Error(`店舗データが不正です: ${errors.map(e => e.message).join(' / ')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  return venue;
+}
+
+// 毎日同じ営業時間なら "18:00-02:00"、それ以外は JSON（normalizeOpeningHours で元に戻せる）
+export function formatHoursText(openingHours) {
+  if (!openingHours) return null;
+
+  const first = openingHours.monday;
+  const uniform = Object.keys(openingHours).length === WEEK_DAYS.length &&
+    first && !first.closed && !first.sessions && !first.lastOrder &&
+    WEEK_DAYS.every(day => {
+      const schedule = openingHours[day];
+      return schedule && Object.keys(schedule).length === 2 &&
+        schedule.open === first.open && schedule.close === first.close;
+    });
+
+  return uniform ? `${first.open}-${first.close}` : JSON.stringify(openingHours);
+}
+
+// venues テーブルの列（タグは venue_tags テーブルに別途保存する）
+export function toDatabaseRow(venue) {
+  return {
+    name: venue.name,
+    category: venue.category,
+    address: venue.address,
+    phone: venue.phone,
+    email: venue.email,
+    website: venue.website,
+    description: venue.description,
+    price_range: venue.priceRange,
+    latitude: venue.coordinates ? venue.coordinates.lat : null,
+    longitude: venue.coordinates ? venue.coordinates.lng : null,
+    hours: formatHoursText(venue.openingHours),
+    amenities: venue.amenities.length > 0 ? JSON.stringify(venue.amenities) : null,
+    // 不明（null）は null のまま保存し、営業中扱いにしない
+    is_open: typeof venue.isOpen === 'boolean' ? Number(venue.isOpen) : null,
+    rating: venue.rating,
+    review_count: venue.reviewCount,
+    owner_id: venue.ownerId === null ? null : Number(venue.ownerId),
+    menu: venue.menu ? JSON.stringify(venue.menu) : null,
+  };
+}
@@ -0,0 +1,353 @@
+import { normalizeText, appendReadings } from './search-normalizer';
+import { getMenuSearchTexts } from './venue-menu';
+
+// 店舗検索用の転置インデックス
+// 正規化済みテキストを n-gram に分解して保持し、語単位のタイポ許容検索も行う
+
+// フィールドごとの抽出方法と重み（関連度スコアに使用）
+const INDEXED_FIELDS = {
+  name: { weight: 100, extract: venue => [venue.name, venue.nameKana] },
+  category: { weight: 50, extract: venue => [venue.category] },
+  tags: { weight: 30, extract: venue => venue.tags || [] },
+  amenities: { weight: 15, extract: venue => venue.amenities || [] },
+  menu: { weight: 15, extract: venue => getMenuSearchTexts(venue.menu) },
+  description: { weight: 20, extract: venue => [venue.description] },
+  address: { weight: 10, extract: venue => [venue.address] },
+};
+
+// タイポ許容時のスコア係数（完全一致より低くする）
+const FUZZY_SCORE_FACTOR = 0.5;
+
+// 語の長さに応じた許容編集距離
+export function getMaxTypos(length) {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+}
+
+// 上限付き編集距離（上限を超えた時点で打ち切り、max + 1 を返す）
+export function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j - 1] + cost,
+        previous[j] + 1,
+        current[j - 1] + 1
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+class VenueSearchIndex {
+  constructor(options = {}) {
+    this.gramSize = options.gramSize || 2;
+    this.postings = new Map(); // gram -> Set<venueId>
+    this.vocabulary = new Map(); // word -> Map<venueId, weight>
+    this.wordGrams = new Map(); // gram -> Set<word>（タイポ候補の絞り込み用）
+    this.documents = new Map(); // venueId -> { version, fields, grams, words }
+  }
+
+  // 語を 1〜gramSize 文字の n-gram に分解
+  getGrams(word) {
+    const grams = new Set();
+
+    for (let size = 1; size <= this.gramSize; size++) {
+      for (let i = 0; i + size <= word.length; i++) {
+        grams.add(word.substr(i, size));
+      }
+    }
+
+    return grams;
+  }
+
+  // クエリ語の照合に使う n-gram（最長のもののみ）
+  getQueryGrams(term) {
+    const size = Math.min(this.gramSize, term.length);
+    const grams = new Set();
+
+    for (let i = 0; i + size <= term.length; i++) {
+      grams.add(term.substr(i, size));
+    }
+
+    return grams;
+  }
+
+  buildDocument(venue) {
+    const fields = {};
+    const grams = new Set();
+    const words = new Map();
+
+    Object.entries(INDEXED_FIELDS).forEach(([field, { weight, extract }]) => {
+      const text = appendReadings(normalizeText(extract(venue).filter(Boolean).join(' ')));
+      if (!text) return;
+
+      fields[field] = text;
+      text.split(' ').forEach(word => {
+        if (!word) return;
+        this.getGrams(word).forEach(gram => grams.add(gram));
+        words.set(word, Math.max(words.get(word) || 0, weight));
+      });
+    });
+
+    return {
+      version: venue.updatedAt || null,
+      fields,
+      grams,
+      words,
+    };
+  }
+
+  // 店舗を追加・更新（バージョンが同じならスキップ）
+  upsert(venue) {
+    if (!venue || venue.id === undefined) return false;
+
+    const existing = this.documents.get(venue.id);
+    if (existing && existing.version && existing.version === venue.updatedAt) {
+      return false;
+    }
+
+    if (existing) {
+      this.remove(venue.id);
+    }
+
+    const document = this.buildDocument(venue);
+
+    document.grams.forEach(gram => {
+      if (!this.postings.has(gram)) {
+        this.postings.set(gram, new Set());
+      }
+      this.postings.get(gram).add(venue.id);
+    });
+
+    document.words.forEach((weight, word) => {
+      if (!this.vocabulary.has(word)) {
+        this.vocabulary.set(word, new Map());
+        this.getQueryGrams(word).forEach(gram => {
+          if (!this.wordGrams.has(gram)) {
+            this.wordGrams.set(gram, new Set());
+          }
+          this.wordGrams.get(gram).add(word);
+        });
+      }
+      this.vocabulary.get(word).set(venue.id, weight);
+    });
+
+    this.documents.set(venue.id, document);
+    return true;
+  }
+
+  remove(venueId) {
+    const document = this.documents.get(venueId);
+    if (!document) return false;
+
+    document.grams.forEach(gram => {
+      const ids = this.postings.get(gram);
+      if (!ids) return;
+      ids.delete(venueId);
+      if (ids.size === 0) {
+        this.postings.delete(gram);
+      }
+    });
+
+    document.words.forEach((_, word) => {
+      const entries = this.vocabulary.get(word);
+      if (!entries) return;
+      entries.delete(venueId);
+      if (entries.size === 0) {
+        this.vocabulary.delete(word);
+        this.getQueryGrams(word).forEach(gram => {
+          const gramWords = this.wordGrams.get(gram);
+          if (!gramWords) return;
+          gramWords.delete(word);
+          if (gramWords.size === 0) {
+            this.wordGrams.delete(gram);
+          }
+        });
+      }
+    });
+
+    this.documents.delete(venueId);
+    return true;
+  }
+
+  // 店舗一覧とインデックスを同期（変更分のみ再索引し、消えた店舗を除去）
+  sync(venues) {
+    const currentIds = new Set();
+    let changed = 0;
+
+    venues.forEach(venue => {
+      currentIds.add(venue.id);
+      if (this.upsert(venue)) changed++;
+    });
+
+    Array.from(this.documents.keys()).forEach(venueId => {
+      if (!currentIds.has(venueId)) {
+        this.remove(venueId);
+        changed++;
+      }
+    });
+
+    return changed;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.vocabulary.clear();
+    this.wordGrams.clear();
+    this.documents.clear();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  // 1語（表記ゆれの候補付き）の完全一致（部分文字列）候補
+  findExactMatches(variants) {
+    const scores = new Map();
+
+    variants.forEach(variant => {
+      // 複数語の候補（同義語の "craft beer" など）は語ごとの n-gram で絞り、本文との照合は語句全体で行う
+      const grams = variant.split(' ').flatMap(word => Array.from(this.getQueryGrams(word)));
+      const postingLists = grams.map(gram => this.postings.get(gram));
+      if (postingLists.length === 0 || postingLists.some(ids => !ids)) return;
+
+      // 最小のポスティングリストから候補を絞る
+      postingLists.sort((a, b) => a.size - b.size);
+      const [smallest, ...rest] = postingLists;
+
+      smallest.forEach(venueId => {
+        if (rest.some(ids => !ids.has(venueId))) return;
+
+        const score = this.scoreExact(this.documents.get(venueId), variant);
+        if (score > (scores.get(venueId) || 0)) {
+          scores.set(venueId, score);
+        }
+      });
+    });
+
+    return scores;
+  }
+
+  scoreExact(document, variant) {
+    if (!document) return 0;
+
+    return Object.entries(document.fields).reduce((score, [field, text]) => (
+      text.includes(variant) ? score + INDEXED_FIELDS[field].weight : score
+    ), 0);
+  }
+
+  // 語単位のタイポ許容一致
+  findFuzzyMatches(variants) {
+    const scores = new Map();
+
+    variants.forEach(variant => {
+      const maxTypos = getMaxTypos(variant.length);
+      if (maxTypos === 0 || variant.includes(' ')) return;
+
+      // 共通する n-gram が一定数ある語だけを候補にする
+      const queryGrams = this.getQueryGrams(variant);
+      const sharedCounts = new Map();
+      queryGrams.forEach(gram => {
+        (this.wordGrams.get(gram) || []).forEach(word => {
+          sharedCounts.set(word, (sharedCounts.get(word) || 0) + 1);
+        });
+      });
+
+      const minShared = Math.max(1, queryGrams.size - maxTypos * this.gramSize);
+
+      sharedCounts.forEach((shared, word) => {
+        if (shared < minShared) return;
+
+        const distance = boundedEditDistance(variant, word, maxTypos);
+        if (distance > maxTypos) return;
+
+        const similarity = 1 - distance / Math.max(variant.length, word.length);
+        this.vocabulary.get(word).forEach((weight, venueId) => {
+          const score = weight * similarity * FUZZY_SCORE_FACTOR;
+          if (score > (scores.get(venueId) || 0)) {
+            scores.set(venueId, score);
+          }
+        });
+      });
+    });
+
+    return scores;
+  }
+
+  // 検索語ごとの候補リスト（getTermVariants の結果の配列）で検索し、店舗ID → スコアを返す
+  search(termVariantsList, options = {}) {
+    const { fuzzy = true, requireAll = false } = options;
+    const totals = new Map();
+    const matchCounts = new Map();
+
+    termVariantsList.forEach(variants => {
+      const termScores = this.findExactMatches(variants);
+
+      if (fuzzy) {
+        this.findFuzzyMatches(variants).forEach((score, venueId) => {
+          if (!termScores.has(venueId)) {
+            termScores.set(venueId, score);
+          }
+        });
+      }
+
+      termScores.forEach((score, venueId) => {
+        totals.set(venueId, (totals.get(venueId) || 0) + score);
+        matchCounts.set(venueId, (matchCounts.get(venueId) || 0) + 1);
+      });
+    });
+
+    if (requireAll) {
+      matchCounts.forEach((count, venueId) => {
+        if (count < termVariantsList.length) {
+          totals.delete(venueId);
+        }
+      });
+    }
+
+    return totals;
+  }
+
+  // 単一店舗のテキスト関連度スコア
+  scoreDocument(venueId, termVariantsList, options = {}) {
+    const { fuzzy = true } = options;
+    const document = this.documents.get(venueId);
+    if (!document) return 0;
+
+    return termVariantsList.reduce((total, variants) => {
+      const exact = Math.max(0, ...variants.map(variant => this.scoreExact(document, variant)));
+      if (exact > 0 || !fuzzy) return total + exact;
+
+      let best = 0;
+      variants.forEach(variant => {
+        const maxTypos = getMaxTypos(variant.length);
+        if (maxTypos === 0 || variant.includes(' ')) return;
+
+        document.words.forEach((weight, word) => {
+          const distance = boundedEditDistance(variant, word, maxTypos);
+          if (distance > maxTypos) return;
+          const similarity = 1 - distance / Math.max(variant.length, word.length);
+          best = Math.max(best, weight * similarity * FUZZY_SCORE_FACTOR);
+        });
+      });
+
+      return total + best;
+    }, 0);
+  }
+}
+
+export default VenueSearchIndex;
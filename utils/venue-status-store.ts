@@ -0,0 +1,135 @@
+import { getDatabase, getVenue, transaction } from "./database.ts";
+import type { User } from "./auth.ts";
+import {
+  aggregateVenueStatus,
+  aggregateVenueStatuses,
+  createStatusReport,
+  REPORT_INTERVAL,
+  updateReliability,
+  validateStatusReport,
+  VenueStatusError,
+} from "./venue-status.js";
+
+// 店舗の混雑度・待ち時間（SQLite の venue_status_reports / venue_status_reporters テーブル）
+// 報告の重み付けと集計はアプリと共通（utils/venue-status.js）
+// オーナー（その店舗の ownerId のユーザー）と管理者の報告は 'owner'、それ以外は 'user' として扱う
+
+type VenueStatus = NonNullable<ReturnType<typeof aggregateVenueStatus>>;
+type StatusReport = ReturnType<typeof createStatusReport>;
+
+function rowToReport(row: any): StatusReport {
+  return {
+    venueId: String(row.venue_id),
+    reporterId: row.reporter_id === null ? null : String(row.reporter_id),
+    source: row.source,
+    crowdLevel: row.crowd_level,
+    waitMinutes: row.wait_minutes,
+    reportedAt: row.reported_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+function getLiveReports(venueId: number | null, now: number): StatusReport[] {
+  const db = getDatabase();
+  const nowText = new Date(now).toISOString();
+  const rows = venueId === null
+    ? db.prepare("SELECT * FROM venue_status_reports WHERE expires_at > ?").all(nowText)
+    : db.prepare("SELECT * FROM venue_status_reports WHERE venue_id = ? AND expires_at > ?").all(venueId, nowText);
+  return rows.map(rowToReport);
+}
+
+function getReliabilities(reports: StatusReport[]): Record<string, number> {
+  const ids = Array.from(new Set(reports.map((report) => report.reporterId).filter(Boolean)));
+  if (ids.length === 0) return {};
+
+  const rows = getDatabase().prepare(`
+    SELECT user_id, reliability FROM venue_status_reporters
+    WHERE user_id IN (${ids.map(() => "?").join(", ")})
+  `).all(...ids.map(Number)) as { user_id: number; reliability: number }[];
+  return Object.fromEntries(rows.map((row) => [String(row.user_id), row.reliability]));
+}
+
+// 報告を追加して、その店舗の最新の状況を返す
+// 同じ人が REPORT_INTERVAL 以内に同じ店舗へ報告したら前の報告を置き換える
+export function submitVenueStatusReport(
+  venueId: number | string,
+  user: User,
+  input: { crowdLevel?: string; waitMinutes?: number | string | null },
+): VenueStatus | null {
+  const venue = getVenue(venueId);
+  if (!venue) {
+    throw new VenueStatusError("店舗が見つかりません", 404);
+  }
+
+  const { crowdLevel, waitMinutes } = validateStatusReport(input);
+  const isOwner = user.role === "admin" || venue.ownerId === String(user.id);
+  const now = Date.now();
+  const report = createStatusReport({
+    venueId: venue.id,
+    reporterId: user.id,
+    source: isOwner ? "owner" : "user",
+    crowdLevel,
+    waitMinutes,
+    now,
+  });
+
+  transaction((db) => {
+    db.prepare(`
+      DELETE FROM venue_status_reports
+      WHERE venue_id = ? AND reporter_id = ? AND reported_at > ?
+    `).run(Number(venue.id), user.id, new Date(now - REPORT_INTERVAL).toISOString());
+
+    // 利用者の信頼度は、他の人の報告のまとめと比べて更新する
+    if (!isOwner) {
+      const others = getLiveReports(Number(venue.id), now).filter((other) => other.reporterId !== String(user.id));
+      const consensus = aggregateVenueStatus(others, getReliabilities(others), now);
+      const current = getReliabilities([report])[String(user.id)];
+      db.prepare(`
+        INSERT INTO venue_status_reporters (user_id, reliability, report_count, updated_at)
+        VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id) DO UPDATE SET
+          reliability = excluded.reliability,
+          report_count = report_count + 1,
+          updated_at = CURRENT_TIMESTAMP
+      `).run(user.id, updateReliability(current, report, consensus));
+    }
+
+    db.prepare(`
+      INSERT INTO venue_status_reports (venue_id, reporter_id, source, crowd_level, wait_minutes, reported_at, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      Number(venue.id),
+      user.id,
+      report.source,
+      report.crowdLevel,
+      report.waitMinutes,
+      report.reportedAt,
+      report.expiresAt,
+    );
+  });
+
+  return getVenueStatus(venueId);
+}
+
+// 店舗の状況（有効な報告がなければ null）
+export function getVenueStatus(venueId: number | string): VenueStatus | null {
+  if (!/^\d+$/.test(String(venueId))) return null;
+
+  const now = Date.now();
+  const reports = getLiveReports(Number(venueId), now);
+  return aggregateVenueStatus(reports, getReliabilities(reports), now);
+}
+
+// 有効な報告のある店舗の状況 { venueId: status }。venueIds を渡せばその店舗だけ
+export function getVenueStatuses(venueIds?: (number | string)[]): Record<string, VenueStatus> {
+  const now = Date.now();
+  const wanted = venueIds ? new Set(venueIds.map(String)) : null;
+  const reports = getLiveReports(null, now).filter((report) => !wanted || wanted.has(report.venueId));
+  return aggregateVenueStatuses(reports, getReliabilities(reports), now) as Record<string, VenueStatus>;
+}
+
+// 期限切れの報告を消す。戻り値は消した件数
+export function purgeExpiredStatusReports(): number {
+  return getDatabase().prepare("DELETE FROM venue_status_reports WHERE expires_at <= ?")
+    .run(new Date().toISOString()) as unknown as number;
+}
@@ -0,0 +1,188 @@
+// 店舗の混雑度・待ち時間（ライブの状況）
+// オーナーの更新と利用者の報告を、新しさと報告者の信頼度で重み付けしてまとめる
+// アプリ（services/VenueStatusService.js）とサーバー（utils/venue-status-store.ts）で共通。Deno からも読むため他のモジュールには依存しない
+//
+// 報告（report）:  { venueId, reporterId, source: 'owner' | 'user', crowdLevel, waitMinutes, reportedAt, expiresAt }
+//   期限（expiresAt）を過ぎた報告は使わない
+// 状況（status）:  { venueId, crowdLevel, crowdLabel, crowdScore, waitMinutes, confidence, reportCount,
+//                   ownerReported, updatedAt }
+//   crowdScore は 0（空いている）〜3（満席）の重み付き平均、confidence は 0〜1
+
+export const CROWD_LEVELS = [
+  { id: 'low', label: '空いている', icon: '🟢', value: 0 },
+  { id: 'medium', label: 'やや混雑', icon: '🟡', value: 1 },
+  { id: 'high', label: '混雑', icon: '🟠', value: 2 },
+  { id: 'full', label: '満席', icon: '🔴', value: 3 },
+];
+
+export const CROWD_LEVEL_IDS = CROWD_LEVELS.map(level => level.id);
+
+// 報告の有効期限（オーナーの更新は長め）
+export const REPORT_TTL = {
+  owner: 60 * 60 * 1000,
+  user: 30 * 60 * 1000,
+};
+
+// 同じ人が同じ店舗に続けて報告できる間隔（前の報告は置き換える）
+export const REPORT_INTERVAL = 5 * 60 * 1000;
+
+// 新しさの重みが半分になるまでの時間
+const RECENCY_HALF_LIFE = 10 * 60 * 1000;
+
+// 報告者の信頼度（0.1〜1）。初めての利用者は 0.5 から始まり、他の報告と合っていれば上がる
+export const DEFAULT_RELIABILITY = 0.5;
+const MIN_RELIABILITY = 0.1;
+const RELIABILITY_LEARNING_RATE = 0.2;
+const OWNER_WEIGHT = 2;
+
+// これ未満の confidence の状況は表示・絞り込みに使わない
+export const MIN_CONFIDENCE = 0.3;
+
+export const MAX_WAIT_MINUTES = 240;
+
+const getLevel = id => CROWD_LEVELS.find(level => level.id === id);
+
+// 報告の入力の誤りや店舗がないときの失敗。API はこの status で返し、それ以外の例外はサーバーのエラー（500）として扱う
+export class VenueStatusError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VenueStatusError';
+    this.status = status;
+  }
+}
+
+// 報告の検証。戻り値は正規化した { crowdLevel, waitMinutes }（不正なら例外）
+export function validateStatusReport(report) {
+  const crowdLevel = report?.crowdLevel;
+  if (!CROWD_LEVEL_IDS.includes(crowdLevel)) {
+    throw new VenueStatusError(`混雑度は ${CROWD_LEVEL_IDS.join(' / ')} のいずれかで指定してください`);
+  }
+
+  const rawWait = report.waitMinutes;
+  if (rawWait === undefined || rawWait === null || rawWait === '') {
+    return { crowdLevel, waitMinutes: null };
+  }
+  const waitMinutes = Number(rawWait);
+  if (!Number.isInteger(waitMinutes) || waitMinutes < 0 || waitMinutes > MAX_WAIT_MINUTES) {
+    throw new VenueStatusError(`待ち時間は 0〜${MAX_WAIT_MINUTES} 分の整数で指定してください`);
+  }
+  return { crowdLevel, waitMinutes };
+}
+
+// 保存する報告（期限付き）
+export function createStatusReport({ venueId, reporterId, source, crowdLevel, waitMinutes, now = Date.now() }) {
+  return {
+    venueId: String(venueId),
+    reporterId: reporterId === null || reporterId === undefined ? null : String(reporterId),
+    source,
+    crowdLevel,
+    waitMinutes,
+    reportedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REPORT_TTL[source]).toISOString(),
+  };
+}
+
+export function isReportLive(report, now = Date.now()) {
+  return new Date(report.expiresAt).getTime() > now;
+}
+
+// 報告1件の重み = 新しさ × 報告者の信頼度（オーナーは OWNER_WEIGHT 倍）
+export function getReportWeight(report, reliability = DEFAULT_RELIABILITY, now = Date.now()) {
+  const age = Math.max(now - new Date(report.reportedAt).getTime(), 0);
+  const recency = Math.pow(0.5, age / RECENCY_HALF_LIFE);
+  return recency * reliability * (report.source === 'owner' ? OWNER_WEIGHT : 1);
+}
+
+// 1店舗分の報告をまとめた状況（有効な報告がなければ null）
+// reliabilities: { reporterId: 信頼度 }（オーナーは常に 1）
+export function aggregateVenueStatus(reports, reliabilities = {}, now = Date.now()) {
+  const live = reports.filter(report => isReportLive(report, now) && getLevel(report.crowdLevel));
+  if (live.length === 0) return null;
+
+  let totalWeight = 0;
+  let crowdSum = 0;
+  let waitWeight = 0;
+  let waitSum = 0;
+  live.forEach(report => {
+    const reliability = report.source === 'owner'
+      ? 1
+      : reliabilities[report.reporterId] ?? DEFAULT_RELIABILITY;
+    const weight = getReportWeight(report, reliability, now);
+
+    totalWeight += weight;
+    crowdSum += weight * getLevel(report.crowdLevel).value;
+    if (report.waitMinutes !== null && report.waitMinutes !== undefined) {
+      waitWeight += weight;
+      waitSum += weight * report.waitMinutes;
+    }
+  });
+  if (totalWeight === 0) return null;
+
+  const crowdScore = crowdSum / totalWeight;
+  const level = CROWD_LEVELS[Math.min(Math.round(crowdScore), CROWD_LEVELS.length - 1)];
+  const updatedAt = live.reduce((latest, report) => (report.reportedAt > latest ? report.reportedAt : latest), '');
+
+  return {
+    venueId: live[0].venueId,
+    crowdLevel: level.id,
+    crowdLabel: level.label,
+    crowdScore: Math.round(crowdScore * 100) / 100,
+    waitMinutes: waitWeight > 0 ? Math.round(waitSum / waitWeight) : null,
+    confidence: Math.round((1 - Math.exp(-totalWeight)) * 100) / 100,
+    reportCount: live.length,
+    ownerReported: live.some(report => report.source === 'owner'),
+    updatedAt,
+  };
+}
+
+// 報告をまとめた状況の一覧 { venueId: status }
+export function aggregateVenueStatuses(reports, reliabilities = {}, now = Date.now()) {
+  const byVenue = new Map();
+  reports.forEach(report => {
+    if (!byVenue.has(report.venueId)) byVenue.set(report.venueId, []);
+    byVenue.get(report.venueId).push(report);
+  });
+
+  const statuses = {};
+  byVenue.forEach((venueReports, venueId) => {
+    const status = aggregateVenueStatus(venueReports, reliabilities, now);
+    if (status) statuses[venueId] = status;
+  });
+  return statuses;
+}
+
+// 新しい報告が、その時点の他の報告のまとめ（status）と合っていたかで利用者の信頼度を更新する
+// まとめがない・確度が低いときは変えない
+export function updateReliability(reliability, report, status) {
+  const current = reliability ?? DEFAULT_RELIABILITY;
+  if (!status || status.confidence < MIN_CONFIDENCE) return current;
+
+  const agreed = Math.abs(getLevel(report.crowdLevel).value - status.crowdScore) <= 1 ? 1 : 0;
+  const next = current + (agreed - current) * RELIABILITY_LEARNING_RATE;
+  return Math.round(Math.min(Math.max(next, MIN_RELIABILITY), 1) * 1000) / 1000;
+}
+
+// 表示・絞り込みに使えるだけの確度があるか
+export function isStatusReliable(status) {
+  return Boolean(status) && status.confidence >= MIN_CONFIDENCE;
+}
+
+// 「空いている」絞り込み
+export function isUncrowded(status) {
+  return isStatusReliable(status) && status.crowdLevel === 'low';
+}
+
+// バッジの表示（"🟠 混雑・待ち 15分"）。確度が低ければ null
+export function describeVenueStatus(status) {
+  if (!isStatusReliable(status)) return null;
+
+  const level = getLevel(status.crowdLevel);
+  const wait = status.waitMinutes ? `・待ち ${status.waitMinutes}分` : '';
+  return `${level.icon} ${level.label}${wait}`;
+}
+
+// 最終更新の表示（"5分前"）
+export function describeStatusAge(status, now = Date.now()) {
+  const minutes = Math.max(Math.floor((now - new Date(status.updatedAt).getTime()) / 60000), 0);
+  return minutes < 1 ? 'たった今' : `${minutes}分前`;
+}
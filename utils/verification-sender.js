@@ -0,0 +1,27 @@
+// 確認コード（オーナー申請など）の送信の共通インターフェース
+// 実装はローカルの代用（utils/local-verification-sender.js）と HTTP（utils/http-verification-sender.js）の2つ
+// 確認コードはサーバーだけで扱うので、使うのは utils/venue-owner-service.ts（Deno）。他のモジュールには依存しない
+//
+//   send({ channel, to, message })  送信する。channel は 'phone'（SMS）| 'email'。失敗したら例外
+//
+// SMS・メールの事業者ごとの実装を足すときは、このクラスを継承して send() を実装する
+class VerificationSender {
+  async send(message) {
+    throw new Error(`${this.constructor.name} は send() を実装していません`);
+  }
+
+  // 送信前の共通の確認
+  validateMessage({ channel, to, message }) {
+    if (!['phone', 'email'].includes(channel)) {
+      throw new Error(`不明な送信方法です: ${channel}`);
+    }
+    if (!to) {
+      throw new Error('送信先がありません');
+    }
+    if (!message) {
+      throw new Error('本文がありません');
+    }
+  }
+}
+
+export default VerificationSender;